@@ -0,0 +1,51 @@
+const { ROLES } = require("./roles");
+
+// สิทธิ์ของ API key (ไม่เกินสิทธิ์ของเจ้าของ key เสมอ)
+// - users:read  อ่านอย่างเดียว (GET/HEAD) เฉพาะ /api/users ด้วย role ของเจ้าของ
+// - admin       ทำได้ทุกอย่างเท่าที่เจ้าของทำได้ (สร้างได้เฉพาะ admin)
+const API_KEY_SCOPES = Object.freeze({
+  USERS_READ: "users:read",
+  ADMIN: "admin",
+});
+
+const SCOPE_VALUES = Object.values(API_KEY_SCOPES);
+
+// scope ที่ role นี้ออกให้ key ของตัวเองได้
+const SCOPES_BY_ROLE = Object.freeze({
+  [ROLES.ADMIN]: SCOPE_VALUES,
+  [ROLES.STAFF]: [API_KEY_SCOPES.USERS_READ],
+  [ROLES.USER]: [API_KEY_SCOPES.USERS_READ],
+});
+
+const canGrantScope = (role, scope) => (SCOPES_BY_ROLE[role] || []).includes(scope);
+
+// method + path ที่แต่ละ scope เรียกได้ (admin ไม่จำกัด)
+const SCOPE_ROUTES = Object.freeze({
+  [API_KEY_SCOPES.USERS_READ]: { methods: ["GET", "HEAD"], paths: ["/api/users"] },
+});
+
+const matchesPath = (path, prefix) => path === prefix || path.startsWith(`${prefix}/`);
+
+// path = path เต็มของ request ไม่รวม query string (req.baseUrl + req.path)
+function scopeAllows(scopes, method, path) {
+  if (scopes.includes(API_KEY_SCOPES.ADMIN)) return true;
+  return scopes.some((scope) => {
+    const route = SCOPE_ROUTES[scope];
+    return (
+      Boolean(route) &&
+      route.methods.includes(method) &&
+      route.paths.some((prefix) => matchesPath(path, prefix))
+    );
+  });
+}
+
+// อายุสูงสุดของ key (วัน) 0 = ไม่จำกัด
+const API_KEY_MAX_TTL_DAYS = Number(process.env.API_KEY_MAX_TTL_DAYS || 365);
+
+module.exports = {
+  API_KEY_SCOPES,
+  SCOPE_VALUES,
+  canGrantScope,
+  scopeAllows,
+  API_KEY_MAX_TTL_DAYS,
+};
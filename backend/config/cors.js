@@ -0,0 +1,30 @@
+const { CSRF_HEADER, TRANSPORT_HEADER } = require("../services/authCookies");
+const { REQUEST_ID_HEADER } = require("../middleware/requestId");
+
+// origin ที่เรียก API พร้อม cookie ได้ (คั่นด้วย comma) ไม่ตั้ง -> FRONTEND_URL
+// ใส่ "*" ได้สำหรับ dev เท่านั้น (ยอมทุก origin)
+const CORS_ORIGINS = String(
+  process.env.CORS_ORIGINS || process.env.FRONTEND_URL || "http://localhost:3001"
+)
+  .split(",")
+  .map((origin) => origin.trim().replace(/\/+$/, ""))
+  .filter(Boolean);
+
+const isAllowedOrigin = (origin) => CORS_ORIGINS.includes("*") || CORS_ORIGINS.includes(origin);
+
+const corsOptions = {
+  // request ที่ไม่มี Origin (curl, server-to-server, Swagger UI เดียวกัน) ผ่านได้
+  origin: (origin, callback) => callback(null, !origin || isAllowedOrigin(origin)),
+  credentials: true,
+  allowedHeaders: [
+    "Content-Type",
+    "Authorization",
+    "X-API-Key",
+    "Last-Event-ID",
+    CSRF_HEADER,
+    TRANSPORT_HEADER,
+  ],
+  exposedHeaders: ["Retry-After", "X-Total-Count", REQUEST_ID_HEADER],
+};
+
+module.exports = { CORS_ORIGINS, isAllowedOrigin, corsOptions };
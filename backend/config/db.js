@@ -1,15 +1,69 @@
 const mysql = require("mysql2/promise");
 
+// เลือกฐานข้อมูลจาก DB_CLIENT: mysql (ค่าเริ่มต้น) | sqlite (DB_FILE = path หรือ :memory:)
+// ทุก driver มี query(sql, params) -> [rows] | [{ affectedRows, insertId }], transaction(), withLock(), end(), dialect
+const DB_CLIENT = process.env.DB_CLIENT || "mysql";
+
 // Pool connection (mysql2/promise)
-const db = mysql.createPool({
-  host: process.env.DB_HOST,
-  port: Number(process.env.DB_PORT || 3306),
-  user: process.env.DB_USER,
-  password: process.env.DB_PASS,
-  database: process.env.DB_NAME,
-  waitForConnections: true,
-  connectionLimit: Number(process.env.DB_POOL_LIMIT || 10),
-  queueLimit: 0,
-});
+function createMysqlDatabase() {
+  const pool = mysql.createPool({
+    host: process.env.DB_HOST,
+    port: Number(process.env.DB_PORT || 3306),
+    user: process.env.DB_USER,
+    password: process.env.DB_PASS,
+    database: process.env.DB_NAME,
+    waitForConnections: true,
+    connectionLimit: Number(process.env.DB_POOL_LIMIT || 10),
+    queueLimit: 0,
+  });
+
+  // GET_LOCK ผูกกับ connection -> work(conn) ต้องใช้ conn ที่ได้มาเท่านั้น
+  pool.withLock = async (name, timeoutSeconds, work) => {
+    const connection = await pool.getConnection();
+    try {
+      const [[row]] = await connection.query("SELECT GET_LOCK(?, ?) AS acquired", [name, timeoutSeconds]);
+      if (Number(row?.acquired) !== 1) {
+        throw Object.assign(new Error(`Timed out waiting for lock ${name}`), { code: "LOCK_TIMEOUT" });
+      }
+      try {
+        return await work({ dialect: "mysql", query: (sql, params) => connection.query(sql, params) });
+      } finally {
+        await connection.query("SELECT RELEASE_LOCK(?)", [name]);
+      }
+    } finally {
+      connection.release();
+    }
+  };
+
+  // ทุกคำสั่งใน work(conn) อยู่ใน transaction เดียว (error -> rollback)
+  pool.transaction = async (work) => {
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+      const result = await work({ dialect: "mysql", query: (sql, params) => connection.query(sql, params) });
+      await connection.commit();
+      return result;
+    } catch (err) {
+      await connection.rollback();
+      throw err;
+    } finally {
+      connection.release();
+    }
+  };
+
+  pool.dialect = "mysql";
+  return pool;
+}
+
+function createDatabaseFromEnv() {
+  if (DB_CLIENT === "sqlite") {
+    const { createSqliteDatabase } = require("./sqlite");
+    return createSqliteDatabase({ filename: process.env.DB_FILE || ":memory:" });
+  }
+  if (DB_CLIENT !== "mysql") throw new Error(`Unknown DB_CLIENT: ${DB_CLIENT} (use mysql or sqlite)`);
+  return createMysqlDatabase();
+}
+
+const db = createDatabaseFromEnv();
 
 module.exports = db;
@@ -0,0 +1,54 @@
+// ผู้ให้บริการ login ภายนอก (OpenID Connect) ตั้งผ่าน OIDC_PROVIDERS (JSON array) เช่น
+//   [{"id":"google","name":"Google","issuer":"https://accounts.google.com",
+//     "clientId":"...","clientSecretEnv":"GOOGLE_CLIENT_SECRET"}]
+// field อื่น: scopes (ค่าเริ่มต้น "openid email profile"),
+//   allowSignup (สร้างบัญชีใหม่อัตโนมัติ, ค่าเริ่มต้น true),
+//   trustEmail (เชื่อ email_verified ของ provider เพื่อผูกกับบัญชีเดิมที่อีเมลตรงกัน, ค่าเริ่มต้น true)
+// ลองกับ provider จำลองได้ด้วย scripts/mock-oidc-provider.js
+const DEFAULT_SCOPES = "openid email profile";
+
+// URL สาธารณะของ backend (ใช้สร้าง redirect_uri ที่ลงทะเบียนไว้กับ provider)
+const API_PUBLIC_URL = (
+  process.env.API_PUBLIC_URL || `http://localhost:${process.env.PORT || 3000}`
+).replace(/\/+$/, "");
+
+function parseProviders() {
+  if (!process.env.OIDC_PROVIDERS) return [];
+
+  let entries;
+  try {
+    entries = JSON.parse(process.env.OIDC_PROVIDERS);
+  } catch {
+    throw new Error("OIDC_PROVIDERS must be a JSON array");
+  }
+  if (!Array.isArray(entries)) throw new Error("OIDC_PROVIDERS must be a JSON array");
+
+  return entries.map((entry) => {
+    const id = String(entry?.id || "").trim().toLowerCase();
+    if (!/^[a-z0-9_-]+$/.test(id)) throw new Error(`Invalid OIDC provider id "${entry?.id}"`);
+    if (!entry.issuer || !entry.clientId) {
+      throw new Error(`OIDC provider "${id}" needs issuer and clientId`);
+    }
+    return {
+      id,
+      name: String(entry.name || id),
+      issuer: String(entry.issuer).replace(/\/+$/, ""),
+      clientId: String(entry.clientId),
+      clientSecret: entry.clientSecret || (entry.clientSecretEnv && process.env[entry.clientSecretEnv]) || null,
+      scopes: String(entry.scopes || DEFAULT_SCOPES),
+      allowSignup: entry.allowSignup !== false,
+      trustEmail: entry.trustEmail !== false,
+      redirectUri: `${API_PUBLIC_URL}/api/auth/oidc/${id}/callback`,
+    };
+  });
+}
+
+const OIDC_PROVIDERS = parseProviders();
+
+const getOidcProvider = (id) =>
+  OIDC_PROVIDERS.find((provider) => provider.id === String(id || "").toLowerCase()) || null;
+
+// ส่งให้หน้า login แสดงปุ่ม (ไม่มี secret)
+const listOidcProviders = () => OIDC_PROVIDERS.map(({ id, name }) => ({ id, name }));
+
+module.exports = { API_PUBLIC_URL, OIDC_PROVIDERS, getOidcProvider, listOidcProviders };
@@ -0,0 +1,32 @@
+// กฎรหัสผ่าน ใช้ร่วมกันทุกที่ที่ตั้ง/เปลี่ยนรหัส (สมัคร, admin สร้าง/แก้ user, เปลี่ยนเอง, reset, รับคำเชิญ)
+// ตั้งค่าต่อ deployment ผ่าน env:
+// - PASSWORD_MIN_LENGTH       ความยาวขั้นต่ำ (ค่าเริ่มต้น 8)
+// - PASSWORD_REQUIRE          ชนิดตัวอักษรที่ต้องมี: lowercase,uppercase,digit,symbol (ค่าเริ่มต้น lowercase,uppercase,digit)
+// - PASSWORD_DISALLOW_USERNAME  false = อนุญาตให้มี username อยู่ในรหัส
+// - PASSWORD_HISTORY_SIZE     ห้ามใช้ซ้ำกับ N รหัสล่าสุด (รวมรหัสปัจจุบัน, 0 = ไม่เช็ค)
+// - PASSWORD_CHECK_COMMON     false = ไม่เช็ครายการรหัสยอดนิยม/รั่วไหล (data/common-passwords.txt)
+const CHARACTER_CLASSES = Object.freeze({
+  lowercase: { pattern: /\p{Ll}/u, label: "a lowercase letter" },
+  uppercase: { pattern: /\p{Lu}/u, label: "an uppercase letter" },
+  digit: { pattern: /\p{Nd}/u, label: "a digit" },
+  symbol: { pattern: /[^\p{L}\p{Nd}]/u, label: "a symbol" },
+});
+
+// bcrypt ใช้แค่ 72 byte แรก ส่วนที่เกินไม่มีผลกับ hash
+const BCRYPT_MAX_BYTES = 72;
+
+const required = String(process.env.PASSWORD_REQUIRE ?? "lowercase,uppercase,digit")
+  .split(",")
+  .map((value) => value.trim())
+  .filter((value) => value in CHARACTER_CLASSES);
+
+const PASSWORD_POLICY = Object.freeze({
+  minLength: Math.max(1, Number(process.env.PASSWORD_MIN_LENGTH || 8)),
+  maxBytes: BCRYPT_MAX_BYTES,
+  requiredClasses: Object.freeze([...new Set(required)]),
+  disallowUsername: process.env.PASSWORD_DISALLOW_USERNAME !== "false",
+  historySize: Math.max(0, Number(process.env.PASSWORD_HISTORY_SIZE ?? 5)),
+  checkCommon: process.env.PASSWORD_CHECK_COMMON !== "false",
+});
+
+module.exports = { CHARACTER_CLASSES, PASSWORD_POLICY };
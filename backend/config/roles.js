@@ -0,0 +1,13 @@
+// Roles stored in tbl_users.role and carried in the JWT (role claim)
+const ROLES = Object.freeze({
+  ADMIN: "admin",
+  STAFF: "staff",
+  USER: "user",
+});
+
+const ROLE_VALUES = Object.values(ROLES);
+const DEFAULT_ROLE = ROLES.USER;
+
+const isValidRole = (role) => ROLE_VALUES.includes(role);
+
+module.exports = { ROLES, ROLE_VALUES, DEFAULT_ROLE, isValidRole };
@@ -0,0 +1,268 @@
+// SQLite (ไฟล์หรือ :memory:) สำหรับ dev/test ที่ไม่มี MySQL: interface เดียวกับ pool ใน config/db.js
+// โค้ดทั้งระบบเขียน SQL แบบ MySQL -> แปลงเฉพาะรูปแบบที่ใช้จริง (NOW(), INTERVAL, DATE_FORMAT,
+// ON DUPLICATE KEY UPDATE, LIKE, FOR UPDATE) ถ้าเพิ่ม SQL แบบใหม่ที่ SQLite ไม่รู้จักต้องเพิ่มการแปลงที่นี่
+// ค่าที่เป็น array (VALUES ?, IN (?)) ของ mysql2 ใช้ไม่ได้ -> ใส่ ? ทีละค่า
+// เวลาเก็บเป็นข้อความ "YYYY-MM-DD HH:MM:SS" (UTC) อ่านกลับเป็น Date เฉพาะ column *_at / *_until
+
+const INTERVAL_UNITS = { SECOND: "seconds", MINUTE: "minutes", HOUR: "hours", DAY: "days" };
+const DATE_FORMAT_TOKENS = { "%i": "%M", "%s": "%S" };
+const DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/;
+const DATETIME_COLUMN = /(_at|_until)$/;
+
+const { AsyncLocalStorage } = require("async_hooks");
+
+// Bun มี bun:sqlite ในตัว, Node ใช้ better-sqlite3 (optionalDependencies)
+function openDriver(filename) {
+  if (process.versions.bun) {
+    const { Database } = require("bun:sqlite");
+    const database = new Database(filename, { create: true });
+    return {
+      prepare(sql) {
+        const statement = database.query(sql);
+        return {
+          reader: statement.columnNames.length > 0,
+          all: (params) => statement.all(...params),
+          run: (params) => statement.run(...params),
+        };
+      },
+      exec: (sql) => database.exec(sql),
+      close: () => database.close(),
+    };
+  }
+
+  let Database;
+  try {
+    Database = require("better-sqlite3");
+  } catch {
+    throw new Error("DB_CLIENT=sqlite on Node needs the better-sqlite3 package (or run with Bun)");
+  }
+  const database = new Database(filename);
+  return {
+    prepare(sql) {
+      const statement = database.prepare(sql);
+      return {
+        reader: statement.reader,
+        all: (params) => statement.all(...params),
+        run: (params) => statement.run(...params),
+      };
+    },
+    exec: (sql) => database.exec(sql),
+    close: () => database.close(),
+  };
+}
+
+// NOW() +/- INTERVAL ? UNIT (ค่า ? ยังอยู่ตำแหน่งเดิม)
+const shiftNow = (sign, unit) => `datetime('now', '${sign}' || ? || ' ${INTERVAL_UNITS[unit.toUpperCase()]}')`;
+
+function translateSql(sql) {
+  let out = sql
+    .replace(/DATE_ADD\(NOW\(\), INTERVAL \? (\w+)\)/gi, (_, unit) => shiftNow("+", unit))
+    .replace(/NOW\(\) - INTERVAL \? (\w+)/gi, (_, unit) => shiftNow("-", unit))
+    .replace(/NOW\(\)/gi, "datetime('now')")
+    .replace(
+      /DATE_FORMAT\(([^,]+),\s*'([^']*)'\)/gi,
+      (_, expr, format) => `strftime('${format.replace(/%[is]/g, (token) => DATE_FORMAT_TOKENS[token])}', ${expr})`
+    )
+    // MySQL ใช้ \ เป็น escape ของ LIKE โดยปริยาย
+    .replace(/LIKE \?/gi, "LIKE ? ESCAPE '\\'")
+    // SQLite ล็อกทั้งไฟล์ตอนเขียนอยู่แล้ว (transaction เปิดด้วย BEGIN IMMEDIATE)
+    .replace(/\s+FOR UPDATE\b/gi, "");
+
+  const upsert = /ON DUPLICATE KEY UPDATE/i.exec(out);
+  if (upsert) {
+    out =
+      out.slice(0, upsert.index) +
+      "ON CONFLICT DO UPDATE SET" +
+      out.slice(upsert.index + upsert[0].length).replace(/VALUES\((\w+)\)/gi, "excluded.$1");
+  }
+  return out;
+}
+
+// CREATE TABLE แบบ MySQL -> คำสั่ง SQLite (index แยกออกมา, ON UPDATE CURRENT_TIMESTAMP ใช้ trigger)
+function mysqlDdlToSqlite(sql) {
+  const table = /CREATE TABLE(?: IF NOT EXISTS)? (\w+)/i.exec(sql)?.[1];
+  if (!table) throw new Error("mysqlDdlToSqlite supports CREATE TABLE only");
+
+  const indexes = [];
+  const triggers = [];
+  const lines = sql
+    .replace(/\)\s*ENGINE=[^;]*;?\s*$/i, ")")
+    .split("\n")
+    .filter((line) => {
+      const index = /^\s*(UNIQUE )?INDEX (\w+) \(([^)]+)\),?\s*$/i.exec(line);
+      if (!index) return true;
+      indexes.push(`CREATE ${index[1] ? "UNIQUE " : ""}INDEX IF NOT EXISTS ${index[2]} ON ${table} (${index[3]})`);
+      return false;
+    })
+    .map((line) => {
+      const onUpdate = /^\s*(\w+) .* ON UPDATE CURRENT_TIMESTAMP/i.exec(line);
+      if (onUpdate) {
+        const column = onUpdate[1];
+        triggers.push(
+          `CREATE TRIGGER IF NOT EXISTS trg_${table}_${column} AFTER UPDATE ON ${table} FOR EACH ROW
+           WHEN NEW.${column} IS OLD.${column}
+           BEGIN UPDATE ${table} SET ${column} = CURRENT_TIMESTAMP WHERE rowid = NEW.rowid; END`
+        );
+      }
+      return line
+        .replace(/\b(BIG)?INT AUTO_INCREMENT PRIMARY KEY/i, "INTEGER PRIMARY KEY AUTOINCREMENT")
+        .replace(/ ON UPDATE CURRENT_TIMESTAMP/i, "");
+    });
+
+  // index ถูกดึงออกไปแล้ว -> บรรทัดสุดท้ายในวงเล็บอาจเหลือ "," ค้าง
+  const body = lines.join("\n").replace(/,(\s*\)\s*)$/, "$1");
+  return [body, ...indexes, ...triggers];
+}
+
+const pad = (value) => String(value).padStart(2, "0");
+
+const toSqlDatetime = (date) =>
+  `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())} ` +
+  `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())}`;
+
+const toParam = (value) => {
+  if (value === undefined) return null;
+  // mysql2 ขยาย array เป็นรายการค่า (VALUES ?, IN (?)) แต่ SQLite ไม่ทำ -> เขียน placeholder ให้ครบเอง
+  if (Array.isArray(value)) {
+    throw new Error("Array parameters are not supported by the SQLite driver; write one ? per value");
+  }
+  if (value instanceof Date) return toSqlDatetime(value);
+  if (typeof value === "boolean") return value ? 1 : 0;
+  return value;
+};
+
+const fromRow = (row) => {
+  for (const [key, value] of Object.entries(row)) {
+    if (typeof value === "string" && DATETIME_COLUMN.test(key) && DATETIME_PATTERN.test(value)) {
+      row[key] = new Date(`${value.replace(" ", "T")}Z`);
+    }
+  }
+  return row;
+};
+
+// error code ให้ตรงกับ mysql2 เพื่อให้โค้ดที่เช็ค ER_DUP_ENTRY ใช้ได้เหมือนเดิม
+function toMysqlError(err) {
+  const message = String(err?.message || "");
+  const code = /UNIQUE constraint failed|PRIMARY KEY constraint failed/.test(message)
+    ? "ER_DUP_ENTRY"
+    : /duplicate column name/.test(message)
+      ? "ER_DUP_FIELDNAME"
+      : /index .* already exists/.test(message)
+        ? "ER_DUP_KEYNAME"
+        : err?.code;
+  return Object.assign(new Error(message), { code, cause: err });
+}
+
+function createSqliteDatabase({ filename = ":memory:" } = {}) {
+  const driver = openDriver(filename);
+  driver.exec("PRAGMA foreign_keys = ON");
+  driver.exec("PRAGMA busy_timeout = 5000");
+  if (filename !== ":memory:") driver.exec("PRAGMA journal_mode = WAL");
+
+  const statements = new Map();
+  const prepare = (sql) => {
+    if (!statements.has(sql)) statements.set(sql, driver.prepare(translateSql(sql)));
+    return statements.get(sql);
+  };
+
+  // คืนรูปแบบเดียวกับ mysql2: [rows] หรือ [{ affectedRows, insertId }]
+  async function run(sql, params = []) {
+    try {
+      const statement = prepare(sql);
+      const values = params.map(toParam);
+      if (statement.reader) return [statement.all(values).map(fromRow)];
+      const result = statement.run(values);
+      return [{ affectedRows: result.changes, insertId: Number(result.lastInsertRowid) }];
+    } catch (err) {
+      throw toMysqlError(err);
+    }
+  }
+
+  // process เดียวเป็นเจ้าของไฟล์ -> lock ในหน่วยความจำพอ (เขียนพร้อมกันหลาย process SQLite รอตาม busy_timeout)
+  const locks = new Map();
+  async function withLock(name, timeoutSeconds, work) {
+    const previous = locks.get(name) || Promise.resolve();
+    let release;
+    const current = new Promise((resolve) => {
+      release = resolve;
+    });
+    const queued = previous.then(() => current);
+    locks.set(name, queued);
+
+    let timer;
+    const timedOut = new Promise((_, reject) => {
+      timer = setTimeout(
+        () => reject(Object.assign(new Error(`Timed out waiting for lock ${name}`), { code: "LOCK_TIMEOUT" })),
+        timeoutSeconds * 1000
+      );
+    });
+    try {
+      await Promise.race([previous, timedOut]);
+    } catch (err) {
+      previous.then(release);
+      throw err;
+    } finally {
+      clearTimeout(timer);
+    }
+
+    try {
+      return await work(database);
+    } finally {
+      release();
+      if (locks.get(name) === queued) locks.delete(name);
+    }
+  }
+
+  // connection เดียว -> ทำทีละ transaction และระหว่างที่ transaction เปิดอยู่ query จาก request อื่นต้องรอ
+  // (ไม่งั้นจะถูก commit/rollback ไปพร้อมกัน) ส่วน query ที่มาจากใน work() เอง (ผ่าน conn หรือ db ก็ตาม) วิ่งได้เลย
+  const insideTransaction = new AsyncLocalStorage();
+  let transactions = Promise.resolve();
+  let openTransactions = 0;
+
+  async function query(sql, params) {
+    if (!insideTransaction.getStore()) {
+      while (openTransactions > 0) await transactions;
+    }
+    return run(sql, params);
+  }
+
+  const connection = { dialect: "sqlite", query: run, execute: run };
+
+  function transaction(work) {
+    if (insideTransaction.getStore()) return work(connection); // SQLite ไม่มี transaction ซ้อน
+    openTransactions += 1;
+    const result = transactions.then(() =>
+      insideTransaction.run(true, async () => {
+        driver.exec("BEGIN IMMEDIATE");
+        try {
+          const value = await work(connection);
+          driver.exec("COMMIT");
+          return value;
+        } catch (err) {
+          driver.exec("ROLLBACK");
+          throw err;
+        }
+      })
+    );
+    transactions = result
+      .catch(() => {})
+      .finally(() => {
+        openTransactions -= 1;
+      });
+    return result;
+  }
+
+  const database = {
+    dialect: "sqlite",
+    query,
+    execute: query,
+    transaction,
+    withLock,
+    async end() {
+      driver.close();
+    },
+  };
+  return database;
+}
+
+module.exports = { createSqliteDatabase, translateSql, mysqlDdlToSqlite };
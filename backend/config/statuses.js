@@ -0,0 +1,35 @@
+// ค่า tbl_users.status ที่ระบบรู้จัก
+const USER_STATUSES = Object.freeze({
+  ACTIVE: "active",
+  SUSPENDED: "suspended",
+  PENDING: "pending",
+  LOCKED: "locked",
+  DELETED: "deleted",
+});
+
+const STATUS_VALUES = Object.values(USER_STATUSES);
+const DEFAULT_STATUS = USER_STATUSES.ACTIVE;
+
+const isValidStatus = (status) => STATUS_VALUES.includes(status);
+
+// error ที่ตอบกลับเมื่อบัญชีไม่อยู่ในสถานะ active (login และทุก request ที่มี token)
+const STATUS_ERRORS = {
+  [USER_STATUSES.SUSPENDED]: { code: "ACCOUNT_SUSPENDED", message: "Account is suspended" },
+  [USER_STATUSES.PENDING]: { code: "ACCOUNT_PENDING", message: "Account is pending activation" },
+  [USER_STATUSES.LOCKED]: { code: "ACCOUNT_LOCKED", message: "Account is locked" },
+  [USER_STATUSES.DELETED]: { code: "ACCOUNT_DELETED", message: "Account has been deleted" },
+};
+
+// คืน null ถ้าใช้งานได้ ไม่งั้นคืน { code, message }
+function statusError(status) {
+  if (status === USER_STATUSES.ACTIVE) return null;
+  return STATUS_ERRORS[status] || { code: "ACCOUNT_INACTIVE", message: "Account is not active" };
+}
+
+module.exports = {
+  USER_STATUSES,
+  STATUS_VALUES,
+  DEFAULT_STATUS,
+  isValidStatus,
+  statusError,
+};
@@ -0,0 +1,38 @@
+const { USER_STATUSES, statusError } = require("./statuses");
+
+// บัญชีที่สมัครเองจะเป็น status = pending จนกว่าจะยืนยันอีเมล
+// สิ่งที่บัญชี pending ทำได้ตั้งค่าต่อ deployment ด้วย
+// UNVERIFIED_CAPABILITIES=login,profile:read (ค่าเริ่มต้น) หรือเว้นว่างเพื่อห้ามทั้งหมด
+// - login           เข้าสู่ระบบ/refresh token ได้
+// - profile:read    ดูข้อมูลของตัวเอง
+// - profile:update  แก้ไขข้อมูลของตัวเอง
+// - api_keys        สร้าง/ดู/ยกเลิก API key ของตัวเอง
+const CAPABILITIES = ["login", "profile:read", "profile:update", "api_keys"];
+
+const UNVERIFIED_CAPABILITIES = new Set(
+  String(process.env.UNVERIFIED_CAPABILITIES ?? "login,profile:read")
+    .split(",")
+    .map((value) => value.trim())
+    .filter((value) => CAPABILITIES.includes(value))
+);
+
+const unverifiedCan = (capability) => UNVERIFIED_CAPABILITIES.has(capability);
+
+// ใช้แทน statusError ตอน login/refresh/verifyToken: pending ผ่านได้ถ้าอนุญาต "login"
+function accessError(status) {
+  if (status === USER_STATUSES.PENDING && unverifiedCan("login")) return null;
+  return statusError(status);
+}
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const normalizeEmail = (value) => String(value ?? "").trim().toLowerCase();
+const isValidEmail = (value) => value.length <= 255 && EMAIL_PATTERN.test(value);
+
+module.exports = {
+  CAPABILITIES,
+  unverifiedCan,
+  accessError,
+  normalizeEmail,
+  isValidEmail,
+};
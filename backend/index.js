@@ -8,13 +8,56 @@ require("dotenv").config({
 
 const express = require("express");
 const cors = require("cors");
+const cookieParser = require("cookie-parser");
 
 const db = require("./config/db");
+const { corsOptions } = require("./config/cors");
+const { requestId } = require("./middleware/requestId");
+const { sendError, notFoundHandler, errorHandler } = require("./middleware/errorHandler");
+const { loadKeyring } = require("./services/signingKeys");
+const { activeTotpKeyId } = require("./services/twoFactor");
+const { purgeExpiredUsers } = require("./services/userTrash");
+const { migrateUp } = require("./services/migrations");
 const { swaggerUi, specs } = require("./swagger");
 
 const app = express();
-app.use(cors());
+
+const USER_PURGE_INTERVAL_MINUTES = Number(process.env.USER_PURGE_INTERVAL_MINUTES || 60);
+
+// อยู่หลัง proxy (Vercel/ngrok) -> req.ip มาจาก X-Forwarded-For
+const trustProxy = process.env.TRUST_PROXY || (process.env.VERCEL ? "1" : "");
+if (trustProxy) {
+  app.set(
+    "trust proxy",
+    /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === "true" || trustProxy
+  );
+}
+
+app.use(requestId);
+
+// serverless (Vercel) ไม่ผ่าน startLocal(): MIGRATE_ON_COLD_START=true -> รัน migration ก่อน request แรกของ instance
+// cold start พร้อมกันหลายตัวปลอดภัย (migration lock) ตัวที่ได้ lock ทีหลังจะไม่เหลืออะไรให้รัน
+if (require.main !== module && process.env.MIGRATE_ON_COLD_START === "true") {
+  let migrated = null;
+  app.use((req, res, next) => {
+    migrated ||= migrateUp().catch((err) => {
+      migrated = null; // request ถัดไปลองใหม่
+      throw err;
+    });
+    migrated.then(
+      () => next(),
+      (err) => {
+        console.error("Cold start migration failed:", err);
+        sendError(res, 503, "Database is not ready", err.code);
+      }
+    );
+  });
+}
+
+// cookie auth ต้องระบุ origin ชัดเจน (credentials ใช้กับ "*" ไม่ได้) ดู config/cors.js
+app.use(cors(corsOptions));
 app.use(express.json());
+app.use(cookieParser());
 
 // ---- Swagger entry (Vercel root) ----
 app.get("/", (req, res) => {
@@ -78,22 +121,33 @@ app.get("/", (req, res) => {
 });
 
 // ---- Health ----
-app.get("/ping", async (req, res) => {
+app.get("/ping", async (req, res, next) => {
   try {
     const [rows] = await db.query("SELECT NOW() AS now");
     return res.json({ status: "ok", time: rows[0].now });
   } catch (err) {
-    console.error("GET /ping error:", err);
-    return res.status(500).json({ error: "Database error" });
+    next(err);
   }
 });
 
 // ---- Routes ----
+// body/params/query ต้องตรงกับ schema ในเอกสาร (/api-docs): แต่ละ router ใส่ validate หลัง verifyToken
+// (ดู middleware/validate.js) ไม่งั้นคนที่ไม่ได้ login จะได้ 400 แทน 401
+// /api/users/events ต้องมาก่อน /api/users (ไม่งั้นไปเข้า GET /api/users/:id)
+app.use("/api/users/events", require("./routes/userEvents"));
 app.use("/api/users", require("./routes/users"));
 
 const loginRouter = require("./routes/login");
 app.use("/api/login", loginRouter);
 app.use("/api/auth", loginRouter);
+app.use("/api/auth/2fa", require("./routes/twoFactor"));
+app.use("/api/auth/me", require("./routes/me"));
+app.use("/api/auth/oidc", require("./routes/oidc"));
+app.use("/api/auth/invitations", require("./routes/invitations"));
+app.use("/api/auth/impersonation", require("./routes/impersonation"));
+app.use("/api/api-keys", require("./routes/apiKeys"));
+app.use("/api/admin", require("./routes/admin"));
+app.use("/.well-known", require("./routes/wellKnown"));
 
 // ---- Swagger ----
 app.get("/api-docs.json", (req, res) => res.json(specs));
@@ -115,58 +169,52 @@ app.use(
   })
 );
 
-// (optional) init schema แบบไม่บล็อก swagger
-async function initializeSchema() {
-  const sql = `
-    CREATE TABLE IF NOT EXISTS tbl_users (
-      id INT AUTO_INCREMENT PRIMARY KEY,
-      firstname VARCHAR(100),
-      fullname VARCHAR(255),
-      lastname VARCHAR(100),
-      username VARCHAR(100) NOT NULL UNIQUE,
-      password VARCHAR(255) NOT NULL,
-      address TEXT,
-      sex VARCHAR(20),
-      birthday DATE,
-      status VARCHAR(20) NOT NULL DEFAULT 'active',
-      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-      updated_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
-    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
-  `;
-  await db.query(sql);
-
-  const columnAdds = [
-    { name: "address", sql: "ALTER TABLE tbl_users ADD COLUMN address TEXT" },
-    { name: "sex", sql: "ALTER TABLE tbl_users ADD COLUMN sex VARCHAR(20)" },
-    { name: "birthday", sql: "ALTER TABLE tbl_users ADD COLUMN birthday DATE" },
-  ];
-
-  for (const column of columnAdds) {
-    try {
-      await db.query(column.sql);
-    } catch (err) {
-      if (err && err.code !== "ER_DUP_FIELDNAME") {
-        throw err;
-      }
-    }
-  }
-}
+// ---- Errors (ต้องอยู่หลังทุก route) ----
+app.use(notFoundHandler);
+app.use(errorHandler);
 
+// (optional) init schema แบบไม่บล็อก swagger
 async function startLocal() {
   try {
-    try {
-      await initializeSchema();
-      console.log("DB connected & schema ready");
-    } catch (e) {
-      console.warn("⚠️ DB init failed (server will still start):", e.message);
+    // config key ผิด -> หยุดตั้งแต่ start ดีกว่าไป error ตอน login
+    const { active } = loadKeyring();
+    if (active) console.log(`JWT signing key: ${active.kid} (${active.alg})`);
+    else console.warn("⚠️ No JWT signing key (set SECRET_KEY or JWT_KEYS)");
+    const totpKid = activeTotpKeyId();
+    if (totpKid) console.log(`TOTP encryption key: ${totpKid}`);
+    else console.warn("⚠️ No TOTP_ENCRYPTION_KEY (two-factor authentication is unavailable)");
+
+    // MIGRATE_ON_START=false -> รัน `bun run migrate up` เองตอน deploy
+    if (process.env.MIGRATE_ON_START !== "false") {
+      try {
+        const applied = await migrateUp({ log: (line) => console.log(`Migration ${line}`) });
+        console.log(`DB connected & schema ready (${applied.length} migration(s) applied)`);
+      } catch (e) {
+        console.warn("⚠️ DB migration failed (server will still start):", e.message);
+      }
     }
 
     const PORT = process.env.PORT || 3000;
-    app.listen(PORT, () => {
+    const server = app.listen(PORT, () => {
       console.log(`Server running on http://localhost:${PORT}`);
       console.log(`Swagger UI: http://localhost:${PORT}/api-docs`);
       console.log(`OpenAPI JSON: http://localhost:${PORT}/api-docs.json`);
     });
+
+    // WebSocket ของ user events (ทางเลือกแทน SSE) เปิดด้วย USER_EVENTS_WEBSOCKET=true
+    if (process.env.USER_EVENTS_WEBSOCKET === "true") {
+      const { USER_EVENTS_WS_PATH, attachUserEventsSocket } = require("./services/userEventsSocket");
+      attachUserEventsSocket(server);
+      console.log(`User events WebSocket: ws://localhost:${PORT}${USER_EVENTS_WS_PATH}`);
+    }
+
+    // ลบผู้ใช้ในถังขยะที่เกินกำหนดทุกชั่วโมง (บน serverless ให้ตั้ง cron เรียก scripts/purge-deleted-users.js)
+    const runPurge = () =>
+      purgeExpiredUsers()
+        .then((count) => count > 0 && console.log(`Purged ${count} deleted user(s)`))
+        .catch((err) => console.error("Purge deleted users failed:", err.message));
+    runPurge();
+    setInterval(runPurge, USER_PURGE_INTERVAL_MINUTES * 60 * 1000).unref();
   } catch (err) {
     console.error("Server initialization failed:", err);
     process.exit(1);
@@ -1,26 +1,145 @@
-const jwt = require("jsonwebtoken");
+const db = require("../config/db");
+const { hasSigningKey, verifyAccessToken } = require("../services/tokens");
+const { accessError } = require("../config/verification");
+const { readAccessToken, hasValidCsrf } = require("../services/authCookies");
+const { scopeAllows } = require("../config/apiKeys");
+const { ROLES } = require("../config/roles");
+const { authenticateApiKey, touchApiKey } = require("../services/apiKeys");
+const { sendError } = require("./errorHandler");
 
-// อ่าน token จาก header: Authorization: Bearer <token>
-module.exports = function verifyToken(req, res, next) {
+// อัปเดต last_seen_at ของ session ไม่บ่อยกว่านี้ (ลดการเขียน DB ทุก request)
+const SESSION_TOUCH_INTERVAL_SECONDS = Number(process.env.SESSION_TOUCH_INTERVAL_SECONDS || 60);
+
+const API_KEY_HEADER = "x-api-key";
+
+// X-API-Key: สิทธิ์ตาม role ของเจ้าของ key แต่ถูกจำกัดด้วย scope
+async function verifyApiKey(req, res, next, rawKey) {
+  let auth;
   try {
-    const authHeader = String(req.headers.authorization || "");
-    const token = authHeader.startsWith("Bearer ")
-      ? authHeader.slice(7).trim()
-      : "";
+    auth = await authenticateApiKey(rawKey);
+  } catch (err) {
+    // ApiKeyError = 401 ส่วนอย่างอื่น errorHandler ตอบ 500
+    return next(err);
+  }
+
+  const { apiKey, user } = auth;
+  const blocked = accessError(user.status);
+  if (blocked) return sendError(res, 403, blocked.message, blocked.code);
+
+  // เช็คกับ path เต็ม ไม่ใช่แค่ method (key users:read ห้ามอ่าน /api/admin, /api/auth/...)
+  if (!scopeAllows(apiKey.scopes, req.method, req.baseUrl + req.path)) {
+    return sendError(res, 403, "API key scope does not allow this request", "API_KEY_SCOPE");
+  }
+
+  touchApiKey(apiKey, req.ip);
+  // ระบุใน log ได้ว่า request มาจาก key ไหน (prefix ไม่ใช่ความลับ)
+  res.on("finish", () => {
+    console.info(
+      `[api-key] ${apiKey.prefix} "${apiKey.name}" user=${user.id} ${req.method} ${req.originalUrl} -> ${res.statusCode}`
+    );
+  });
+
+  req.user = {
+    id: user.id,
+    username: user.username,
+    status: user.status,
+    role: user.role,
+    authType: "api_key",
+    apiKeyId: apiKey.id,
+    scopes: apiKey.scopes,
+  };
+  next();
+}
+
+// อ่าน token จาก header: Authorization: Bearer <token> หรือจาก HttpOnly cookie (โหมด cookie)
+// หรือ API key จาก header X-API-Key (script/service อื่น) เมื่อไม่มี Bearer
+// แล้วตรวจ status/role ล่าสุดจาก DB ทุกครั้ง (suspend มีผลทันที ไม่ต้องรอ token หมดอายุ)
+// และ session (sid) ต้องยังไม่ถูก revoke (logout/ลบ session จากอุปกรณ์อื่นมีผลทันที)
+module.exports = async function verifyToken(req, res, next) {
+  const apiKey = req.get(API_KEY_HEADER);
+  if (apiKey && !String(req.headers.authorization || "").startsWith("Bearer ")) {
+    return verifyApiKey(req, res, next, apiKey);
+  }
+
+  const { token, fromCookie } = readAccessToken(req);
+
+  if (!token) {
+    return sendError(res, 401, "Missing token");
+  }
+
+  // cookie ถูกแนบอัตโนมัติ -> request ที่เปลี่ยนข้อมูลต้องมี CSRF token ด้วย
+  if (fromCookie && !hasValidCsrf(req)) {
+    const message = "Missing or invalid CSRF token";
+    return sendError(res, 403, message, "CSRF_TOKEN_INVALID");
+  }
+
+  if (!hasSigningKey()) {
+    return sendError(res, 500, "Server missing JWT signing key");
+  }
+
+  let decoded;
+  try {
+    decoded = verifyAccessToken(token);
+  } catch (err) {
+    return sendError(res, 401, "Invalid token");
+  }
+
+  if (!decoded.sid) {
+    return sendError(res, 401, "Invalid token");
+  }
+
+  try {
+    // สวมรอย (claim act): session เป็นของ admin ไม่ใช่ของผู้ใช้ที่ถูกสวมรอย
+    const { act, ...claims } = decoded;
+    const sessionOwnerId = act ? act.id : decoded.id;
+    const [rows] = await db.query(
+      `SELECT u.status, u.role, s.id AS session_id, s.revoked_at, s.last_seen_at,
+              owner.role AS owner_role, owner.status AS owner_status
+       FROM tbl_users u
+       LEFT JOIN tbl_sessions s ON s.id = ? AND s.user_id = ?
+       LEFT JOIN tbl_users owner ON owner.id = s.user_id
+       WHERE u.id = ? AND u.deleted_at IS NULL LIMIT 1`,
+      [decoded.sid, sessionOwnerId, decoded.id]
+    );
+    if (rows.length === 0) {
+      return sendError(res, 401, "Invalid token");
+    }
+
+    const session = rows[0];
+    if (!session.session_id || session.revoked_at) {
+      const message = "Session has been revoked";
+      return sendError(res, 401, message, "SESSION_REVOKED");
+    }
+
+    // admin ถูกลด role/ระงับระหว่างสวมรอย -> token สวมรอยใช้ไม่ได้ทันที
+    if (act && (session.owner_role !== ROLES.ADMIN || accessError(session.owner_status))) {
+      const message = "Impersonation is no longer allowed";
+      return sendError(res, 401, message, "IMPERSONATION_REVOKED");
+    }
 
-    if (!token) {
-      return res.status(401).json({ error: "Missing token" });
+    const blocked = accessError(rows[0].status);
+    if (blocked) {
+      return sendError(res, 403, blocked.message, blocked.code);
     }
 
-    const SECRET_KEY = process.env.SECRET_KEY || process.env.JWT_SECRET;
-    if (!SECRET_KEY) {
-      return res.status(500).json({ error: "Server missing SECRET_KEY" });
+    const lastSeen = session.last_seen_at ? new Date(session.last_seen_at).getTime() : 0;
+    if (Date.now() - lastSeen >= SESSION_TOUCH_INTERVAL_SECONDS * 1000) {
+      db.query("UPDATE tbl_sessions SET last_seen_at = NOW() WHERE id = ?", [decoded.sid]).catch(
+        (err) => console.error("Session touch failed:", err)
+      );
     }
 
-    const decoded = jwt.verify(token, SECRET_KEY);
-    req.user = decoded; // { role, id ... } หรือ { customer_id ... }
+    // { role, id, sid ... } โดย role/status มาจาก DB; impersonator = admin ที่สวมรอยอยู่
+    req.user = {
+      ...claims,
+      status: rows[0].status,
+      role: rows[0].role,
+      authType: "session",
+      ...(act ? { impersonator: { id: act.id, username: act.username } } : {}),
+    };
     next();
   } catch (err) {
-    return res.status(401).json({ error: "Invalid token" });
+    console.error("verifyToken error:", err);
+    return sendError(res, 500, "Database error");
   }
 };
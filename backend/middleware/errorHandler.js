@@ -0,0 +1,61 @@
+const { STATUS_CODES } = require("http");
+const { AppError } = require("../services/errors");
+
+// ทุก error ตอบแบบ RFC 7807 (application/problem+json):
+// { type, title, status, detail, instance, code, requestId, ...details }
+// requestId = X-Request-Id ของ request นี้ (ใช้ค้น log/audit log); error/message = ชื่อเดิมของ detail ให้ client รุ่นก่อน
+const PROBLEM_CONTENT_TYPE = "application/problem+json";
+// type = PROBLEM_TYPE_BASE + code (เช่น urn:problem:username-taken) ชี้ไปหน้าเอกสารของตัวเองได้ถ้าตั้งเป็น URL
+const PROBLEM_TYPE_BASE = process.env.PROBLEM_TYPE_BASE || "urn:problem:";
+
+// ไม่ระบุ code -> ใช้ชื่อ status (404 -> NOT_FOUND)
+const codeForStatus = (status) => (STATUS_CODES[status] || "Error").toUpperCase().replace(/[^A-Z0-9]+/g, "_");
+
+function sendError(res, status, message, code, details = {}) {
+  const problemCode = code || codeForStatus(status);
+  const req = res.req;
+  return res
+    .status(status)
+    .type(PROBLEM_CONTENT_TYPE)
+    .json({
+      type: `${PROBLEM_TYPE_BASE}${problemCode.toLowerCase().replace(/_/g, "-")}`,
+      title: STATUS_CODES[status] || "Error",
+      status,
+      detail: message,
+      instance: req?.originalUrl,
+      code: problemCode,
+      requestId: req?.id,
+      ...details,
+      error: message,
+      message,
+    });
+}
+
+// route ที่ไม่มีจริง (ต่อท้าย router ทั้งหมด)
+function notFoundHandler(req, res) {
+  sendError(res, 404, `Cannot ${req.method} ${req.path}`, "ROUTE_NOT_FOUND");
+}
+
+// error ที่หลุดจาก route (throw / next(err) / promise reject ใน Express 5)
+// AppError -> status/code ของมันเอง; อย่างอื่นตอบ 500 แบบไม่บอกรายละเอียด (ดูรายละเอียดใน log ด้วย requestId)
+// ต้องรับ 4 argument Express ถึงจะนับเป็น error handler
+function errorHandler(err, req, res, next) {
+  if (res.headersSent) return next(err);
+
+  if (err instanceof AppError) {
+    if (err.retryAfterSeconds !== undefined) res.set("Retry-After", String(err.retryAfterSeconds));
+    return sendError(res, err.status, err.message, err.code, err.details);
+  }
+  // error จาก body parser ที่ตั้งใจให้ client เห็น (JSON พัง, body ใหญ่เกิน)
+  if (err?.expose && err.status >= 400 && err.status < 500) {
+    if (err.type === "entity.parse.failed") {
+      return sendError(res, 400, "Request body is not valid JSON", "INVALID_JSON");
+    }
+    return sendError(res, err.status, err.message);
+  }
+
+  console.error(`[${req.id}] ${req.method} ${req.originalUrl} error:`, err);
+  sendError(res, 500, "Internal server error");
+}
+
+module.exports = { PROBLEM_CONTENT_TYPE, sendError, notFoundHandler, errorHandler };
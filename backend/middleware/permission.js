@@ -0,0 +1,83 @@
+const { ROLES } = require("../config/roles");
+const { USER_STATUSES } = require("../config/statuses");
+const { unverifiedCan } = require("../config/verification");
+const { AUDIT_ACTIONS, recordAudit } = require("../services/audit");
+const { sendError } = require("./errorHandler");
+
+// ใช้ต่อจาก verifyToken เสมอ (req.user มาจาก JWT)
+// requireRole("admin") -> อนุญาตเฉพาะ role ที่ระบุ
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user) return sendError(res, 401, "Missing token");
+    if (!roles.includes(req.user.role)) {
+      return sendError(res, 403, "Insufficient permissions");
+    }
+    next();
+  };
+}
+
+// requireSelfOrRole((req) => req.params.id, "admin")
+// -> อนุญาตถ้าเป็น record ของตัวเอง หรือมี role ที่ระบุ
+function requireSelfOrRole(getTargetId, ...roles) {
+  return (req, res, next) => {
+    if (!req.user) return sendError(res, 401, "Missing token");
+    if (roles.includes(req.user.role)) return next();
+
+    const targetId = Number(getTargetId(req));
+    if (Number.isInteger(targetId) && targetId === Number(req.user.id)) {
+      return next();
+    }
+    return sendError(res, 403, "Insufficient permissions");
+  };
+}
+
+// บัญชีที่ยังไม่ยืนยันอีเมล (pending) ทำได้เฉพาะ capability ใน UNVERIFIED_CAPABILITIES
+function requireVerified(capability) {
+  return (req, res, next) => {
+    if (req.user?.status === USER_STATUSES.PENDING && !unverifiedCan(capability)) {
+      const message = "Email address is not verified";
+      return sendError(res, 403, message, "EMAIL_NOT_VERIFIED");
+    }
+    next();
+  };
+}
+
+// เฉพาะคนที่ login เอง (ไม่ใช่ API key) เช่นการจัดการ API key
+function requireSession(req, res, next) {
+  if (req.user?.authType === "api_key") {
+    const message = "Not available with an API key";
+    return sendError(res, 403, message, "SESSION_REQUIRED");
+  }
+  next();
+}
+
+// ระหว่าง admin สวมรอยผู้ใช้ ห้ามทำสิ่งที่เปลี่ยนวิธีเข้าสู่ระบบ/ลบบัญชีของเจ้าของตัวจริง
+// when(req) -> ใช้ตรวจเฉพาะบาง request (เช่น PUT ที่มี password)
+function forbidWhileImpersonating(when = () => true) {
+  return (req, res, next) => {
+    const impersonator = req.user?.impersonator;
+    if (!impersonator || !when(req)) return next();
+
+    recordAudit({
+      action: AUDIT_ACTIONS.IMPERSONATION_BLOCKED,
+      actorId: impersonator.id,
+      userId: req.user.id,
+      details: { method: req.method, path: req.originalUrl },
+      req,
+    }).catch((err) => console.error("Audit log failed:", err));
+
+    const message = "Not allowed while impersonating a user";
+    return sendError(res, 403, message, "IMPERSONATION_FORBIDDEN");
+  };
+}
+
+const isAdmin = (user) => user?.role === ROLES.ADMIN;
+
+module.exports = {
+  requireRole,
+  requireSelfOrRole,
+  requireVerified,
+  requireSession,
+  forbidWhileImpersonating,
+  isAdmin,
+};
@@ -0,0 +1,16 @@
+const crypto = require("crypto");
+
+// ทุก request มี id (ตอบกลับใน X-Request-Id) ไว้โยง log และ audit log เข้ากับ request เดียวกัน
+// รับ id จาก proxy ต่อได้เฉพาะเมื่อตั้ง TRUST_PROXY (ไม่งั้น client ปลอม id ลง audit ได้)
+const REQUEST_ID_HEADER = "X-Request-Id";
+const SAFE_REQUEST_ID = /^[A-Za-z0-9._:-]{8,128}$/;
+
+function requestId(req, res, next) {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  const trusted = req.app.get("trust proxy") && incoming && SAFE_REQUEST_ID.test(incoming);
+  req.id = trusted ? incoming : crypto.randomUUID();
+  res.set(REQUEST_ID_HEADER, req.id);
+  next();
+}
+
+module.exports = { REQUEST_ID_HEADER, requestId };
@@ -0,0 +1,238 @@
+const Ajv = require("ajv");
+const addFormats = require("ajv-formats");
+const { ValidationError } = require("../services/errors");
+const { specs } = require("../swagger");
+
+// ตรวจ request ตาม OpenAPI spec (swagger-jsdoc สร้างจาก @openapi ใน routes/) -> schema ในเอกสารคือกฎจริง
+// ตรวจ path params, query string และ JSON body; path/method ที่ไม่มีในเอกสารผ่านไปเฉยๆ
+// response ตรวจเฉพาะตอน dev (หรือ OPENAPI_VALIDATE_RESPONSES=true): log เตือนอย่างเดียว ไม่แก้ response
+const VALIDATE_RESPONSES = process.env.OPENAPI_VALIDATE_RESPONSES
+  ? process.env.OPENAPI_VALIDATE_RESPONSES === "true"
+  : process.env.NODE_ENV === "development";
+
+const SPEC_ID = "openapi.json";
+const HTTP_METHODS = ["get", "post", "put", "patch", "delete"];
+
+// ข้อความหลัก = error แรก ส่วน details.errors มีครบทุก field
+const validationError = (errors) => {
+  const first = errors[0];
+  const message = first.field ? `${first.field} ${first.message}` : first.message;
+  return new ValidationError(message, "VALIDATION_FAILED", { errors });
+};
+
+function createAjv(spec, options) {
+  // strict: false -> ยอมให้มี keyword ของ OpenAPI (example, description ฯลฯ) ใน schema
+  const ajv = new Ajv({ allErrors: true, strict: false, ...options });
+  addFormats(ajv);
+  ajv.addSchema({ components: spec.components || {} }, SPEC_ID);
+  return ajv;
+}
+
+// "$ref": "#/components/..." ใน operation -> ชี้ไปที่ components ของ spec ที่ add ไว้ใน ajv
+function rebaseRefs(value) {
+  if (Array.isArray(value)) return value.map(rebaseRefs);
+  if (!value || typeof value !== "object") return value;
+  return Object.fromEntries(
+    Object.entries(value).map(([key, child]) => [
+      key,
+      key === "$ref" && typeof child === "string" && child.startsWith("#/") ? SPEC_ID + child : rebaseRefs(child),
+    ])
+  );
+}
+
+// parameters/requestBody/responses อ้าง components ได้ (schema ข้างในใช้ rebaseRefs แทน)
+const resolveRef = (spec, node) =>
+  node?.$ref ? node.$ref.slice(2).split("/").reduce((parent, key) => parent?.[key], spec) : node;
+
+// "/api/users/{id}" -> regex + ชื่อ param
+function compilePath(path) {
+  const names = [];
+  const source = path
+    .split("/")
+    .map((segment) => {
+      const param = /^\{(\w+)\}$/.exec(segment);
+      if (!param) return segment.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      names.push(param[1]);
+      return "([^/]+)";
+    })
+    .join("/");
+  return { regex: new RegExp(`^${source}/?$`), names };
+}
+
+function parametersSchema(parameters, location) {
+  const matching = parameters.filter((param) => param?.in === location && param.schema);
+  if (matching.length === 0) return null;
+  return rebaseRefs({
+    type: "object",
+    properties: Object.fromEntries(matching.map((param) => [param.name, param.schema])),
+    required: matching.filter((param) => param.required || location === "path").map((param) => param.name),
+  });
+}
+
+const decodeSegment = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+};
+
+const jsonSchemaOf = (spec, node) => {
+  const content = resolveRef(spec, node)?.content;
+  return (content?.["application/json"] || content?.["application/problem+json"])?.schema;
+};
+
+// ajv errors -> [{ in, field, message }] หนึ่งข้อต่อ field (anyOf/oneOf ให้ข้อแรกที่ชัดที่สุด)
+function toFieldErrors(location, errors) {
+  const byField = new Map();
+  for (const err of errors || []) {
+    const segments = err.instancePath.split("/").slice(1);
+    if (err.keyword === "required") segments.push(err.params.missingProperty);
+    if (err.keyword === "additionalProperties") segments.push(err.params.additionalProperty);
+    const field = segments.join(".") || null;
+    if (byField.has(field)) continue;
+    const message =
+      err.keyword === "enum"
+        ? `must be one of: ${err.params.allowedValues.join(", ")}`
+        : err.keyword === "additionalProperties"
+          ? "is not allowed"
+          : err.message;
+    byField.set(field, { in: location, field, message });
+  }
+  return [...byField.values()];
+}
+
+// ค่า query ว่าง (?sex=) = ไม่ได้ระบุ เหมือนที่ handler ตีความ
+const withoutEmpty = (query) =>
+  Object.fromEntries(Object.entries(query || {}).filter(([, value]) => value !== ""));
+
+// ใช้ผ่าน validate ด้านล่าง; operation ที่มี security จะถูกตรวจเมื่อ verifyToken ใส่ req.user แล้วเท่านั้น
+function validateRequest(spec, { responses = VALIDATE_RESPONSES } = {}) {
+  // params/query มาเป็นข้อความเสมอ -> แปลงชนิดก่อนตรวจ; body เป็น JSON ต้องตรงชนิดอยู่แล้ว
+  const paramsAjv = createAjv(spec, { coerceTypes: "array" });
+  const bodyAjv = createAjv(spec);
+
+  const operations = Object.entries(spec.paths || {})
+    .flatMap(([path, item]) =>
+      HTTP_METHODS.filter((method) => item[method]).map((method) => ({
+        method: method.toUpperCase(),
+        path,
+        ...compilePath(path),
+        pathItem: item,
+        operation: item[method],
+        secured: Boolean((item[method].security ?? spec.security)?.length),
+        compiled: null,
+      }))
+    )
+    // path ตายตัวก่อน path ที่มี param (/api/users/trash ก่อน /api/users/{id})
+    .sort((a, b) => a.names.length - b.names.length);
+
+  // compile ตอนถูกเรียกครั้งแรก (cold start ไม่ต้อง compile ทุก route)
+  function compile(entry) {
+    if (entry.compiled) return entry.compiled;
+    const parameters = [...(entry.pathItem.parameters || []), ...(entry.operation.parameters || [])].map(
+      (param) => resolveRef(spec, param)
+    );
+    const pathSchema = parametersSchema(parameters, "path");
+    const querySchema = parametersSchema(parameters, "query");
+    const requestBody = resolveRef(spec, entry.operation.requestBody);
+    const bodySchema = jsonSchemaOf(spec, requestBody);
+
+    entry.compiled = {
+      params: pathSchema && paramsAjv.compile(pathSchema),
+      query: querySchema && paramsAjv.compile(querySchema),
+      body: bodySchema && bodyAjv.compile(rebaseRefs(bodySchema)),
+      bodyRequired: Boolean(requestBody?.required),
+      responses: new Map(),
+    };
+    return entry.compiled;
+  }
+
+  function responseValidator(entry, status) {
+    const { responses: cache } = compile(entry);
+    if (!cache.has(status)) {
+      const documented = entry.operation.responses?.[status] ?? entry.operation.responses?.default;
+      const schema = documented && jsonSchemaOf(spec, documented);
+      cache.set(status, documented ? (schema ? bodyAjv.compile(rebaseRefs(schema)) : null) : undefined);
+    }
+    return cache.get(status);
+  }
+
+  function checkResponse(entry, status, body) {
+    const validate = responseValidator(entry, String(status));
+    if (validate === undefined) {
+      console.warn(`[openapi] ${entry.method} ${entry.path} responded ${status}, which is not documented`);
+      return;
+    }
+    // null = เอกสารไม่ได้ระบุ schema ของ status นี้
+    if (!validate || body === undefined) return;
+    // ตรวจหน้าตาที่ client ได้รับจริง (Date -> string ฯลฯ)
+    if (!validate(JSON.parse(JSON.stringify(body)))) {
+      console.warn(
+        `[openapi] ${entry.method} ${entry.path} ${status} response does not match the docs:`,
+        toFieldErrors("response", validate.errors)
+      );
+    }
+  }
+
+  // router ที่ mount ซ้อนกัน (login ที่ /api/auth กับ /api/auth/2fa ฯลฯ) -> ตรวจ request เดียวครั้งเดียว
+  const validated = new WeakSet();
+
+  return (req, res, next) => {
+    if (validated.has(req)) return next();
+    // ใช้ใน router -> req.path ไม่รวม path ที่ mount ไว้
+    const path = req.baseUrl + req.path;
+    let entry;
+    let match;
+    for (const candidate of operations) {
+      if (candidate.method !== req.method) continue;
+      match = candidate.regex.exec(path);
+      if (match) {
+        entry = candidate;
+        break;
+      }
+    }
+    // ยังไม่ผ่าน verifyToken -> ให้ได้ 401 ก่อน ไม่ใช่ 400 จาก schema (route นั้นใส่ validate ต่อท้าย verifyToken เอง)
+    if (!entry || (entry.secured && !req.user)) return next();
+
+    const validators = compile(entry);
+    const errors = [];
+
+    if (validators.params) {
+      const params = Object.fromEntries(entry.names.map((name, i) => [name, decodeSegment(match[i + 1])]));
+      if (!validators.params(params)) errors.push(...toFieldErrors("path", validators.params.errors));
+    }
+    // ตรวจกับสำเนา (coerceTypes แก้ค่าใน object) handler ยังอ่าน req.query เดิม
+    if (validators.query && !validators.query(withoutEmpty(req.query))) {
+      errors.push(...toFieldErrors("query", validators.query.errors));
+    }
+    if (validators.body) {
+      if (req.body === undefined) {
+        if (validators.bodyRequired) errors.push({ in: "body", field: null, message: "Request body is required" });
+      } else if (!validators.body(req.body)) {
+        errors.push(...toFieldErrors("body", validators.body.errors));
+      }
+    }
+    if (errors.length > 0) return next(validationError(errors));
+    validated.add(req);
+
+    if (responses) {
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        try {
+          checkResponse(entry, res.statusCode, body);
+        } catch (err) {
+          console.warn(`[openapi] ${entry.method} ${entry.path} response check failed:`, err.message);
+        }
+        return json(body);
+      };
+    }
+    next();
+  };
+}
+
+// ใส่ใน router หลัง verifyToken: router.use(verifyToken, validate)
+// router ที่ไม่ต้อง login ใส่ router.use(validate) ไว้บนสุด
+const validate = validateRequest(specs);
+
+module.exports = { VALIDATE_RESPONSES, validateRequest, validate };
@@ -0,0 +1,298 @@
+const { mysqlDdlToSqlite } = require("../config/sqlite");
+
+// 0001: schema ทั้งหมด ณ ตอนเปลี่ยนมาใช้ migration (แทน initializeSchema() เดิมใน index.js)
+// รันกับ DB เก่าได้: CREATE TABLE IF NOT EXISTS + เติม column/index ที่ DB ยุคก่อนยังไม่มี
+// SQLite (dev/test) แปลง DDL ชุดเดียวกัน
+
+const TABLES = [
+  `
+  CREATE TABLE IF NOT EXISTS tbl_users (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    firstname VARCHAR(100),
+    fullname VARCHAR(255),
+    lastname VARCHAR(100),
+    username VARCHAR(100) NOT NULL UNIQUE,
+    password VARCHAR(255) NOT NULL,
+    address TEXT,
+    sex VARCHAR(20),
+    birthday DATE,
+    status VARCHAR(20) NOT NULL DEFAULT 'active',
+    status_reason VARCHAR(255) NULL,
+    status_changed_at DATETIME NULL,
+    role VARCHAR(20) NOT NULL DEFAULT 'user',
+    email VARCHAR(255) NULL,
+    email_verified_at DATETIME NULL,
+    verification_sent_at DATETIME NULL,
+    totp_secret VARCHAR(255) NULL,
+    totp_enabled_at DATETIME NULL,
+    totp_last_step BIGINT NULL,
+    deleted_at DATETIME NULL,
+    deleted_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE INDEX ux_users_email (email),
+    INDEX idx_users_deleted_at (deleted_at)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `,
+  // 1 แถว = 1 login session (refresh token family)
+  `
+  CREATE TABLE IF NOT EXISTS tbl_sessions (
+    id CHAR(36) PRIMARY KEY,
+    user_id INT NOT NULL,
+    refresh_token_hash CHAR(64) NOT NULL,
+    generation INT NOT NULL DEFAULT 1,
+    expires_at DATETIME NOT NULL,
+    revoked_at DATETIME NULL,
+    revoked_reason VARCHAR(50) NULL,
+    user_agent VARCHAR(255) NULL,
+    ip VARCHAR(45) NULL,
+    last_seen_at DATETIME NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_sessions_user (user_id),
+    CONSTRAINT fk_sessions_user FOREIGN KEY (user_id) REFERENCES tbl_users(id) ON DELETE CASCADE
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `,
+  `
+  CREATE TABLE IF NOT EXISTS tbl_user_status_history (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    old_status VARCHAR(20) NULL,
+    new_status VARCHAR(20) NOT NULL,
+    reason VARCHAR(255) NULL,
+    changed_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_status_history_user (user_id),
+    CONSTRAINT fk_status_history_user FOREIGN KEY (user_id) REFERENCES tbl_users(id) ON DELETE CASCADE
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `,
+  `
+  CREATE TABLE IF NOT EXISTS tbl_login_attempts (
+    attempt_key VARCHAR(191) PRIMARY KEY,
+    failures INT NOT NULL DEFAULT 0,
+    first_failed_at DATETIME NULL,
+    last_failed_at DATETIME NULL,
+    locked_until DATETIME NULL,
+    INDEX idx_login_attempts_locked (locked_until)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `,
+  `
+  CREATE TABLE IF NOT EXISTS tbl_password_resets (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    expires_at DATETIME NOT NULL,
+    used_at DATETIME NULL,
+    requested_ip VARCHAR(45) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_password_resets_user (user_id),
+    CONSTRAINT fk_password_resets_user FOREIGN KEY (user_id) REFERENCES tbl_users(id) ON DELETE CASCADE
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `,
+  // hash รหัสผ่านเก่า ใช้กันการตั้งรหัสซ้ำ (PASSWORD_HISTORY_SIZE)
+  `
+  CREATE TABLE IF NOT EXISTS tbl_password_history (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    password_hash VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_password_history_user (user_id, id),
+    CONSTRAINT fk_password_history_user FOREIGN KEY (user_id) REFERENCES tbl_users(id) ON DELETE CASCADE
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `,
+  // คำเชิญให้สมัครสมาชิก (admin กำหนด username/email/role ไว้ก่อน)
+  `
+  CREATE TABLE IF NOT EXISTS tbl_invitations (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    username VARCHAR(100) NOT NULL,
+    email VARCHAR(255) NOT NULL,
+    role VARCHAR(20) NOT NULL DEFAULT 'user',
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    invited_by INT NULL,
+    expires_at DATETIME NOT NULL,
+    last_sent_at DATETIME NULL,
+    send_count INT NOT NULL DEFAULT 0,
+    accepted_at DATETIME NULL,
+    accepted_user_id INT NULL,
+    revoked_at DATETIME NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_invitations_username (username),
+    INDEX idx_invitations_email (email),
+    CONSTRAINT fk_invitations_inviter FOREIGN KEY (invited_by) REFERENCES tbl_users(id) ON DELETE SET NULL,
+    CONSTRAINT fk_invitations_user FOREIGN KEY (accepted_user_id) REFERENCES tbl_users(id) ON DELETE SET NULL
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `,
+  // audit log: actor_id = คนที่ทำจริง, user_id = บัญชีที่ถูกกระทำ (เก็บไว้แม้ผู้ใช้ถูกลบ)
+  `
+  CREATE TABLE IF NOT EXISTS tbl_audit_log (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    action VARCHAR(64) NOT NULL,
+    actor_id INT NULL,
+    user_id INT NULL,
+    changes TEXT NULL,
+    details TEXT NULL,
+    ip VARCHAR(45) NULL,
+    user_agent VARCHAR(255) NULL,
+    request_id VARCHAR(128) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_audit_action (action, id),
+    INDEX idx_audit_actor (actor_id, id),
+    INDEX idx_audit_user (user_id, id),
+    INDEX idx_audit_request (request_id)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `,
+  // API key ของ script/service (เก็บ hash, prefix ไว้ค้นหา)
+  `
+  CREATE TABLE IF NOT EXISTS tbl_api_keys (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    prefix CHAR(12) NOT NULL,
+    key_hash CHAR(64) NOT NULL,
+    scopes VARCHAR(255) NOT NULL,
+    expires_at DATETIME NULL,
+    last_used_at DATETIME NULL,
+    last_used_ip VARCHAR(45) NULL,
+    revoked_at DATETIME NULL,
+    created_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE INDEX ux_api_keys_prefix (prefix),
+    INDEX idx_api_keys_user (user_id),
+    CONSTRAINT fk_api_keys_user FOREIGN KEY (user_id) REFERENCES tbl_users(id) ON DELETE CASCADE
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `,
+  // บัญชีภายนอก (OIDC) ที่ผูกกับ user
+  `
+  CREATE TABLE IF NOT EXISTS tbl_user_identities (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    provider VARCHAR(50) NOT NULL,
+    subject VARCHAR(255) NOT NULL,
+    email VARCHAR(255) NULL,
+    login_code_hash CHAR(64) NULL,
+    login_code_expires_at DATETIME NULL,
+    last_login_at DATETIME NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE INDEX ux_identities_subject (provider, subject),
+    UNIQUE INDEX ux_identities_user_provider (user_id, provider),
+    INDEX idx_identities_login_code (login_code_hash),
+    CONSTRAINT fk_identities_user FOREIGN KEY (user_id) REFERENCES tbl_users(id) ON DELETE CASCADE
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `,
+  // recovery code ของ 2FA (เก็บ hash, ใช้ได้ครั้งเดียว)
+  `
+  CREATE TABLE IF NOT EXISTS tbl_recovery_codes (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    code_hash CHAR(64) NOT NULL,
+    used_at DATETIME NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_recovery_codes_user (user_id, code_hash),
+    CONSTRAINT fk_recovery_codes_user FOREIGN KEY (user_id) REFERENCES tbl_users(id) ON DELETE CASCADE
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `,
+];
+
+// DB ที่สร้างก่อนมี column/index เหล่านี้ (ตารางมีอยู่แล้ว CREATE ด้านบนจึงไม่แก้ให้)
+// ตรวจของที่มีอยู่ก่อนแล้วเติมเฉพาะที่ขาด (ไม่ ALTER ทุกตัวแล้วกลืน error)
+const LEGACY_COLUMNS = [
+  { table: "tbl_users", name: "address", definition: "TEXT" },
+  { table: "tbl_users", name: "sex", definition: "VARCHAR(20)" },
+  { table: "tbl_users", name: "birthday", definition: "DATE" },
+  { table: "tbl_users", name: "role", definition: "VARCHAR(20) NOT NULL DEFAULT 'user'" },
+  { table: "tbl_users", name: "email", definition: "VARCHAR(255) NULL" },
+  { table: "tbl_users", name: "email_verified_at", definition: "DATETIME NULL" },
+  { table: "tbl_users", name: "verification_sent_at", definition: "DATETIME NULL" },
+  { table: "tbl_users", name: "totp_secret", definition: "VARCHAR(255) NULL" },
+  { table: "tbl_users", name: "totp_enabled_at", definition: "DATETIME NULL" },
+  { table: "tbl_users", name: "totp_last_step", definition: "BIGINT NULL" },
+  { table: "tbl_users", name: "status_reason", definition: "VARCHAR(255) NULL" },
+  { table: "tbl_users", name: "status_changed_at", definition: "DATETIME NULL" },
+  // soft delete (ถังขยะ) ดู services/userTrash.js
+  { table: "tbl_users", name: "deleted_at", definition: "DATETIME NULL" },
+  { table: "tbl_users", name: "deleted_by", definition: "INT NULL" },
+  { table: "tbl_sessions", name: "user_agent", definition: "VARCHAR(255) NULL" },
+  { table: "tbl_sessions", name: "ip", definition: "VARCHAR(45) NULL" },
+  { table: "tbl_sessions", name: "last_seen_at", definition: "DATETIME NULL" },
+  // audit log: ค่าก่อน/หลังของ field ที่เปลี่ยน + request id
+  { table: "tbl_audit_log", name: "changes", definition: "TEXT NULL" },
+  { table: "tbl_audit_log", name: "request_id", definition: "VARCHAR(128) NULL" },
+];
+
+// CREATE INDEX ใช้ได้ทั้ง MySQL และ SQLite
+const LEGACY_INDEXES = [
+  { table: "tbl_users", name: "ux_users_email", sql: "CREATE UNIQUE INDEX ux_users_email ON tbl_users (email)" },
+  {
+    table: "tbl_users",
+    name: "idx_users_deleted_at",
+    sql: "CREATE INDEX idx_users_deleted_at ON tbl_users (deleted_at)",
+  },
+  {
+    table: "tbl_audit_log",
+    name: "idx_audit_request",
+    sql: "CREATE INDEX idx_audit_request ON tbl_audit_log (request_id)",
+  },
+];
+
+async function existingColumns(conn, table) {
+  const [rows] =
+    conn.dialect === "sqlite"
+      ? await conn.query(`PRAGMA table_info(${table})`)
+      : await conn.query(
+          `SELECT COLUMN_NAME AS name FROM information_schema.COLUMNS
+           WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?`,
+          [table]
+        );
+  return new Set(rows.map((row) => row.name));
+}
+
+async function existingIndexes(conn, table) {
+  const [rows] =
+    conn.dialect === "sqlite"
+      ? await conn.query(`PRAGMA index_list(${table})`)
+      : await conn.query(
+          `SELECT DISTINCT INDEX_NAME AS name FROM information_schema.STATISTICS
+           WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?`,
+          [table]
+        );
+  return new Set(rows.map((row) => row.name));
+}
+
+// column ก่อน index (index อ้าง column ที่เพิ่งเติม)
+async function addMissingLegacySchema(conn) {
+  const tables = [...new Set(LEGACY_COLUMNS.map((column) => column.table))];
+  for (const table of tables) {
+    const columns = await existingColumns(conn, table);
+    for (const column of LEGACY_COLUMNS.filter((entry) => entry.table === table)) {
+      if (columns.has(column.name)) continue;
+      await conn.query(`ALTER TABLE ${table} ADD COLUMN ${column.name} ${column.definition}`);
+    }
+  }
+
+  const indexTables = [...new Set(LEGACY_INDEXES.map((index) => index.table))];
+  for (const table of indexTables) {
+    const indexes = await existingIndexes(conn, table);
+    for (const index of LEGACY_INDEXES.filter((entry) => entry.table === table)) {
+      if (!indexes.has(index.name)) await conn.query(index.sql);
+    }
+  }
+}
+
+module.exports = {
+  async up(conn) {
+    // SQLite: index/trigger แยกเป็นคำสั่งต่างหาก -> รันหลังเติม column (ตารางเก่ายังไม่มี column ที่ index อ้าง)
+    const statements = TABLES.map((sql) => (conn.dialect === "sqlite" ? mysqlDdlToSqlite(sql) : [sql]));
+    for (const [createTable] of statements) {
+      await conn.query(createTable);
+    }
+    await addMissingLegacySchema(conn);
+    for (const [, ...rest] of statements) {
+      for (const sql of rest) await conn.query(sql);
+    }
+  },
+
+  // baseline: ย้อนไม่ได้ (ย้อน = ลบทุกตารางรวม tbl_users) ต้องการ DB ว่างให้ลบ DB เองแล้ว migrate ใหม่
+  async down() {
+    throw new Error("0001_initial_schema is the baseline schema and cannot be rolled back");
+  },
+};
@@ -0,0 +1,528 @@
+const express = require("express");
+const router = express.Router();
+const verifyToken = require("../middleware/auth");
+const { requireRole } = require("../middleware/permission");
+const { ROLES, ROLE_VALUES, DEFAULT_ROLE, isValidRole } = require("../config/roles");
+const { normalizeEmail, isValidEmail } = require("../config/verification");
+const { listLockouts, clearLockout } = require("../services/loginThrottle");
+const { listAuditLog } = require("../services/audit");
+const {
+  listInvitations,
+  createInvitation,
+  resendInvitation,
+  revokeInvitation,
+} = require("../services/invitations");
+const { sendError } = require("../middleware/errorHandler");
+const { validate } = require("../middleware/validate");
+
+// "user.update" หรือ "auth.*"
+const AUDIT_ACTION_PATTERN = /^[a-z0-9_]+(\.[a-z0-9_]+)*(\.\*)?$/;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// ทุก route ใน /api/admin ต้องเป็น admin
+router.use(verifyToken, requireRole(ROLES.ADMIN), validate);
+
+/**
+ * @openapi
+ * tags:
+ *   - name: Admin
+ *     description: Administrative tools (role `admin` only)
+ *
+ * components:
+ *   schemas:
+ *     LoginLockout:
+ *       type: object
+ *       properties:
+ *         key: { type: string, example: "user:john" }
+ *         type: { type: string, enum: [user, ip], example: "user" }
+ *         value: { type: string, example: "john" }
+ *         failures: { type: integer, example: 5 }
+ *         lastFailedAt: { type: string, example: "2026-01-05T10:00:00.000Z" }
+ *         lockedUntil:
+ *           type: string
+ *           nullable: true
+ *           description: Set while the key is locked out
+ *           example: "2026-01-05T10:15:00.000Z"
+ *     Invitation:
+ *       type: object
+ *       properties:
+ *         id: { type: integer, example: 4 }
+ *         username: { type: string, example: "jane" }
+ *         email: { type: string, example: "jane@example.com" }
+ *         role: { type: string, example: "user" }
+ *         status: { type: string, enum: [pending, accepted, revoked, expired] }
+ *         invitedBy:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             id: { type: integer, example: 1 }
+ *             username: { type: string, example: "admin" }
+ *         createdAt: { type: string, example: "2026-01-05T10:00:00.000Z" }
+ *         expiresAt: { type: string, example: "2026-01-12T10:00:00.000Z" }
+ *         lastSentAt: { type: string, nullable: true }
+ *         sendCount: { type: integer, example: 1 }
+ *         acceptedAt: { type: string, nullable: true }
+ *         acceptedUserId: { type: integer, nullable: true }
+ *         revokedAt: { type: string, nullable: true }
+ *     CreateInvitationRequest:
+ *       type: object
+ *       required: [username, email]
+ *       properties:
+ *         username: { type: string, example: "jane" }
+ *         email: { type: string, example: "jane@example.com" }
+ *         role: { type: string, example: "user", description: "Defaults to `user`" }
+ *     AuditEntry:
+ *       type: object
+ *       properties:
+ *         id: { type: integer, example: 42 }
+ *         action: { type: string, example: "impersonation.start" }
+ *         actor:
+ *           type: object
+ *           nullable: true
+ *           description: Who did it (for impersonation, the admin)
+ *           properties:
+ *             id: { type: integer, example: 1 }
+ *             username: { type: string, nullable: true, example: "admin" }
+ *         user:
+ *           type: object
+ *           nullable: true
+ *           description: The account it was done to
+ *           properties:
+ *             id: { type: integer, example: 7 }
+ *             username: { type: string, nullable: true, example: "jane" }
+ *         changes:
+ *           type: object
+ *           nullable: true
+ *           description: Changed fields with their old and new values; passwords are `[REDACTED]`
+ *           additionalProperties:
+ *             type: object
+ *             properties:
+ *               from: { type: string, nullable: true }
+ *               to: { type: string, nullable: true }
+ *           example: { username: { from: "jane", to: "jane.doe" }, password: { from: "[REDACTED]", to: "[REDACTED]" } }
+ *         details: { type: object, nullable: true, example: { reason: "Ticket #1234" } }
+ *         ip: { type: string, nullable: true, example: "203.0.113.7" }
+ *         userAgent: { type: string, nullable: true }
+ *         requestId: { type: string, nullable: true, description: "`X-Request-Id` of the request that wrote it" }
+ *         createdAt: { type: string, example: "2026-01-05T10:00:00.000Z" }
+ */
+
+/**
+ * @openapi
+ * /api/admin/lockouts:
+ *   get:
+ *     tags: [Admin]
+ *     summary: List usernames/IPs with recent failed logins or an active lockout
+ *     description: "Requires role: `admin`."
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/LoginLockout'
+ *       401:
+ *         description: Missing or invalid token
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get("/lockouts", async (req, res, next) => {
+  try {
+    res.json(await listLockouts());
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /api/admin/lockouts/{key}:
+ *   delete:
+ *     tags: [Admin]
+ *     summary: Clear failed attempts and lockout for a key
+ *     description: "Requires role: `admin`."
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         description: Lockout key as returned by the list (`user:<username>` or `ip:<address>`), URL-encoded
+ *         schema: { type: string, example: "user:john" }
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message: { type: string, example: "Lockout cleared" }
+ *       400:
+ *         description: Invalid key
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Missing or invalid token
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Not found
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.delete("/lockouts/:key", async (req, res, next) => {
+  const key = String(req.params.key || "");
+  if (!/^(user|ip):.+/.test(key)) return sendError(res, 400, "Invalid lockout key");
+
+  try {
+    const cleared = await clearLockout(key);
+    if (!cleared) return sendError(res, 404, "Lockout not found");
+    res.json({ message: "Lockout cleared" });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /api/admin/invitations:
+ *   get:
+ *     tags: [Admin]
+ *     summary: List invitations (open ones by default)
+ *     description: |
+ *       Requires role: `admin`. Open = not accepted and not revoked, including expired
+ *       invitations that can still be resent.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: all
+ *         schema: { type: boolean }
+ *         description: Include accepted and revoked invitations
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Invitation'
+ *       401:
+ *         description: Missing or invalid token
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get("/invitations", async (req, res, next) => {
+  try {
+    res.json(await listInvitations({ includeClosed: req.query.all === "true" }));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /api/admin/invitations:
+ *   post:
+ *     tags: [Admin]
+ *     summary: Invite someone to create an account
+ *     description: |
+ *       Requires role: `admin`. Emails a single-use link to `{FRONTEND_URL}/accept-invite`
+ *       where the invitee chooses a password. The link expires after `INVITE_TTL_DAYS`
+ *       (default 7).
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CreateInvitationRequest'
+ *     responses:
+ *       201:
+ *         description: Created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Invitation'
+ *       400:
+ *         description: Missing or invalid fields
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Username/email already used by an account or an open invitation (`code` = `INVITE_CONFLICT`)
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post("/invitations", async (req, res, next) => {
+  const username = String(req.body?.username ?? "").trim();
+  const email = normalizeEmail(req.body?.email);
+  const role = String(req.body?.role ?? "").trim() || DEFAULT_ROLE;
+
+  if (!username) return sendError(res, 400, "Username is required");
+  if (username.length > 100) return sendError(res, 400, "Username is too long");
+  if (!email) return sendError(res, 400, "Email is required");
+  if (!isValidEmail(email)) return sendError(res, 400, "Email is invalid");
+  if (!isValidRole(role)) {
+    return sendError(res, 400, `Role must be one of: ${ROLE_VALUES.join(", ")}`);
+  }
+
+  try {
+    const invitation = await createInvitation({ username, email, role, invitedBy: req.user });
+    res.status(201).json(invitation);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /api/admin/invitations/{id}/resend:
+ *   post:
+ *     tags: [Admin]
+ *     summary: Email a fresh invitation link
+ *     description: |
+ *       Requires role: `admin`. Issues a new token (the previous link stops working) and
+ *       restarts the expiry. Also works for expired invitations.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Invitation'
+ *       404:
+ *         description: Not found
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Invitation was already accepted or revoked (`code` = `INVITE_CLOSED`)
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post("/invitations/:id/resend", async (req, res, next) => {
+  try {
+    res.json(await resendInvitation(Number(req.params.id), { sentBy: req.user }));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /api/admin/invitations/{id}:
+ *   delete:
+ *     tags: [Admin]
+ *     summary: Revoke an open invitation
+ *     description: "Requires role: `admin`. The link stops working immediately."
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message: { type: string, example: "Invitation revoked" }
+ *       404:
+ *         description: Not found, or already accepted/revoked
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.delete("/invitations/:id", async (req, res, next) => {
+  try {
+    const revoked = await revokeInvitation(Number(req.params.id));
+    if (!revoked) return sendError(res, 404, "Invitation not found");
+    res.json({ message: "Invitation revoked" });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /api/admin/audit-log:
+ *   get:
+ *     tags: [Admin]
+ *     summary: Audit log entries, newest first
+ *     description: |
+ *       Requires role: `admin`. Append-only record of every change to a user (create, update with
+ *       before/after values, status, password, delete/restore/purge, sessions, 2FA reset), sign-ins,
+ *       failed sign-ins, sign-outs, password resets and impersonation. Password values are never
+ *       stored (`[REDACTED]`). Page with `before` = the `id` of the last entry received.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: action
+ *         schema: { type: string, example: "user.update,auth.*" }
+ *         description: Comma-separated actions; `prefix.*` matches every action with that prefix
+ *       - in: query
+ *         name: userId
+ *         schema: { type: integer }
+ *         description: Entries where this user is the actor or the target
+ *       - in: query
+ *         name: actorId
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: targetId
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: requestId
+ *         schema: { type: string }
+ *         description: All entries written by one request (`X-Request-Id` response header)
+ *       - in: query
+ *         name: from
+ *         schema: { type: string, example: "2026-01-01" }
+ *         description: Date (whole day) or ISO 8601 time
+ *       - in: query
+ *         name: to
+ *         schema: { type: string, example: "2026-01-31" }
+ *       - in: query
+ *         name: before
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 100, maximum: 500 }
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/AuditEntry'
+ *       400:
+ *         description: Invalid filter
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Missing or invalid token
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get("/audit-log", async (req, res, next) => {
+  const filters = {};
+  for (const name of ["userId", "actorId", "targetId", "before"]) {
+    if (req.query[name] === undefined) continue;
+    const value = Number(req.query[name]);
+    if (!Number.isInteger(value) || value <= 0) return sendError(res, 400, `Invalid ${name}`);
+    filters[name] = value;
+  }
+
+  const limit = req.query.limit !== undefined ? Number(req.query.limit) : 100;
+  if (!Number.isInteger(limit) || limit <= 0 || limit > 500) {
+    return sendError(res, 400, "limit must be between 1 and 500");
+  }
+
+  const actions = String(req.query.action ?? "")
+    .split(",")
+    .map((action) => action.trim())
+    .filter(Boolean);
+  if (actions.some((action) => !AUDIT_ACTION_PATTERN.test(action))) {
+    return sendError(res, 400, "Invalid action");
+  }
+
+  // วันที่อย่างเดียว = ทั้งวัน
+  for (const [name, time] of [
+    ["from", "00:00:00"],
+    ["to", "23:59:59"],
+  ]) {
+    if (!req.query[name]) continue;
+    const value = String(req.query[name]).trim();
+    if (Number.isNaN(new Date(value).getTime())) return sendError(res, 400, `${name} must be a date`);
+    filters[name] = DATE_ONLY.test(value) ? `${value} ${time}` : new Date(value);
+  }
+
+  const requestId = String(req.query.requestId ?? "").trim();
+  if (requestId) filters.requestId = requestId.slice(0, 128);
+
+  try {
+    res.json(await listAuditLog({ ...filters, actions, limit }));
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,261 @@
+const express = require("express");
+const router = express.Router();
+const db = require("../config/db");
+const verifyToken = require("../middleware/auth");
+const {
+  requireSession,
+  requireVerified,
+  forbidWhileImpersonating,
+  isAdmin,
+} = require("../middleware/permission");
+const { SCOPE_VALUES, canGrantScope, API_KEY_MAX_TTL_DAYS } = require("../config/apiKeys");
+const { createApiKey, listApiKeys, findApiKey, revokeApiKey } = require("../services/apiKeys");
+const { sendError } = require("../middleware/errorHandler");
+const { validate } = require("../middleware/validate");
+
+// จัดการ key ได้เฉพาะตอน login เอง (key หนึ่งสร้าง key อื่นต่อไม่ได้)
+// admin ที่สวมรอยสร้าง/ยกเลิก key แทนเจ้าของไม่ได้
+router.use(
+  verifyToken,
+  requireSession,
+  forbidWhileImpersonating((req) => req.method !== "GET"),
+  requireVerified("api_keys"),
+  validate
+);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @openapi
+ * tags:
+ *   - name: API Keys
+ *     description: Keys for scripts and other services (send as `X-API-Key`)
+ *
+ * components:
+ *   schemas:
+ *     ApiKey:
+ *       type: object
+ *       properties:
+ *         id: { type: integer, example: 3 }
+ *         userId: { type: integer, example: 1, description: "Requests act as this user" }
+ *         name: { type: string, example: "nightly-report" }
+ *         prefix: { type: string, example: "3f9a0c1b2d4e", description: "Shown in logs and lists" }
+ *         scopes:
+ *           type: array
+ *           items: { type: string, enum: [users:read, admin] }
+ *         createdAt: { type: string, example: "2026-01-05T10:00:00.000Z" }
+ *         expiresAt: { type: string, nullable: true }
+ *         lastUsedAt: { type: string, nullable: true }
+ *         lastUsedIp: { type: string, nullable: true }
+ *         revokedAt: { type: string, nullable: true }
+ *     CreateApiKeyRequest:
+ *       type: object
+ *       required: [name, scopes]
+ *       properties:
+ *         name: { type: string, example: "nightly-report" }
+ *         scopes:
+ *           type: array
+ *           description: |
+ *             `users:read` = GET/HEAD on `/api/users` only; `admin` = everything the owner may do
+ *             (only admins can grant it).
+ *           items: { type: string, enum: [users:read, admin] }
+ *           example: ["users:read"]
+ *         expiresInDays:
+ *           type: integer
+ *           description: Defaults to `API_KEY_MAX_TTL_DAYS` (365; 0 there = never expires)
+ *           example: 90
+ *         userId:
+ *           type: integer
+ *           description: Admin only - create the key for another (e.g. service) account
+ *     CreatedApiKey:
+ *       allOf:
+ *         - $ref: '#/components/schemas/ApiKey'
+ *         - type: object
+ *           properties:
+ *             key:
+ *               type: string
+ *               description: The full key. Only returned once.
+ *               example: "ak_3f9a0c1b2d4e_Vb0mY..."
+ */
+
+/**
+ * @openapi
+ * /api/api-keys:
+ *   get:
+ *     tags: [API Keys]
+ *     summary: List my API keys (admins can list anyone's)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: userId
+ *         schema: { type: integer }
+ *         description: Admin only - keys of this user
+ *       - in: query
+ *         name: all
+ *         schema: { type: boolean }
+ *         description: Admin only - keys of every user
+ *       - in: query
+ *         name: includeRevoked
+ *         schema: { type: boolean }
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ApiKey'
+ *       403:
+ *         description: Not allowed (e.g. called with an API key, or non-admin listing others)
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get("/", async (req, res, next) => {
+  const wantsOthers = req.query.all === "true" || req.query.userId !== undefined;
+  if (wantsOthers && !isAdmin(req.user)) return sendError(res, 403, "Insufficient permissions");
+
+  const userId = req.query.all === "true" ? null : Number(req.query.userId ?? req.user.id);
+  if (userId !== null && !Number.isInteger(userId)) return sendError(res, 400, "Invalid userId");
+
+  try {
+    res.json(await listApiKeys({ userId, includeRevoked: req.query.includeRevoked === "true" }));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /api/api-keys:
+ *   post:
+ *     tags: [API Keys]
+ *     summary: Create an API key (the key is shown only in this response)
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CreateApiKeyRequest'
+ *     responses:
+ *       201:
+ *         description: Created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CreatedApiKey'
+ *       400:
+ *         description: Invalid name, scopes or expiry
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Scope not allowed for the owner's role, or creating for another user without admin
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Owner not found
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post("/", async (req, res, next) => {
+  const name = String(req.body?.name ?? "").trim();
+  const scopes = Array.isArray(req.body?.scopes) ? [...new Set(req.body.scopes.map(String))] : [];
+  const ownerId = Number(req.body?.userId ?? req.user.id);
+
+  if (!name || name.length > 100) return sendError(res, 400, "name is required (max 100 characters)");
+  if (scopes.length === 0 || scopes.some((scope) => !SCOPE_VALUES.includes(scope))) {
+    return sendError(res, 400, `scopes must be a non-empty list of: ${SCOPE_VALUES.join(", ")}`);
+  }
+  if (!Number.isInteger(ownerId)) return sendError(res, 400, "Invalid userId");
+  if (ownerId !== Number(req.user.id) && !isAdmin(req.user)) {
+    return sendError(res, 403, "Insufficient permissions");
+  }
+
+  let expiresAt = null;
+  const days = req.body?.expiresInDays ?? (API_KEY_MAX_TTL_DAYS || null);
+  if (days !== null) {
+    const value = Number(days);
+    if (!Number.isInteger(value) || value <= 0 || (API_KEY_MAX_TTL_DAYS && value > API_KEY_MAX_TTL_DAYS)) {
+      const message = API_KEY_MAX_TTL_DAYS
+        ? `expiresInDays must be between 1 and ${API_KEY_MAX_TTL_DAYS}`
+        : "expiresInDays must be a positive integer";
+      return sendError(res, 400, message);
+    }
+    expiresAt = new Date(Date.now() + value * DAY_MS);
+  }
+
+  try {
+    const [owners] = await db.query("SELECT id, role FROM tbl_users WHERE id = ? LIMIT 1", [ownerId]);
+    if (owners.length === 0) return sendError(res, 404, "User not found");
+
+    // key มีสิทธิ์ไม่เกินเจ้าของ
+    const denied = scopes.find((scope) => !canGrantScope(owners[0].role, scope));
+    if (denied) return sendError(res, 403, `Scope "${denied}" is not allowed for this account`, "API_KEY_SCOPE");
+
+    const { key, apiKey } = await createApiKey(ownerId, {
+      name,
+      scopes,
+      expiresAt,
+      createdBy: req.user.id,
+    });
+    res.status(201).json({ ...apiKey, key });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /api/api-keys/{id}:
+ *   delete:
+ *     tags: [API Keys]
+ *     summary: Revoke an API key (owner or admin)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message: { type: string, example: "API key revoked" }
+ *       404:
+ *         description: Key not found or already revoked
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.delete("/:id", async (req, res, next) => {
+  try {
+    const apiKey = await findApiKey(Number(req.params.id));
+    // key ของคนอื่น -> ตอบเหมือนไม่มี (ไม่บอกว่ามีอยู่)
+    const visible = apiKey && (Number(apiKey.userId) === Number(req.user.id) || isAdmin(req.user));
+    if (!visible || !(await revokeApiKey(apiKey.id))) {
+      return sendError(res, 404, "API key not found");
+    }
+    res.json({ message: "API key revoked" });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,173 @@
+const express = require("express");
+const router = express.Router();
+const verifyToken = require("../middleware/auth");
+const { requireRole, requireSession } = require("../middleware/permission");
+const { ROLES } = require("../config/roles");
+const { ACCESS_TOKEN_TTL_SECONDS } = require("../services/tokens");
+const { readAccessToken, setAccessCookie } = require("../services/authCookies");
+const { startImpersonation, stopImpersonation } = require("../services/impersonation");
+const { sendError } = require("../middleware/errorHandler");
+const { validate } = require("../middleware/validate");
+
+// ส่ง token แบบเดียวกับที่ client ใช้อยู่: login แบบ cookie -> เปลี่ยน access cookie, ไม่งั้นคืนใน body
+function sendAccessToken(req, res, { token, expiresIn, ...body }) {
+  if (!readAccessToken(req).fromCookie) return res.json({ ...body, token, expiresIn });
+  setAccessCookie(res, token, expiresIn);
+  res.json({ ...body, transport: "cookie", expiresIn });
+}
+
+router.use(verifyToken, requireSession, validate);
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     ImpersonationResponse:
+ *       type: object
+ *       properties:
+ *         token:
+ *           type: string
+ *           description: Short-lived access token for the user (omitted in cookie mode)
+ *         expiresIn: { type: integer, example: 900 }
+ *         expiresAt: { type: string, example: "2026-01-05T10:15:00.000Z" }
+ *         transport: { type: string, enum: [cookie], description: "Present in cookie mode" }
+ *         user:
+ *           type: object
+ *           properties:
+ *             id: { type: integer, example: 7 }
+ *             username: { type: string, example: "jane" }
+ *             fullname: { type: string, example: "Jane Doe" }
+ *             lastname: { type: string, example: "Doe" }
+ *             role: { type: string, example: "user" }
+ *             status: { type: string, example: "active" }
+ *         impersonator:
+ *           type: object
+ *           properties:
+ *             id: { type: integer, example: 1 }
+ *             username: { type: string, example: "admin" }
+ *
+ * /api/auth/impersonation/start:
+ *   post:
+ *     tags: [Admin]
+ *     summary: Start acting as another user
+ *     description: |
+ *       Requires role: `admin` and a signed-in session (not an API key). Returns an access
+ *       token for the user that also names the admin (`act` claim) and expires after
+ *       `IMPERSONATION_TTL_SECONDS` (default 900). It cannot be refreshed; refreshing
+ *       returns the admin's own token. While impersonating, changing the password, email,
+ *       two-factor settings, API keys, linked accounts or sessions and deleting the account
+ *       are refused with `code` = `IMPERSONATION_FORBIDDEN`. Start, stop and refused
+ *       actions are written to the audit log.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [userId]
+ *             properties:
+ *               userId: { type: integer, example: 7 }
+ *               reason: { type: string, example: "Ticket #1234: cannot see orders" }
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImpersonationResponse'
+ *       400:
+ *         description: |
+ *           Invalid userId, the admin's own account (`IMPERSONATION_SELF`) or already
+ *           impersonating (`IMPERSONATION_NESTED`)
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Missing or invalid token
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Not an admin, API key used, or the user is an admin (`IMPERSONATION_TARGET_ADMIN`)
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: The user's account is not active (`IMPERSONATION_TARGET_INACTIVE`)
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post("/start", requireRole(ROLES.ADMIN), async (req, res, next) => {
+  const userId = Number(req.body?.userId);
+  if (!Number.isInteger(userId) || userId <= 0) return sendError(res, 400, "Invalid userId");
+  const reason = String(req.body?.reason ?? "").trim().slice(0, 255) || null;
+
+  try {
+    const result = await startImpersonation({ actor: req.user, userId, reason, req });
+    sendAccessToken(req, res, { message: "Impersonation started", ...result });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /api/auth/impersonation/stop:
+ *   post:
+ *     tags: [Admin]
+ *     summary: Stop impersonating and get the admin's access token back
+ *     description: Call with the impersonation token. The admin's session continues.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message: { type: string, example: "Impersonation stopped" }
+ *                 token: { type: string, description: "Omitted in cookie mode" }
+ *                 expiresIn: { type: integer, example: 900 }
+ *                 transport: { type: string, enum: [cookie] }
+ *       400:
+ *         description: Not impersonating (`IMPERSONATION_NOT_ACTIVE`)
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Missing, invalid or expired token
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post("/stop", async (req, res, next) => {
+  try {
+    const { token } = await stopImpersonation({ actor: req.user, req });
+    sendAccessToken(req, res, {
+      message: "Impersonation stopped",
+      token,
+      expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,132 @@
+const express = require("express");
+const router = express.Router();
+const { lookupInvitation, acceptInvitation } = require("../services/invitations");
+const { sendError } = require("../middleware/errorHandler");
+const { validate } = require("../middleware/validate");
+
+// ตรวจ body/params ตามเอกสารก่อนเข้า route
+router.use(validate);
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     InvitationPreview:
+ *       type: object
+ *       properties:
+ *         username: { type: string, example: "jane" }
+ *         email: { type: string, example: "jane@example.com" }
+ *         role: { type: string, example: "user" }
+ *         expiresAt: { type: string, example: "2026-01-12T10:00:00.000Z" }
+ *     AcceptInvitationRequest:
+ *       type: object
+ *       required: [token, password]
+ *       properties:
+ *         token: { type: string, description: "Token from the invitation link" }
+ *         password: { type: string, example: "n3w-Passw0rd" }
+ *         firstname: { type: string, example: "Jane" }
+ *         lastname: { type: string, example: "Doe" }
+ *         fullname: { type: string, example: "Jane Doe" }
+ */
+
+/**
+ * @openapi
+ * /api/auth/invitations/lookup:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Show who an invitation link is for
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [token]
+ *             properties:
+ *               token: { type: string }
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/InvitationPreview'
+ *       400:
+ *         description: Missing, invalid, expired, revoked or used token (`code` = `INVITE_TOKEN_INVALID`)
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post("/lookup", async (req, res, next) => {
+  const token = String(req.body?.token ?? "").trim();
+  if (!token) return sendError(res, 400, "Token is required");
+
+  try {
+    res.json(await lookupInvitation(token));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /api/auth/invitations/accept:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Accept an invitation by choosing a password
+ *     description: |
+ *       Creates an active account with the invited username, email (treated as verified)
+ *       and role. The token can be used once. Sign in afterwards with `/api/auth/login`.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AcceptInvitationRequest'
+ *     responses:
+ *       201:
+ *         description: Account created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message: { type: string, example: "Account created" }
+ *                 username: { type: string, example: "jane" }
+ *       400:
+ *         description: |
+ *           Missing fields, invalid/expired token (`code` = `INVITE_TOKEN_INVALID`) or the
+ *           password fails the policy (`code` = `PASSWORD_POLICY`, see `violations`)
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Username or email was taken in the meantime (`code` = `INVITE_CONFLICT`)
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post("/accept", async (req, res, next) => {
+  const token = String(req.body?.token ?? "").trim();
+  const password = String(req.body?.password ?? "");
+  const profile = {
+    firstname: String(req.body?.firstname ?? "").trim(),
+    lastname: String(req.body?.lastname ?? "").trim(),
+    fullname: String(req.body?.fullname ?? "").trim(),
+  };
+
+  if (!token) return sendError(res, 400, "Token is required");
+  if (!password) return sendError(res, 400, "Password is required");
+
+  try {
+    const { username } = await acceptInvitation({ token, password, profile });
+    res.status(201).json({ message: "Account created", username });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -1,12 +1,66 @@
 const express = require("express");
 const router = express.Router();
 const db = require("../config/db");
-const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
 const verifyToken = require("../middleware/auth");
+const { accessError, normalizeEmail, isValidEmail } = require("../config/verification");
+const {
+  ACCESS_TOKEN_TTL_SECONDS,
+  hasSigningKey,
+  verifyPurposeToken,
+} = require("../services/tokens");
+const {
+  reserveLoginAttempt,
+  recordLoginSuccess,
+  tooManyAttemptsError,
+} = require("../services/loginThrottle");
+const {
+  verifyEmailToken,
+  resendVerification,
+} = require("../services/emailVerification");
+const {
+  requestPasswordReset,
+  resetPassword,
+} = require("../services/passwordReset");
+const {
+  RefreshTokenError,
+  clientInfo,
+  parseRefreshToken,
+  rotateSession,
+  revokeSession,
+} = require("../services/sessions");
+const { verifySecondFactor } = require("../services/twoFactor");
+const { createUser, authenticate } = require("../services/userService");
+const { AuthError } = require("../services/errors");
+const { AUDIT_ACTIONS, diffChanges, recordAuditSafely } = require("../services/audit");
+const { describePasswordPolicy } = require("../services/passwordPolicy");
+const {
+  TWO_FACTOR_PURPOSE,
+  buildAccessToken,
+  issueTokens,
+  sendTokens,
+  completeFirstFactor,
+} = require("../services/loginFlow");
+const {
+  wantsCookieTransport,
+  clearAuthCookies,
+  readRefreshCookie,
+  hasValidCsrf,
+} = require("../services/authCookies");
+const { sendError } = require("../middleware/errorHandler");
+const { validate } = require("../middleware/validate");
 
-const sendError = (res, status, message) =>
-  res.status(status).json({ error: message, message });
+// route ที่ไม่ต้อง login ตรวจ body ตามเอกสารตรงนี้ ส่วน /logout ตรวจหลัง verifyToken
+router.use(validate);
+
+// login ไม่ผ่าน: ยังไม่มีใคร login -> actor ว่าง, userId มีเมื่อ username ตรงกับบัญชีจริง
+const auditLoginFailure = (req, { username, userId = null, reason }) =>
+  recordAuditSafely({
+    action: AUDIT_ACTIONS.AUTH_LOGIN_FAILED,
+    actorId: null,
+    userId,
+    details: { username: String(username).slice(0, 100), reason },
+    req,
+  });
 
 /**
  * @openapi
@@ -14,6 +68,9 @@ const sendError = (res, status, message) =>
  *   post:
  *     tags: [Auth]
  *     summary: Register a new user (tbl_users)
+ *     description: |
+ *       `email` is required. The account stays `pending` until the link sent to
+ *       that address is opened (see /api/auth/verify-email).
  *     requestBody:
  *       required: true
  *       content:
@@ -24,74 +81,30 @@ const sendError = (res, status, message) =>
  *       201:
  *         description: Created
  *       400:
- *         description: Bad request
+ *         description: Bad request, or the password fails the policy (`code` = `PASSWORD_POLICY`, see `violations`)
  *         content:
- *           application/json:
+ *           application/problem+json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  *       409:
- *         description: Duplicate username
+ *         description: Duplicate username or email (`code` = `USERNAME_TAKEN` or `EMAIL_TAKEN`)
  *         content:
- *           application/json:
+ *           application/problem+json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  *       500:
  *         description: Server error
  *         content:
- *           application/json:
+ *           application/problem+json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-async function handleRegister(req, res) {
-  const firstname = String(req.body?.firstname ?? "").trim();
-  const fullname = String(req.body?.fullname ?? "").trim();
-  const lastname = String(req.body?.lastname ?? "").trim();
-  const username = String(req.body?.username ?? "").trim();
-  const password = String(req.body?.password ?? "");
-  const address = String(req.body?.address ?? "").trim();
-  const sex = String(req.body?.sex ?? "").trim();
-  const birthday = String(req.body?.birthday ?? "").trim();
-
+async function handleRegister(req, res, next) {
   try {
-    if (!username) return sendError(res, 400, "Username is required");
-    if (!password) return sendError(res, 400, "Password is required");
-
-    const [dupes] = await db.query(
-      "SELECT id FROM tbl_users WHERE username = ? LIMIT 1",
-      [username]
-    );
-    if (dupes.length > 0) return sendError(res, 409, "Username already exists");
-
-    const hashedPassword = await bcrypt.hash(password, 10);
-
-    const [result] = await db.query(
-      `INSERT INTO tbl_users (firstname, fullname, lastname, username, password, address, sex, birthday)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-      [
-        firstname || null,
-        fullname || null,
-        lastname || null,
-        username,
-        hashedPassword,
-        address || null,
-        sex || null,
-        birthday || null,
-      ]
-    );
-
-    return res.status(201).json({
-      id: result.insertId,
-      firstname: firstname || "",
-      fullname: fullname || "",
-      lastname: lastname || "",
-      username,
-      address: address || "",
-      sex: sex || "",
-      birthday: birthday || "",
-    });
+    const user = await createUser(req.body, { selfRegistration: true, req });
+    return res.status(201).json(user);
   } catch (err) {
-    console.error("POST /api/auth/register error:", err);
-    return sendError(res, 500, "Insert failed");
+    next(err);
   }
 }
 
@@ -102,23 +115,56 @@ async function handleRegister(req, res) {
  *     description: Login/Logout
  *
  * components:
+ *   parameters:
+ *     AuthTransportHeader:
+ *       in: header
+ *       name: X-Auth-Transport
+ *       required: false
+ *       description: |
+ *         `cookie` = set the access/refresh tokens as Secure, HttpOnly, SameSite cookies
+ *         instead of returning them in the body. Cookie-authenticated requests that change
+ *         data must send the `csrfToken` from the response in the `X-CSRF-Token` header.
+ *       schema: { type: string, enum: [bearer, cookie] }
  *   schemas:
  *     LoginRequest:
  *       type: object
  *       required: [username, password]
  *       properties:
  *         username: { type: string, example: "john" }
- *         password: { type: string, example: "1234" }
+ *         password: { type: string, example: "Tr0ub4dor-horse" }
  *     LoginResponse:
  *       type: object
+ *       description: |
+ *         When the account has two-factor authentication enabled, only `message`,
+ *         `twoFactorRequired`, `challengeToken` and `expiresIn` are returned; finish
+ *         with `POST /api/auth/login/2fa`.
  *       properties:
  *         message: { type: string, example: "Login successful" }
+ *         twoFactorRequired: { type: boolean, example: false }
+ *         transport:
+ *           type: string
+ *           enum: [cookie]
+ *           description: |
+ *             Present when the tokens were set as HttpOnly cookies (`X-Auth-Transport: cookie`);
+ *             `token` and `refreshToken` are then omitted from the body.
+ *         csrfToken:
+ *           type: string
+ *           description: Cookie mode only. Send it back as `X-CSRF-Token` on POST/PUT/PATCH/DELETE.
+ *         challengeToken:
+ *           type: string
+ *           description: Short-lived token for the second login step (2FA accounts only)
  *         token: { type: string, example: "<jwt>" }
+ *         refreshToken: { type: string, example: "<session id>.1.<random>" }
+ *         expiresIn: { type: integer, description: "Access token lifetime in seconds", example: 900 }
  *         user:
  *           type: object
  *           properties:
  *             id: { type: integer, example: 1 }
  *             username: { type: string, example: "john" }
+ *             email: { type: string, example: "john@example.com" }
+ *             email_verified_at: { type: string, nullable: true }
+ *             status: { type: string, example: "active" }
+ *             role: { type: string, enum: [admin, staff, user], example: "user" }
  */
 
 /**
@@ -127,6 +173,8 @@ async function handleRegister(req, res) {
  *   post:
  *     tags: [Auth]
  *     summary: Login (tbl_users) and get JWT
+ *     parameters:
+ *       - $ref: '#/components/parameters/AuthTransportHeader'
  *     requestBody:
  *       required: true
  *       content:
@@ -143,23 +191,42 @@ async function handleRegister(req, res) {
  *       400:
  *         description: Missing credentials
  *         content:
- *           application/json:
+ *           application/problem+json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  *       401:
- *         description: Unauthorized
+ *         description: Invalid username or password (`code` = `INVALID_CREDENTIALS`)
  *         content:
- *           application/json:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: |
+ *           Too many failed attempts for this username or IP (`code` = `TOO_MANY_ATTEMPTS`).
+ *           Wait for the `Retry-After` header (seconds) before trying again.
+ *         headers:
+ *           Retry-After:
+ *             schema: { type: integer, example: 30 }
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: |
+ *           Account is not active. `code` is one of
+ *           `ACCOUNT_SUSPENDED`, `ACCOUNT_PENDING`, `ACCOUNT_LOCKED`, `ACCOUNT_DELETED`, `ACCOUNT_INACTIVE`.
+ *         content:
+ *           application/problem+json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  *       500:
  *         description: Server error
  *         content:
- *           application/json:
+ *           application/problem+json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-async function handleLogin(req, res) {
+async function handleLogin(req, res, next) {
   try {
     const username = String(req.body?.username ?? "").trim();
     const password = String(req.body?.password ?? "");
@@ -168,89 +235,623 @@ async function handleLogin(req, res) {
       return sendError(res, 400, "username/password is required");
     }
 
-    const [rows] = await db.query(
-      `SELECT id, firstname, fullname, lastname, username, password, status
-       FROM tbl_users
-       WHERE username = ? LIMIT 1`,
-      [username]
+    const attempt = { username, ip: req.ip };
+    const gate = await reserveLoginAttempt(attempt);
+    if (!gate.allowed) {
+      return next(tooManyAttemptsError(gate));
+    }
+
+    let user;
+    try {
+      user = await authenticate(username, password);
+    } catch (err) {
+      if (!(err instanceof AuthError)) throw err;
+      // นับเป็นการผิดไปแล้วตอน reserveLoginAttempt
+      await auditLoginFailure(req, { username, userId: err.userId, reason: err.reason });
+      return next(err);
+    }
+    // มี 2FA -> ยังไม่นับว่าสำเร็จจนกว่า code จะผ่าน (login ซ้ำเพื่อล้างตัวนับแล้วเดา code ต่อไม่ได้)
+    if (!user.totp_enabled_at) await recordLoginSuccess(attempt);
+
+    // ตรวจ status หลังรหัสผ่านถูกเท่านั้น (ไม่บอกสถานะบัญชีให้คนที่ไม่รู้รหัส)
+    const blocked = accessError(user.status);
+    if (blocked) return sendError(res, 403, blocked.message, blocked.code);
+
+    if (!hasSigningKey()) return sendError(res, 500, "Server missing JWT signing key");
+
+    await completeFirstFactor(req, res, user);
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     TwoFactorLoginRequest:
+ *       type: object
+ *       required: [challengeToken, code]
+ *       properties:
+ *         challengeToken: { type: string, description: "From the first login step" }
+ *         code: { type: string, description: "6-digit TOTP code or a recovery code", example: "123456" }
+ *
+ * /api/auth/login/2fa:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Second login step for accounts with two-factor authentication
+ *     parameters:
+ *       - $ref: '#/components/parameters/AuthTransportHeader'
+ *     description: |
+ *       Exchanges the `challengeToken` returned by `/api/auth/login` plus a code from the
+ *       authenticator app (or an unused recovery code) for the access and refresh tokens.
+ *       Wrong codes count towards the same lockout as wrong passwords.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TwoFactorLoginRequest'
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LoginResponse'
+ *       400:
+ *         description: Missing challengeToken or code
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: |
+ *           Expired challenge (`code` = `TWO_FACTOR_CHALLENGE_INVALID`) or wrong code
+ *           (`code` = `INVALID_TWO_FACTOR_CODE`)
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Account is not active
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: Too many failed attempts (`code` = `TOO_MANY_ATTEMPTS`)
+ *         headers:
+ *           Retry-After:
+ *             schema: { type: integer, example: 30 }
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+async function handleTwoFactorLogin(req, res, next) {
+  const challengeToken = String(req.body?.challengeToken ?? "").trim();
+  const code = String(req.body?.code ?? "").trim();
+  if (!challengeToken || !code) return sendError(res, 400, "challengeToken/code is required");
+
+  let challenge;
+  try {
+    challenge = verifyPurposeToken(TWO_FACTOR_PURPOSE, challengeToken);
+  } catch {
+    return sendError(
+      res,
+      401,
+      "Login challenge is invalid or has expired. Sign in again.",
+      "TWO_FACTOR_CHALLENGE_INVALID"
     );
+  }
 
-    if (rows.length === 0) return sendError(res, 401, "User not found");
+  try {
+    const attempt = { username: challenge.username, ip: req.ip };
+    const gate = await reserveLoginAttempt(attempt);
+    if (!gate.allowed) {
+      return next(tooManyAttemptsError(gate));
+    }
 
+    const [rows] = await db.query(
+      `SELECT id, firstname, fullname, lastname, username, email, email_verified_at, status, role
+       FROM tbl_users
+       WHERE id = ? AND deleted_at IS NULL LIMIT 1`,
+      [Number(challenge.sub)]
+    );
     const user = rows[0];
-    const dbPass = String(user.password ?? "");
-
-    let passOK = false;
-
-    if (dbPass.startsWith("$2")) {
-      passOK = await bcrypt.compare(password, dbPass);
-    } else {
-      // migration from plain-text
-      passOK = password === dbPass;
-      if (passOK) {
-        const newHash = await bcrypt.hash(password, 10);
-        await db.query(
-          "UPDATE tbl_users SET password = ?, updated_at = NOW() WHERE id = ?",
-          [newHash, user.id]
-        );
-      }
+    if (!user) {
+      return sendError(
+        res,
+        401,
+        "Login challenge is invalid or has expired. Sign in again.",
+        "TWO_FACTOR_CHALLENGE_INVALID"
+      );
     }
 
-    if (!passOK) return sendError(res, 401, "Invalid password");
-
-    const SECRET_KEY = process.env.SECRET_KEY || process.env.JWT_SECRET;
-    if (!SECRET_KEY) return sendError(res, 500, "Server missing SECRET_KEY");
+    const method = await verifySecondFactor(user.id, code);
+    if (!method) {
+      await auditLoginFailure(req, { username: user.username, userId: user.id, reason: "wrong_two_factor_code" });
+      return sendError(res, 401, "Invalid authentication code", "INVALID_TWO_FACTOR_CODE");
+    }
+    await recordLoginSuccess(attempt);
 
-    const token = jwt.sign(
-      {
-        role: "user",
-        id: user.id,
-        fullname: user.fullname,
-        lastname: user.lastname,
-        status: user.status,
-      },
-      SECRET_KEY,
-      { expiresIn: "1h" }
-    );
+    // สถานะอาจเปลี่ยนระหว่างสองขั้น
+    const blocked = accessError(user.status);
+    if (blocked) return sendError(res, 403, blocked.message, blocked.code);
 
-    const { password: _omit, ...safeUser } = user;
-    res.json({ message: "Login successful", token, user: safeUser });
+    const tokens = await issueTokens(user, req, { twoFactor: method });
+    sendTokens(req, res, { message: "Login successful", ...tokens, user });
   } catch (err) {
-    console.error("POST /api/auth/login error:", err);
-    sendError(res, 500, "Login failed");
+    next(err);
   }
 }
 
 router.post("/register", handleRegister);
 router.post("/", handleLogin);
 router.post("/login", handleLogin);
+router.post("/login/2fa", handleTwoFactorLogin);
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     PasswordPolicy:
+ *       type: object
+ *       properties:
+ *         minLength: { type: integer, example: 8 }
+ *         maxBytes: { type: integer, example: 72, description: "bcrypt ignores anything longer" }
+ *         requiredClasses:
+ *           type: array
+ *           items: { type: string, enum: [lowercase, uppercase, digit, symbol] }
+ *           example: [lowercase, uppercase, digit]
+ *         disallowUsername: { type: boolean, example: true }
+ *         historySize:
+ *           type: integer
+ *           example: 5
+ *           description: New password must differ from this many recent passwords (0 = not checked)
+ *         checkCommon:
+ *           type: boolean
+ *           example: true
+ *           description: Rejects passwords from the bundled common/breached password list
+ *
+ * /api/auth/password-policy:
+ *   get:
+ *     tags: [Auth]
+ *     summary: Password rules enforced when a password is set or changed
+ *     description: |
+ *       Lets clients check passwords before submitting. The common-password and history
+ *       checks can only run on the server; failures come back as `code` = `PASSWORD_POLICY`
+ *       with every failed rule in `violations`.
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PasswordPolicy'
+ */
+router.get("/password-policy", (req, res) => res.json(describePasswordPolicy()));
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     RefreshRequest:
+ *       type: object
+ *       properties:
+ *         refreshToken:
+ *           type: string
+ *           description: Required unless the refresh token cookie is used
+ *           example: "<session id>.1.<random>"
+ *
+ * /api/auth/refresh:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Exchange a refresh token for a new access token
+ *     description: |
+ *       The refresh token is rotated on every call; the old one stops working.
+ *       Presenting an already-used refresh token revokes the whole session.
+ *       In cookie mode send no body; the refresh token cookie is used and the
+ *       `X-CSRF-Token` header is required.
+ *     parameters:
+ *       - $ref: '#/components/parameters/AuthTransportHeader'
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RefreshRequest'
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LoginResponse'
+ *       400:
+ *         description: Missing refresh token
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Invalid, expired, revoked or reused refresh token
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Account is not active (session is revoked)
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post("/refresh", async (req, res, next) => {
+  const bodyToken = String(req.body?.refreshToken ?? "").trim();
+  const cookieToken = readRefreshCookie(req);
+  const refreshToken = bodyToken || cookieToken;
+  const viaCookie = !bodyToken && Boolean(cookieToken);
+  if (!refreshToken) return sendError(res, 400, "refreshToken is required");
+  if (viaCookie && !hasValidCsrf(req)) {
+    return sendError(res, 403, "Missing or invalid CSRF token", "CSRF_TOKEN_INVALID");
+  }
+
+  try {
+    if (!hasSigningKey()) return sendError(res, 500, "Server missing JWT signing key");
+
+    const rotated = await rotateSession(refreshToken, clientInfo(req));
+
+    const [rows] = await db.query(
+      `SELECT id, firstname, fullname, lastname, username, email, email_verified_at, status, role
+       FROM tbl_users
+       WHERE id = ? AND deleted_at IS NULL LIMIT 1`,
+      [rotated.userId]
+    );
+    if (rows.length === 0) {
+      await revokeSession(rotated.sessionId, "user_missing");
+      return sendError(res, 401, "Invalid refresh token", "REFRESH_TOKEN_INVALID");
+    }
+
+    const user = rows[0];
+    const blocked = accessError(user.status);
+    if (blocked) {
+      await revokeSession(rotated.sessionId, `status_${user.status}`);
+      return sendError(res, 403, blocked.message, blocked.code);
+    }
+
+    sendTokens(
+      req,
+      res,
+      {
+        message: "Token refreshed",
+        token: buildAccessToken(user, rotated.sessionId),
+        refreshToken: rotated.refreshToken,
+        expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+        user,
+      },
+      { cookie: viaCookie || wantsCookieTransport(req) }
+    );
+  } catch (err) {
+    // refresh token ใช้ไม่ได้แล้ว -> ล้าง cookie ด้วย (client จะได้ไม่ส่งซ้ำ)
+    if (err instanceof RefreshTokenError && viaCookie) clearAuthCookies(res);
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     ForgotPasswordRequest:
+ *       type: object
+ *       required: [identifier]
+ *       properties:
+ *         identifier:
+ *           type: string
+ *           description: Username or email address
+ *           example: "john"
+ *     ResetPasswordRequest:
+ *       type: object
+ *       required: [token, password]
+ *       properties:
+ *         token: { type: string, description: "Token from the reset link" }
+ *         password: { type: string, example: "n3w-Passw0rd" }
+ *
+ * /api/auth/forgot-password:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Email a single-use password reset link
+ *     description: |
+ *       Always answers with the same message, whether or not the account exists.
+ *       The link expires after `RESET_TOKEN_TTL_MINUTES` (default 30).
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ForgotPasswordRequest'
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message: { type: string }
+ *       400:
+ *         description: Missing identifier
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post("/forgot-password", async (req, res, next) => {
+  const identifier = String(req.body?.identifier ?? req.body?.username ?? req.body?.email ?? "").trim();
+  if (!identifier) return sendError(res, 400, "Username or email is required");
+
+  try {
+    await requestPasswordReset({ identifier, ip: req.ip, req });
+    res.json({
+      message: "If an account with an email address matches, a reset link has been sent",
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /api/auth/reset-password:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Set a new password with a reset token
+ *     description: The token can be used once. All sessions of the user are revoked.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ResetPasswordRequest'
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message: { type: string, example: "Password has been reset" }
+ *       400:
+ *         description: |
+ *           Missing fields, invalid/expired/used token (`code` = `RESET_TOKEN_INVALID`) or the
+ *           new password fails the policy (`code` = `PASSWORD_POLICY`, see `violations`)
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post("/reset-password", async (req, res, next) => {
+  const token = String(req.body?.token ?? "").trim();
+  const password = String(req.body?.password ?? "");
+
+  if (!token) return sendError(res, 400, "Token is required");
+  if (!password) return sendError(res, 400, "Password is required");
+
+  try {
+    const { userId } = await resetPassword({ token, password });
+    await recordAuditSafely({
+      action: AUDIT_ACTIONS.AUTH_PASSWORD_RESET,
+      actorId: userId,
+      userId,
+      changes: diffChanges({}, { password: true }),
+      req,
+    });
+    res.json({ message: "Password has been reset" });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     VerifyEmailRequest:
+ *       type: object
+ *       required: [token]
+ *       properties:
+ *         token: { type: string, description: "Token from the verification link" }
+ *     ResendVerificationRequest:
+ *       type: object
+ *       required: [email]
+ *       properties:
+ *         email: { type: string, example: "john@example.com" }
+ *
+ * /api/auth/verify-email:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Confirm an email address with the signed link token
+ *     description: Marks the email as verified and activates a `pending` account.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/VerifyEmailRequest'
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message: { type: string, example: "Email verified" }
+ *       400:
+ *         description: Missing, invalid or expired token (`code` = `VERIFY_TOKEN_INVALID`)
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post("/verify-email", async (req, res, next) => {
+  const token = String(req.body?.token ?? "").trim();
+  if (!token) return sendError(res, 400, "Token is required");
+
+  try {
+    const result = await verifyEmailToken(token, req);
+    res.json({ message: result.alreadyVerified ? "Email already verified" : "Email verified" });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /api/auth/verify-email/resend:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Send the verification link again
+ *     description: |
+ *       Always answers with the same message. At most one email is sent per account
+ *       every `VERIFY_RESEND_INTERVAL_SECONDS` (default 60).
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ResendVerificationRequest'
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message: { type: string }
+ *       400:
+ *         description: Missing or invalid email
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post("/verify-email/resend", async (req, res, next) => {
+  const email = normalizeEmail(req.body?.email);
+  if (!email || !isValidEmail(email)) return sendError(res, 400, "A valid email is required");
+
+  try {
+    await resendVerification(email);
+    res.json({
+      message: "If an unverified account uses this email, a new verification link has been sent",
+    });
+  } catch (err) {
+    next(err);
+  }
+});
 
 /**
  * @openapi
  * /api/auth/logout:
  *   post:
  *     tags: [Auth]
- *     summary: Logout (JWT stateless) - just a test endpoint
+ *     summary: Logout - revoke the current session and its refresh token
+ *     description: |
+ *       With an impersonation token this ends the administrator's session the token belongs to,
+ *       so both the impersonation token and the administrator's own tokens stop working.
  *     security:
  *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RefreshRequest'
  *     responses:
  *       200:
  *         description: OK
  *       401:
  *         description: Unauthorized
  *         content:
- *           application/json:
+ *           application/problem+json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  *       500:
  *         description: Server error
  *         content:
- *           application/json:
+ *           application/problem+json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.post("/logout", verifyToken, (req, res) => {
-  res.json({ message: "Logged out" });
+router.post("/logout", verifyToken, validate, async (req, res, next) => {
+  try {
+    // session จาก access token (sid) หรือจาก refresh token ที่ส่งมาใน body
+    const fromRefresh = parseRefreshToken(req.body?.refreshToken);
+    const sessionId = req.user?.sid || fromRefresh?.sessionId;
+
+    if (sessionId) {
+      const [rows] = await db.query(
+        "SELECT user_id FROM tbl_sessions WHERE id = ? LIMIT 1",
+        [sessionId]
+      );
+      // revoke ได้เฉพาะ session ของตัวเอง; ระหว่างสวมรอย session เป็นของ admin -> logout = จบ session ของ admin ด้วย
+      const ownerId = req.user.impersonator?.id ?? req.user.id;
+      if (rows.length > 0 && Number(rows[0].user_id) === Number(ownerId)) {
+        await revokeSession(sessionId, "logout");
+        await recordAuditSafely({
+          action: AUDIT_ACTIONS.AUTH_LOGOUT,
+          userId: ownerId,
+          details: { sessionId, ...(req.user.impersonator ? { impersonatedUserId: req.user.id } : {}) },
+          req,
+        });
+      }
+    }
+
+    clearAuthCookies(res);
+    res.json({ message: "Logged out" });
+  } catch (err) {
+    next(err);
+  }
 });
 
 module.exports = router;
@@ -0,0 +1,502 @@
+const express = require("express");
+const router = express.Router();
+const db = require("../config/db");
+const verifyToken = require("../middleware/auth");
+const { requireVerified, forbidWhileImpersonating } = require("../middleware/permission");
+const { normalizeEmail } = require("../config/verification");
+const {
+  listActiveSessions,
+  revokeUserSession,
+  revokeUserSessions,
+} = require("../services/sessions");
+const { listIdentities, unlinkIdentity } = require("../services/identities");
+const { updateUser, changePassword } = require("../services/userService");
+const { sendError } = require("../middleware/errorHandler");
+const { validate } = require("../middleware/validate");
+
+// ฟิลด์ที่เจ้าของบัญชีแก้เองได้ (username/role/status/password ไม่อยู่ในนี้)
+const PROFILE_FIELDS = ["firstname", "fullname", "lastname", "address", "sex", "birthday"];
+
+// ทุก route ใน /api/auth/me เป็นของผู้ใช้ที่ login อยู่
+router.use(verifyToken, validate);
+
+// อีเมลใช้รีเซ็ตรหัสผ่านได้ -> admin ที่สวมรอยห้ามเปลี่ยน
+const forbidEmailChange = forbidWhileImpersonating((req) => req.body?.email !== undefined);
+
+async function loadProfile(userId) {
+  const [rows] = await db.query(
+    `SELECT id, firstname, fullname, lastname, username, email, email_verified_at, address, sex, birthday,
+            status, role, totp_enabled_at, created_at
+     FROM tbl_users
+     WHERE id = ? LIMIT 1`,
+    [userId]
+  );
+  if (rows.length === 0) return null;
+
+  const { totp_enabled_at: totpEnabledAt, ...profile } = rows[0];
+  return { ...profile, twoFactorEnabled: Boolean(totpEnabledAt) };
+}
+
+/**
+ * @openapi
+ * tags:
+ *   - name: Me
+ *     description: Self-service profile of the signed-in user
+ *
+ * components:
+ *   schemas:
+ *     MeProfile:
+ *       allOf:
+ *         - $ref: '#/components/schemas/User'
+ *         - type: object
+ *           properties:
+ *             twoFactorEnabled: { type: boolean, example: false }
+ *             impersonator:
+ *               type: object
+ *               description: Present while an admin is impersonating this user
+ *               properties:
+ *                 id: { type: integer, example: 1 }
+ *                 username: { type: string, example: "admin" }
+ *     UpdateMeRequest:
+ *       type: object
+ *       description: Only these fields can be changed here. Changing `email` requires verifying it again.
+ *       properties:
+ *         firstname: { type: string }
+ *         fullname: { type: string }
+ *         lastname: { type: string }
+ *         email: { type: string }
+ *         address: { type: string }
+ *         sex: { type: string }
+ *         birthday: { type: string, example: "2002-02-14" }
+ *     Session:
+ *       type: object
+ *       properties:
+ *         id: { type: string, example: "5f0c2a7e-6d1b-4a43-9a57-0b8e2f3c1d2e" }
+ *         userAgent: { type: string, nullable: true, example: "Mozilla/5.0 (Macintosh; Intel Mac OS X 14_0) ..." }
+ *         ip: { type: string, nullable: true, example: "203.0.113.7" }
+ *         createdAt: { type: string, example: "2026-01-05T10:00:00.000Z" }
+ *         lastSeenAt: { type: string, example: "2026-01-05T12:30:00.000Z" }
+ *         expiresAt: { type: string, example: "2026-02-04T10:00:00.000Z" }
+ *         current: { type: boolean, description: "The session making this request", example: true }
+ *     ChangePasswordRequest:
+ *       type: object
+ *       required: [currentPassword, newPassword]
+ *       properties:
+ *         currentPassword: { type: string }
+ *         newPassword: { type: string }
+ */
+
+/**
+ * @openapi
+ * /api/auth/me:
+ *   get:
+ *     tags: [Me]
+ *     summary: Get the signed-in user's profile
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MeProfile'
+ *       401:
+ *         description: Missing or invalid token
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Account is not active or email not verified
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get("/", requireVerified("profile:read"), async (req, res, next) => {
+  try {
+    const profile = await loadProfile(req.user.id);
+    if (!profile) return sendError(res, 404, "User not found");
+    const { impersonator } = req.user;
+    res.json(impersonator ? { ...profile, impersonator } : profile);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /api/auth/me:
+ *   patch:
+ *     tags: [Me]
+ *     summary: Update own profile (safe fields only)
+ *     description: |
+ *       Unknown fields and `username`, `role`, `status`, `password` are ignored.
+ *       Use `POST /api/auth/me/password` to change the password.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdateMeRequest'
+ *     responses:
+ *       200:
+ *         description: Updated profile
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MeProfile'
+ *       400:
+ *         description: Nothing to update or invalid email
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Missing or invalid token
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Account is not active, email not verified, or changing the email while impersonated (`IMPERSONATION_FORBIDDEN`)
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Email already used by another account (`code` = `EMAIL_TAKEN`)
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.patch("/", requireVerified("profile:update"), forbidEmailChange, async (req, res, next) => {
+  const body = req.body || {};
+  // แก้ได้เฉพาะ PROFILE_FIELDS กับอีเมล; ลบอีเมลของตัวเองไม่ได้ (ใช้ยืนยันตัวตน/รีเซ็ตรหัสผ่าน)
+  const changes = Object.fromEntries(
+    [...PROFILE_FIELDS, "email"].filter((name) => body[name] !== undefined).map((name) => [name, body[name]])
+  );
+  if (changes.email !== undefined && !normalizeEmail(changes.email)) {
+    return sendError(res, 400, "Email is invalid");
+  }
+
+  try {
+    await updateUser(req.user.id, changes, { actor: req.user, isAdmin: false, req });
+    res.json(await loadProfile(req.user.id));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /api/auth/me/password:
+ *   post:
+ *     tags: [Me]
+ *     summary: Change own password
+ *     description: |
+ *       Requires the current password. All other sessions of the account are signed out;
+ *       the session making this request stays valid.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ChangePasswordRequest'
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message: { type: string, example: "Password changed" }
+ *       400:
+ *         description: Missing fields, or the new password fails the policy (`code` = `PASSWORD_POLICY`, see `violations`)
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Current password is wrong (`code` = `INVALID_CREDENTIALS`)
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: An admin is impersonating this user (`code` = `IMPERSONATION_FORBIDDEN`)
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post("/password", forbidWhileImpersonating(), async (req, res, next) => {
+  try {
+    await changePassword(req.user.id, {
+      currentPassword: String(req.body?.currentPassword ?? ""),
+      newPassword: String(req.body?.newPassword ?? ""),
+      keepSessionId: req.user.sid,
+      req,
+    });
+    res.json({ message: "Password changed" });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /api/auth/me/sessions:
+ *   get:
+ *     tags: [Me]
+ *     summary: List devices where this account is signed in
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions, most recently used first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Session'
+ *       401:
+ *         description: Missing or invalid token
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *   delete:
+ *     tags: [Me]
+ *     summary: Log out everywhere
+ *     description: |
+ *       Revokes every session of the account, including this one.
+ *       Pass `?keepCurrent=true` to sign out all other devices only.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: keepCurrent
+ *         schema: { type: boolean, default: false }
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message: { type: string, example: "Signed out of 3 sessions" }
+ *                 revoked: { type: integer, example: 3 }
+ *       401:
+ *         description: Missing or invalid token
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get("/sessions", async (req, res, next) => {
+  try {
+    const sessions = await listActiveSessions(req.user.id);
+    res.json(sessions.map((session) => ({ ...session, current: session.id === req.user.sid })));
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.delete("/sessions", forbidWhileImpersonating(), async (req, res, next) => {
+  const keepCurrent = String(req.query.keepCurrent) === "true";
+
+  try {
+    const revoked = await revokeUserSessions(
+      req.user.id,
+      "logout_all",
+      keepCurrent ? { exceptSessionId: req.user.sid } : {}
+    );
+    res.json({ message: `Signed out of ${revoked} sessions`, revoked });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /api/auth/me/sessions/{sessionId}:
+ *   delete:
+ *     tags: [Me]
+ *     summary: Sign out one device
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message: { type: string, example: "Session revoked" }
+ *       401:
+ *         description: Missing or invalid token
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: No active session with this id on this account
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.delete("/sessions/:sessionId", forbidWhileImpersonating(), async (req, res, next) => {
+  try {
+    const revoked = await revokeUserSession(req.user.id, req.params.sessionId, "logout");
+    if (!revoked) return sendError(res, 404, "Session not found");
+    res.json({ message: "Session revoked" });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     LinkedIdentity:
+ *       type: object
+ *       properties:
+ *         provider: { type: string, example: "google" }
+ *         email: { type: string, nullable: true, example: "john@example.com" }
+ *         linkedAt: { type: string, example: "2026-01-05T10:00:00.000Z" }
+ *         lastLoginAt: { type: string, nullable: true }
+ *
+ * /api/auth/me/identities:
+ *   get:
+ *     tags: [Me]
+ *     summary: External sign-in providers linked to my account
+ *     description: Link a new one with `POST /api/auth/oidc/{provider}/link`.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/LinkedIdentity'
+ *       401:
+ *         description: Missing or invalid token
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get("/identities", async (req, res, next) => {
+  try {
+    res.json(await listIdentities(req.user.id));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /api/auth/me/identities/{provider}:
+ *   delete:
+ *     tags: [Me]
+ *     summary: Unlink an external sign-in provider
+ *     description: |
+ *       Accounts created through a provider have a random password; set one with
+ *       `/api/auth/forgot-password` before unlinking the last provider.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message: { type: string, example: "Provider unlinked" }
+ *       401:
+ *         description: Missing or invalid token
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Provider is not linked
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.delete("/identities/:provider", forbidWhileImpersonating(), async (req, res, next) => {
+  try {
+    const removed = await unlinkIdentity(req.user.id, String(req.params.provider).toLowerCase());
+    if (!removed) return sendError(res, 404, "Provider is not linked");
+    res.json({ message: "Provider unlinked" });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
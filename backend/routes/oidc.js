@@ -0,0 +1,332 @@
+const express = require("express");
+const router = express.Router();
+const verifyToken = require("../middleware/auth");
+const { forbidWhileImpersonating } = require("../middleware/permission");
+const { accessError } = require("../config/verification");
+const { API_PUBLIC_URL, getOidcProvider, listOidcProviders } = require("../config/oidc");
+const { hasSigningKey, signPurposeToken, verifyPurposeToken, safeEqual } = require("../services/tokens");
+const { OidcError, createAuthorizationRequest, completeAuthorization } = require("../services/oidc");
+const {
+  resolveLoginUser,
+  linkIdentity,
+  createLoginCode,
+  consumeLoginCode,
+} = require("../services/identities");
+const { completeFirstFactor } = require("../services/loginFlow");
+const { COOKIE_SECURE } = require("../services/authCookies");
+const { FRONTEND_URL } = require("../services/mailer");
+const { sendError } = require("../middleware/errorHandler");
+const { validate } = require("../middleware/validate");
+
+// route ที่ไม่ต้อง login ตรวจตามเอกสารตรงนี้ ส่วน /:provider/link ตรวจหลัง verifyToken
+router.use(validate);
+
+// state/nonce/PKCE verifier เก็บใน cookie ที่เซ็นไว้ (ผูก callback กับ browser ที่เริ่ม login)
+// SameSite=Lax ยังถูกส่งตอน provider redirect กลับมา (top-level GET)
+const STATE_COOKIE = "oidc_state";
+const STATE_PURPOSE = "oidc_state";
+const STATE_TTL_SECONDS = 10 * 60;
+const LINK_PURPOSE = "oidc_link";
+const LINK_TTL_SECONDS = 5 * 60;
+
+const stateCookieOptions = {
+  httpOnly: true,
+  sameSite: "lax",
+  secure: COOKIE_SECURE,
+  path: "/api/auth/oidc",
+};
+
+// ผลลัพธ์ส่งกลับ frontend ทาง fragment (#) ไม่ติดไปใน log ของ server/Referer
+const redirectToFrontend = (res, params) =>
+  res.redirect(`${FRONTEND_URL}/oidc/callback#${new URLSearchParams(params).toString()}`);
+
+function requireProvider(req, res) {
+  const provider = getOidcProvider(req.params.provider);
+  if (!provider) sendError(res, 404, "Unknown identity provider", "OIDC_PROVIDER_NOT_FOUND");
+  return provider;
+}
+
+/**
+ * @openapi
+ * tags:
+ *   - name: OIDC
+ *     description: Sign in with an external OpenID Connect provider
+ *
+ * components:
+ *   schemas:
+ *     OidcProvider:
+ *       type: object
+ *       properties:
+ *         id: { type: string, example: "google" }
+ *         name: { type: string, example: "Google" }
+ */
+
+/**
+ * @openapi
+ * /api/auth/oidc/providers:
+ *   get:
+ *     tags: [OIDC]
+ *     summary: List configured identity providers
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/OidcProvider'
+ */
+router.get("/providers", (req, res) => res.json(listOidcProviders()));
+
+/**
+ * @openapi
+ * /api/auth/oidc/{provider}/start:
+ *   get:
+ *     tags: [OIDC]
+ *     summary: Redirect the browser to the provider's sign-in page
+ *     description: |
+ *       Open this URL in the browser (not via fetch). Uses the authorization code flow with
+ *       PKCE; state, nonce and the code verifier are kept in a short-lived HttpOnly cookie.
+ *       Pass `link` (from `POST /api/auth/oidc/{provider}/link`) to attach the provider to
+ *       the signed-in account instead of signing in.
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema: { type: string, example: "google" }
+ *       - in: query
+ *         name: link
+ *         required: false
+ *         schema: { type: string }
+ *     responses:
+ *       302:
+ *         description: Redirect to the provider
+ *       400:
+ *         description: Invalid or expired link token
+ *       404:
+ *         description: Unknown provider
+ *       502:
+ *         description: Provider discovery failed
+ */
+router.get("/:provider/start", async (req, res, next) => {
+  const provider = requireProvider(req, res);
+  if (!provider) return;
+
+  let linkUserId = null;
+  if (req.query.link) {
+    try {
+      const link = verifyPurposeToken(LINK_PURPOSE, String(req.query.link));
+      if (link.provider !== provider.id) throw new Error("provider mismatch");
+      linkUserId = Number(link.sub);
+    } catch {
+      return sendError(res, 400, "Link request is invalid or has expired", "OIDC_LINK_INVALID");
+    }
+  }
+
+  try {
+    const request = await createAuthorizationRequest(provider);
+    const state = signPurposeToken(
+      STATE_PURPOSE,
+      {
+        provider: provider.id,
+        state: request.state,
+        nonce: request.nonce,
+        codeVerifier: request.codeVerifier,
+        linkUserId,
+      },
+      STATE_TTL_SECONDS
+    );
+    res.cookie(STATE_COOKIE, state, { ...stateCookieOptions, maxAge: STATE_TTL_SECONDS * 1000 });
+    return res.redirect(request.url);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /api/auth/oidc/{provider}/callback:
+ *   get:
+ *     tags: [OIDC]
+ *     summary: Redirect URI registered with the provider
+ *     description: |
+ *       Validates `state` against the cookie, exchanges `code` (with the PKCE verifier),
+ *       verifies the ID token (signature, issuer, audience, expiry, nonce) and then:
+ *       signs in the linked user, links an existing account whose verified email matches,
+ *       or creates a new account. Redirects to `{FRONTEND_URL}/oidc/callback` with a
+ *       fragment of `code` (exchange it via `POST /api/auth/oidc/exchange`), `linked`
+ *       (provider was attached to the account) or `error` + `message`.
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: code
+ *         schema: { type: string }
+ *       - in: query
+ *         name: state
+ *         schema: { type: string }
+ *     responses:
+ *       302:
+ *         description: Redirect to the frontend
+ */
+router.get("/:provider/callback", async (req, res) => {
+  const provider = requireProvider(req, res);
+  if (!provider) return;
+
+  const rawState = req.cookies?.[STATE_COOKIE];
+  res.clearCookie(STATE_COOKIE, stateCookieOptions);
+
+  if (req.query.error) {
+    return redirectToFrontend(res, {
+      error: "OIDC_DENIED",
+      message: String(req.query.error_description || req.query.error),
+    });
+  }
+
+  let saved;
+  try {
+    saved = verifyPurposeToken(STATE_PURPOSE, String(rawState || ""));
+    if (saved.provider !== provider.id || !safeEqual(saved.state, String(req.query.state || ""))) {
+      throw new Error("state mismatch");
+    }
+  } catch {
+    return redirectToFrontend(res, {
+      error: "OIDC_STATE_INVALID",
+      message: "Sign-in request expired or did not start in this browser. Try again.",
+    });
+  }
+
+  try {
+    const claims = await completeAuthorization(provider, {
+      code: String(req.query.code || ""),
+      codeVerifier: saved.codeVerifier,
+      nonce: saved.nonce,
+    });
+
+    if (saved.linkUserId) {
+      await linkIdentity(saved.linkUserId, provider, claims);
+      return redirectToFrontend(res, { linked: provider.id });
+    }
+
+    const { identityId } = await resolveLoginUser(provider, claims);
+    const code = await createLoginCode(identityId);
+    return redirectToFrontend(res, { code });
+  } catch (err) {
+    if (err instanceof OidcError) {
+      return redirectToFrontend(res, { error: err.code, message: err.message });
+    }
+    console.error(`GET /api/auth/oidc/${provider.id}/callback error:`, err);
+    return redirectToFrontend(res, { error: "OIDC_ERROR", message: "Sign-in failed" });
+  }
+});
+
+/**
+ * @openapi
+ * /api/auth/oidc/exchange:
+ *   post:
+ *     tags: [OIDC]
+ *     summary: Exchange the one-time code from the OIDC callback for tokens
+ *     description: |
+ *       The code is single-use and expires after `OIDC_LOGIN_CODE_TTL_SECONDS` (default 60).
+ *       Responds like `/api/auth/login`, including the two-factor challenge when the
+ *       account has 2FA enabled.
+ *     parameters:
+ *       - $ref: '#/components/parameters/AuthTransportHeader'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code: { type: string }
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LoginResponse'
+ *       400:
+ *         description: Missing code
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Code is invalid, used or expired (`code` = `OIDC_CODE_INVALID`)
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Account is not active
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post("/exchange", async (req, res, next) => {
+  const code = String(req.body?.code ?? "").trim();
+  if (!code) return sendError(res, 400, "code is required");
+
+  try {
+    const user = await consumeLoginCode(code);
+    if (!user) return sendError(res, 401, "Sign-in code is invalid or has expired", "OIDC_CODE_INVALID");
+
+    const blocked = accessError(user.status);
+    if (blocked) return sendError(res, 403, blocked.message, blocked.code);
+
+    if (!hasSigningKey()) return sendError(res, 500, "Server missing JWT signing key");
+
+    await completeFirstFactor(req, res, user);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /api/auth/oidc/{provider}/link:
+ *   post:
+ *     tags: [OIDC]
+ *     summary: Start linking a provider to the signed-in account
+ *     description: |
+ *       Returns a URL (valid for 5 minutes) to open in the browser. After signing in at
+ *       the provider the browser lands on `{FRONTEND_URL}/oidc/callback#linked={provider}`.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 authorizationUrl: { type: string }
+ *       401:
+ *         description: Missing or invalid token
+ *       404:
+ *         description: Unknown provider
+ */
+router.post("/:provider/link", verifyToken, forbidWhileImpersonating(), validate, (req, res) => {
+  const provider = requireProvider(req, res);
+  if (!provider) return;
+
+  const link = signPurposeToken(LINK_PURPOSE, { sub: String(req.user.id), provider: provider.id }, LINK_TTL_SECONDS);
+  res.json({
+    authorizationUrl: `${API_PUBLIC_URL}/api/auth/oidc/${provider.id}/start?link=${encodeURIComponent(link)}`,
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,358 @@
+const express = require("express");
+const router = express.Router();
+const db = require("../config/db");
+const bcrypt = require("bcryptjs");
+const verifyToken = require("../middleware/auth");
+const { forbidWhileImpersonating } = require("../middleware/permission");
+const {
+  RECOVERY_CODE_COUNT,
+  getTwoFactorStatus,
+  beginEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+} = require("../services/twoFactor");
+const {
+  reserveLoginAttempt,
+  recordLoginSuccess,
+  tooManyAttemptsError,
+} = require("../services/loginThrottle");
+const { sendError } = require("../middleware/errorHandler");
+const { validate } = require("../middleware/validate");
+
+// ทุก route ใน /api/auth/2fa จัดการ 2FA ของบัญชีตัวเอง (admin ที่สวมรอยดูสถานะได้อย่างเดียว)
+router.use(verifyToken, forbidWhileImpersonating((req) => req.method !== "GET"), validate);
+
+// ปิด 2FA / ออก recovery code ใหม่ ต้องยืนยันทั้งรหัสผ่านและ code ปัจจุบัน
+// นับครั้งที่ผิดร่วมกับ login (key เดียวกัน) -> token ที่หลุดไปเดารหัสผ่าน/code ได้ไม่เกินที่ login ยอม
+async function confirmIdentity(req, res) {
+  const password = String(req.body?.password ?? "");
+  const code = String(req.body?.code ?? "").trim();
+  if (!password || !code) {
+    sendError(res, 400, "password and code are required");
+    return false;
+  }
+
+  const [rows] = await db.query("SELECT username, password FROM tbl_users WHERE id = ? LIMIT 1", [
+    req.user.id,
+  ]);
+  if (rows.length === 0) {
+    sendError(res, 401, "Password is incorrect", "INVALID_CREDENTIALS");
+    return false;
+  }
+
+  const attempt = { username: rows[0].username, ip: req.ip };
+  const gate = await reserveLoginAttempt(attempt);
+  if (!gate.allowed) throw tooManyAttemptsError(gate);
+
+  const hash = String(rows[0].password ?? "");
+  if (!hash.startsWith("$2") || !(await bcrypt.compare(password, hash))) {
+    sendError(res, 401, "Password is incorrect", "INVALID_CREDENTIALS");
+    return false;
+  }
+  if (!(await verifySecondFactor(req.user.id, code))) {
+    sendError(res, 401, "Invalid authentication code", "INVALID_TWO_FACTOR_CODE");
+    return false;
+  }
+  await recordLoginSuccess(attempt);
+  return true;
+}
+
+/**
+ * @openapi
+ * tags:
+ *   - name: Two-Factor
+ *     description: TOTP two-factor authentication for the signed-in account
+ *
+ * components:
+ *   schemas:
+ *     TwoFactorStatus:
+ *       type: object
+ *       properties:
+ *         enabled: { type: boolean, example: true }
+ *         enabledAt: { type: string, nullable: true, example: "2026-01-05T10:00:00.000Z" }
+ *         recoveryCodesRemaining: { type: integer, example: 10 }
+ *     TwoFactorEnrollment:
+ *       type: object
+ *       properties:
+ *         secret: { type: string, description: "Base32 secret for manual entry", example: "JBSWY3DPEHPK3PXP..." }
+ *         otpauthUrl: { type: string, example: "otpauth://totp/Endfield:john?secret=...&issuer=Endfield" }
+ *         qrCode: { type: string, description: "PNG data URL of otpauthUrl", example: "data:image/png;base64,..." }
+ *     TwoFactorCodeRequest:
+ *       type: object
+ *       required: [code]
+ *       properties:
+ *         code: { type: string, example: "123456" }
+ *     TwoFactorReauthRequest:
+ *       type: object
+ *       required: [password, code]
+ *       properties:
+ *         password: { type: string }
+ *         code: { type: string, description: "Current TOTP code or an unused recovery code", example: "123456" }
+ *     RecoveryCodesResponse:
+ *       type: object
+ *       properties:
+ *         recoveryCodes:
+ *           type: array
+ *           description: Shown only once. Each code works a single time.
+ *           items: { type: string, example: "k3j9d-x8m2q" }
+ */
+
+/**
+ * @openapi
+ * /api/auth/2fa:
+ *   get:
+ *     tags: [Two-Factor]
+ *     summary: Two-factor status of the current account
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TwoFactorStatus'
+ *       401:
+ *         description: Missing or invalid token
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get("/", async (req, res, next) => {
+  try {
+    const status = await getTwoFactorStatus(req.user.id);
+    if (!status) return sendError(res, 404, "User not found");
+    res.json(status);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /api/auth/2fa/enroll:
+ *   post:
+ *     tags: [Two-Factor]
+ *     summary: Start enrollment - returns a new secret as otpauth URI and QR code
+ *     description: |
+ *       2FA is not active until the secret is confirmed with
+ *       `POST /api/auth/2fa/enroll/confirm`. Calling this again replaces the pending secret.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TwoFactorEnrollment'
+ *       401:
+ *         description: Missing or invalid token
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Already enabled (`code` = `TWO_FACTOR_ALREADY_ENABLED`)
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       503:
+ *         description: The server has no `TOTP_ENCRYPTION_KEY` (`code` = `TOTP_KEY_MISSING`)
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post("/enroll", async (req, res, next) => {
+  try {
+    res.json(await beginEnrollment(req.user.id));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /api/auth/2fa/enroll/confirm:
+ *   post:
+ *     tags: [Two-Factor]
+ *     summary: Confirm enrollment with a code from the authenticator app
+ *     description: Enables 2FA and returns the recovery codes (shown only once).
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TwoFactorCodeRequest'
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RecoveryCodesResponse'
+ *       400:
+ *         description: Missing code
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Invalid token or wrong code (`code` = `INVALID_TWO_FACTOR_CODE`)
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Already enabled or enrollment not started
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post("/enroll/confirm", async (req, res, next) => {
+  const code = String(req.body?.code ?? "").trim();
+  if (!code) return sendError(res, 400, "code is required");
+
+  try {
+    const recoveryCodes = await confirmEnrollment(req.user.id, code);
+    res.json({ message: "Two-factor authentication enabled", recoveryCodes });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     tags: [Two-Factor]
+ *     summary: Replace all recovery codes
+ *     description: Old codes stop working. Requires the password and a current code.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TwoFactorReauthRequest'
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RecoveryCodesResponse'
+ *       400:
+ *         description: Missing password or code
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Wrong password or code
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: Too many wrong attempts (shared with login); retry after `Retry-After` seconds
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: 2FA is not enabled (`code` = `TWO_FACTOR_NOT_ENABLED`)
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post("/recovery-codes", async (req, res, next) => {
+  try {
+    const status = await getTwoFactorStatus(req.user.id);
+    if (!status?.enabled) {
+      return sendError(res, 409, "Two-factor authentication is not enabled", "TWO_FACTOR_NOT_ENABLED");
+    }
+    if (!(await confirmIdentity(req, res))) return;
+
+    const recoveryCodes = await regenerateRecoveryCodes(req.user.id);
+    res.json({ message: `Generated ${RECOVERY_CODE_COUNT} new recovery codes`, recoveryCodes });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /api/auth/2fa/disable:
+ *   post:
+ *     tags: [Two-Factor]
+ *     summary: Turn off two-factor authentication
+ *     description: Requires the password and a current code (or a recovery code).
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TwoFactorReauthRequest'
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message: { type: string }
+ *       400:
+ *         description: Missing password or code
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Wrong password or code
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: Too many wrong attempts (shared with login); retry after `Retry-After` seconds
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: 2FA is not enabled (`code` = `TWO_FACTOR_NOT_ENABLED`)
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post("/disable", async (req, res, next) => {
+  try {
+    const status = await getTwoFactorStatus(req.user.id);
+    if (!status?.enabled) {
+      return sendError(res, 409, "Two-factor authentication is not enabled", "TWO_FACTOR_NOT_ENABLED");
+    }
+    if (!(await confirmIdentity(req, res))) return;
+
+    await disableTwoFactor(req.user.id);
+    res.json({ message: "Two-factor authentication disabled" });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
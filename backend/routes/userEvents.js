@@ -0,0 +1,108 @@
+const express = require("express");
+const router = express.Router();
+const verifyToken = require("../middleware/auth");
+const { requireRole } = require("../middleware/permission");
+const { ROLES } = require("../config/roles");
+const { validate } = require("../middleware/validate");
+const { subscribeUserEvents, eventsSince } = require("../services/userEvents");
+
+// ส่ง comment กันไม่ให้ proxy ตัด connection ที่เงียบนาน
+const HEARTBEAT_SECONDS = Number(process.env.USER_EVENTS_HEARTBEAT_SECONDS || 25);
+// client ต่อใหม่หลังหลุดภายในเวลานี้ (ms)
+const RETRY_MS = 3000;
+
+const formatEvent = (event) => `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`;
+
+router.use(verifyToken, requireRole(ROLES.ADMIN), validate);
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     UserEvent:
+ *       type: object
+ *       description: |
+ *         One Server-Sent Event. `event` is `user.created`, `user.updated`, `user.restored` (data =
+ *         the user as in `GET /api/users`), `user.deleted` (moved to the trash; data = `{ id }`) or
+ *         `reset` (the missed events are no longer available; reload the list).
+ *       properties:
+ *         id: { type: string, example: "9f2c01ab-42" }
+ *         event: { type: string, enum: [user.created, user.updated, user.restored, user.deleted, reset] }
+ *         data: { type: object }
+ *
+ * /api/users/events:
+ *   get:
+ *     tags: [Users]
+ *     summary: Live stream of user changes (Server-Sent Events)
+ *     description: |
+ *       Requires role: `admin`. Authenticate like any other request (`Authorization` header,
+ *       auth cookie or API key). To resume after a disconnect send the last received `id` as
+ *       `Last-Event-ID` (or `lastEventId`); missed events are replayed, or a `reset` event is
+ *       sent when they are too old. `GET /api/users` returns the id to start from as
+ *       `lastEventId`. The stream ends when the access token expires; reconnect
+ *       with a fresh token. A WebSocket with the same messages is available at
+ *       `/api/users/events/ws` when `USER_EVENTS_WEBSOCKET=true` (see services/userEventsSocket.js).
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Last-Event-ID
+ *         schema: { type: string }
+ *       - in: query
+ *         name: lastEventId
+ *         schema: { type: string }
+ *         description: Same as the `Last-Event-ID` header
+ *     responses:
+ *       200:
+ *         description: "`text/event-stream`, kept open"
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               $ref: '#/components/schemas/UserEvent'
+ *       401:
+ *         description: Missing or invalid token
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get("/", (req, res) => {
+  res.status(200).set({
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    // nginx: ห้าม buffer ไม่งั้น event ค้างจนครบ buffer
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  const lastEventId = req.get("last-event-id") || req.query.lastEventId;
+  if (lastEventId) {
+    const missed = eventsSince(lastEventId);
+    if (missed === null) res.write("event: reset\ndata: {}\n\n");
+    else missed.forEach((event) => res.write(formatEvent(event)));
+  }
+
+  const unsubscribe = subscribeUserEvents((event) => res.write(formatEvent(event)));
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_SECONDS * 1000);
+
+  // สิทธิ์ตรวจตอนเปิด stream เท่านั้น -> ปิดเมื่อ token หมดอายุ ให้ client ต่อใหม่ด้วย token ใหม่
+  const expiresInMs = req.user.exp ? req.user.exp * 1000 - Date.now() : null;
+  const expiry = expiresInMs !== null ? setTimeout(() => res.end(), Math.max(0, expiresInMs)) : null;
+
+  req.on("close", () => {
+    unsubscribe();
+    clearInterval(heartbeat);
+    if (expiry) clearTimeout(expiry);
+  });
+});
+
+module.exports = router;
@@ -1,16 +1,56 @@
 const express = require("express");
 const router = express.Router();
 const db = require("../config/db");
-const bcrypt = require("bcryptjs");
+const verifyToken = require("../middleware/auth");
+const {
+  requireRole,
+  requireSelfOrRole,
+  requireVerified,
+  forbidWhileImpersonating,
+  isAdmin,
+} = require("../middleware/permission");
+const { ROLES } = require("../config/roles");
+const { STATUS_VALUES, isValidStatus } = require("../config/statuses");
+const { changeUserStatus, getStatusHistory } = require("../services/accountStatus");
+const {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  parseUserListQuery,
+  listUsers,
+} = require("../services/userSearch");
+const {
+  USER_TRASH_RETENTION_DAYS,
+  restoreUser,
+  purgeUser,
+  listTrashedUsers,
+} = require("../services/userTrash");
+const { latestEventId } = require("../services/userEvents");
+const { AUDIT_ACTIONS, recordAuditSafely } = require("../services/audit");
+const { disableTwoFactor } = require("../services/twoFactor");
+const {
+  createUser,
+  getUser,
+  updateUser: updateUserRecord,
+  deleteUser,
+} = require("../services/userService");
+const {
+  listActiveSessions,
+  revokeUserSession,
+  revokeUserSessions,
+} = require("../services/sessions");
+const { sendError } = require("../middleware/errorHandler");
+const { validate } = require("../middleware/validate");
 
-const sendError = (res, status, message) =>
-  res.status(status).json({ error: message, message });
+// ทุก route ใน /api/users ต้องมี JWT
+router.use(verifyToken, validate);
 
 /**
  * @openapi
  * tags:
  *   - name: Users
- *     description: Manage tbl_users
+ *     description: |
+ *       Manage tbl_users. All operations require a bearer token.
+ *       Roles: `admin` (full access), `staff` (read any user), `user` (own record only).
  *
  * components:
  *   schemas:
@@ -18,45 +58,163 @@ const sendError = (res, status, message) =>
  *       type: object
  *       properties:
  *         id: { type: integer, example: 1 }
- *         firstname: { type: string, example: "John" }
- *         fullname: { type: string, example: "John A." }
- *         lastname: { type: string, example: "Doe" }
+ *         firstname: { type: string, nullable: true, example: "John" }
+ *         fullname: { type: string, nullable: true, example: "John A." }
+ *         lastname: { type: string, nullable: true, example: "Doe" }
  *         username: { type: string, example: "john" }
- *         address: { type: string, example: "123 Main St" }
- *         sex: { type: string, example: "male" }
- *         birthday: { type: string, example: "2002-02-14" }
- *         status: { type: string, example: "active" }
+ *         email: { type: string, nullable: true, example: "john@example.com" }
+ *         email_verified_at: { type: string, nullable: true, example: "2026-01-05T10:05:00.000Z" }
+ *         address: { type: string, nullable: true, example: "123 Main St" }
+ *         sex: { type: string, nullable: true, example: "male" }
+ *         birthday: { type: string, nullable: true, example: "2002-02-14" }
+ *         status:
+ *           type: string
+ *           enum: [active, suspended, pending, locked, deleted]
+ *           example: "active"
+ *         status_reason: { type: string, nullable: true, example: "Spam reports" }
+ *         role: { type: string, enum: [admin, staff, user], example: "user" }
  *         created_at: { type: string, example: "2026-01-05T10:00:00.000Z" }
+ *     UserPage:
+ *       type: object
+ *       properties:
+ *         items:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/User'
+ *         total: { type: integer, description: "Users matching the filters (all pages)", example: 137 }
+ *         page: { type: integer, nullable: true, description: "null when paging with `cursor`", example: 1 }
+ *         pageSize: { type: integer, example: 20 }
+ *         sort: { type: string, example: "id" }
+ *         order: { type: string, enum: [asc, desc], example: "desc" }
+ *         nextCursor:
+ *           type: string
+ *           nullable: true
+ *           description: Pass as `cursor` to get the next page; null on the last page
+ *         lastEventId:
+ *           type: string
+ *           description: Pass to `GET /api/users/events` to receive every change made after this list was read
+ *     BirthDate:
+ *       type: string
+ *       description: "`YYYY-MM-DD`; an empty string clears it"
+ *       anyOf:
+ *         - format: date
+ *         - maxLength: 0
+ *       example: "2002-02-14"
  *     CreateUserRequest:
  *       type: object
  *       required: [username, password]
  *       properties:
- *         firstname: { type: string }
- *         fullname: { type: string }
- *         lastname: { type: string }
- *         username: { type: string, example: "john" }
- *         password: { type: string, example: "1234" }
- *         address: { type: string }
- *         sex: { type: string }
- *         birthday: { type: string, example: "2002-02-14" }
+ *         firstname: { type: string, maxLength: 100 }
+ *         fullname: { type: string, maxLength: 255 }
+ *         lastname: { type: string, maxLength: 100 }
+ *         username: { type: string, maxLength: 100, example: "john" }
+ *         password:
+ *           type: string
+ *           example: "Tr0ub4dor-horse"
+ *           description: Must satisfy the password policy (see `GET /api/auth/password-policy`)
+ *         email:
+ *           type: string
+ *           maxLength: 255
+ *           example: "john@example.com"
+ *           description: Required by /api/auth/register, optional for admins. Stored lower-cased and unique.
+ *         address: { type: string, maxLength: 1000 }
+ *         sex: { type: string, maxLength: 20 }
+ *         birthday:
+ *           $ref: '#/components/schemas/BirthDate'
+ *         role:
+ *           type: string
+ *           enum: [admin, staff, user]
+ *           description: Defaults to `user`. Ignored by /api/auth/register.
  *     UpdateUserRequest:
  *       type: object
  *       properties:
  *         id: { type: integer, example: 1 }
- *         firstname: { type: string }
- *         fullname: { type: string }
- *         lastname: { type: string }
- *         username: { type: string }
- *         password: { type: string }
- *         address: { type: string }
- *         sex: { type: string }
- *         birthday: { type: string, example: "2002-02-14" }
- *         status: { type: string }
+ *         firstname: { type: string, maxLength: 100 }
+ *         fullname: { type: string, maxLength: 255 }
+ *         lastname: { type: string, maxLength: 100 }
+ *         username: { type: string, maxLength: 100 }
+ *         password:
+ *           type: string
+ *           description: Must satisfy the password policy and differ from recent passwords
+ *         email:
+ *           type: string
+ *           maxLength: 255
+ *           description: Changing it marks the address unverified and sends a new verification link.
+ *         address: { type: string, maxLength: 1000 }
+ *         sex: { type: string, maxLength: 20 }
+ *         birthday:
+ *           $ref: '#/components/schemas/BirthDate'
+ *         status:
+ *           type: string
+ *           enum: [active, suspended, pending, locked, deleted]
+ *           description: Admin only
+ *         statusReason: { type: string, maxLength: 255, description: "Admin only, recorded with a status change" }
+ *         role:
+ *           type: string
+ *           enum: [admin, staff, user]
+ *           description: Admin only
+ *     UpdateUserStatusRequest:
+ *       type: object
+ *       required: [status]
+ *       properties:
+ *         status:
+ *           type: string
+ *           enum: [active, suspended, pending, locked, deleted]
+ *           example: "suspended"
+ *         reason: { type: string, maxLength: 255, example: "Spam reports" }
+ *     UserStatusHistoryEntry:
+ *       type: object
+ *       properties:
+ *         id: { type: integer, example: 1 }
+ *         old_status: { type: string, example: "active" }
+ *         new_status: { type: string, example: "suspended" }
+ *         reason: { type: string, nullable: true, example: "Spam reports" }
+ *         changed_by: { type: integer, nullable: true, example: 1 }
+ *         created_at: { type: string, example: "2026-01-05T10:00:00.000Z" }
  *     ErrorResponse:
  *       type: object
- *       required: [error]
+ *       description: |
+ *         RFC 7807 problem details, sent as `application/problem+json`.
+ *         `error` and `message` repeat `detail` for older clients.
+ *       required: [type, title, status, detail, code, error]
+ *       properties:
+ *         type: { type: string, example: "urn:problem:username-taken", description: "Identifies the kind of problem (derived from `code`)" }
+ *         title: { type: string, example: "Conflict", description: "HTTP status text" }
+ *         status: { type: integer, example: 409 }
+ *         detail: { type: string, example: "Username already exists" }
+ *         instance: { type: string, example: "/api/users" }
+ *         code:
+ *           type: string
+ *           description: Stable machine-readable error code; the status name (e.g. `NOT_FOUND`) when nothing more specific applies
+ *           example: "USERNAME_TAKEN"
+ *         requestId:
+ *           type: string
+ *           description: Same as the `X-Request-Id` response header; quote it when reporting a problem
+ *         error: { type: string, example: "Username already exists" }
+ *         message: { type: string, example: "Username already exists" }
+ *         errors:
+ *           type: array
+ *           description: Every invalid field when `code` = `VALIDATION_FAILED`
+ *           items:
+ *             $ref: '#/components/schemas/FieldError'
+ *         violations:
+ *           type: array
+ *           description: Every failed rule when `code` = `PASSWORD_POLICY`
+ *           items:
+ *             $ref: '#/components/schemas/PasswordPolicyViolation'
+ *     FieldError:
+ *       type: object
  *       properties:
- *         error: { type: string, example: "Username is required" }
+ *         in: { type: string, enum: [body, path, query], example: "body" }
+ *         field: { type: string, nullable: true, example: "birthday" }
+ *         message: { type: string, example: "must match format \"date\"" }
+ *     PasswordPolicyViolation:
+ *       type: object
+ *       properties:
+ *         rule:
+ *           type: string
+ *           enum: [minLength, maxBytes, lowercase, uppercase, digit, symbol, username, common, history]
+ *         message: { type: string, example: "Password must be at least 8 characters" }
  */
 
 /**
@@ -65,6 +223,10 @@ const sendError = (res, status, message) =>
  *   post:
  *     tags: [Users]
  *     summary: Create a new user
+ *     description: "Requires role: `admin`."
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -75,80 +237,43 @@ const sendError = (res, status, message) =>
  *       201:
  *         description: Created
  *       400:
- *         description: Bad request
+ *         description: Bad request, or the password fails the policy (`code` = `PASSWORD_POLICY`, see `violations`)
  *         content:
- *           application/json:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Missing or invalid token
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/problem+json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  *       409:
- *         description: Duplicate username
+ *         description: Duplicate username or email (`code` = `USERNAME_TAKEN` or `EMAIL_TAKEN`)
  *         content:
- *           application/json:
+ *           application/problem+json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  *       500:
  *         description: Server error
  *         content:
- *           application/json:
+ *           application/problem+json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.post("/", async (req, res) => {
-  const firstname = String(req.body?.firstname ?? "").trim();
-  const fullname = String(req.body?.fullname ?? "").trim();
-  const lastname = String(req.body?.lastname ?? "").trim();
-  const username = String(req.body?.username ?? "").trim();
-  const password = String(req.body?.password ?? "");
-  const address = String(req.body?.address ?? "").trim();
-  const sex = String(req.body?.sex ?? "").trim();
-  const birthday = String(req.body?.birthday ?? "").trim();
-
+// error จาก userService (AppError) และ error ที่ไม่คาดคิดส่งต่อให้ errorHandler
+router.post("/", requireRole(ROLES.ADMIN), async (req, res, next) => {
   try {
-    if (!username) return sendError(res, 400, "Username is required");
-    if (!password) return sendError(res, 400, "Password is required");
-
-    const [dupes] = await db.query(
-      "SELECT id FROM tbl_users WHERE username = ? LIMIT 1",
-      [username]
-    );
-    if (dupes.length > 0) return sendError(res, 409, "Username already exists");
-
-    const hashedPassword = await bcrypt.hash(password, 10);
-
-    const [result] = await db.query(
-      `INSERT INTO tbl_users (firstname, fullname, lastname, username, password, address, sex, birthday)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-      [
-        firstname || null,
-        fullname || null,
-        lastname || null,
-        username,
-        hashedPassword,
-        address || null,
-        sex || null,
-        birthday || null,
-      ]
-    );
-
-    return res.status(201).json({
-      id: result.insertId,
-      firstname: firstname || "",
-      fullname: fullname || "",
-      lastname: lastname || "",
-      username,
-      address: address || "",
-      sex: sex || "",
-      birthday: birthday || "",
-    });
+    const user = await createUser(req.body, { req });
+    return res.status(201).json(user);
   } catch (err) {
-    console.error("POST /api/users error:", err);
-    const baseMessage = "Insert failed";
-    if (process.env.NODE_ENV === "production") {
-      return sendError(res, 500, baseMessage);
-    }
-    const detail = err?.sqlMessage || err?.message || "";
-    const code = err?.code ? ` (${err.code})` : "";
-    return sendError(res, 500, detail ? `${baseMessage}${code}: ${detail}` : `${baseMessage}${code}`);
+    next(err);
   }
 });
 
@@ -157,34 +282,337 @@ router.post("/", async (req, res) => {
  * /api/users:
  *   get:
  *     tags: [Users]
- *     summary: List all users
+ *     summary: List users (paginated, sortable, filterable)
+ *     description: |
+ *       Requires role: `admin`. Page with `page`/`pageSize`, or follow `nextCursor`
+ *       (faster on large tables and stable while rows are added). A cursor only works with
+ *       the same `sort`/`order` it came from; filters may be repeated alongside it.
+ *       The total is also sent in the `X-Total-Count` header.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, minimum: 1, default: 1 }
+ *         description: Ignored when `cursor` is given
+ *       - in: query
+ *         name: pageSize
+ *         schema: { type: integer, minimum: 1, maximum: 100, default: 20 }
+ *       - in: query
+ *         name: cursor
+ *         schema: { type: string }
+ *         description: "`nextCursor` from the previous page"
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [id, username, firstname, fullname, lastname, email, address, sex, birthday, status, role, created_at]
+ *           default: id
+ *       - in: query
+ *         name: order
+ *         schema: { type: string, enum: [asc, desc] }
+ *         description: Defaults to `desc` without `sort` (newest first), otherwise `asc`
+ *       - in: query
+ *         name: q
+ *         schema: { type: string, example: "john" }
+ *         description: Case-insensitive match anywhere in username, firstname, fullname or lastname
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, example: "active,locked" }
+ *         description: One status or a comma-separated list
+ *       - in: query
+ *         name: role
+ *         schema: { type: string, example: "staff" }
+ *         description: One role or a comma-separated list
+ *       - in: query
+ *         name: sex
+ *         schema: { type: string, example: "female" }
+ *       - in: query
+ *         name: birthdayFrom
+ *         schema: { type: string, format: date, example: "1990-01-01" }
+ *       - in: query
+ *         name: birthdayTo
+ *         schema: { type: string, format: date, example: "1999-12-31" }
+ *       - in: query
+ *         name: createdFrom
+ *         schema: { type: string, example: "2026-01-01" }
+ *         description: Date or ISO 8601 date-time (inclusive)
+ *       - in: query
+ *         name: createdTo
+ *         schema: { type: string, example: "2026-01-31" }
+ *         description: Date (whole day included) or ISO 8601 date-time (inclusive)
  *     responses:
  *       200:
  *         description: OK
+ *         headers:
+ *           X-Total-Count:
+ *             schema: { type: integer }
+ *             description: Same as `total`
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/User'
+ *               $ref: '#/components/schemas/UserPage'
+ *       400:
+ *         description: Invalid parameter (`code` = `INVALID_QUERY` or `INVALID_CURSOR`)
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Missing or invalid token
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       500:
  *         description: Server error
  *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+// query ไม่ถูกต้อง -> UserQueryError (400) ส่งต่อให้ errorHandler
+router.get("/", requireRole(ROLES.ADMIN), async (req, res, next) => {
+  try {
+    const options = parseUserListQuery(req.query);
+    // จุดเริ่มของ /api/users/events (อ่านก่อน query -> event ระหว่างนี้ถูกส่งซ้ำ ไม่หาย)
+    const lastEventId = latestEventId();
+    const result = await listUsers(options);
+    res.set("X-Total-Count", String(result.total));
+    res.json({ ...result, lastEventId });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     TrashedUser:
+ *       type: object
+ *       properties:
+ *         id: { type: integer, example: 7 }
+ *         firstname: { type: string, nullable: true }
+ *         fullname: { type: string, nullable: true }
+ *         lastname: { type: string, nullable: true }
+ *         username: { type: string, example: "john" }
+ *         email: { type: string, nullable: true }
+ *         status: { type: string, example: "active" }
+ *         role: { type: string, example: "user" }
+ *         created_at: { type: string, example: "2026-01-01T10:00:00.000Z" }
+ *         deleted_at: { type: string, example: "2026-01-05T10:00:00.000Z" }
+ *         deleted_by:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             id: { type: integer, example: 1 }
+ *             username: { type: string, nullable: true, example: "admin" }
+ *         purge_at:
+ *           type: string
+ *           nullable: true
+ *           description: When the user is purged automatically (`null` = never)
+ *           example: "2026-02-04T10:00:00.000Z"
+ *     TrashPage:
+ *       type: object
+ *       properties:
+ *         items:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/TrashedUser'
+ *         total: { type: integer, example: 3 }
+ *         page: { type: integer, example: 1 }
+ *         pageSize: { type: integer, example: 20 }
+ *         retentionDays: { type: integer, example: 30, description: "0 = never purged automatically" }
+ *
+ * /api/users/trash:
+ *   get:
+ *     tags: [Users]
+ *     summary: List deleted users (trash), most recently deleted first
+ *     description: "Requires role: `admin`. Deleted users can be restored until they are purged."
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, minimum: 1, default: 1 }
+ *       - in: query
+ *         name: pageSize
+ *         schema: { type: integer, minimum: 1, maximum: 100, default: 20 }
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
  *           application/json:
  *             schema:
+ *               $ref: '#/components/schemas/TrashPage'
+ *       400:
+ *         description: Invalid paging
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Missing or invalid token
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/problem+json:
+ *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get("/", async (req, res) => {
+router.get("/trash", requireRole(ROLES.ADMIN), async (req, res, next) => {
+  const page = req.query.page === undefined ? 1 : Number(req.query.page);
+  const pageSize = req.query.pageSize === undefined ? DEFAULT_PAGE_SIZE : Number(req.query.pageSize);
+  if (!Number.isInteger(page) || page < 1) return sendError(res, 400, "page must be a positive integer");
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    return sendError(res, 400, `pageSize must be between 1 and ${MAX_PAGE_SIZE}`);
+  }
+
   try {
-    const [rows] = await db.query(
-      `SELECT id, firstname, fullname, lastname, username, address, sex, birthday, status, created_at
-       FROM tbl_users
-       ORDER BY id DESC`
-    );
-    res.json(rows);
+    const result = await listTrashedUsers({ limit: pageSize, offset: (page - 1) * pageSize });
+    res.json({ ...result, page, pageSize, retentionDays: USER_TRASH_RETENTION_DAYS });
   } catch (err) {
-    console.error("GET /api/users error:", err);
-    sendError(res, 500, "Query failed");
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /api/users/trash/{id}/restore:
+ *   post:
+ *     tags: [Users]
+ *     summary: Restore a deleted user from the trash
+ *     description: |
+ *       Requires role: `admin`. The user keeps the status it had before deletion and can sign in
+ *       again (old sessions stay revoked).
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer, example: 7 }
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message: { type: string, example: "User restored" }
+ *       400:
+ *         description: Invalid id
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Missing or invalid token
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: User is not in the trash (`USER_NOT_IN_TRASH`)
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post("/trash/:id/restore", requireRole(ROLES.ADMIN), async (req, res, next) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id <= 0) return sendError(res, 400, "Invalid id");
+
+  try {
+    await restoreUser({ userId: id, actor: req.user, req });
+    res.json({ message: "User restored" });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /api/users/trash/{id}:
+ *   delete:
+ *     tags: [Users]
+ *     summary: Permanently delete (purge) a user from the trash
+ *     description: |
+ *       Requires role: `admin`. Removes the user and everything that belongs to it (sessions,
+ *       API keys, linked logins ...). Cannot be undone. Users are also purged automatically
+ *       `USER_TRASH_RETENTION_DAYS` days after deletion.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer, example: 7 }
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message: { type: string, example: "User purged" }
+ *       400:
+ *         description: Invalid id
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Missing or invalid token
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Insufficient permissions, or called while impersonating (`IMPERSONATION_FORBIDDEN`)
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: User is not in the trash (`USER_NOT_IN_TRASH`)
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.delete("/trash/:id", forbidWhileImpersonating(), requireRole(ROLES.ADMIN), async (req, res, next) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id <= 0) return sendError(res, 400, "Invalid id");
+
+  try {
+    await purgeUser({ userId: id, actor: req.user, req });
+    res.json({ message: "User purged" });
+  } catch (err) {
+    next(err);
   }
 });
 
@@ -194,6 +622,10 @@ router.get("/", async (req, res) => {
  *   put:
  *     tags: [Users]
  *     summary: Update user by id (body.id)
+ *     description: "Requires role: `admin`, or the caller's own record. Only `admin` may change `role` or `status`."
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -210,27 +642,39 @@ router.get("/", async (req, res) => {
  *               properties:
  *                 message: { type: string, example: "User updated successfully" }
  *       400:
- *         description: Invalid input
+ *         description: Invalid input, or the password fails the policy (`code` = `PASSWORD_POLICY`, see `violations`)
  *         content:
- *           application/json:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Missing or invalid token
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Insufficient permissions, or changing the password/email while impersonated (`IMPERSONATION_FORBIDDEN`)
+ *         content:
+ *           application/problem+json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  *       404:
  *         description: Not found
  *         content:
- *           application/json:
+ *           application/problem+json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  *       409:
- *         description: Duplicate username
+ *         description: Duplicate username or email (`code` = `USERNAME_TAKEN` or `EMAIL_TAKEN`)
  *         content:
- *           application/json:
+ *           application/problem+json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  *       500:
  *         description: Server error
  *         content:
- *           application/json:
+ *           application/problem+json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
@@ -241,6 +685,10 @@ router.get("/", async (req, res) => {
  *   get:
  *     tags: [Users]
  *     summary: Get user by id
+ *     description: "Requires role: `admin` or `staff`, or the caller's own record."
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -256,38 +704,42 @@ router.get("/", async (req, res) => {
  *       400:
  *         description: Invalid id
  *         content:
- *           application/json:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Missing or invalid token
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/problem+json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  *       404:
  *         description: Not found
  *         content:
- *           application/json:
+ *           application/problem+json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  *       500:
  *         description: Server error
  *         content:
- *           application/json:
+ *           application/problem+json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get("/:id", async (req, res) => {
+router.get("/:id", requireVerified("profile:read"), requireSelfOrRole((req) => req.params.id, ROLES.ADMIN, ROLES.STAFF), async (req, res, next) => {
   const id = Number(req.params.id);
   if (!Number.isInteger(id) || id <= 0) return sendError(res, 400, "Invalid id");
 
   try {
-    const [rows] = await db.query(
-      `SELECT id, firstname, fullname, lastname, username, address, sex, birthday, status, created_at
-       FROM tbl_users
-       WHERE id = ? LIMIT 1`,
-      [id]
-    );
-    if (rows.length === 0) return sendError(res, 404, "User not found");
-    res.json(rows[0]);
+    res.json(await getUser(id));
   } catch (err) {
-    console.error("GET /api/users/:id error:", err);
-    sendError(res, 500, "Query failed");
+    next(err);
   }
 });
 
@@ -297,6 +749,10 @@ router.get("/:id", async (req, res) => {
  *   put:
  *     tags: [Users]
  *     summary: Update user by id
+ *     description: "Requires role: `admin`, or the caller's own record. Only `admin` may change `role` or `status`."
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -320,124 +776,366 @@ router.get("/:id", async (req, res) => {
  *       400:
  *         description: Invalid input
  *         content:
- *           application/json:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Missing or invalid token
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Insufficient permissions, or changing the password/email while impersonated (`IMPERSONATION_FORBIDDEN`)
+ *         content:
+ *           application/problem+json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  *       404:
  *         description: Not found
  *         content:
- *           application/json:
+ *           application/problem+json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  *       409:
- *         description: Duplicate username
+ *         description: Duplicate username or email (`code` = `USERNAME_TAKEN` or `EMAIL_TAKEN`)
  *         content:
- *           application/json:
+ *           application/problem+json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  *       500:
  *         description: Server error
  *         content:
- *           application/json:
+ *           application/problem+json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-async function updateUser(req, res, rawId) {
+async function updateUser(req, res, next, rawId) {
   const id = Number(rawId);
   if (!Number.isInteger(id) || id <= 0) return sendError(res, 400, "Invalid id");
 
-  const firstname = req.body.firstname !== undefined ? String(req.body.firstname).trim() : undefined;
-  const fullname = req.body.fullname !== undefined ? String(req.body.fullname).trim() : undefined;
-  const lastname = req.body.lastname !== undefined ? String(req.body.lastname).trim() : undefined;
-  const username = req.body.username !== undefined ? String(req.body.username).trim() : undefined;
-  const status = req.body.status !== undefined ? String(req.body.status) : undefined;
-  const password = req.body.password !== undefined ? String(req.body.password) : undefined;
-  const address = req.body.address !== undefined ? String(req.body.address).trim() : undefined;
-  const sex = req.body.sex !== undefined ? String(req.body.sex).trim() : undefined;
-  const birthday = req.body.birthday !== undefined ? String(req.body.birthday).trim() : undefined;
-
   try {
-    const fields = [];
-    const params = [];
-
-    if (username !== undefined) {
-      if (!username) return sendError(res, 400, "Username cannot be empty");
-
-      const [dupes] = await db.query(
-        "SELECT id FROM tbl_users WHERE username = ? AND id <> ? LIMIT 1",
-        [username, id]
-      );
-      if (dupes.length > 0) return sendError(res, 409, "Username already exists");
-
-      fields.push("username = ?");
-      params.push(username);
-    }
-
-    if (firstname !== undefined) {
-      fields.push("firstname = ?");
-      params.push(firstname || null);
-    }
-    if (fullname !== undefined) {
-      fields.push("fullname = ?");
-      params.push(fullname || null);
-    }
-    if (lastname !== undefined) {
-      fields.push("lastname = ?");
-      params.push(lastname || null);
-    }
-    if (address !== undefined) {
-      fields.push("address = ?");
-      params.push(address || null);
-    }
-    if (sex !== undefined) {
-      fields.push("sex = ?");
-      params.push(sex || null);
-    }
-    if (birthday !== undefined) {
-      fields.push("birthday = ?");
-      params.push(birthday || null);
-    }
-    if (status !== undefined) {
-      fields.push("status = ?");
-      params.push(status);
-    }
-
-    if (password !== undefined) {
-      if (!password) return sendError(res, 400, "Password cannot be empty");
-      const hashedPassword = await bcrypt.hash(password, 10);
-      fields.push("password = ?");
-      params.push(hashedPassword);
-    }
-
-    if (fields.length === 0) return sendError(res, 400, "No fields to update");
-
-    const sql = `UPDATE tbl_users SET ${fields.join(", ")}, updated_at = NOW() WHERE id = ?`;
-    params.push(id);
-
-    const [result] = await db.query(sql, params);
-    if (result.affectedRows === 0) return sendError(res, 404, "User not found");
-
+    await updateUserRecord(id, req.body, { actor: req.user, isAdmin: isAdmin(req.user), req });
     res.json({ message: "User updated successfully" });
   } catch (err) {
-    console.error("PUT /api/users error:", err);
-    sendError(res, 500, "Update failed");
+    next(err);
   }
 }
 
-router.put("/", async (req, res) => updateUser(req, res, req.body?.id));
-router.put("/:id", async (req, res) => updateUser(req, res, req.params.id));
+// รหัสผ่าน/อีเมลใช้เข้าสู่ระบบได้ -> admin ที่สวมรอยห้ามเปลี่ยน
+const forbidCredentialChange = forbidWhileImpersonating(
+  (req) => Boolean(req.body?.password) || req.body?.email !== undefined
+);
+
+router.put(
+  "/",
+  requireVerified("profile:update"),
+  forbidCredentialChange,
+  requireSelfOrRole((req) => req.body?.id, ROLES.ADMIN),
+  async (req, res, next) => updateUser(req, res, next, req.body?.id)
+);
+router.put(
+  "/:id",
+  requireVerified("profile:update"),
+  forbidCredentialChange,
+  requireSelfOrRole((req) => req.params.id, ROLES.ADMIN),
+  async (req, res, next) => updateUser(req, res, next, req.params.id)
+);
 
 /**
  * @openapi
- * /api/users/{id}:
+ * /api/users/{id}/status:
+ *   patch:
+ *     tags: [Users]
+ *     summary: Change account status with a recorded reason
+ *     description: |
+ *       Requires role: `admin`. Any status other than `active` blocks login and
+ *       revokes the user's sessions immediately.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer, example: 1 }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdateUserStatusRequest'
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message: { type: string, example: "Status updated" }
+ *                 previous: { type: string, example: "active" }
+ *                 status: { type: string, example: "suspended" }
+ *       400:
+ *         description: Invalid input
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Missing or invalid token
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Not found
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.patch("/:id/status", requireRole(ROLES.ADMIN), async (req, res, next) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id <= 0) return sendError(res, 400, "Invalid id");
+
+  const status = String(req.body?.status ?? "").trim();
+  const reason = String(req.body?.reason ?? "").trim();
+
+  if (!isValidStatus(status)) {
+    return sendError(res, 400, `Status must be one of: ${STATUS_VALUES.join(", ")}`);
+  }
+  if (id === Number(req.user.id)) {
+    return sendError(res, 400, "You cannot change your own status");
+  }
+
+  try {
+    const changed = await changeUserStatus({
+      userId: id,
+      status,
+      reason,
+      changedBy: req.user.id,
+      req,
+    });
+    if (!changed) return sendError(res, 404, "User not found");
+
+    res.json({ message: "Status updated", previous: changed.previous, status: changed.status });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /api/users/{id}/status-history:
+ *   get:
+ *     tags: [Users]
+ *     summary: List status changes of a user (newest first)
+ *     description: "Requires role: `admin`."
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer, example: 1 }
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/UserStatusHistoryEntry'
+ *       400:
+ *         description: Invalid id
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Missing or invalid token
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get("/:id/status-history", requireRole(ROLES.ADMIN), async (req, res, next) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id <= 0) return sendError(res, 400, "Invalid id");
+
+  try {
+    res.json(await getStatusHistory(id));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /api/users/{id}/sessions:
+ *   get:
+ *     tags: [Users]
+ *     summary: List active sessions (devices) of a user
+ *     description: "Requires role: `admin`."
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer, example: 1 }
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Session'
+ *       400:
+ *         description: Invalid id
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Missing or invalid token
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *   delete:
+ *     tags: [Users]
+ *     summary: Sign a user out of every device
+ *     description: "Requires role: `admin`."
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer, example: 1 }
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message: { type: string, example: "Signed out of 2 sessions" }
+ *                 revoked: { type: integer, example: 2 }
+ *       400:
+ *         description: Invalid id
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Missing or invalid token
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get("/:id/sessions", requireRole(ROLES.ADMIN), async (req, res, next) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id <= 0) return sendError(res, 400, "Invalid id");
+
+  try {
+    const sessions = await listActiveSessions(id);
+    res.json(sessions.map((session) => ({ ...session, current: session.id === req.user.sid })));
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.delete("/:id/sessions", requireRole(ROLES.ADMIN), async (req, res, next) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id <= 0) return sendError(res, 400, "Invalid id");
+
+  try {
+    const revoked = await revokeUserSessions(id, "admin_revoked");
+    await recordAuditSafely({ action: AUDIT_ACTIONS.USER_SESSIONS_REVOKE, userId: id, details: { revoked }, req });
+    res.json({ message: `Signed out of ${revoked} sessions`, revoked });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /api/users/{id}/sessions/{sessionId}:
  *   delete:
  *     tags: [Users]
- *     summary: Delete user by id
+ *     summary: Sign a user out of one device
+ *     description: "Requires role: `admin`."
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema: { type: integer, example: 1 }
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema: { type: string }
  *     responses:
  *       200:
  *         description: OK
@@ -446,37 +1144,199 @@ router.put("/:id", async (req, res) => updateUser(req, res, req.params.id));
  *             schema:
  *               type: object
  *               properties:
- *                 message: { type: string, example: "User deleted successfully" }
+ *                 message: { type: string, example: "Session revoked" }
  *       400:
  *         description: Invalid id
  *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Missing or invalid token
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: No active session with this id for the user
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.delete("/:id/sessions/:sessionId", requireRole(ROLES.ADMIN), async (req, res, next) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id <= 0) return sendError(res, 400, "Invalid id");
+
+  try {
+    const revoked = await revokeUserSession(id, req.params.sessionId, "admin_revoked");
+    if (!revoked) return sendError(res, 404, "Session not found");
+    await recordAuditSafely({
+      action: AUDIT_ACTIONS.USER_SESSIONS_REVOKE,
+      userId: id,
+      details: { sessionId: req.params.sessionId },
+      req,
+    });
+    res.json({ message: "Session revoked" });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /api/users/{id}/two-factor:
+ *   delete:
+ *     tags: [Users]
+ *     summary: Reset two-factor authentication of a user (lost authenticator)
+ *     description: |
+ *       Removes the TOTP secret and all recovery codes; the user can sign in with the
+ *       password only and enroll again. Requires role: `admin`.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer, example: 1 }
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
  *           application/json:
  *             schema:
+ *               type: object
+ *               properties:
+ *                 message: { type: string, example: "Two-factor authentication reset" }
+ *       400:
+ *         description: Invalid id
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Missing or invalid token
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/problem+json:
+ *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  *       404:
  *         description: Not found
  *         content:
- *           application/json:
+ *           application/problem+json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  *       500:
  *         description: Server error
  *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.delete("/:id/two-factor", requireRole(ROLES.ADMIN), async (req, res, next) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id <= 0) return sendError(res, 400, "Invalid id");
+
+  try {
+    const [rows] = await db.query("SELECT id FROM tbl_users WHERE id = ? LIMIT 1", [id]);
+    if (rows.length === 0) return sendError(res, 404, "User not found");
+
+    await disableTwoFactor(id);
+    await recordAuditSafely({ action: AUDIT_ACTIONS.USER_TWO_FACTOR_RESET, userId: id, req });
+    res.json({ message: "Two-factor authentication reset" });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /api/users/{id}:
+ *   delete:
+ *     tags: [Users]
+ *     summary: Move a user to the trash (soft delete)
+ *     description: |
+ *       Requires role: `admin`. The user can no longer sign in (all sessions are revoked) and
+ *       disappears from `GET /api/users`, but can be restored with
+ *       `POST /api/users/trash/{id}/restore` until it is purged. You cannot delete yourself.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer, example: 1 }
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
  *           application/json:
  *             schema:
+ *               type: object
+ *               properties:
+ *                 message: { type: string, example: "User moved to trash" }
+ *                 deleted_at: { type: string, example: "2026-01-05T10:00:00.000Z" }
+ *                 purge_at: { type: string, nullable: true, example: "2026-02-04T10:00:00.000Z" }
+ *       400:
+ *         description: Invalid id, or deleting yourself (`USER_DELETE_SELF`)
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Missing or invalid token
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Insufficient permissions, or called while impersonating (`IMPERSONATION_FORBIDDEN`)
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Not found
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/problem+json:
+ *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", forbidWhileImpersonating(), requireRole(ROLES.ADMIN), async (req, res, next) => {
   const id = Number(req.params.id);
   if (!Number.isInteger(id) || id <= 0) return sendError(res, 400, "Invalid id");
 
   try {
-    const [result] = await db.query("DELETE FROM tbl_users WHERE id = ?", [id]);
-    if (result.affectedRows === 0) return sendError(res, 404, "User not found");
-    res.json({ message: "User deleted successfully" });
+    const user = await deleteUser(id, { actor: req.user, req });
+    res.json({ message: "User moved to trash", deleted_at: user.deleted_at, purge_at: user.purge_at });
   } catch (err) {
-    console.error("DELETE /api/users/:id error:", err);
-    sendError(res, 500, "Delete failed");
+    next(err);
   }
 });
 
@@ -0,0 +1,65 @@
+const express = require("express");
+const router = express.Router();
+const { getPublicJwks } = require("../services/signingKeys");
+
+// ให้ service อื่น cache ได้สักพัก (key ใหม่ควรประกาศล่วงหน้าก่อนเริ่มใช้เซ็น)
+const JWKS_CACHE_SECONDS = Number(process.env.JWKS_CACHE_SECONDS || 300);
+
+/**
+ * @openapi
+ * tags:
+ *   - name: Keys
+ *     description: Public keys for verifying access tokens outside this API
+ *
+ * components:
+ *   schemas:
+ *     Jwk:
+ *       type: object
+ *       description: Public key in JWK format (RFC 7517). HS256 secrets are never published.
+ *       properties:
+ *         kid: { type: string, example: "2026-10" }
+ *         kty: { type: string, enum: [RSA, EC], example: "RSA" }
+ *         alg: { type: string, enum: [RS256, ES256], example: "RS256" }
+ *         use: { type: string, example: "sig" }
+ *         n: { type: string, description: "RSA modulus" }
+ *         e: { type: string, description: "RSA exponent", example: "AQAB" }
+ *         crv: { type: string, description: "EC curve", example: "P-256" }
+ *         x: { type: string }
+ *         y: { type: string }
+ */
+
+/**
+ * @openapi
+ * /.well-known/jwks.json:
+ *   get:
+ *     tags: [Keys]
+ *     summary: JSON Web Key Set for verifying access tokens
+ *     description: |
+ *       Public keys of every RS256/ES256 signing key that is still accepted, including
+ *       the previous key during a rotation grace period. Match a token's `kid` header to
+ *       pick the key. Empty when the server only signs with HS256 secrets.
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 keys:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Jwk'
+ *       500:
+ *         description: Signing keys are misconfigured
+ */
+router.get("/jwks.json", (req, res, next) => {
+  try {
+    res.set("Cache-Control", `public, max-age=${JWKS_CACHE_SECONDS}`);
+    return res.json(getPublicJwks());
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,47 @@
+// scripts/generate-signing-key.js
+// สร้าง key pair สำหรับเซ็น JWT (RS256/ES256) ไว้ที่ keys/<kid>.pem + keys/<kid>.pub.pem
+// bun scripts/generate-signing-key.js <kid> [RS256|ES256]
+//
+// ขั้นตอนเปลี่ยน key:
+// 1. สร้าง key ใหม่ แล้วเพิ่มใน JWT_KEYS (ยังไม่ active) -> public key ขึ้น JWKS ให้ service อื่น cache ไว้ก่อน
+// 2. ตั้ง JWT_ACTIVE_KID เป็น key ใหม่
+// 3. key เก่าเหลือแค่ publicKeyPath + notAfter (หลัง token เก่าหมดอายุหมดแล้ว) จากนั้นค่อยลบออก
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const KEY_DIR = path.join(__dirname, "..", "keys");
+
+function main() {
+  const [kid, alg = "RS256"] = process.argv.slice(2);
+  if (!kid || !/^[A-Za-z0-9._-]+$/.test(kid) || !["RS256", "ES256"].includes(alg)) {
+    console.error("Usage: generate-signing-key <kid> [RS256|ES256]");
+    process.exitCode = 1;
+    return;
+  }
+
+  const privatePath = path.join(KEY_DIR, `${kid}.pem`);
+  if (fs.existsSync(privatePath)) {
+    console.error(`❌ Key already exists: ${privatePath}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const { privateKey, publicKey } =
+    alg === "RS256"
+      ? crypto.generateKeyPairSync("rsa", { modulusLength: 2048 })
+      : crypto.generateKeyPairSync("ec", { namedCurve: "P-256" });
+
+  fs.mkdirSync(KEY_DIR, { recursive: true });
+  fs.writeFileSync(privatePath, privateKey.export({ type: "pkcs8", format: "pem" }), { mode: 0o600 });
+  fs.writeFileSync(
+    path.join(KEY_DIR, `${kid}.pub.pem`),
+    publicKey.export({ type: "spki", format: "pem" })
+  );
+
+  console.log(`✅ Created keys/${kid}.pem and keys/${kid}.pub.pem`);
+  console.log("Add to JWT_KEYS:");
+  console.log(JSON.stringify({ kid, alg, privateKeyPath: `keys/${kid}.pem` }));
+}
+
+main();
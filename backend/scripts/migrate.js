@@ -0,0 +1,75 @@
+// scripts/migrate.js
+// จัดการ migration ของ DB (ไฟล์อยู่ใน migrations/)
+// bun scripts/migrate.js up [version] | down [steps] | status | create <name>
+require("dotenv").config({
+  path:
+    process.env.DOTENV_CONFIG_PATH ||
+    (process.env.NODE_ENV === "production" ? ".env.production" : ".env.local"),
+  override: true,
+});
+
+const path = require("path");
+const db = require("../config/db");
+const {
+  migrationStatus,
+  migrateUp,
+  migrateDown,
+  createMigration,
+} = require("../services/migrations");
+
+const USAGE = "Usage: migrate <up [version] | down [steps] | status | create <name>>";
+
+const log = (line) => console.log(line);
+
+// ค่าว่าง = ไม่ระบุ; ต้องเป็นจำนวนเต็ม >= 1
+const parsePositiveInt = (value) => {
+  if (value === undefined) return null;
+  const number = Number(value);
+  return Number.isInteger(number) && number >= 1 ? number : NaN;
+};
+
+async function main() {
+  const [command, arg] = process.argv.slice(2);
+
+  if (command === "create") {
+    const file = createMigration(arg);
+    console.log(`✅ Created ${path.relative(process.cwd(), file)}`);
+    return;
+  }
+
+  if (command === "up") {
+    const to = parsePositiveInt(arg);
+    if (Number.isNaN(to)) throw new Error(USAGE);
+    const applied = await migrateUp({ to, log });
+    console.log(applied.length ? `✅ Applied ${applied.length} migration(s)` : "Nothing to migrate");
+    return;
+  }
+
+  if (command === "down") {
+    const steps = parsePositiveInt(arg);
+    if (Number.isNaN(steps)) throw new Error(USAGE);
+    const reverted = await migrateDown({ steps: steps ?? 1, log });
+    console.log(reverted.length ? `✅ Rolled back ${reverted.length} migration(s)` : "Nothing to roll back");
+    return;
+  }
+
+  if (command === "status") {
+    const status = await migrationStatus();
+    if (status.length === 0) console.log("No migrations");
+    for (const entry of status) {
+      const state = entry.missing ? "missing file" : entry.applied ? "applied" : "pending";
+      const when = entry.appliedAt ? ` (${new Date(entry.appliedAt).toISOString()})` : "";
+      console.log(`${entry.applied ? "✔" : "·"} ${entry.id}  ${state}${when}`);
+    }
+    return;
+  }
+
+  throw new Error(USAGE);
+}
+
+main()
+  .catch((err) => {
+    console.error("migrate failed:", err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.end());
@@ -0,0 +1,155 @@
+// scripts/mock-oidc-provider.js
+// OIDC provider จำลองสำหรับทดสอบ login ภายนอกบนเครื่อง (ห้ามใช้ production)
+// bun scripts/mock-oidc-provider.js  แล้วตั้งใน .env.local:
+//   OIDC_PROVIDERS=[{"id":"mock","name":"Mock IdP","issuer":"http://localhost:4010","clientId":"local-app","clientSecret":"local-secret"}]
+// หน้า /authorize มีฟอร์มให้กรอก sub/email/ชื่อ เลือกได้ว่าจะให้อีเมลยืนยันแล้วหรือไม่
+const crypto = require("crypto");
+const express = require("express");
+const jwt = require("jsonwebtoken");
+
+const PORT = Number(process.env.MOCK_OIDC_PORT || 4010);
+const ISSUER = (process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`).replace(/\/+$/, "");
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || "local-app";
+const CLIENT_SECRET = process.env.MOCK_OIDC_CLIENT_SECRET || "local-secret";
+
+const escapeHtml = (value) =>
+  String(value ?? "").replace(/[&<>"']/g, (ch) => `&#${ch.charCodeAt(0)};`);
+
+function createMockProvider() {
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  // key ใหม่ทุกครั้งที่ start
+  const kid = `mock-${Date.now()}`;
+  const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+  const codes = new Map();
+  const accessTokens = new Map();
+
+  app.get("/.well-known/openid-configuration", (req, res) =>
+    res.json({
+      issuer: ISSUER,
+      authorization_endpoint: `${ISSUER}/authorize`,
+      token_endpoint: `${ISSUER}/token`,
+      userinfo_endpoint: `${ISSUER}/userinfo`,
+      jwks_uri: `${ISSUER}/jwks`,
+      response_types_supported: ["code"],
+      subject_types_supported: ["public"],
+      id_token_signing_alg_values_supported: ["RS256"],
+      code_challenge_methods_supported: ["S256"],
+      token_endpoint_auth_methods_supported: ["client_secret_basic", "client_secret_post"],
+    })
+  );
+
+  app.get("/jwks", (req, res) =>
+    res.json({ keys: [{ ...publicKey.export({ format: "jwk" }), kid, alg: "RS256", use: "sig" }] })
+  );
+
+  app.get("/authorize", (req, res) => {
+    const q = req.query;
+    if (q.client_id !== CLIENT_ID) return res.status(400).send("Unknown client_id");
+    if (q.response_type !== "code") return res.status(400).send("Only response_type=code is supported");
+    if (!q.redirect_uri || !q.code_challenge || q.code_challenge_method !== "S256") {
+      return res.status(400).send("redirect_uri and an S256 code_challenge are required");
+    }
+
+    const hidden = ["redirect_uri", "state", "nonce", "code_challenge"]
+      .map((name) => `<input type="hidden" name="${name}" value="${escapeHtml(q[name])}">`)
+      .join("");
+    res.send(`<!doctype html><meta charset="utf-8"><title>Mock IdP</title>
+<body style="font-family:sans-serif;max-width:420px;margin:40px auto">
+<h2>Mock IdP sign-in</h2>
+<form method="post" action="/authorize">${hidden}
+<p><label>Subject (sub)<br><input name="sub" value="mock-user-1" required></label></p>
+<p><label>Email<br><input name="email" type="email" value="mock.user@example.com"></label></p>
+<p><label><input name="email_verified" type="checkbox" value="true" checked> Email verified</label></p>
+<p><label>Given name<br><input name="given_name" value="Mock"></label></p>
+<p><label>Family name<br><input name="family_name" value="User"></label></p>
+<p><label>Preferred username<br><input name="preferred_username" value="mockuser"></label></p>
+<p><button type="submit" name="decision" value="allow">Sign in</button>
+<button type="submit" name="decision" value="deny">Deny</button></p>
+</form></body>`);
+  });
+
+  app.post("/authorize", (req, res) => {
+    const { redirect_uri: redirectUri, state, nonce, code_challenge: codeChallenge } = req.body;
+    const target = new URL(redirectUri);
+    if (state) target.searchParams.set("state", state);
+
+    if (req.body.decision === "deny") {
+      target.searchParams.set("error", "access_denied");
+      target.searchParams.set("error_description", "The user denied the request");
+      return res.redirect(target.toString());
+    }
+
+    const code = crypto.randomBytes(24).toString("base64url");
+    const claims = {
+      sub: req.body.sub,
+      email: req.body.email || undefined,
+      email_verified: req.body.email_verified === "true",
+      given_name: req.body.given_name || undefined,
+      family_name: req.body.family_name || undefined,
+      preferred_username: req.body.preferred_username || undefined,
+    };
+    codes.set(code, { redirectUri, nonce, codeChallenge, claims, expiresAt: Date.now() + 60000 });
+    target.searchParams.set("code", code);
+    res.redirect(target.toString());
+  });
+
+  app.post("/token", (req, res) => {
+    // client_secret_basic หรือ client_secret_post
+    let clientId = req.body.client_id;
+    let clientSecret = req.body.client_secret;
+    const auth = String(req.headers.authorization || "");
+    if (auth.startsWith("Basic ")) {
+      const [id, secret] = Buffer.from(auth.slice(6), "base64").toString().split(":");
+      clientId = decodeURIComponent(id);
+      clientSecret = decodeURIComponent(secret || "");
+    }
+    if (clientId !== CLIENT_ID || clientSecret !== CLIENT_SECRET) {
+      return res.status(401).json({ error: "invalid_client" });
+    }
+
+    const saved = codes.get(req.body.code);
+    codes.delete(req.body.code);
+    if (!saved || saved.expiresAt < Date.now() || saved.redirectUri !== req.body.redirect_uri) {
+      return res.status(400).json({ error: "invalid_grant" });
+    }
+    const challenge = crypto.createHash("sha256").update(String(req.body.code_verifier || "")).digest("base64url");
+    if (challenge !== saved.codeChallenge) {
+      return res.status(400).json({ error: "invalid_grant", error_description: "PKCE verification failed" });
+    }
+
+    const accessToken = crypto.randomBytes(24).toString("base64url");
+    accessTokens.set(accessToken, saved.claims);
+    const idToken = jwt.sign({ ...saved.claims, nonce: saved.nonce }, privateKey, {
+      algorithm: "RS256",
+      keyid: kid,
+      issuer: ISSUER,
+      audience: CLIENT_ID,
+      expiresIn: 300,
+    });
+    res.json({ access_token: accessToken, token_type: "Bearer", expires_in: 300, id_token: idToken });
+  });
+
+  app.get("/userinfo", (req, res) => {
+    const claims = accessTokens.get(String(req.headers.authorization || "").replace(/^Bearer /, ""));
+    if (!claims) return res.status(401).json({ error: "invalid_token" });
+    res.json(claims);
+  });
+
+  return app;
+}
+
+if (require.main === module) {
+  createMockProvider().listen(PORT, () => {
+    console.log(`Mock OIDC provider: ${ISSUER}`);
+    console.log("Add to the backend env:");
+    console.log(
+      `OIDC_PROVIDERS=${JSON.stringify([
+        { id: "mock", name: "Mock IdP", issuer: ISSUER, clientId: CLIENT_ID, clientSecret: CLIENT_SECRET },
+      ])}`
+    );
+  });
+}
+
+module.exports = { createMockProvider };
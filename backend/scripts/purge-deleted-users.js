@@ -0,0 +1,35 @@
+// scripts/purge-deleted-users.js
+// ลบผู้ใช้ในถังขยะที่เกิน USER_TRASH_RETENTION_DAYS ถาวร (ตั้ง cron เมื่อรันบน serverless)
+// bun scripts/purge-deleted-users.js [days]
+require("dotenv").config({
+  path:
+    process.env.DOTENV_CONFIG_PATH ||
+    (process.env.NODE_ENV === "production" ? ".env.production" : ".env.local"),
+  override: true,
+});
+
+const db = require("../config/db");
+const { USER_TRASH_RETENTION_DAYS, purgeExpiredUsers } = require("../services/userTrash");
+
+async function main() {
+  const days = process.argv[2] === undefined ? USER_TRASH_RETENTION_DAYS : Number(process.argv[2]);
+  if (process.argv[2] === undefined && days === 0) {
+    console.log("Automatic purge is disabled (USER_TRASH_RETENTION_DAYS=0)");
+    return;
+  }
+  if (!Number.isInteger(days) || days < 1) {
+    console.error("Usage: purge-deleted-users [days >= 1]");
+    process.exitCode = 1;
+    return;
+  }
+
+  const purged = await purgeExpiredUsers(days);
+  console.log(`✅ Purged ${purged} user(s) deleted more than ${days} day(s) ago`);
+}
+
+main()
+  .catch((err) => {
+    console.error("purge-deleted-users failed:", err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.end());
@@ -0,0 +1,36 @@
+// scripts/rekey-totp-secrets.js
+// เข้ารหัส TOTP secret ทุกตัวใหม่ด้วย key ตัวแรกใน TOTP_ENCRYPTION_KEY
+// bun scripts/rekey-totp-secrets.js
+//
+// ขั้นตอนเปลี่ยน key:
+// 1. เพิ่ม key ใหม่ไว้หน้าสุด (key เก่ายังอยู่ท้ายรายการให้ถอดได้) แล้ว deploy
+// 2. รัน script นี้
+// 3. ลบ key เก่าออกจาก TOTP_ENCRYPTION_KEY
+require("dotenv").config({
+  path:
+    process.env.DOTENV_CONFIG_PATH ||
+    (process.env.NODE_ENV === "production" ? ".env.production" : ".env.local"),
+  override: true,
+});
+
+const db = require("../config/db");
+const { activeTotpKeyId, reencryptTotpSecrets } = require("../services/twoFactor");
+
+async function main() {
+  const kid = activeTotpKeyId();
+  if (!kid) {
+    console.error("TOTP_ENCRYPTION_KEY is not set");
+    process.exitCode = 1;
+    return;
+  }
+
+  const count = await reencryptTotpSecrets();
+  console.log(`✅ Re-encrypted ${count} TOTP secret(s) with key "${kid}"`);
+}
+
+main()
+  .catch((err) => {
+    console.error("rekey-totp-secrets failed:", err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.end());
@@ -0,0 +1,39 @@
+// scripts/set-user-role.js
+// ใช้กำหนด role ให้ user จาก command line (เช่นสร้าง admin คนแรก)
+// bun scripts/set-user-role.js <username> <admin|staff|user>
+require("dotenv").config({
+  path:
+    process.env.DOTENV_CONFIG_PATH ||
+    (process.env.NODE_ENV === "production" ? ".env.production" : ".env.local"),
+  override: true,
+});
+
+const db = require("../config/db");
+const { ROLE_VALUES, isValidRole } = require("../config/roles");
+
+async function main() {
+  const [username, role] = process.argv.slice(2);
+  if (!username || !isValidRole(role)) {
+    console.error(`Usage: set-user-role <username> <${ROLE_VALUES.join("|")}>`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const [result] = await db.query(
+    "UPDATE tbl_users SET role = ?, updated_at = NOW() WHERE username = ?",
+    [role, username]
+  );
+  if (result.affectedRows === 0) {
+    console.error(`❌ User not found: ${username}`);
+    process.exitCode = 1;
+    return;
+  }
+  console.log(`✅ ${username} is now ${role}`);
+}
+
+main()
+  .catch((err) => {
+    console.error("set-user-role failed:", err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.end());
@@ -0,0 +1,59 @@
+const db = require("../config/db");
+const { USER_STATUSES } = require("../config/statuses");
+const { revokeUserSessions } = require("./sessions");
+const { USER_EVENT_TYPES, publishUserChange } = require("./userEvents");
+const { AUDIT_ACTIONS, recordAuditSafely } = require("./audit");
+
+// เปลี่ยน status ของ user พร้อมบันทึกเหตุผลลง tbl_user_status_history
+// ถ้าไม่ใช่ active -> revoke ทุก session ทันที (refresh ต่อไม่ได้)
+// req (ถ้ามี) ใช้บันทึก ip/request id ลง audit log
+async function changeUserStatus({ userId, status, reason, changedBy, req = null }) {
+  const [rows] = await db.query(
+    "SELECT id, status FROM tbl_users WHERE id = ? AND deleted_at IS NULL LIMIT 1",
+    [userId]
+  );
+  if (rows.length === 0) return null;
+
+  const previous = rows[0].status;
+  if (previous === status) return { previous, status, changed: false };
+
+  await db.query(
+    `UPDATE tbl_users
+     SET status = ?, status_reason = ?, status_changed_at = NOW(), updated_at = NOW()
+     WHERE id = ?`,
+    [status, reason || null, userId]
+  );
+  await db.query(
+    `INSERT INTO tbl_user_status_history (user_id, old_status, new_status, reason, changed_by)
+     VALUES (?, ?, ?, ?, ?)`,
+    [userId, previous, status, reason || null, changedBy || null]
+  );
+
+  if (status !== USER_STATUSES.ACTIVE) {
+    await revokeUserSessions(userId, `status_${status}`);
+  }
+  await recordAuditSafely({
+    action: AUDIT_ACTIONS.USER_STATUS_CHANGE,
+    actorId: changedBy || null,
+    userId,
+    changes: { status: { from: previous, to: status } },
+    details: reason ? { reason } : null,
+    req,
+  });
+  publishUserChange(USER_EVENT_TYPES.UPDATED, userId);
+
+  return { previous, status, changed: true };
+}
+
+async function getStatusHistory(userId) {
+  const [rows] = await db.query(
+    `SELECT id, old_status, new_status, reason, changed_by, created_at
+     FROM tbl_user_status_history
+     WHERE user_id = ?
+     ORDER BY id DESC`,
+    [userId]
+  );
+  return rows;
+}
+
+module.exports = { changeUserStatus, getStatusHistory };
@@ -0,0 +1,130 @@
+const crypto = require("crypto");
+const db = require("../config/db");
+const { SCOPE_VALUES } = require("../config/apiKeys");
+const { generateOpaqueToken, hashToken, safeEqual } = require("./tokens");
+const { AuthError } = require("./errors");
+
+// API key = "ak_<prefix>_<secret>" แสดงให้เห็นครั้งเดียวตอนสร้าง
+// prefix (hex 12 ตัว) เก็บตรง ๆ ไว้ค้นหาและแสดงในรายการ ส่วนทั้ง key เก็บเป็น sha256
+const KEY_PATTERN = /^ak_([0-9a-f]{12})_([A-Za-z0-9_-]{32,})$/;
+
+// อัปเดต last_used_at ไม่บ่อยกว่านี้ (เหมือน session)
+const API_KEY_TOUCH_INTERVAL_SECONDS = Number(process.env.API_KEY_TOUCH_INTERVAL_SECONDS || 60);
+
+class ApiKeyError extends AuthError {}
+
+const parseScopes = (value) =>
+  String(value || "")
+    .split(",")
+    .map((scope) => scope.trim())
+    .filter((scope) => SCOPE_VALUES.includes(scope));
+
+const toApiKey = (row) => ({
+  id: row.id,
+  userId: row.user_id,
+  name: row.name,
+  prefix: row.prefix,
+  scopes: parseScopes(row.scopes),
+  createdAt: row.created_at,
+  expiresAt: row.expires_at,
+  lastUsedAt: row.last_used_at,
+  lastUsedIp: row.last_used_ip,
+  revokedAt: row.revoked_at,
+});
+
+const KEY_COLUMNS =
+  "id, user_id, name, prefix, scopes, created_at, expires_at, last_used_at, last_used_ip, revoked_at";
+
+async function createApiKey(userId, { name, scopes, expiresAt = null, createdBy = null }) {
+  const prefix = crypto.randomBytes(6).toString("hex");
+  const key = `ak_${prefix}_${generateOpaqueToken(32)}`;
+
+  const [result] = await db.query(
+    `INSERT INTO tbl_api_keys (user_id, name, prefix, key_hash, scopes, expires_at, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [userId, name, prefix, hashToken(key), scopes.join(","), expiresAt, createdBy]
+  );
+  const [rows] = await db.query(`SELECT ${KEY_COLUMNS} FROM tbl_api_keys WHERE id = ? LIMIT 1`, [
+    result.insertId,
+  ]);
+  return { key, apiKey: toApiKey(rows[0]) };
+}
+
+// userId = null -> ทุก key (admin)
+async function listApiKeys({ userId = null, includeRevoked = false } = {}) {
+  const where = [];
+  const params = [];
+  if (userId !== null) {
+    where.push("user_id = ?");
+    params.push(userId);
+  }
+  if (!includeRevoked) where.push("revoked_at IS NULL");
+
+  const [rows] = await db.query(
+    `SELECT ${KEY_COLUMNS} FROM tbl_api_keys
+     ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+     ORDER BY created_at DESC`,
+    params
+  );
+  return rows.map(toApiKey);
+}
+
+async function findApiKey(id) {
+  const [rows] = await db.query(`SELECT ${KEY_COLUMNS} FROM tbl_api_keys WHERE id = ? LIMIT 1`, [id]);
+  return rows[0] ? toApiKey(rows[0]) : null;
+}
+
+async function revokeApiKey(id) {
+  const [result] = await db.query(
+    "UPDATE tbl_api_keys SET revoked_at = NOW() WHERE id = ? AND revoked_at IS NULL",
+    [id]
+  );
+  return result.affectedRows > 0;
+}
+
+// key จาก header X-API-Key -> { apiKey, user } หรือ throw ApiKeyError
+async function authenticateApiKey(rawKey) {
+  const match = KEY_PATTERN.exec(String(rawKey || "").trim());
+  if (!match) throw new ApiKeyError("Invalid API key", "API_KEY_INVALID");
+
+  const [rows] = await db.query(
+    `SELECT k.id, k.user_id, k.name, k.prefix, k.scopes, k.created_at, k.expires_at, k.last_used_at,
+            k.last_used_ip, k.revoked_at, k.key_hash, u.username, u.status, u.role
+     FROM tbl_api_keys k
+     JOIN tbl_users u ON u.id = k.user_id
+     WHERE k.prefix = ? AND u.deleted_at IS NULL LIMIT 1`,
+    [match[1]]
+  );
+  const row = rows[0];
+  if (!row || !safeEqual(row.key_hash, hashToken(match[0]))) {
+    throw new ApiKeyError("Invalid API key", "API_KEY_INVALID");
+  }
+  if (row.revoked_at) throw new ApiKeyError("API key has been revoked", "API_KEY_REVOKED");
+  if (row.expires_at && new Date(row.expires_at).getTime() <= Date.now()) {
+    throw new ApiKeyError("API key has expired", "API_KEY_EXPIRED");
+  }
+
+  return {
+    apiKey: toApiKey(row),
+    user: { id: row.user_id, username: row.username, status: row.status, role: row.role },
+  };
+}
+
+function touchApiKey(apiKey, ip) {
+  const lastUsed = apiKey.lastUsedAt ? new Date(apiKey.lastUsedAt).getTime() : 0;
+  if (Date.now() - lastUsed < API_KEY_TOUCH_INTERVAL_SECONDS * 1000) return;
+  db.query("UPDATE tbl_api_keys SET last_used_at = NOW(), last_used_ip = ? WHERE id = ?", [
+    ip || null,
+    apiKey.id,
+  ]).catch((err) => console.error("API key touch failed:", err));
+}
+
+module.exports = {
+  ApiKeyError,
+  createApiKey,
+  listApiKeys,
+  findApiKey,
+  revokeApiKey,
+  authenticateApiKey,
+  touchApiKey,
+};
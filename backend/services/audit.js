@@ -0,0 +1,173 @@
+const db = require("../config/db");
+const { clientInfo } = require("./sessions");
+
+// บันทึกเหตุการณ์สำคัญ (ใครทำอะไรกับบัญชีไหน) ลง tbl_audit_log
+// actorId = คนที่ทำจริง (เช่น admin ที่สวมรอย), userId = บัญชีที่ถูกกระทำ
+// append-only: ไม่มีโค้ดส่วนไหน UPDATE/DELETE ตารางนี้ (ลบผู้ใช้ถาวรแล้ว log ยังอยู่)
+const AUDIT_ACTIONS = Object.freeze({
+  IMPERSONATION_START: "impersonation.start",
+  IMPERSONATION_STOP: "impersonation.stop",
+  IMPERSONATION_BLOCKED: "impersonation.blocked",
+  USER_CREATE: "user.create",
+  USER_REGISTER: "user.register",
+  USER_UPDATE: "user.update",
+  USER_PASSWORD_CHANGE: "user.password_change",
+  USER_STATUS_CHANGE: "user.status_change",
+  USER_EMAIL_VERIFY: "user.email_verify",
+  USER_SESSIONS_REVOKE: "user.sessions_revoke",
+  USER_TWO_FACTOR_RESET: "user.two_factor_reset",
+  USER_DELETE: "user.delete",
+  USER_RESTORE: "user.restore",
+  USER_PURGE: "user.purge",
+  AUTH_LOGIN: "auth.login",
+  AUTH_LOGIN_FAILED: "auth.login_failed",
+  AUTH_LOGOUT: "auth.logout",
+  AUTH_PASSWORD_RESET_REQUEST: "auth.password_reset_request",
+  AUTH_PASSWORD_RESET: "auth.password_reset",
+});
+
+// ค่าของ field เหล่านี้ไม่ลง log เด็ดขาด บอกแค่ว่าเปลี่ยน
+const REDACTED_FIELDS = ["password", "totp_secret"];
+const REDACTED = "[REDACTED]";
+
+const parseJson = (value) => {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return { raw: value };
+  }
+};
+
+const toEntry = (row) => ({
+  id: row.id,
+  action: row.action,
+  actor: row.actor_id ? { id: row.actor_id, username: row.actor_username || null } : null,
+  user: row.user_id ? { id: row.user_id, username: row.user_username || null } : null,
+  changes: parseJson(row.changes),
+  details: parseJson(row.details),
+  ip: row.ip,
+  userAgent: row.user_agent,
+  requestId: row.request_id || null,
+  createdAt: row.created_at,
+});
+
+const comparable = (value) => (value === undefined || value === null || value === "" ? null : String(value));
+
+// { field: { from, to } } เฉพาะ field ใน after ที่ค่าต่างจาก before ("" กับ null ถือว่าเท่ากัน)
+function diffChanges(before = {}, after = {}) {
+  const changes = {};
+  for (const [field, value] of Object.entries(after)) {
+    if (value === undefined) continue;
+    if (REDACTED_FIELDS.includes(field)) {
+      changes[field] = { from: REDACTED, to: REDACTED };
+      continue;
+    }
+    const from = comparable(before[field]);
+    const to = comparable(value);
+    if (from !== to) changes[field] = { from, to };
+  }
+  return changes;
+}
+
+// actorId ไม่ระบุ -> คนที่ login อยู่ (ถ้าสวมรอยอยู่ = admin ตัวจริง)
+const actorFromRequest = (req) => (req?.user ? req.user.impersonator?.id ?? req.user.id : null);
+
+async function recordAudit({
+  action,
+  actorId = undefined,
+  userId = null,
+  changes = null,
+  details = null,
+  req = null,
+}) {
+  const { ip, userAgent } = req ? clientInfo(req) : {};
+  const hasChanges = changes && Object.keys(changes).length > 0;
+  await db.query(
+    `INSERT INTO tbl_audit_log (action, actor_id, user_id, changes, details, ip, user_agent, request_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      action,
+      actorId === undefined ? actorFromRequest(req) : actorId,
+      userId,
+      hasChanges ? JSON.stringify(changes) : null,
+      details ? JSON.stringify(details) : null,
+      ip || null,
+      userAgent || null,
+      req?.id || null,
+    ]
+  );
+}
+
+// เรียกหลัง mutation สำเร็จไปแล้ว: บันทึกไม่ได้ต้องไม่ทำให้ request ล้ม (log error แทน)
+const recordAuditSafely = (entry) =>
+  recordAudit(entry).catch((err) => console.error(`Audit log failed (${entry.action}):`, err));
+
+// ล่าสุดก่อน; userId = เหตุการณ์ที่บัญชีนั้นเป็นคนทำหรือถูกกระทำ
+// actions = ["user.update", "auth.*"] (ลงท้าย .* = ทุก action ที่ขึ้นต้นด้วย prefix นั้น)
+// before = id ของรายการสุดท้ายในหน้าก่อน (หน้าถัดไป)
+async function listAuditLog({
+  actions = [],
+  actorId = null,
+  targetId = null,
+  userId = null,
+  requestId = null,
+  from = null,
+  to = null,
+  before = null,
+  limit = 100,
+} = {}) {
+  const where = [];
+  const params = [];
+  if (actions.length) {
+    const conditions = actions.map((action) => {
+      if (action.endsWith(".*")) {
+        params.push(`${action.slice(0, -1).replace(/[\\%_]/g, (char) => `\\${char}`)}%`);
+        return "a.action LIKE ?";
+      }
+      params.push(action);
+      return "a.action = ?";
+    });
+    where.push(`(${conditions.join(" OR ")})`);
+  }
+  for (const [condition, value] of [
+    ["a.actor_id = ?", actorId],
+    ["a.user_id = ?", targetId],
+    ["a.request_id = ?", requestId],
+    ["a.created_at >= ?", from],
+    ["a.created_at <= ?", to],
+    ["a.id < ?", before],
+  ]) {
+    if (value === null) continue;
+    where.push(condition);
+    params.push(value);
+  }
+  if (userId) {
+    where.push("(a.actor_id = ? OR a.user_id = ?)");
+    params.push(userId, userId);
+  }
+  params.push(limit);
+
+  const [rows] = await db.query(
+    `SELECT a.id, a.action, a.actor_id, actor.username AS actor_username, a.user_id,
+            target.username AS user_username, a.changes, a.details, a.ip, a.user_agent, a.request_id,
+            a.created_at
+     FROM tbl_audit_log a
+     LEFT JOIN tbl_users actor ON actor.id = a.actor_id
+     LEFT JOIN tbl_users target ON target.id = a.user_id
+     ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+     ORDER BY a.id DESC
+     LIMIT ?`,
+    params
+  );
+  return rows.map(toEntry);
+}
+
+module.exports = {
+  AUDIT_ACTIONS,
+  REDACTED_FIELDS,
+  diffChanges,
+  recordAudit,
+  recordAuditSafely,
+  listAuditLog,
+};
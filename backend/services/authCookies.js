@@ -0,0 +1,99 @@
+const { generateOpaqueToken, safeEqual } = require("./tokens");
+const { REFRESH_TOKEN_TTL_DAYS } = require("./sessions");
+
+// โหมด cookie: token อยู่ใน HttpOnly cookie (JS ฝั่ง browser อ่านไม่ได้ กัน XSS ขโมย token)
+// client ขอโหมดนี้ด้วย header "X-Auth-Transport: cookie" ตอน login/refresh
+// เพราะ browser แนบ cookie ให้อัตโนมัติ -> request ที่เปลี่ยนข้อมูลต้องส่ง CSRF token (double-submit)
+const ACCESS_COOKIE = "access_token";
+const REFRESH_COOKIE = "refresh_token";
+const CSRF_COOKIE = "csrf_token";
+const CSRF_HEADER = "x-csrf-token";
+const TRANSPORT_HEADER = "x-auth-transport";
+
+const SAFE_METHODS = new Set(["GET", "HEAD", "OPTIONS"]);
+
+// frontend/backend คนละโดเมน -> ต้องใช้ SameSite=None (และ Secure)
+const COOKIE_SAME_SITE = (process.env.AUTH_COOKIE_SAMESITE || "lax").toLowerCase();
+const COOKIE_SECURE = process.env.AUTH_COOKIE_SECURE
+  ? process.env.AUTH_COOKIE_SECURE === "true"
+  : process.env.NODE_ENV === "production" || COOKIE_SAME_SITE === "none";
+const COOKIE_DOMAIN = process.env.AUTH_COOKIE_DOMAIN || undefined;
+
+const baseCookie = {
+  sameSite: COOKIE_SAME_SITE,
+  secure: COOKIE_SECURE,
+  domain: COOKIE_DOMAIN,
+  path: "/",
+};
+
+const wantsCookieTransport = (req) =>
+  String(req.get(TRANSPORT_HEADER) || "").toLowerCase() === "cookie";
+
+// เปลี่ยนเฉพาะ access token (refresh/csrf เดิม) เช่นตอนเริ่ม/หยุดสวมรอยผู้ใช้
+function setAccessCookie(res, token, expiresIn) {
+  res.cookie(ACCESS_COOKIE, token, { ...baseCookie, httpOnly: true, maxAge: expiresIn * 1000 });
+}
+
+function setAuthCookies(res, { token, refreshToken, expiresIn }) {
+  const csrfToken = generateOpaqueToken(24);
+  setAccessCookie(res, token, expiresIn);
+  // refresh token ส่งไปเฉพาะ /api/auth/* (refresh/logout) ไม่แนบไปทุก request
+  for (const path of ["/api/auth", "/api/login"]) {
+    res.cookie(REFRESH_COOKIE, refreshToken, {
+      ...baseCookie,
+      path,
+      httpOnly: true,
+      maxAge: REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000,
+    });
+  }
+  // csrf cookie ต้องให้ JS อ่านได้ (double-submit) — ส่งใน body ด้วยสำหรับ frontend คนละโดเมน
+  res.cookie(CSRF_COOKIE, csrfToken, {
+    ...baseCookie,
+    httpOnly: false,
+    maxAge: REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000,
+  });
+  return csrfToken;
+}
+
+function clearAuthCookies(res) {
+  res.clearCookie(ACCESS_COOKIE, baseCookie);
+  res.clearCookie(REFRESH_COOKIE, { ...baseCookie, path: "/api/auth" });
+  res.clearCookie(REFRESH_COOKIE, { ...baseCookie, path: "/api/login" });
+  res.clearCookie(CSRF_COOKIE, baseCookie);
+}
+
+// header ก่อน (client แบบ Bearer) แล้วค่อย cookie
+function readAccessToken(req) {
+  const authHeader = String(req.headers.authorization || "");
+  if (authHeader.startsWith("Bearer ")) {
+    return { token: authHeader.slice(7).trim(), fromCookie: false };
+  }
+  const cookieToken = req.cookies?.[ACCESS_COOKIE];
+  return cookieToken ? { token: cookieToken, fromCookie: true } : { token: "", fromCookie: false };
+}
+
+const readRefreshCookie = (req) => req.cookies?.[REFRESH_COOKIE] || "";
+
+// double-submit: ค่าใน header ต้องตรงกับ cookie (เว็บอื่นอ่าน cookie เราไม่ได้ จึงปลอม header ไม่ได้)
+function hasValidCsrf(req) {
+  if (SAFE_METHODS.has(req.method)) return true;
+  const cookieValue = req.cookies?.[CSRF_COOKIE];
+  const headerValue = req.get(CSRF_HEADER);
+  return Boolean(cookieValue && headerValue && safeEqual(cookieValue, headerValue));
+}
+
+module.exports = {
+  COOKIE_SECURE,
+  ACCESS_COOKIE,
+  REFRESH_COOKIE,
+  CSRF_COOKIE,
+  CSRF_HEADER,
+  TRANSPORT_HEADER,
+  wantsCookieTransport,
+  setAccessCookie,
+  setAuthCookies,
+  clearAuthCookies,
+  readAccessToken,
+  readRefreshCookie,
+  hasValidCsrf,
+};
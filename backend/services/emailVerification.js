@@ -0,0 +1,113 @@
+const db = require("../config/db");
+const { USER_STATUSES } = require("../config/statuses");
+const { signPurposeToken, verifyPurposeToken } = require("./tokens");
+const { changeUserStatus } = require("./accountStatus");
+const { FRONTEND_URL, escapeHtml, sendMail } = require("./mailer");
+const { USER_EVENT_TYPES, publishUserChange } = require("./userEvents");
+const { AUDIT_ACTIONS, recordAuditSafely } = require("./audit");
+const { ValidationError } = require("./errors");
+
+const EMAIL_VERIFY_TTL_HOURS = Number(process.env.EMAIL_VERIFY_TTL_HOURS || 24);
+// ส่งเมลยืนยันซ้ำได้ไม่เกิน 1 ครั้งต่อช่วงเวลานี้ (ต่อ user)
+const VERIFY_RESEND_INTERVAL_SECONDS = Number(process.env.VERIFY_RESEND_INTERVAL_SECONDS || 60);
+
+const PURPOSE = "email_verify";
+
+class EmailVerificationError extends ValidationError {}
+
+// ลิงก์เป็น JWT ที่ผูกกับอีเมลปัจจุบัน (เปลี่ยนอีเมลแล้วลิงก์เก่าใช้ไม่ได้)
+async function sendVerificationEmail(user) {
+  const token = signPurposeToken(
+    PURPOSE,
+    { sub: String(user.id), email: user.email },
+    EMAIL_VERIFY_TTL_HOURS * 60 * 60
+  );
+  const link = `${FRONTEND_URL}/verify-email?token=${encodeURIComponent(token)}`;
+  const name = user.fullname || user.username;
+
+  await db.query(
+    "UPDATE tbl_users SET verification_sent_at = NOW() WHERE id = ?",
+    [user.id]
+  );
+  await sendMail({
+    to: user.email,
+    subject: "Verify your email address",
+    text:
+      `Hi ${name},\n\n` +
+      `Please confirm ${user.email} for the account "${user.username}":\n\n` +
+      `${link}\n\n` +
+      `The link is valid for ${EMAIL_VERIFY_TTL_HOURS} hours.`,
+    html:
+      `<p>Hi ${escapeHtml(name)},</p>` +
+      `<p>Please confirm <b>${escapeHtml(user.email)}</b> for the account <b>${escapeHtml(user.username)}</b>.</p>` +
+      `<p><a href="${escapeHtml(link)}">Verify email address</a> (valid for ${EMAIL_VERIFY_TTL_HOURS} hours).</p>`,
+  });
+}
+
+async function verifyEmailToken(token, req = null) {
+  let payload;
+  try {
+    payload = verifyPurposeToken(PURPOSE, token);
+  } catch {
+    throw new EmailVerificationError("Verification link is invalid or has expired", "VERIFY_TOKEN_INVALID");
+  }
+
+  const [rows] = await db.query(
+    "SELECT id, email, email_verified_at, status FROM tbl_users WHERE id = ? LIMIT 1",
+    [Number(payload.sub)]
+  );
+  const user = rows[0];
+  if (!user || user.email !== payload.email) {
+    throw new EmailVerificationError("Verification link is invalid or has expired", "VERIFY_TOKEN_INVALID");
+  }
+  if (user.email_verified_at) return { userId: user.id, alreadyVerified: true };
+
+  await db.query(
+    "UPDATE tbl_users SET email_verified_at = NOW(), updated_at = NOW() WHERE id = ?",
+    [user.id]
+  );
+  await recordAuditSafely({
+    action: AUDIT_ACTIONS.USER_EMAIL_VERIFY,
+    actorId: user.id,
+    userId: user.id,
+    details: { email: user.email },
+    req,
+  });
+  // เปลี่ยน status -> changeUserStatus แจ้ง event ให้แล้ว
+  if (user.status === USER_STATUSES.PENDING) {
+    await changeUserStatus({
+      userId: user.id,
+      status: USER_STATUSES.ACTIVE,
+      reason: "Email verified",
+      changedBy: null,
+      req,
+    });
+  } else {
+    publishUserChange(USER_EVENT_TYPES.UPDATED, user.id);
+  }
+  return { userId: user.id, alreadyVerified: false };
+}
+
+// ตอบผลเหมือนกันเสมอ - คืน true ถ้าส่งเมลจริง
+async function resendVerification(email) {
+  const [rows] = await db.query(
+    `SELECT id, username, fullname, email, email_verified_at, status
+     FROM tbl_users
+     WHERE email = ? AND email_verified_at IS NULL AND deleted_at IS NULL
+       AND (verification_sent_at IS NULL OR verification_sent_at < NOW() - INTERVAL ? SECOND)
+     LIMIT 1`,
+    [email, VERIFY_RESEND_INTERVAL_SECONDS]
+  );
+  if (rows.length === 0 || rows[0].status === USER_STATUSES.DELETED) return false;
+
+  await sendVerificationEmail(rows[0]);
+  return true;
+}
+
+module.exports = {
+  EMAIL_VERIFY_TTL_HOURS,
+  EmailVerificationError,
+  sendVerificationEmail,
+  verifyEmailToken,
+  resendVerification,
+};
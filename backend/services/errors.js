@@ -0,0 +1,67 @@
+// error ที่รู้ HTTP status ของตัวเอง: service/route โยน (หรือ next(err)) แล้ว middleware/errorHandler.js
+// ตอบเป็น application/problem+json ให้เอง
+// code = ค่าคงที่ให้ client ใช้ตัดสินใจ (แก้ข้อความได้ แต่ห้ามเปลี่ยน code)
+// details = field เพิ่มเติมใน response (เช่น errors, violations) ห้ามใส่ข้อมูลภายใน
+
+class AppError extends Error {
+  constructor(message, code, { status = 500, details = {} } = {}) {
+    super(message);
+    this.name = new.target.name;
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// ข้อมูลจาก client ไม่ถูกต้อง; details.errors = [{ in, field, message }]
+class ValidationError extends AppError {
+  constructor(message, code = "VALIDATION_FAILED", details = {}) {
+    super(message, code, { status: 400, details });
+  }
+}
+
+// ยืนยันตัวตนไม่ผ่าน (401)
+class AuthError extends AppError {
+  constructor(message, code = "UNAUTHORIZED", details = {}) {
+    super(message, code, { status: 401, details });
+  }
+}
+
+// รู้ว่าเป็นใครแต่ไม่มีสิทธิ์ (403)
+class ForbiddenError extends AuthError {
+  constructor(message, code = "FORBIDDEN", details = {}) {
+    super(message, code, details);
+    this.status = 403;
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message = "Not found", code = "NOT_FOUND", details = {}) {
+    super(message, code, { status: 404, details });
+  }
+}
+
+// ชนกับข้อมูลที่มีอยู่ (unique, สถานะไม่ตรง)
+class ConflictError extends AppError {
+  constructor(message, code = "CONFLICT", details = {}) {
+    super(message, code, { status: 409, details });
+  }
+}
+
+// retryAfterSeconds -> header Retry-After
+class RateLimitError extends AppError {
+  constructor(message, code = "TOO_MANY_REQUESTS", { retryAfterSeconds, ...details } = {}) {
+    super(message, code, { status: 429, details });
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+}
+
+module.exports = {
+  AppError,
+  ValidationError,
+  AuthError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  RateLimitError,
+};
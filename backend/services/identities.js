@@ -0,0 +1,230 @@
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const db = require("../config/db");
+const { USER_STATUSES } = require("../config/statuses");
+const { normalizeEmail, isValidEmail } = require("../config/verification");
+const { generateOpaqueToken, hashToken } = require("./tokens");
+const { sendVerificationEmail } = require("./emailVerification");
+const { OidcError } = require("./oidc");
+const { USER_EVENT_TYPES, publishUserChange } = require("./userEvents");
+const { insertUser, duplicateField } = require("./userRepository");
+
+// บัญชีภายนอก (OIDC) ที่ผูกกับ tbl_users: (provider, subject) -> user_id
+
+// code ใช้ครั้งเดียวที่ส่งกลับไปหน้า frontend หลัง callback เพื่อแลกเป็น token จริง
+const LOGIN_CODE_TTL_SECONDS = Number(process.env.OIDC_LOGIN_CODE_TTL_SECONDS || 60);
+
+const LOGIN_USER_COLUMNS = `u.id, u.firstname, u.fullname, u.lastname, u.username, u.email, u.email_verified_at,
+  u.status, u.role, u.totp_enabled_at`;
+
+// provider บางเจ้าส่ง email_verified เป็น string
+const isTrue = (value) => value === true || value === "true";
+
+async function findUserById(id) {
+  const [rows] = await db.query(`SELECT ${LOGIN_USER_COLUMNS} FROM tbl_users u WHERE u.id = ? AND u.deleted_at IS NULL LIMIT 1`, [
+    id,
+  ]);
+  return rows[0] || null;
+}
+
+async function findIdentity(providerId, subject) {
+  const [rows] = await db.query(
+    "SELECT id, user_id FROM tbl_user_identities WHERE provider = ? AND subject = ? LIMIT 1",
+    [providerId, subject]
+  );
+  return rows[0] || null;
+}
+
+async function insertIdentity(userId, provider, claims, conn = db) {
+  try {
+    const [result] = await conn.query(
+      `INSERT INTO tbl_user_identities (user_id, provider, subject, email, last_login_at)
+       VALUES (?, ?, ?, ?, NOW())`,
+      [userId, provider.id, String(claims.sub), normalizeEmail(claims.email) || null]
+    );
+    return result.insertId;
+  } catch (err) {
+    if (err?.code === "ER_DUP_ENTRY") {
+      throw new OidcError(
+        `This account already has a different ${provider.name} login linked`,
+        "OIDC_PROVIDER_ALREADY_LINKED"
+      );
+    }
+    throw err;
+  }
+}
+
+// username จากข้อมูล provider (preferred_username > ส่วนหน้าของอีเมล) ชนก็ต่อเลขสุ่ม
+async function pickUsername(provider, claims) {
+  const raw = claims.preferred_username || String(claims.email || "").split("@")[0] || `${provider.id}_user`;
+  const base = String(raw).replace(/[^A-Za-z0-9._-]/g, "").slice(0, 40) || `${provider.id}_user`;
+
+  for (let i = 0; i < 5; i += 1) {
+    const candidate = i === 0 ? base : `${base}${crypto.randomInt(1000, 10000)}`;
+    const [rows] = await db.query("SELECT id FROM tbl_users WHERE username = ? LIMIT 1", [candidate]);
+    if (rows.length === 0) return candidate;
+  }
+  return `${base}_${generateOpaqueToken(4)}`;
+}
+
+// สร้างบัญชีใหม่ตอน login ครั้งแรก (just-in-time) พร้อมผูก identity ใน transaction เดียว
+// รหัสผ่านสุ่มที่ไม่มีใครรู้ ตั้งรหัสเองภายหลังได้ผ่าน forgot-password
+async function createUserFromClaims(provider, claims, email) {
+  const emailVerified = provider.trustEmail && isTrue(claims.email_verified);
+  const username = await pickUsername(provider, claims);
+  const password = await bcrypt.hash(generateOpaqueToken(32), 10);
+  const fullname = claims.given_name || claims.name || null;
+
+  // insert identity ไม่ผ่าน (sub เดียวกันสมัครพร้อมกัน) -> rollback user ด้วย ไม่เหลือบัญชีที่ไม่มีใคร login ได้
+  const { userId, identityId } = await db.transaction(async (conn) => {
+    const id = await insertUser(
+      {
+        fullname,
+        lastname: claims.family_name || null,
+        username,
+        password,
+        email,
+        status: emailVerified ? USER_STATUSES.ACTIVE : USER_STATUSES.PENDING,
+        emailVerified,
+      },
+      conn
+    );
+    return { userId: id, identityId: await insertIdentity(id, provider, claims, conn) };
+  });
+  publishUserChange(USER_EVENT_TYPES.CREATED, userId);
+
+  if (!emailVerified) {
+    try {
+      await sendVerificationEmail({ id: userId, username, fullname, email });
+    } catch (mailErr) {
+      console.error("Send verification email failed:", mailErr);
+    }
+  }
+  return { userId, identityId };
+}
+
+// ผู้ใช้ที่จะ login ด้วยบัญชีภายนอกนี้: ที่ผูกไว้แล้ว > บัญชีเดิมที่อีเมลตรง (ยืนยันแล้วทั้งสองฝั่ง) > สร้างใหม่
+async function resolveLoginUser(provider, claims) {
+  const identity = await findIdentity(provider.id, String(claims.sub));
+  if (identity) {
+    await db.query(
+      "UPDATE tbl_user_identities SET email = COALESCE(?, email), last_login_at = NOW() WHERE id = ?",
+      [normalizeEmail(claims.email) || null, identity.id]
+    );
+    return { userId: identity.user_id, identityId: identity.id };
+  }
+
+  const email = normalizeEmail(claims.email);
+  if (!email || !isValidEmail(email)) {
+    throw new OidcError(`${provider.name} did not share an email address`, "OIDC_EMAIL_REQUIRED");
+  }
+
+  const [existing] = await db.query(
+    "SELECT id, email_verified_at FROM tbl_users WHERE email = ? AND deleted_at IS NULL LIMIT 1",
+    [email]
+  );
+  if (existing.length > 0) {
+    // อีเมลไม่ได้ยืนยันฝั่งใดฝั่งหนึ่ง -> ไม่ผูกให้อัตโนมัติ (กันยึดบัญชีด้วยอีเมลที่ไม่ได้เป็นเจ้าของ)
+    const canLink = provider.trustEmail && isTrue(claims.email_verified) && existing[0].email_verified_at;
+    if (!canLink) {
+      throw new OidcError(
+        `An account with this email already exists. Sign in with your password and link ${provider.name} from the security settings.`,
+        "OIDC_ACCOUNT_EXISTS"
+      );
+    }
+    const identityId = await insertIdentity(existing[0].id, provider, claims);
+    return { userId: existing[0].id, identityId };
+  }
+
+  if (!provider.allowSignup) {
+    throw new OidcError(`No account is linked to this ${provider.name} login`, "OIDC_SIGNUP_DISABLED");
+  }
+
+  try {
+    return { ...(await createUserFromClaims(provider, claims, email)), created: true };
+  } catch (err) {
+    // request อื่นที่ sub เดียวกันสร้างเสร็จก่อน -> ใช้บัญชีนั้น
+    const winner = await findIdentity(provider.id, String(claims.sub));
+    if (winner) return { userId: winner.user_id, identityId: winner.id };
+    // อีเมลยังถูกจองโดยบัญชีในถังขยะ
+    if (duplicateField(err) === "email") {
+      throw new OidcError("An account with this email already exists", "OIDC_ACCOUNT_EXISTS");
+    }
+    throw err;
+  }
+}
+
+// ผูกบัญชีภายนอกกับผู้ใช้ที่ login อยู่ (จากหน้า security)
+async function linkIdentity(userId, provider, claims) {
+  const identity = await findIdentity(provider.id, String(claims.sub));
+  if (identity) {
+    if (Number(identity.user_id) === Number(userId)) return identity.id;
+    throw new OidcError(
+      `This ${provider.name} login is already linked to another account`,
+      "OIDC_IDENTITY_IN_USE"
+    );
+  }
+  return insertIdentity(userId, provider, claims);
+}
+
+async function createLoginCode(identityId) {
+  const code = generateOpaqueToken(32);
+  await db.query(
+    `UPDATE tbl_user_identities
+     SET login_code_hash = ?, login_code_expires_at = DATE_ADD(NOW(), INTERVAL ? SECOND)
+     WHERE id = ?`,
+    [hashToken(code), LOGIN_CODE_TTL_SECONDS, identityId]
+  );
+  return code;
+}
+
+// ใช้ได้ครั้งเดียว: ล้าง hash แบบมีเงื่อนไข ใครล้างได้ก่อนคนนั้นได้ user
+async function consumeLoginCode(code) {
+  const codeHash = hashToken(code);
+  const [rows] = await db.query(
+    `SELECT id, user_id FROM tbl_user_identities
+     WHERE login_code_hash = ? AND login_code_expires_at > NOW() LIMIT 1`,
+    [codeHash]
+  );
+  if (rows.length === 0) return null;
+
+  const [result] = await db.query(
+    `UPDATE tbl_user_identities SET login_code_hash = NULL, login_code_expires_at = NULL
+     WHERE id = ? AND login_code_hash = ?`,
+    [rows[0].id, codeHash]
+  );
+  if (result.affectedRows === 0) return null;
+  return findUserById(rows[0].user_id);
+}
+
+async function listIdentities(userId) {
+  const [rows] = await db.query(
+    `SELECT provider, email, created_at, last_login_at
+     FROM tbl_user_identities WHERE user_id = ? ORDER BY created_at`,
+    [userId]
+  );
+  return rows.map((row) => ({
+    provider: row.provider,
+    email: row.email,
+    linkedAt: row.created_at,
+    lastLoginAt: row.last_login_at,
+  }));
+}
+
+async function unlinkIdentity(userId, providerId) {
+  const [result] = await db.query(
+    "DELETE FROM tbl_user_identities WHERE user_id = ? AND provider = ?",
+    [userId, providerId]
+  );
+  return result.affectedRows > 0;
+}
+
+module.exports = {
+  LOGIN_CODE_TTL_SECONDS,
+  resolveLoginUser,
+  linkIdentity,
+  createLoginCode,
+  consumeLoginCode,
+  listIdentities,
+  unlinkIdentity,
+};
@@ -0,0 +1,118 @@
+const db = require("../config/db");
+const { ROLES } = require("../config/roles");
+const { accessError } = require("../config/verification");
+const { signAccessToken } = require("./tokens");
+const { buildAccessToken } = require("./loginFlow");
+const { AUDIT_ACTIONS, recordAudit } = require("./audit");
+const { AppError } = require("./errors");
+
+// admin สวมรอยผู้ใช้เพื่อดูปัญหาจากมุมของเขา: access token อายุสั้นที่มีทั้ง id ของผู้ใช้
+// และ claim act = { id, username } ของ admin (ผูกกับ session ของ admin ไม่มี refresh token ของตัวเอง)
+// หมดอายุแล้ว client refresh ด้วย refresh token เดิมก็จะได้ token ของ admin กลับมา
+const IMPERSONATION_TTL_SECONDS = Number(process.env.IMPERSONATION_TTL_SECONDS || 15 * 60);
+
+// code -> HTTP status (ที่ไม่อยู่ในนี้ = 400)
+const IMPERSONATION_ERROR_STATUS = {
+  IMPERSONATION_NOT_FOUND: 404,
+  IMPERSONATION_TARGET_ADMIN: 403,
+  IMPERSONATION_TARGET_INACTIVE: 409,
+};
+
+class ImpersonationError extends AppError {
+  constructor(message, code) {
+    super(message, code, { status: IMPERSONATION_ERROR_STATUS[code] || 400 });
+  }
+}
+
+async function findUser(userId) {
+  const [rows] = await db.query(
+    `SELECT id, username, fullname, lastname, role, status
+     FROM tbl_users WHERE id = ? AND deleted_at IS NULL LIMIT 1`,
+    [userId]
+  );
+  return rows[0] || null;
+}
+
+// actor = req.user ของ admin (ต้องเป็น session ที่ login เอง)
+async function startImpersonation({ actor, userId, reason = null, req = null }) {
+  if (actor.impersonator) {
+    throw new ImpersonationError("Already impersonating a user", "IMPERSONATION_NESTED");
+  }
+  if (Number(userId) === Number(actor.id)) {
+    throw new ImpersonationError("Cannot impersonate yourself", "IMPERSONATION_SELF");
+  }
+
+  const [admin, target] = await Promise.all([findUser(actor.id), findUser(userId)]);
+  if (!target) throw new ImpersonationError("User not found", "IMPERSONATION_NOT_FOUND");
+  if (target.role === ROLES.ADMIN) {
+    throw new ImpersonationError("Administrators cannot be impersonated", "IMPERSONATION_TARGET_ADMIN");
+  }
+  if (accessError(target.status)) {
+    throw new ImpersonationError(`User is ${target.status}`, "IMPERSONATION_TARGET_INACTIVE");
+  }
+
+  const impersonator = { id: admin.id, username: admin.username };
+  const token = signAccessToken(
+    {
+      role: target.role,
+      id: target.id,
+      fullname: target.fullname,
+      lastname: target.lastname,
+      status: target.status,
+      sid: actor.sid,
+      act: impersonator,
+    },
+    { expiresIn: IMPERSONATION_TTL_SECONDS }
+  );
+  const expiresAt = new Date(Date.now() + IMPERSONATION_TTL_SECONDS * 1000);
+
+  await recordAudit({
+    action: AUDIT_ACTIONS.IMPERSONATION_START,
+    actorId: admin.id,
+    userId: target.id,
+    details: { reason, sessionId: actor.sid, expiresAt },
+    req,
+  });
+
+  return {
+    token,
+    expiresIn: IMPERSONATION_TTL_SECONDS,
+    expiresAt,
+    user: {
+      id: target.id,
+      username: target.username,
+      fullname: target.fullname,
+      lastname: target.lastname,
+      role: target.role,
+      status: target.status,
+    },
+    impersonator,
+  };
+}
+
+// คืน access token ของ admin (session เดิม) และบันทึกว่าหยุดแล้ว
+async function stopImpersonation({ actor, req = null }) {
+  if (!actor.impersonator) {
+    throw new ImpersonationError("Not impersonating anyone", "IMPERSONATION_NOT_ACTIVE");
+  }
+
+  const admin = await findUser(actor.impersonator.id);
+  if (!admin) throw new ImpersonationError("User not found", "IMPERSONATION_NOT_FOUND");
+
+  await recordAudit({
+    action: AUDIT_ACTIONS.IMPERSONATION_STOP,
+    actorId: admin.id,
+    userId: actor.id,
+    details: { sessionId: actor.sid },
+    req,
+  });
+
+  return { token: buildAccessToken(admin, actor.sid), user: admin };
+}
+
+module.exports = {
+  IMPERSONATION_TTL_SECONDS,
+  ImpersonationError,
+  startImpersonation,
+  stopImpersonation,
+};
@@ -0,0 +1,257 @@
+const bcrypt = require("bcryptjs");
+const db = require("../config/db");
+const { generateOpaqueToken, hashToken } = require("./tokens");
+const { FRONTEND_URL, escapeHtml, sendMail } = require("./mailer");
+const { assertPasswordAllowed } = require("./passwordPolicy");
+const { USER_EVENT_TYPES, publishUserChange } = require("./userEvents");
+const { insertUser } = require("./userRepository");
+const { AppError } = require("./errors");
+
+// admin เชิญ username/email พร้อม role ไว้ก่อน ผู้ถูกเชิญตั้งรหัสผ่านเองจากลิงก์ในอีเมล
+const INVITE_TTL_DAYS = Number(process.env.INVITE_TTL_DAYS || 7);
+
+const INVITATION_STATUSES = Object.freeze({
+  PENDING: "pending",
+  ACCEPTED: "accepted",
+  REVOKED: "revoked",
+  EXPIRED: "expired",
+});
+
+// code -> HTTP status (ที่ไม่อยู่ในนี้ = 400 เช่น INVITE_TOKEN_INVALID)
+const INVITATION_ERROR_STATUS = {
+  INVITE_NOT_FOUND: 404,
+  INVITE_CONFLICT: 409,
+  INVITE_CLOSED: 409,
+};
+
+class InvitationError extends AppError {
+  constructor(message, code) {
+    super(message, code, { status: INVITATION_ERROR_STATUS[code] || 400 });
+  }
+}
+
+const INVITE_COLUMNS = `i.id, i.username, i.email, i.role, i.invited_by, inviter.username AS invited_by_username,
+  i.expires_at, i.accepted_at, i.accepted_user_id, i.revoked_at, i.last_sent_at, i.send_count, i.created_at`;
+
+const buildInviteLink = (token) => `${FRONTEND_URL}/accept-invite?token=${encodeURIComponent(token)}`;
+
+const inviteExpiry = () => new Date(Date.now() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+function invitationStatus(row) {
+  if (row.accepted_at) return INVITATION_STATUSES.ACCEPTED;
+  if (row.revoked_at) return INVITATION_STATUSES.REVOKED;
+  if (new Date(row.expires_at).getTime() <= Date.now()) return INVITATION_STATUSES.EXPIRED;
+  return INVITATION_STATUSES.PENDING;
+}
+
+const toInvitation = (row) => ({
+  id: row.id,
+  username: row.username,
+  email: row.email,
+  role: row.role,
+  status: invitationStatus(row),
+  invitedBy: row.invited_by ? { id: row.invited_by, username: row.invited_by_username || null } : null,
+  createdAt: row.created_at,
+  expiresAt: row.expires_at,
+  lastSentAt: row.last_sent_at,
+  sendCount: row.send_count,
+  acceptedAt: row.accepted_at,
+  acceptedUserId: row.accepted_user_id,
+  revokedAt: row.revoked_at,
+});
+
+async function findInvitation(id) {
+  const [rows] = await db.query(
+    `SELECT ${INVITE_COLUMNS}
+     FROM tbl_invitations i
+     LEFT JOIN tbl_users inviter ON inviter.id = i.invited_by
+     WHERE i.id = ? LIMIT 1`,
+    [id]
+  );
+  return rows[0] ? toInvitation(rows[0]) : null;
+}
+
+async function listInvitations({ includeClosed = false } = {}) {
+  const [rows] = await db.query(
+    `SELECT ${INVITE_COLUMNS}
+     FROM tbl_invitations i
+     LEFT JOIN tbl_users inviter ON inviter.id = i.invited_by
+     ${includeClosed ? "" : "WHERE i.accepted_at IS NULL AND i.revoked_at IS NULL"}
+     ORDER BY i.created_at DESC`
+  );
+  return rows.map(toInvitation);
+}
+
+// username/email ต้องไม่ชนกับ user ที่มีอยู่ หรือคำเชิญอื่นที่ยังไม่หมดอายุ
+async function assertAvailable({ username, email }) {
+  const [users] = await db.query(
+    "SELECT username, email FROM tbl_users WHERE username = ? OR email = ? LIMIT 1",
+    [username, email]
+  );
+  if (users.length > 0) {
+    const field = users[0].username === username ? "Username" : "Email";
+    throw new InvitationError(`${field} already exists`, "INVITE_CONFLICT");
+  }
+
+  const [pending] = await db.query(
+    `SELECT id FROM tbl_invitations
+     WHERE (username = ? OR email = ?)
+       AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > NOW()
+     LIMIT 1`,
+    [username, email]
+  );
+  if (pending.length > 0) {
+    throw new InvitationError(
+      "A pending invitation already exists for this username or email",
+      "INVITE_CONFLICT"
+    );
+  }
+}
+
+async function sendInvitationEmail(invitation, token, inviterName) {
+  const link = buildInviteLink(token);
+  await sendMail({
+    to: invitation.email,
+    subject: "You're invited",
+    text:
+      `Hi ${invitation.username},\n\n` +
+      `${inviterName || "An administrator"} has invited you to create an account.\n` +
+      `Open this link within ${INVITE_TTL_DAYS} days to choose your password:\n\n` +
+      `${link}\n\n` +
+      "If you weren't expecting this, you can ignore this email.",
+    html:
+      `<p>Hi ${escapeHtml(invitation.username)},</p>` +
+      `<p>${escapeHtml(inviterName || "An administrator")} has invited you to create an account.</p>` +
+      `<p><a href="${escapeHtml(link)}">Set your password</a> (valid for ${INVITE_TTL_DAYS} days).</p>` +
+      "<p>If you weren't expecting this, you can ignore this email.</p>",
+  });
+}
+
+async function createInvitation({ username, email, role, invitedBy }) {
+  await assertAvailable({ username, email });
+
+  const token = generateOpaqueToken();
+  const [result] = await db.query(
+    `INSERT INTO tbl_invitations (username, email, role, token_hash, invited_by, expires_at, last_sent_at, send_count)
+     VALUES (?, ?, ?, ?, ?, ?, NOW(), 1)`,
+    [username, email, role, hashToken(token), invitedBy?.id ?? null, inviteExpiry()]
+  );
+
+  const invitation = await findInvitation(result.insertId);
+  await sendInvitationEmail(invitation, token, invitedBy?.username);
+  return invitation;
+}
+
+// ส่งใหม่ = ออก token ใหม่ (ลิงก์เก่าใช้ไม่ได้) และนับอายุใหม่ ใช้กับคำเชิญที่หมดอายุแล้วได้ด้วย
+async function resendInvitation(id, { sentBy } = {}) {
+  const invitation = await findInvitation(id);
+  if (!invitation) throw new InvitationError("Invitation not found", "INVITE_NOT_FOUND");
+  if (invitation.status === INVITATION_STATUSES.ACCEPTED || invitation.status === INVITATION_STATUSES.REVOKED) {
+    throw new InvitationError(`Invitation has been ${invitation.status}`, "INVITE_CLOSED");
+  }
+
+  const token = generateOpaqueToken();
+  const [result] = await db.query(
+    `UPDATE tbl_invitations
+     SET token_hash = ?, expires_at = ?, last_sent_at = NOW(), send_count = send_count + 1
+     WHERE id = ? AND accepted_at IS NULL AND revoked_at IS NULL`,
+    [hashToken(token), inviteExpiry(), id]
+  );
+  if (result.affectedRows === 0) {
+    throw new InvitationError("Invitation is no longer pending", "INVITE_CLOSED");
+  }
+
+  const updated = await findInvitation(id);
+  await sendInvitationEmail(updated, token, sentBy?.username);
+  return updated;
+}
+
+async function revokeInvitation(id) {
+  const [result] = await db.query(
+    "UPDATE tbl_invitations SET revoked_at = NOW() WHERE id = ? AND accepted_at IS NULL AND revoked_at IS NULL",
+    [id]
+  );
+  return result.affectedRows > 0;
+}
+
+async function findOpenInvitationByToken(token) {
+  const [rows] = await db.query(
+    `SELECT id, username, email, role, expires_at
+     FROM tbl_invitations
+     WHERE token_hash = ? AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > NOW()
+     LIMIT 1`,
+    [hashToken(token)]
+  );
+  return rows[0] || null;
+}
+
+const invalidToken = () =>
+  new InvitationError("Invitation link is invalid or has expired", "INVITE_TOKEN_INVALID");
+
+// ข้อมูลที่หน้า accept-invite แสดงก่อนตั้งรหัสผ่าน
+async function lookupInvitation(token) {
+  const invitation = await findOpenInvitationByToken(token);
+  if (!invitation) throw invalidToken();
+  return {
+    username: invitation.username,
+    email: invitation.email,
+    role: invitation.role,
+    expiresAt: invitation.expires_at,
+  };
+}
+
+// ใช้ token ได้ครั้งเดียว -> สร้าง user (active, อีเมลถือว่ายืนยันแล้วเพราะรับลิงก์ทางอีเมล)
+async function acceptInvitation({ token, password, profile = {} }) {
+  const invitation = await findOpenInvitationByToken(token);
+  if (!invitation) throw invalidToken();
+  await assertPasswordAllowed(password, { username: invitation.username });
+
+  const [claimed] = await db.query(
+    `UPDATE tbl_invitations SET accepted_at = NOW()
+     WHERE id = ? AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > NOW()`,
+    [invitation.id]
+  );
+  if (claimed.affectedRows === 0) throw invalidToken();
+
+  const hashedPassword = await bcrypt.hash(password, 10);
+  let userId;
+  try {
+    userId = await insertUser({
+      firstname: profile.firstname || null,
+      fullname: profile.fullname || null,
+      lastname: profile.lastname || null,
+      username: invitation.username,
+      password: hashedPassword,
+      role: invitation.role,
+      email: invitation.email,
+      emailVerified: true,
+    });
+  } catch (err) {
+    // มีคนสมัคร username/email นี้ไปก่อน -> คืนคำเชิญให้ admin จัดการต่อ
+    await db.query("UPDATE tbl_invitations SET accepted_at = NULL WHERE id = ?", [invitation.id]);
+    if (err?.code === "ER_DUP_ENTRY") {
+      throw new InvitationError(
+        "An account with this username or email already exists",
+        "INVITE_CONFLICT"
+      );
+    }
+    throw err;
+  }
+
+  await db.query("UPDATE tbl_invitations SET accepted_user_id = ? WHERE id = ?", [userId, invitation.id]);
+  publishUserChange(USER_EVENT_TYPES.CREATED, userId);
+  return { userId, username: invitation.username };
+}
+
+module.exports = {
+  INVITE_TTL_DAYS,
+  INVITATION_STATUSES,
+  InvitationError,
+  listInvitations,
+  findInvitation,
+  createInvitation,
+  resendInvitation,
+  revokeInvitation,
+  lookupInvitation,
+  acceptInvitation,
+};
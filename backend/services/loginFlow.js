@@ -0,0 +1,79 @@
+const { DEFAULT_ROLE } = require("../config/roles");
+const { ACCESS_TOKEN_TTL_SECONDS, signAccessToken, signPurposeToken } = require("./tokens");
+const { clientInfo, createSession } = require("./sessions");
+const { wantsCookieTransport, setAuthCookies } = require("./authCookies");
+const { AUDIT_ACTIONS, recordAuditSafely } = require("./audit");
+
+// ขั้นตอนหลังยืนยันตัวตนแล้ว ใช้ร่วมกันทั้ง login ด้วยรหัสผ่าน, 2FA และ OIDC
+
+// login ขั้นที่สอง (2FA) ต้องส่ง code ภายในเวลานี้
+const TWO_FACTOR_CHALLENGE_TTL_SECONDS = Number(process.env.TWO_FACTOR_CHALLENGE_TTL_SECONDS || 5 * 60);
+const TWO_FACTOR_PURPOSE = "login_2fa";
+
+// access token ผูกกับ session (sid) เพื่อให้ logout/revoke มีผลจริง
+const buildAccessToken = (user, sessionId) =>
+  signAccessToken({
+    role: user.role || DEFAULT_ROLE,
+    id: user.id,
+    fullname: user.fullname,
+    lastname: user.lastname,
+    status: user.status,
+    sid: sessionId,
+  });
+
+// details = ข้อมูลเพิ่มใน audit log (เช่น วิธียืนยัน 2FA)
+async function issueTokens(user, req, details = {}) {
+  const { sessionId, refreshToken } = await createSession(user.id, clientInfo(req));
+  await recordAuditSafely({
+    action: AUDIT_ACTIONS.AUTH_LOGIN,
+    actorId: user.id,
+    userId: user.id,
+    details: { sessionId, ...details },
+    req,
+  });
+  return {
+    token: buildAccessToken(user, sessionId),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+  };
+}
+
+// โหมด cookie: token ไปอยู่ใน HttpOnly cookie แทน body (body มีแค่ csrfToken)
+function sendTokens(req, res, body, { cookie = wantsCookieTransport(req) } = {}) {
+  const { token, refreshToken, expiresIn, ...rest } = body;
+  if (!cookie) return res.json({ ...rest, token, refreshToken, expiresIn });
+
+  const csrfToken = setAuthCookies(res, { token, refreshToken, expiresIn });
+  res.json({ ...rest, transport: "cookie", csrfToken, expiresIn });
+}
+
+// ผ่านขั้นแรกแล้ว (รหัสผ่าน/OIDC): เปิด 2FA ไว้ -> ยังไม่ออก token จริง ให้ challenge ไปยืนยัน code ก่อน
+// caller ต้องตรวจ status บัญชีมาก่อนแล้ว
+async function completeFirstFactor(req, res, user) {
+  if (user.totp_enabled_at) {
+    return res.json({
+      message: "Two-factor authentication required",
+      twoFactorRequired: true,
+      challengeToken: signPurposeToken(
+        TWO_FACTOR_PURPOSE,
+        { sub: String(user.id), username: user.username },
+        TWO_FACTOR_CHALLENGE_TTL_SECONDS
+      ),
+      expiresIn: TWO_FACTOR_CHALLENGE_TTL_SECONDS,
+    });
+  }
+
+  const tokens = await issueTokens(user, req);
+
+  const { password: _omit, totp_enabled_at: _totp, ...safeUser } = user;
+  return sendTokens(req, res, { message: "Login successful", ...tokens, user: safeUser });
+}
+
+module.exports = {
+  TWO_FACTOR_CHALLENGE_TTL_SECONDS,
+  TWO_FACTOR_PURPOSE,
+  buildAccessToken,
+  issueTokens,
+  sendTokens,
+  completeFirstFactor,
+};
@@ -0,0 +1,249 @@
+const db = require("../config/db");
+const { RateLimitError } = require("./errors");
+
+// กัน brute-force: นับการ login ผิดต่อ username และต่อ IP
+// - username: หน่วงเวลาแบบ exponential back-off หลังผิดแต่ละครั้ง
+// - ผิดครบ threshold (username หรือ IP) -> ล็อกชั่วคราว LOGIN_LOCKOUT_MINUTES นาที
+//   IP ไม่มี back-off เพราะหลายคนอาจใช้ IP เดียวกัน (NAT)
+const LOGIN_MAX_ATTEMPTS = Number(process.env.LOGIN_MAX_ATTEMPTS || 5);
+const LOGIN_MAX_ATTEMPTS_PER_IP = Number(process.env.LOGIN_MAX_ATTEMPTS_PER_IP || 20);
+const LOGIN_LOCKOUT_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES || 15);
+const LOGIN_BACKOFF_BASE_MS = Number(process.env.LOGIN_BACKOFF_BASE_MS || 1000);
+const LOGIN_BACKOFF_MAX_MS = Number(process.env.LOGIN_BACKOFF_MAX_MS || 60 * 1000);
+// ผิดครั้งล่าสุดเก่ากว่านี้ -> เริ่มนับใหม่
+const LOGIN_ATTEMPT_WINDOW_MINUTES = Number(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES || 15);
+
+const MINUTE = 60 * 1000;
+
+const userKey = (username) => `user:${String(username).trim().toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip || "unknown"}`;
+
+const toTime = (value) => (value ? new Date(value).getTime() : 0);
+
+// record: { key, failures, firstFailedAt, lastFailedAt, lockedUntil }
+function isStale(record, now) {
+  return (
+    toTime(record.lockedUntil) <= now &&
+    toTime(record.lastFailedAt) + LOGIN_ATTEMPT_WINDOW_MINUTES * MINUTE <= now
+  );
+}
+
+// ---- stores ----
+// update(keys, change): อ่าน record ของทุก key -> change(records) คืน record ใหม่ (null = ไม่เปลี่ยน) -> เขียน
+// ทั้งหมดต้องเป็น atomic: request ที่มาพร้อมกันต้องเห็นผลของกันและกัน (ไม่งั้นเดารหัสพร้อมกันหลุด back-off)
+
+// in-memory: ใช้ตอน dev (หายเมื่อ restart และไม่แชร์ระหว่าง instance)
+function createMemoryStore() {
+  const records = new Map();
+  return {
+    // ไม่มี await ระหว่างอ่านกับเขียน -> atomic ใน process เดียว
+    async update(keys, change) {
+      const next = change(keys.map((key) => records.get(key) || null));
+      for (const record of next) if (record) records.set(record.key, { ...record });
+      return next;
+    },
+    async delete(key) {
+      return records.delete(key);
+    },
+    async list() {
+      return [...records.values()];
+    },
+  };
+}
+
+// MySQL: ใช้ใน production (Vercel มีหลาย instance)
+function createMysqlStore(pool = db) {
+  const fromRow = (row) => ({
+    key: row.attempt_key,
+    failures: Number(row.failures),
+    firstFailedAt: row.first_failed_at,
+    lastFailedAt: row.last_failed_at,
+    lockedUntil: row.locked_until,
+  });
+
+  const write = (conn, record) =>
+    conn.query(
+      `UPDATE tbl_login_attempts
+       SET failures = ?, first_failed_at = ?, last_failed_at = ?, locked_until = ?
+       WHERE attempt_key = ?`,
+      [
+        record.failures,
+        record.firstFailedAt ? new Date(record.firstFailedAt) : null,
+        record.lastFailedAt ? new Date(record.lastFailedAt) : null,
+        record.lockedUntil ? new Date(record.lockedUntil) : null,
+        record.key,
+      ]
+    );
+
+  return {
+    // ล็อกแถวใน transaction (เรียง key ทุกครั้ง กัน deadlock) -> request อื่นที่ key เดียวกันรอจน commit
+    async update(keys, change) {
+      return pool.transaction(async (conn) => {
+        const current = new Map();
+        for (const key of [...keys].sort()) {
+          // มีแถวเสมอก่อน SELECT ... FOR UPDATE (แถวที่ยังไม่มีล็อกไม่ได้)
+          await conn.query(
+            `INSERT INTO tbl_login_attempts (attempt_key, failures) VALUES (?, 0)
+             ON DUPLICATE KEY UPDATE failures = failures`,
+            [key]
+          );
+          const [rows] = await conn.query(
+            `SELECT attempt_key, failures, first_failed_at, last_failed_at, locked_until
+             FROM tbl_login_attempts
+             WHERE attempt_key = ? FOR UPDATE`,
+            [key]
+          );
+          current.set(key, fromRow(rows[0]));
+        }
+        const next = change(keys.map((key) => current.get(key)));
+        for (const record of next) if (record) await write(conn, record);
+        return next;
+      });
+    },
+    async delete(key) {
+      const [result] = await pool.query(
+        "DELETE FROM tbl_login_attempts WHERE attempt_key = ?",
+        [key]
+      );
+      return result.affectedRows > 0;
+    },
+    async list() {
+      const [rows] = await pool.query(
+        `SELECT attempt_key, failures, first_failed_at, last_failed_at, locked_until
+         FROM tbl_login_attempts
+         ORDER BY last_failed_at DESC`
+      );
+      return rows.map(fromRow);
+    },
+  };
+}
+
+function createStoreFromEnv() {
+  const kind =
+    process.env.LOGIN_THROTTLE_STORE ||
+    (process.env.NODE_ENV === "production" ? "mysql" : "memory");
+  return kind === "mysql" ? createMysqlStore() : createMemoryStore();
+}
+
+let store = createStoreFromEnv();
+
+// ---- throttle ----
+const backoffMs = (failures) =>
+  failures <= 0
+    ? 0
+    : Math.min(LOGIN_BACKOFF_BASE_MS * 2 ** (failures - 1), LOGIN_BACKOFF_MAX_MS);
+
+function blockedUntil(record, now, backoff) {
+  if (!record || isStale(record, now)) return 0;
+  const locked = toTime(record.lockedUntil);
+  if (locked > now) return locked;
+  if (!backoff) return 0;
+  const next = toTime(record.lastFailedAt) + backoffMs(record.failures);
+  return next > now ? next : 0;
+}
+
+const keysFor = ({ username, ip }) => [
+  { key: userKey(username), max: LOGIN_MAX_ATTEMPTS, backoff: true },
+  { key: ipKey(ip), max: LOGIN_MAX_ATTEMPTS_PER_IP, backoff: false },
+];
+
+// นับเพิ่มหนึ่งครั้ง; หมดเวลาล็อกแล้วเริ่มนับใหม่ (ไม่งั้นผิดครั้งเดียวก็ล็อกซ้ำทันที)
+function countFailure(record, { key, max }, now) {
+  const fresh =
+    !record || isStale(record, now) || (record.lockedUntil && toTime(record.lockedUntil) <= now);
+  const base = fresh ? { key, failures: 0, firstFailedAt: now, lockedUntil: null } : record;
+  const failures = base.failures + 1;
+  return {
+    ...base,
+    failures,
+    lastFailedAt: now,
+    lockedUntil: failures >= max ? now + LOGIN_LOCKOUT_MINUTES * MINUTE : base.lockedUntil,
+  };
+}
+
+/**
+ * เรียกก่อนตรวจรหัสผ่าน/code: { allowed, retryAfterSeconds }
+ * allowed -> ครั้งนี้ถูกนับเป็นการผิดไว้ก่อนแล้ว (จองแบบ atomic) สำเร็จค่อยเรียก recordLoginSuccess
+ * request ที่มาพร้อมกันจึงเห็นครั้งนี้ทันที (back-off/lockout มีผลก่อน bcrypt ของครั้งถัดไป)
+ */
+async function reserveLoginAttempt({ username, ip }) {
+  const now = Date.now();
+  const limits = keysFor({ username, ip });
+  let until = 0;
+  await store.update(
+    limits.map((limit) => limit.key),
+    (records) => {
+      until = Math.max(0, ...records.map((record, i) => blockedUntil(record, now, limits[i].backoff)));
+      return until ? records.map(() => null) : records.map((record, i) => countFailure(record, limits[i], now));
+    }
+  );
+  if (!until) return { allowed: true, retryAfterSeconds: 0 };
+  return { allowed: false, retryAfterSeconds: Math.ceil((until - now) / 1000) };
+}
+
+// login สำเร็จ -> ล้างตัวนับของ username; IP แค่คืนครั้งที่จองไว้ (ไม่ล้าง กันใช้บัญชีตัวเองรีเซ็ตตัวนับ)
+// ip ไม่ระบุ (เช่นหลัง reset password) = ล้างเฉพาะ username
+async function recordLoginSuccess({ username, ip }) {
+  await store.delete(userKey(username));
+  if (ip === undefined) return;
+
+  const { key, max } = keysFor({ username, ip })[1];
+  await store.update([key], ([record]) => [
+    record && record.failures > 0
+      ? {
+          ...record,
+          failures: record.failures - 1,
+          lockedUntil: record.failures - 1 >= max ? record.lockedUntil : null,
+        }
+      : null,
+  ]);
+}
+
+// reserveLoginAttempt ไม่ผ่าน -> 429 (Retry-After)
+const tooManyAttemptsError = (gate) =>
+  new RateLimitError("Too many failed login attempts. Try again later.", "TOO_MANY_ATTEMPTS", {
+    retryAfterSeconds: gate.retryAfterSeconds,
+  });
+
+// ---- admin ----
+async function listLockouts() {
+  const now = Date.now();
+  const records = await store.list();
+  return records
+    .filter((record) => record.failures > 0 && !isStale(record, now))
+    .map((record) => {
+      const [type, ...rest] = record.key.split(":");
+      return {
+        key: record.key,
+        type,
+        value: rest.join(":"),
+        failures: record.failures,
+        lastFailedAt: record.lastFailedAt ? new Date(record.lastFailedAt) : null,
+        lockedUntil:
+          toTime(record.lockedUntil) > now ? new Date(record.lockedUntil) : null,
+      };
+    });
+}
+
+const clearLockout = (key) => store.delete(key);
+
+// ใช้เปลี่ยน store (เช่นใน script หรือทดสอบ)
+const setLoginThrottleStore = (next) => {
+  store = next;
+};
+
+module.exports = {
+  LOGIN_MAX_ATTEMPTS,
+  LOGIN_MAX_ATTEMPTS_PER_IP,
+  LOGIN_LOCKOUT_MINUTES,
+  userKey,
+  ipKey,
+  createMemoryStore,
+  createMysqlStore,
+  setLoginThrottleStore,
+  reserveLoginAttempt,
+  recordLoginSuccess,
+  tooManyAttemptsError,
+  listLockouts,
+  clearLockout,
+};
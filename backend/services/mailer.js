@@ -0,0 +1,107 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+// ส่งอีเมลผ่าน transport ที่เลือกด้วย MAIL_TRANSPORT
+// - smtp    : production (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, SMTP_SECURE)
+// - outbox  : dev/test เขียนแต่ละฉบับเป็นไฟล์ .json ใน MAIL_OUTBOX_DIR (ค่าเริ่มต้น .outbox)
+// - console : พิมพ์ลง console อย่างเดียว
+const MAIL_FROM = process.env.MAIL_FROM || "Backend API <no-reply@localhost>";
+// ใช้สร้างลิงก์ในอีเมลให้ชี้ไปหน้า frontend
+const FRONTEND_URL = (process.env.FRONTEND_URL || "http://localhost:3001").replace(/\/+$/, "");
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, (ch) => ({
+    "&": "&amp;",
+    "<": "&lt;",
+    ">": "&gt;",
+    '"': "&quot;",
+    "'": "&#39;",
+  })[ch]);
+}
+
+function createSmtpTransport() {
+  const nodemailer = require("nodemailer");
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT || 587),
+    secure: process.env.SMTP_SECURE === "true",
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+  });
+
+  return {
+    name: "smtp",
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { id: info.messageId };
+    },
+  };
+}
+
+function createOutboxTransport(dir = process.env.MAIL_OUTBOX_DIR || ".outbox") {
+  const outDir = path.resolve(dir);
+  return {
+    name: "outbox",
+    async send(message) {
+      const id = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`;
+      await fs.promises.mkdir(outDir, { recursive: true });
+      const file = path.join(outDir, `${id}.json`);
+      await fs.promises.writeFile(
+        file,
+        JSON.stringify({ id, date: new Date().toISOString(), ...message }, null, 2),
+        "utf-8"
+      );
+      console.log(`📧 [outbox] "${message.subject}" -> ${message.to} (${file})`);
+      return { id, file };
+    },
+  };
+}
+
+function createConsoleTransport() {
+  return {
+    name: "console",
+    async send(message) {
+      console.log(`📧 [mail] to=${message.to} subject="${message.subject}"\n${message.text}`);
+      return { id: null };
+    },
+  };
+}
+
+function createTransportFromEnv() {
+  const kind =
+    process.env.MAIL_TRANSPORT ||
+    (process.env.NODE_ENV === "production" ? "smtp" : "outbox");
+
+  if (kind === "smtp") return createSmtpTransport();
+  if (kind === "console") return createConsoleTransport();
+  return createOutboxTransport();
+}
+
+let transport = null;
+
+const getMailTransport = () => {
+  if (!transport) transport = createTransportFromEnv();
+  return transport;
+};
+
+// ใช้เปลี่ยน transport (เช่นใน script หรือทดสอบ)
+const setMailTransport = (next) => {
+  transport = next;
+};
+
+async function sendMail({ to, subject, text, html }) {
+  return getMailTransport().send({ from: MAIL_FROM, to, subject, text, html });
+}
+
+module.exports = {
+  FRONTEND_URL,
+  escapeHtml,
+  createSmtpTransport,
+  createOutboxTransport,
+  createConsoleTransport,
+  getMailTransport,
+  setMailTransport,
+  sendMail,
+};
@@ -0,0 +1,189 @@
+const fs = require("fs");
+const path = require("path");
+const db = require("../config/db");
+
+// migration แบบมีเลขลำดับใน migrations/ (NNNN_name.js -> { up(conn), down(conn) })
+// ที่รันไปแล้วบันทึกใน tbl_migrations; GET_LOCK กันหลาย instance (cold start พร้อมกัน) รันซ้อน
+// หมายเหตุ: DDL ของ MySQL commit เองทันที -> migration ที่ล้มกลางทางต้องแก้มือ เขียนให้รันซ้ำได้
+const MIGRATIONS_DIR = path.join(__dirname, "..", "migrations");
+const MIGRATIONS_TABLE = "tbl_migrations";
+const MIGRATION_LOCK_NAME = process.env.MIGRATION_LOCK_NAME || "backend_migrations";
+// รอ lock นานสุด (วินาที) ก่อนยอมแพ้
+const MIGRATION_LOCK_TIMEOUT_SECONDS = Number(process.env.MIGRATION_LOCK_TIMEOUT_SECONDS || 60);
+
+const MIGRATION_FILE_PATTERN = /^(\d{4,})_([a-z0-9_]+)\.js$/;
+
+class MigrationError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = "MigrationError";
+    this.code = code;
+  }
+}
+
+// [{ id: "0001_initial_schema", version: 1, file }] เรียงตามเลข
+function listMigrationFiles(dir = MIGRATIONS_DIR) {
+  if (!fs.existsSync(dir)) return [];
+  const migrations = fs
+    .readdirSync(dir)
+    .map((file) => ({ file, match: MIGRATION_FILE_PATTERN.exec(file) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => ({
+      id: file.slice(0, -3),
+      version: Number(match[1]),
+      file: path.join(dir, file),
+    }))
+    .sort((a, b) => a.version - b.version);
+
+  for (let i = 1; i < migrations.length; i += 1) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new MigrationError(
+        `Duplicate migration number: ${migrations[i - 1].id}, ${migrations[i].id}`,
+        "MIGRATION_DUPLICATE"
+      );
+    }
+  }
+  return migrations;
+}
+
+function loadMigration(migration) {
+  const mod = require(migration.file);
+  if (typeof mod.up !== "function" || typeof mod.down !== "function") {
+    throw new MigrationError(`${migration.id} must export up() and down()`, "MIGRATION_INVALID");
+  }
+  return mod;
+}
+
+async function ensureMigrationsTable(conn) {
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS ${MIGRATIONS_TABLE} (
+      id VARCHAR(191) PRIMARY KEY,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )${conn.dialect === "mysql" ? " ENGINE=InnoDB DEFAULT CHARSET=utf8mb4" : ""}
+  `);
+}
+
+async function appliedMigrations(conn) {
+  const [rows] = await conn.query(`SELECT id, applied_at FROM ${MIGRATIONS_TABLE} ORDER BY id`);
+  return rows;
+}
+
+// GET_LOCK (MySQL) ผูกกับ connection -> ทุกคำสั่งระหว่างถือ lock ใช้ conn ที่ได้มา
+async function withMigrationLock(work) {
+  try {
+    return await db.withLock(MIGRATION_LOCK_NAME, MIGRATION_LOCK_TIMEOUT_SECONDS, async (conn) => {
+      await ensureMigrationsTable(conn);
+      return work(conn);
+    });
+  } catch (err) {
+    if (err?.code !== "LOCK_TIMEOUT") throw err;
+    throw new MigrationError(
+      `Timed out waiting for the migration lock after ${MIGRATION_LOCK_TIMEOUT_SECONDS}s`,
+      "MIGRATION_LOCKED"
+    );
+  }
+}
+
+// [{ id, applied, appliedAt, missing }] missing = บันทึกว่ารันแล้วแต่ไม่มีไฟล์
+async function migrationStatus() {
+  const files = listMigrationFiles();
+  await ensureMigrationsTable(db);
+  const applied = new Map((await appliedMigrations(db)).map((row) => [row.id, row.applied_at]));
+  const status = files.map(({ id }) => ({
+    id,
+    applied: applied.has(id),
+    appliedAt: applied.get(id) || null,
+    missing: false,
+  }));
+  for (const [id, appliedAt] of applied) {
+    if (!files.some((file) => file.id === id)) status.push({ id, applied: true, appliedAt, missing: true });
+  }
+  return status.sort((a, b) => a.id.localeCompare(b.id));
+}
+
+// รันทุก migration ที่ยังไม่ได้รัน (หรือถึง version ที่ระบุ) คืน id ที่รันไป
+async function migrateUp({ to = null, log = () => {} } = {}) {
+  const files = listMigrationFiles();
+  return withMigrationLock(async (conn) => {
+    const applied = new Set((await appliedMigrations(conn)).map((row) => row.id));
+    const pending = files.filter(({ id, version }) => !applied.has(id) && (to === null || version <= to));
+    for (const migration of pending) {
+      log(`↑ ${migration.id}`);
+      try {
+        await loadMigration(migration).up(conn);
+      } catch (err) {
+        throw Object.assign(
+          new MigrationError(`${migration.id} failed: ${err.message}`, "MIGRATION_FAILED"),
+          { cause: err }
+        );
+      }
+      await conn.query(`INSERT INTO ${MIGRATIONS_TABLE} (id) VALUES (?)`, [migration.id]);
+    }
+    return pending.map(({ id }) => id);
+  });
+}
+
+// ย้อน migration ล่าสุด steps ตัว คืน id ที่ย้อนไป
+async function migrateDown({ steps = 1, log = () => {} } = {}) {
+  const files = listMigrationFiles();
+  return withMigrationLock(async (conn) => {
+    const applied = (await appliedMigrations(conn)).map((row) => row.id).reverse().slice(0, steps);
+    for (const id of applied) {
+      const migration = files.find((file) => file.id === id);
+      if (!migration) {
+        throw new MigrationError(`Migration file for ${id} not found`, "MIGRATION_MISSING");
+      }
+      log(`↓ ${id}`);
+      try {
+        await loadMigration(migration).down(conn);
+      } catch (err) {
+        throw Object.assign(new MigrationError(`${id} rollback failed: ${err.message}`, "MIGRATION_FAILED"), {
+          cause: err,
+        });
+      }
+      await conn.query(`DELETE FROM ${MIGRATIONS_TABLE} WHERE id = ?`, [id]);
+    }
+    return applied;
+  });
+}
+
+const MIGRATION_TEMPLATE = `// ทุกคำสั่งใช้ conn (connection ที่ถือ migration lock อยู่)
+// SQL ต่างกันระหว่างฐานข้อมูล -> แยกตาม conn.dialect ("mysql" | "sqlite")
+module.exports = {
+  async up(conn) {
+    // await conn.query("ALTER TABLE tbl_users ADD COLUMN ...");
+  },
+
+  async down(conn) {
+    // await conn.query("ALTER TABLE tbl_users DROP COLUMN ...");
+  },
+};
+`;
+
+// สร้างไฟล์ migration ใหม่ เลขถัดจากตัวล่าสุด คืน path ของไฟล์
+function createMigration(name, dir = MIGRATIONS_DIR) {
+  const slug = String(name || "")
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+  if (!slug) throw new MigrationError("Migration name is required", "MIGRATION_NAME_REQUIRED");
+
+  const last = listMigrationFiles(dir).pop();
+  const version = String((last?.version || 0) + 1).padStart(4, "0");
+  const file = path.join(dir, `${version}_${slug}.js`);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(file, MIGRATION_TEMPLATE, { flag: "wx" });
+  return file;
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  MIGRATIONS_TABLE,
+  MigrationError,
+  listMigrationFiles,
+  migrationStatus,
+  migrateUp,
+  migrateDown,
+  createMigration,
+};
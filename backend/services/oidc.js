@@ -0,0 +1,189 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { generateOpaqueToken } = require("./tokens");
+const { AppError } = require("./errors");
+
+// OIDC client: authorization code + PKCE (S256)
+// discovery document / JWKS ของ provider cache ไว้ในหน่วยความจำ
+const DISCOVERY_CACHE_MS = Number(process.env.OIDC_DISCOVERY_CACHE_SECONDS || 60 * 60) * 1000;
+const HTTP_TIMEOUT_MS = Number(process.env.OIDC_HTTP_TIMEOUT_MS || 10000);
+// เผื่อเวลาเครื่องไม่ตรงกันตอนตรวจ exp/iat ของ id_token
+const CLOCK_TOLERANCE_SECONDS = 60;
+const ID_TOKEN_ALGORITHMS = ["RS256", "ES256"];
+
+// code -> HTTP status (ที่ไม่อยู่ในนี้ = 502 ปัญหาฝั่ง provider)
+const OIDC_ERROR_STATUS = {
+  OIDC_EMAIL_REQUIRED: 400,
+  OIDC_SIGNUP_DISABLED: 403,
+  OIDC_ACCOUNT_EXISTS: 409,
+  OIDC_IDENTITY_IN_USE: 409,
+  OIDC_PROVIDER_ALREADY_LINKED: 409,
+};
+
+class OidcError extends AppError {
+  constructor(message, code = "OIDC_ERROR") {
+    super(message, code, { status: OIDC_ERROR_STATUS[code] || 502 });
+  }
+}
+
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+async function fetchJson(url, options = {}) {
+  let response;
+  try {
+    response = await fetch(url, {
+      ...options,
+      headers: { Accept: "application/json", ...options.headers },
+      signal: AbortSignal.timeout(HTTP_TIMEOUT_MS),
+    });
+  } catch (err) {
+    throw new OidcError(`Identity provider unreachable: ${err.message}`, "OIDC_PROVIDER_UNAVAILABLE");
+  }
+  const body = await response.json().catch(() => null);
+  if (!response.ok) {
+    const detail = body?.error_description || body?.error || response.status;
+    throw new OidcError(`Identity provider error: ${detail}`, "OIDC_PROVIDER_ERROR");
+  }
+  return body;
+}
+
+async function getDiscovery(provider) {
+  const cached = discoveryCache.get(provider.issuer);
+  if (cached && Date.now() - cached.fetchedAt < DISCOVERY_CACHE_MS) return cached.doc;
+
+  const doc = await fetchJson(`${provider.issuer}/.well-known/openid-configuration`);
+  // issuer ใน document ต้องตรงกับที่ตั้งไว้ (กัน discovery ที่ถูกปลอม)
+  if (String(doc?.issuer || "").replace(/\/+$/, "") !== provider.issuer) {
+    throw new OidcError("Discovery issuer mismatch", "OIDC_PROVIDER_ERROR");
+  }
+  if (!doc.authorization_endpoint || !doc.token_endpoint || !doc.jwks_uri) {
+    throw new OidcError("Discovery document is incomplete", "OIDC_PROVIDER_ERROR");
+  }
+  discoveryCache.set(provider.issuer, { doc, fetchedAt: Date.now() });
+  return doc;
+}
+
+async function getJwk(jwksUri, kid) {
+  const find = (keys) => keys.find((key) => !kid || key.kid === kid);
+
+  const cached = jwksCache.get(jwksUri);
+  if (cached && Date.now() - cached.fetchedAt < DISCOVERY_CACHE_MS) {
+    const key = find(cached.keys);
+    if (key) return key;
+  }
+  // kid ใหม่ที่ยังไม่เคยเห็น -> provider อาจเพิ่งเปลี่ยน key โหลดใหม่หนึ่งครั้ง
+  const { keys = [] } = await fetchJson(jwksUri);
+  jwksCache.set(jwksUri, { keys, fetchedAt: Date.now() });
+  const key = find(keys);
+  if (!key) throw new OidcError("Unknown ID token signing key", "OIDC_INVALID_ID_TOKEN");
+  return key;
+}
+
+const pkceChallenge = (verifier) => crypto.createHash("sha256").update(verifier).digest("base64url");
+
+// สร้าง URL ไปหน้า login ของ provider พร้อมค่าที่ต้องเก็บไว้ตรวจตอน callback
+async function createAuthorizationRequest(provider) {
+  const discovery = await getDiscovery(provider);
+  const state = generateOpaqueToken(24);
+  const nonce = generateOpaqueToken(24);
+  const codeVerifier = generateOpaqueToken(48);
+
+  const url = new URL(discovery.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: "code",
+    client_id: provider.clientId,
+    redirect_uri: provider.redirectUri,
+    scope: provider.scopes,
+    state,
+    nonce,
+    code_challenge: pkceChallenge(codeVerifier),
+    code_challenge_method: "S256",
+  }).toString();
+
+  return { url: url.toString(), state, nonce, codeVerifier };
+}
+
+async function exchangeCode(provider, { code, codeVerifier }) {
+  const discovery = await getDiscovery(provider);
+  const form = new URLSearchParams({
+    grant_type: "authorization_code",
+    code,
+    redirect_uri: provider.redirectUri,
+    code_verifier: codeVerifier,
+    client_id: provider.clientId,
+  });
+  const headers = { "Content-Type": "application/x-www-form-urlencoded" };
+
+  // client_secret_basic เป็นค่าเริ่มต้นของ spec ใช้ post เฉพาะเมื่อ provider รองรับแค่แบบนั้น
+  if (provider.clientSecret) {
+    const methods = discovery.token_endpoint_auth_methods_supported || ["client_secret_basic"];
+    if (methods.includes("client_secret_basic")) {
+      const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret)}`;
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString("base64")}`;
+    } else {
+      form.set("client_secret", provider.clientSecret);
+    }
+  }
+
+  const tokens = await fetchJson(discovery.token_endpoint, { method: "POST", headers, body: form });
+  if (!tokens?.id_token) throw new OidcError("Provider did not return an ID token", "OIDC_INVALID_ID_TOKEN");
+  return tokens;
+}
+
+async function verifyIdToken(provider, idToken, nonce) {
+  const discovery = await getDiscovery(provider);
+  const header = jwt.decode(idToken, { complete: true })?.header;
+  if (!header || !ID_TOKEN_ALGORITHMS.includes(header.alg)) {
+    throw new OidcError("Unsupported ID token", "OIDC_INVALID_ID_TOKEN");
+  }
+
+  const jwk = await getJwk(discovery.jwks_uri, header.kid);
+  let claims;
+  try {
+    claims = jwt.verify(idToken, crypto.createPublicKey({ key: jwk, format: "jwk" }), {
+      algorithms: [header.alg],
+      issuer: discovery.issuer,
+      audience: provider.clientId,
+      clockTolerance: CLOCK_TOLERANCE_SECONDS,
+    });
+  } catch (err) {
+    throw new OidcError(`Invalid ID token: ${err.message}`, "OIDC_INVALID_ID_TOKEN");
+  }
+
+  // nonce ผูก id_token กับ request นี้ (กัน replay)
+  if (!claims.nonce || claims.nonce !== nonce) {
+    throw new OidcError("ID token nonce mismatch", "OIDC_INVALID_ID_TOKEN");
+  }
+  if (!claims.sub) throw new OidcError("ID token has no subject", "OIDC_INVALID_ID_TOKEN");
+  return claims;
+}
+
+// บาง provider ไม่ใส่ email ใน id_token -> ขอเพิ่มจาก userinfo
+async function fetchUserInfo(provider, accessToken) {
+  const discovery = await getDiscovery(provider);
+  if (!discovery.userinfo_endpoint || !accessToken) return {};
+  return fetchJson(discovery.userinfo_endpoint, {
+    headers: { Authorization: `Bearer ${accessToken}` },
+  });
+}
+
+// code จาก callback -> claims ของผู้ใช้ที่ตรวจแล้ว
+async function completeAuthorization(provider, { code, codeVerifier, nonce }) {
+  const tokens = await exchangeCode(provider, { code, codeVerifier });
+  const claims = await verifyIdToken(provider, tokens.id_token, nonce);
+  if (claims.email) return claims;
+
+  const userInfo = await fetchUserInfo(provider, tokens.access_token);
+  // userinfo ต้องเป็นของ sub เดียวกัน
+  if (userInfo.sub && userInfo.sub !== claims.sub) {
+    throw new OidcError("UserInfo subject mismatch", "OIDC_INVALID_ID_TOKEN");
+  }
+  return { ...userInfo, ...claims, email: userInfo.email, email_verified: userInfo.email_verified };
+}
+
+module.exports = {
+  OidcError,
+  createAuthorizationRequest,
+  completeAuthorization,
+};
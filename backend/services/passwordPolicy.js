@@ -0,0 +1,141 @@
+const fs = require("fs");
+const path = require("path");
+const bcrypt = require("bcryptjs");
+const db = require("../config/db");
+const { CHARACTER_CLASSES, PASSWORD_POLICY } = require("../config/passwordPolicy");
+const { ValidationError } = require("./errors");
+
+const COMMON_PASSWORDS_FILE = path.join(__dirname, "..", "data", "common-passwords.txt");
+
+// error ที่รวมทุกกฎที่ไม่ผ่าน เพื่อให้หน้าเว็บแสดงได้ครบในครั้งเดียว
+class PasswordPolicyError extends ValidationError {
+  constructor(violations) {
+    super("Password does not meet the password policy", "PASSWORD_POLICY", { violations });
+    this.violations = violations;
+  }
+}
+
+let commonPasswords = null;
+
+// โหลดครั้งแรกที่ใช้ แล้วเก็บไว้ใน memory
+function getCommonPasswords() {
+  if (!commonPasswords) {
+    commonPasswords = new Set(
+      fs
+        .readFileSync(COMMON_PASSWORDS_FILE, "utf8")
+        .split(/\r?\n/)
+        .map((line) => line.trim().toLowerCase())
+        .filter((line) => line && !line.startsWith("#"))
+    );
+  }
+  return commonPasswords;
+}
+
+const violation = (rule, message) => ({ rule, message });
+
+// กฎที่ไม่ต้องใช้ฐานข้อมูล -> [{ rule, message }] (ว่าง = ผ่าน)
+function checkPasswordRules(password, { username } = {}) {
+  const value = String(password ?? "");
+  const violations = [];
+
+  if ([...value].length < PASSWORD_POLICY.minLength) {
+    violations.push(
+      violation("minLength", `Password must be at least ${PASSWORD_POLICY.minLength} characters`)
+    );
+  }
+  if (Buffer.byteLength(value, "utf8") > PASSWORD_POLICY.maxBytes) {
+    violations.push(
+      violation("maxBytes", `Password must be at most ${PASSWORD_POLICY.maxBytes} bytes`)
+    );
+  }
+  for (const name of PASSWORD_POLICY.requiredClasses) {
+    const { pattern, label } = CHARACTER_CLASSES[name];
+    if (!pattern.test(value)) violations.push(violation(name, `Password must contain ${label}`));
+  }
+
+  const name = String(username ?? "").trim().toLowerCase();
+  if (PASSWORD_POLICY.disallowUsername && name.length >= 3 && value.toLowerCase().includes(name)) {
+    violations.push(violation("username", "Password must not contain the username"));
+  }
+  if (PASSWORD_POLICY.checkCommon && getCommonPasswords().has(value.toLowerCase())) {
+    violations.push(violation("common", "Password is too common or has appeared in a data breach"));
+  }
+
+  return violations;
+}
+
+// ตรงกับรหัสปัจจุบันหรือรหัสเก่าใน history (รวมแล้ว historySize รายการ) หรือไม่
+async function isReusedPassword(userId, password) {
+  if (!PASSWORD_POLICY.historySize || !userId) return false;
+
+  const [current] = await db.query("SELECT password FROM tbl_users WHERE id = ? LIMIT 1", [userId]);
+  const hashes = current.map((row) => String(row.password ?? ""));
+
+  if (PASSWORD_POLICY.historySize > 1) {
+    const [history] = await db.query(
+      `SELECT password_hash FROM tbl_password_history
+       WHERE user_id = ?
+       ORDER BY id DESC
+       LIMIT ?`,
+      [userId, PASSWORD_POLICY.historySize - 1]
+    );
+    hashes.push(...history.map((row) => row.password_hash));
+  }
+
+  for (const hash of hashes) {
+    if (hash.startsWith("$2") && (await bcrypt.compare(password, hash))) return true;
+  }
+  return false;
+}
+
+// throw PasswordPolicyError ถ้าไม่ผ่าน; ส่ง userId มาเมื่อเป็นการเปลี่ยนรหัสของ user ที่มีอยู่ (เช็ค history)
+async function assertPasswordAllowed(password, { username, userId } = {}) {
+  const violations = checkPasswordRules(password, { username });
+  if (await isReusedPassword(userId, password)) {
+    violations.push(
+      violation("history", `Password must differ from your last ${PASSWORD_POLICY.historySize} passwords`)
+    );
+  }
+  if (violations.length > 0) throw new PasswordPolicyError(violations);
+}
+
+// เรียกก่อนเขียนรหัสใหม่ลง tbl_users: เก็บ hash ปัจจุบันไว้ใน history แล้วตัดรายการที่เกิน
+// conn = connection ของ transaction ที่กำลังเปลี่ยนรหัส (ถ้ามี)
+async function rememberCurrentPassword(userId, conn = db) {
+  if (PASSWORD_POLICY.historySize <= 1) return;
+
+  await conn.query(
+    `INSERT INTO tbl_password_history (user_id, password_hash)
+     SELECT id, password FROM tbl_users WHERE id = ? AND password LIKE '$2%'`,
+    [userId]
+  );
+  await conn.query(
+    `DELETE FROM tbl_password_history
+     WHERE user_id = ? AND id NOT IN (
+       SELECT id FROM (
+         SELECT id FROM tbl_password_history WHERE user_id = ? ORDER BY id DESC LIMIT ?
+       ) AS recent
+     )`,
+    [userId, userId, PASSWORD_POLICY.historySize - 1]
+  );
+}
+
+// กฎที่หน้าเว็บใช้ตรวจล่วงหน้า (common/history เช็คได้ที่ server เท่านั้น)
+function describePasswordPolicy() {
+  return {
+    minLength: PASSWORD_POLICY.minLength,
+    maxBytes: PASSWORD_POLICY.maxBytes,
+    requiredClasses: PASSWORD_POLICY.requiredClasses,
+    disallowUsername: PASSWORD_POLICY.disallowUsername,
+    historySize: PASSWORD_POLICY.historySize,
+    checkCommon: PASSWORD_POLICY.checkCommon,
+  };
+}
+
+module.exports = {
+  PasswordPolicyError,
+  checkPasswordRules,
+  assertPasswordAllowed,
+  rememberCurrentPassword,
+  describePasswordPolicy,
+};
@@ -0,0 +1,132 @@
+const bcrypt = require("bcryptjs");
+const db = require("../config/db");
+const { USER_STATUSES } = require("../config/statuses");
+const { normalizeEmail } = require("../config/verification");
+const { generateOpaqueToken, hashToken } = require("./tokens");
+const { AUDIT_ACTIONS, recordAuditSafely } = require("./audit");
+const { assertPasswordAllowed, rememberCurrentPassword } = require("./passwordPolicy");
+const { revokeUserSessions } = require("./sessions");
+const { recordLoginSuccess } = require("./loginThrottle");
+const { FRONTEND_URL, escapeHtml, sendMail } = require("./mailer");
+const { ValidationError } = require("./errors");
+
+const RESET_TOKEN_TTL_MINUTES = Number(process.env.RESET_TOKEN_TTL_MINUTES || 30);
+// ขอ reset ซ้ำได้ไม่เกิน 1 ครั้งต่อช่วงเวลานี้ (ต่อ user)
+const RESET_REQUEST_INTERVAL_SECONDS = Number(process.env.RESET_REQUEST_INTERVAL_SECONDS || 60);
+
+class PasswordResetError extends ValidationError {}
+
+const buildResetLink = (token) =>
+  `${FRONTEND_URL}/reset-password?token=${encodeURIComponent(token)}`;
+
+// ตอบผลเหมือนกันเสมอ (ไม่บอกว่ามีบัญชีนี้หรือไม่) - คืน true ถ้าส่งเมลจริง
+async function requestPasswordReset({ identifier, ip, req = null }) {
+  const [rows] = await db.query(
+    `SELECT id, username, email, fullname, status
+     FROM tbl_users
+     WHERE (username = ? OR email = ?) AND deleted_at IS NULL
+     LIMIT 1`,
+    [identifier, normalizeEmail(identifier)]
+  );
+  if (rows.length === 0) return false;
+
+  const user = rows[0];
+  if (!user.email || user.status === USER_STATUSES.DELETED) return false;
+
+  const [recent] = await db.query(
+    `SELECT id FROM tbl_password_resets
+     WHERE user_id = ? AND created_at > NOW() - INTERVAL ? SECOND
+     LIMIT 1`,
+    [user.id, RESET_REQUEST_INTERVAL_SECONDS]
+  );
+  if (recent.length > 0) return false;
+
+  // token เก่าที่ยังไม่ได้ใช้ -> ใช้ไม่ได้อีก (มีได้ทีละ 1 ลิงก์)
+  await db.query(
+    "UPDATE tbl_password_resets SET used_at = NOW() WHERE user_id = ? AND used_at IS NULL",
+    [user.id]
+  );
+
+  const token = generateOpaqueToken();
+  await db.query(
+    `INSERT INTO tbl_password_resets (user_id, token_hash, expires_at, requested_ip)
+     VALUES (?, ?, ?, ?)`,
+    [
+      user.id,
+      hashToken(token),
+      new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000),
+      ip || null,
+    ]
+  );
+  // ไม่รู้ว่าใครขอ (ไม่ได้ login) -> actor ว่าง
+  await recordAuditSafely({
+    action: AUDIT_ACTIONS.AUTH_PASSWORD_RESET_REQUEST,
+    actorId: null,
+    userId: user.id,
+    req,
+  });
+
+  const link = buildResetLink(token);
+  const name = user.fullname || user.username;
+  await sendMail({
+    to: user.email,
+    subject: "Reset your password",
+    text:
+      `Hi ${name},\n\n` +
+      `Someone asked to reset the password for "${user.username}".\n` +
+      `Open this link within ${RESET_TOKEN_TTL_MINUTES} minutes to choose a new password:\n\n` +
+      `${link}\n\n` +
+      "If this wasn't you, you can ignore this email.",
+    html:
+      `<p>Hi ${escapeHtml(name)},</p>` +
+      `<p>Someone asked to reset the password for <b>${escapeHtml(user.username)}</b>.</p>` +
+      `<p><a href="${escapeHtml(link)}">Choose a new password</a> (valid for ${RESET_TOKEN_TTL_MINUTES} minutes).</p>` +
+      "<p>If this wasn't you, you can ignore this email.</p>",
+  });
+  return true;
+}
+
+// ใช้ token ได้ครั้งเดียว -> ตั้งรหัสใหม่ + revoke ทุก session
+async function resetPassword({ token, password }) {
+  const [rows] = await db.query(
+    `SELECT r.id, r.user_id, u.username
+     FROM tbl_password_resets r
+     JOIN tbl_users u ON u.id = r.user_id
+     WHERE r.token_hash = ? AND r.used_at IS NULL AND r.expires_at > NOW() AND u.deleted_at IS NULL
+     LIMIT 1`,
+    [hashToken(token)]
+  );
+  if (rows.length === 0) {
+    throw new PasswordResetError("Reset link is invalid or has expired", "RESET_TOKEN_INVALID");
+  }
+
+  const reset = rows[0];
+  // เช็คก่อนใช้ token ไป ตั้งรหัสไม่ผ่านกฎก็ลองใหม่ด้วยลิงก์เดิมได้
+  await assertPasswordAllowed(password, { username: reset.username, userId: reset.user_id });
+
+  const [claimed] = await db.query(
+    "UPDATE tbl_password_resets SET used_at = NOW() WHERE id = ? AND used_at IS NULL",
+    [reset.id]
+  );
+  if (claimed.affectedRows === 0) {
+    throw new PasswordResetError("Reset link is invalid or has expired", "RESET_TOKEN_INVALID");
+  }
+
+  const hashedPassword = await bcrypt.hash(password, 10);
+  await rememberCurrentPassword(reset.user_id);
+  await db.query(
+    "UPDATE tbl_users SET password = ?, updated_at = NOW() WHERE id = ?",
+    [hashedPassword, reset.user_id]
+  );
+  await revokeUserSessions(reset.user_id, "password_reset");
+  await recordLoginSuccess({ username: reset.username });
+
+  return { userId: reset.user_id };
+}
+
+module.exports = {
+  RESET_TOKEN_TTL_MINUTES,
+  PasswordResetError,
+  requestPasswordReset,
+  resetPassword,
+};
@@ -0,0 +1,169 @@
+const crypto = require("crypto");
+const db = require("../config/db");
+const { generateOpaqueToken, hashToken, safeEqual } = require("./tokens");
+const { AuthError } = require("./errors");
+
+// refresh token อายุยาว หมุน (rotate) ทุกครั้งที่ใช้
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+
+// แต่ละแถวใน tbl_sessions คือ 1 login (token family)
+// refresh token = "<session id>.<generation>.<random>" เก็บใน DB เป็น sha256 ของทั้ง string
+// ถ้ามีการใช้ token รุ่นเก่า (generation ไม่ตรง) = token ถูกขโมย -> revoke ทั้ง session
+class RefreshTokenError extends AuthError {}
+
+const refreshExpiry = () =>
+  new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+const buildRefreshToken = (sessionId, generation) =>
+  `${sessionId}.${generation}.${generateOpaqueToken()}`;
+
+// ข้อมูลอุปกรณ์ที่ใช้ login (แสดงในหน้ารายการ session)
+const clientInfo = (req) => ({
+  userAgent: String(req.get("user-agent") || "").slice(0, 255) || null,
+  ip: req.ip || null,
+});
+
+function parseRefreshToken(refreshToken) {
+  const [sessionId, generation, secret] = String(refreshToken || "").split(".");
+  const gen = Number(generation);
+  if (!sessionId || !secret || !Number.isInteger(gen) || gen <= 0) return null;
+  return { sessionId, generation: gen };
+}
+
+async function createSession(userId, { userAgent = null, ip = null } = {}) {
+  const sessionId = crypto.randomUUID();
+  const refreshToken = buildRefreshToken(sessionId, 1);
+
+  await db.query(
+    `INSERT INTO tbl_sessions (id, user_id, refresh_token_hash, generation, expires_at, user_agent, ip, last_seen_at)
+     VALUES (?, ?, ?, 1, ?, ?, ?, NOW())`,
+    [sessionId, userId, hashToken(refreshToken), refreshExpiry(), userAgent, ip]
+  );
+
+  return { sessionId, refreshToken };
+}
+
+async function revokeSession(sessionId, reason = "logout") {
+  const [result] = await db.query(
+    `UPDATE tbl_sessions SET revoked_at = NOW(), revoked_reason = ?
+     WHERE id = ? AND revoked_at IS NULL`,
+    [reason, sessionId]
+  );
+  return result.affectedRows > 0;
+}
+
+// revoke เฉพาะ session ของ user คนนี้ (กันลบ session ของคนอื่นด้วย id ที่เดามา)
+async function revokeUserSession(userId, sessionId, reason = "logout") {
+  const [result] = await db.query(
+    `UPDATE tbl_sessions SET revoked_at = NOW(), revoked_reason = ?
+     WHERE id = ? AND user_id = ? AND revoked_at IS NULL`,
+    [reason, sessionId, userId]
+  );
+  return result.affectedRows > 0;
+}
+
+// exceptSessionId: คง session ปัจจุบันไว้ (เช่น เปลี่ยนรหัสผ่านเอง -> ไม่ต้อง login ใหม่)
+async function revokeUserSessions(userId, reason = "logout_all", { exceptSessionId } = {}) {
+  const [result] = await db.query(
+    `UPDATE tbl_sessions SET revoked_at = NOW(), revoked_reason = ?
+     WHERE user_id = ? AND revoked_at IS NULL${exceptSessionId ? " AND id <> ?" : ""}`,
+    exceptSessionId ? [reason, userId, exceptSessionId] : [reason, userId]
+  );
+  return result.affectedRows;
+}
+
+// ตรวจ refresh token แล้วออก token ใหม่ (token เดิมใช้ไม่ได้อีก)
+async function rotateSession(refreshToken, { userAgent = null, ip = null } = {}) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    throw new RefreshTokenError("Invalid refresh token", "REFRESH_TOKEN_INVALID");
+  }
+
+  const [rows] = await db.query(
+    `SELECT id, user_id, refresh_token_hash, generation, expires_at, revoked_at
+     FROM tbl_sessions
+     WHERE id = ? LIMIT 1`,
+    [parsed.sessionId]
+  );
+  if (rows.length === 0) {
+    throw new RefreshTokenError("Invalid refresh token", "REFRESH_TOKEN_INVALID");
+  }
+
+  const session = rows[0];
+  if (session.revoked_at) {
+    throw new RefreshTokenError("Session has been revoked", "REFRESH_TOKEN_REVOKED");
+  }
+
+  const matches =
+    parsed.generation === Number(session.generation) &&
+    safeEqual(hashToken(refreshToken), session.refresh_token_hash);
+  if (!matches) {
+    await revokeSession(session.id, "reuse_detected");
+    console.warn(`Refresh token reuse detected, session ${session.id} revoked`);
+    throw new RefreshTokenError("Refresh token reuse detected", "REFRESH_TOKEN_REUSED");
+  }
+
+  if (new Date(session.expires_at).getTime() <= Date.now()) {
+    await revokeSession(session.id, "expired");
+    throw new RefreshTokenError("Refresh token expired", "REFRESH_TOKEN_EXPIRED");
+  }
+
+  const nextGeneration = parsed.generation + 1;
+  const nextToken = buildRefreshToken(session.id, nextGeneration);
+
+  // อัปเดตแบบมีเงื่อนไข กันสอง request หมุน token เดียวกันพร้อมกัน
+  const [result] = await db.query(
+    `UPDATE tbl_sessions
+     SET refresh_token_hash = ?, generation = ?, expires_at = ?,
+         user_agent = COALESCE(?, user_agent), ip = COALESCE(?, ip),
+         last_seen_at = NOW(), updated_at = NOW()
+     WHERE id = ? AND generation = ? AND revoked_at IS NULL`,
+    [
+      hashToken(nextToken),
+      nextGeneration,
+      refreshExpiry(),
+      userAgent,
+      ip,
+      session.id,
+      parsed.generation,
+    ]
+  );
+  if (result.affectedRows === 0) {
+    await revokeSession(session.id, "reuse_detected");
+    throw new RefreshTokenError("Refresh token reuse detected", "REFRESH_TOKEN_REUSED");
+  }
+
+  return { sessionId: session.id, userId: session.user_id, refreshToken: nextToken };
+}
+
+// session ที่ยังใช้ได้ (ไม่ถูก revoke และยังไม่หมดอายุ) ล่าสุดก่อน
+async function listActiveSessions(userId) {
+  const [rows] = await db.query(
+    `SELECT id, user_agent, ip, created_at, last_seen_at, expires_at
+     FROM tbl_sessions
+     WHERE user_id = ? AND revoked_at IS NULL AND expires_at > NOW()
+     ORDER BY COALESCE(last_seen_at, created_at) DESC`,
+    [userId]
+  );
+  return rows.map((row) => ({
+    id: row.id,
+    userAgent: row.user_agent,
+    ip: row.ip,
+    createdAt: row.created_at,
+    lastSeenAt: row.last_seen_at || row.created_at,
+    expiresAt: row.expires_at,
+  }));
+}
+
+module.exports = {
+  REFRESH_TOKEN_TTL_DAYS,
+  RefreshTokenError,
+  clientInfo,
+  parseRefreshToken,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSession,
+  revokeUserSessions,
+  listActiveSessions,
+};
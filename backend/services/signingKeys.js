@@ -0,0 +1,172 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+// ชุด key สำหรับเซ็น/ตรวจ JWT แยกด้วย kid (อยู่ใน header ของ token)
+// - key ที่ active ใช้เซ็น token ใหม่ ตัวอื่นใช้ตรวจอย่างเดียว (ช่วง grace ตอนเปลี่ยน key)
+// - RS256/ES256: public key เผยแพร่ที่ /.well-known/jwks.json ให้ service อื่นตรวจ token เองได้
+//
+// ตั้งค่าผ่าน JWT_KEYS (JSON array) เช่น
+//   [{"kid":"2026-10","alg":"RS256","privateKeyPath":"keys/2026-10.pem"},
+//    {"kid":"2026-04","alg":"RS256","publicKeyPath":"keys/2026-04.pub.pem","notAfter":"2026-11-01T00:00:00Z"}]
+// ไม่ตั้ง -> ใช้ SECRET_KEY (HS256) เหมือนเดิม + SECRET_KEY_PREVIOUS ช่วงเปลี่ยน secret
+//
+// key อีกชุดที่ต้องตั้ง: TOTP_ENCRYPTION_KEY (เข้ารหัส secret ของ 2FA ที่เก็บใน DB) เช่น
+//   TOTP_ENCRYPTION_KEY=2026-10:<openssl rand -base64 32>,2026-04:<key เก่า ถอดอย่างเดียว>
+// แยกจาก key ของ JWT เปลี่ยนคนละรอบกัน ดู services/twoFactor.js
+const SUPPORTED_ALGORITHMS = ["HS256", "RS256", "ES256"];
+
+// path ของไฟล์ PEM นับจากโฟลเดอร์ backend
+const BASE_DIR = path.join(__dirname, "..");
+
+class SigningKeyConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "SigningKeyConfigError";
+    this.code = "JWT_KEYS_INVALID";
+  }
+}
+
+const readPem = (file) => fs.readFileSync(path.resolve(BASE_DIR, file), "utf8");
+
+// kid ของ secret แบบ HS256 ได้จาก hash (ไม่เปิดเผย secret และคงที่ข้ามการ restart)
+const kidForSecret = (secret) =>
+  "hs-" + crypto.createHash("sha256").update(String(secret)).digest("hex").slice(0, 12);
+
+function parseNotAfter(value, kid) {
+  if (!value) return null;
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) throw new SigningKeyConfigError(`Invalid notAfter for key "${kid}"`);
+  return time;
+}
+
+function buildKey(entry) {
+  const kid = String(entry?.kid || "").trim();
+  const alg = String(entry?.alg || "HS256").toUpperCase();
+  if (!kid) throw new SigningKeyConfigError("Every JWT key needs a kid");
+  if (!SUPPORTED_ALGORITHMS.includes(alg)) {
+    throw new SigningKeyConfigError(`Unsupported alg "${alg}" for key "${kid}"`);
+  }
+
+  const key = { kid, alg, notAfter: parseNotAfter(entry.notAfter, kid) };
+
+  if (alg === "HS256") {
+    const secret = entry.secret || (entry.secretEnv && process.env[entry.secretEnv]);
+    if (!secret) throw new SigningKeyConfigError(`Missing secret for key "${kid}"`);
+    return { ...key, signingKey: secret, verifyKey: secret, publicJwk: null };
+  }
+
+  try {
+    const privateKey = entry.privateKeyPath ? crypto.createPrivateKey(readPem(entry.privateKeyPath)) : null;
+    const publicKey = entry.publicKeyPath
+      ? crypto.createPublicKey(readPem(entry.publicKeyPath))
+      : privateKey && crypto.createPublicKey(privateKey);
+    if (!publicKey) throw new Error("privateKeyPath or publicKeyPath is required");
+
+    const expectedType = alg === "RS256" ? "rsa" : "ec";
+    if (publicKey.asymmetricKeyType !== expectedType) {
+      throw new Error(`key type ${publicKey.asymmetricKeyType} does not match ${alg}`);
+    }
+
+    return {
+      ...key,
+      signingKey: privateKey,
+      verifyKey: publicKey,
+      publicJwk: { ...publicKey.export({ format: "jwk" }), kid, alg, use: "sig" },
+    };
+  } catch (err) {
+    if (err instanceof SigningKeyConfigError) throw err;
+    throw new SigningKeyConfigError(`Cannot load key "${kid}": ${err.message}`);
+  }
+}
+
+function configuredEntries() {
+  if (process.env.JWT_KEYS) {
+    let entries;
+    try {
+      entries = JSON.parse(process.env.JWT_KEYS);
+    } catch {
+      throw new SigningKeyConfigError("JWT_KEYS must be a JSON array");
+    }
+    if (!Array.isArray(entries)) throw new SigningKeyConfigError("JWT_KEYS must be a JSON array");
+    return entries;
+  }
+
+  // แบบเดิม: secret เดียว (+ secret เก่าที่ยังให้ตรวจได้ระหว่างเปลี่ยน)
+  const entries = [];
+  const secret = process.env.SECRET_KEY || process.env.JWT_SECRET;
+  if (secret) entries.push({ kid: kidForSecret(secret), alg: "HS256", secret });
+  if (process.env.SECRET_KEY_PREVIOUS) {
+    entries.push({
+      kid: kidForSecret(process.env.SECRET_KEY_PREVIOUS),
+      alg: "HS256",
+      secret: process.env.SECRET_KEY_PREVIOUS,
+      notAfter: process.env.SECRET_KEY_PREVIOUS_UNTIL,
+    });
+  }
+  return entries;
+}
+
+let cached = null;
+
+// โหลดครั้งแรกที่ใช้แล้ว cache ไว้ (config ผิด -> throw SigningKeyConfigError)
+function loadKeyring() {
+  if (cached) return cached;
+
+  const keys = configuredEntries().map(buildKey);
+  const byKid = new Map();
+  for (const key of keys) {
+    if (byKid.has(key.kid)) throw new SigningKeyConfigError(`Duplicate kid "${key.kid}"`);
+    byKid.set(key.kid, key);
+  }
+
+  // JWT_ACTIVE_KID ไม่ตั้ง -> key แรกที่เซ็นได้
+  const activeKid = process.env.JWT_ACTIVE_KID;
+  const active = activeKid ? byKid.get(activeKid) : keys.find((key) => key.signingKey);
+  if (activeKid && !active) throw new SigningKeyConfigError(`JWT_ACTIVE_KID "${activeKid}" not found`);
+  if (active && !active.signingKey) {
+    throw new SigningKeyConfigError(`Active key "${active.kid}" has no private key`);
+  }
+
+  cached = { keys, byKid, active: active || null };
+  return cached;
+}
+
+const isUsable = (key, now = Date.now()) => !key.notAfter || now < key.notAfter;
+
+const getActiveKey = () => loadKeyring().active;
+
+// key ที่ใช้ตรวจ token นี้ได้: ตาม kid ใน header
+// token ที่ไม่มี kid (ออกก่อนรองรับ kid) ลองกับ HS256 ทุกตัว
+function getVerificationKeys(kid) {
+  const { keys, byKid } = loadKeyring();
+  if (kid) {
+    const key = byKid.get(kid);
+    return key && isUsable(key) ? [key] : [];
+  }
+  return keys.filter((key) => key.alg === "HS256" && isUsable(key));
+}
+
+// เฉพาะ public key (ไม่มี HS256 เพราะเป็น secret)
+function getPublicJwks() {
+  return {
+    keys: loadKeyring()
+      .keys.filter((key) => key.publicJwk && isUsable(key))
+      .map((key) => key.publicJwk),
+  };
+}
+
+// ใช้ใน test/script หลังเปลี่ยน env
+const resetKeyringCache = () => {
+  cached = null;
+};
+
+module.exports = {
+  SUPPORTED_ALGORITHMS,
+  SigningKeyConfigError,
+  loadKeyring,
+  getActiveKey,
+  getVerificationKeys,
+  getPublicJwks,
+  resetKeyringCache,
+};
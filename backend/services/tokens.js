@@ -0,0 +1,97 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { getActiveKey, getVerificationKeys } = require("./signingKeys");
+
+// access token อายุสั้น (วินาที) ต่ออายุด้วย refresh token (ดู services/sessions.js)
+const ACCESS_TOKEN_TTL_SECONDS = Number(process.env.ACCESS_TOKEN_TTL_SECONDS || 15 * 60);
+
+// มี key สำหรับเซ็น JWT หรือไม่ (ดู services/signingKeys.js)
+const hasSigningKey = () => Boolean(getActiveKey());
+
+function requireSigningKey() {
+  const key = getActiveKey();
+  if (!key) {
+    const err = new Error("Server missing JWT signing key");
+    err.code = "SECRET_KEY_MISSING";
+    throw err;
+  }
+  return key;
+}
+
+// เซ็นด้วย key ที่ active แล้วใส่ kid ไว้ใน header ให้ฝั่งตรวจเลือก key ถูก
+function signJwt(payload, options) {
+  const key = requireSigningKey();
+  return jwt.sign(payload, key.signingKey, { ...options, algorithm: key.alg, keyid: key.kid });
+}
+
+// จำกัด algorithm ตาม key เสมอ (กัน token ที่แก้ alg มาหลอก เช่น HS256 กับ public key)
+function verifyJwt(token) {
+  const header = jwt.decode(token, { complete: true })?.header;
+  if (!header) throw new jwt.JsonWebTokenError("jwt malformed");
+
+  const keys = getVerificationKeys(header.kid);
+  if (keys.length === 0) throw new jwt.JsonWebTokenError("Unknown signing key");
+
+  let lastError;
+  for (const key of keys) {
+    try {
+      return jwt.verify(token, key.verifyKey, { algorithms: [key.alg] });
+    } catch (err) {
+      // หมดอายุ = ลายเซ็นถูกแล้ว ไม่ต้องลอง key อื่น
+      if (err instanceof jwt.TokenExpiredError) throw err;
+      lastError = err;
+    }
+  }
+  throw lastError;
+}
+
+function signAccessToken(payload, options = {}) {
+  return signJwt(payload, {
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+    ...options,
+  });
+}
+
+function verifyAccessToken(token) {
+  const decoded = verifyJwt(token);
+  // token เฉพาะกิจ (ยืนยันอีเมล ฯลฯ) ห้ามใช้แทน access token
+  if (decoded.purpose) throw new jwt.JsonWebTokenError("Not an access token");
+  return decoded;
+}
+
+// token เฉพาะกิจที่เซ็นด้วย key เดียวกัน แต่มี claim purpose กำกับ
+function signPurposeToken(purpose, payload, expiresInSeconds) {
+  return signJwt({ ...payload, purpose }, { expiresIn: expiresInSeconds });
+}
+
+function verifyPurposeToken(purpose, token) {
+  const decoded = verifyJwt(token);
+  if (decoded.purpose !== purpose) throw new jwt.JsonWebTokenError("Wrong token purpose");
+  return decoded;
+}
+
+// token แบบสุ่ม (refresh/reset ฯลฯ) เก็บใน DB เป็น hash เท่านั้น
+const generateOpaqueToken = (bytes = 32) =>
+  crypto.randomBytes(bytes).toString("base64url");
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+// เทียบ hash แบบ constant-time
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+module.exports = {
+  ACCESS_TOKEN_TTL_SECONDS,
+  hasSigningKey,
+  signAccessToken,
+  verifyAccessToken,
+  signPurposeToken,
+  verifyPurposeToken,
+  generateOpaqueToken,
+  hashToken,
+  safeEqual,
+};
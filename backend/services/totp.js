@@ -0,0 +1,100 @@
+const crypto = require("crypto");
+
+// RFC 6238 (TOTP) / RFC 4226 (HOTP) — ค่ามาตรฐานที่ Google Authenticator ฯลฯ รองรับ
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+// ยอมรับ code ของช่วงเวลาก่อน/หลังได้ +-1 ช่วง (นาฬิกามือถือคลาดเล็กน้อย)
+const TOTP_WINDOW = 1;
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+}
+
+function base32Decode(input) {
+  const clean = String(input).toUpperCase().replace(/[\s=-]/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 character");
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+// secret 160 bit ตามที่ RFC 4226 แนะนำ
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+function hotp(secret, counter) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const digest = crypto.createHmac("sha1", base32Decode(secret)).update(message).digest();
+  const offset = digest[digest.length - 1] & 0x0f;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+}
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / TOTP_PERIOD_SECONDS);
+
+const generateTotp = (secret, now = Date.now()) => hotp(secret, currentStep(now));
+
+/**
+ * ตรวจ code แล้วคืน time step ที่ตรง (ใช้กันการใช้ code ซ้ำ) หรือ null ถ้าไม่ตรง
+ * code ที่ step <= afterStep ถือว่าใช้ไปแล้ว
+ */
+function verifyTotp(secret, code, { afterStep = -1, now = Date.now() } = {}) {
+  const candidate = String(code ?? "").replace(/\s/g, "");
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(candidate)) return null;
+
+  const step = currentStep(now);
+  for (let drift = -TOTP_WINDOW; drift <= TOTP_WINDOW; drift += 1) {
+    const counter = step + drift;
+    if (counter <= afterStep) continue;
+    const expected = hotp(secret, counter);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) return counter;
+  }
+  return null;
+}
+
+function buildOtpauthUri({ secret, accountName, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+module.exports = {
+  TOTP_DIGITS,
+  TOTP_PERIOD_SECONDS,
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri,
+};
@@ -0,0 +1,255 @@
+const crypto = require("crypto");
+const QRCode = require("qrcode");
+const db = require("../config/db");
+const { hashToken } = require("./tokens");
+const { base32Encode, generateSecret, verifyTotp, buildOtpauthUri } = require("./totp");
+const { AppError } = require("./errors");
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || "Endfield";
+const RECOVERY_CODE_COUNT = 10;
+
+// code -> HTTP status (ที่ไม่อยู่ในนี้ = 409 สถานะ 2FA ไม่ตรง)
+const TWO_FACTOR_ERROR_STATUS = {
+  USER_NOT_FOUND: 404,
+  INVALID_TWO_FACTOR_CODE: 401,
+  TOTP_KEY_MISSING: 503,
+};
+
+class TwoFactorError extends AppError {
+  constructor(message, code) {
+    super(message, code, { status: TWO_FACTOR_ERROR_STATUS[code] || 409 });
+  }
+}
+
+// ---- เข้ารหัส secret ก่อนเก็บ (AES-256-GCM) ----
+// TOTP_ENCRYPTION_KEY = "<kid>:<secret>" หลายตัวคั่นด้วย comma: ตัวแรกใช้เข้ารหัส ตัวที่เหลือใช้ถอดอย่างเดียว
+// แยกจาก SECRET_KEY/JWT_KEYS โดยตั้งใจ (เปลี่ยน key ของ JWT แล้ว secret ที่เก็บไว้ต้องยังถอดได้)
+// เปลี่ยน key: ใส่ key ใหม่ไว้หน้าสุด -> `bun run totp:rekey` -> ลบ key เก่าออก
+// ค่าที่เก็บ: v2:<kid>:<iv>:<tag>:<data> (kid บอกว่าต้องถอดด้วย key ไหน)
+const KEY_ENTRY = /^([A-Za-z0-9._-]+):(.+)$/;
+
+let keyCache = { source: null, keys: [] };
+
+function encryptionKeys() {
+  const source = process.env.TOTP_ENCRYPTION_KEY || "";
+  if (keyCache.source === source) return keyCache.keys;
+
+  const keys = source
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const match = KEY_ENTRY.exec(entry);
+      if (!match) throw new Error('TOTP_ENCRYPTION_KEY entries must look like "<kid>:<secret>"');
+      return { kid: match[1], key: crypto.createHash("sha256").update(match[2]).digest() };
+    });
+  const kids = keys.map((key) => key.kid);
+  const duplicate = kids.find((kid, i) => kids.indexOf(kid) !== i);
+  if (duplicate) throw new Error(`Duplicate kid "${duplicate}" in TOTP_ENCRYPTION_KEY`);
+
+  keyCache = { source, keys };
+  return keys;
+}
+
+// kid ของ key ที่ใช้เข้ารหัสอยู่ (null = ไม่ได้ตั้ง -> เปิด 2FA ไม่ได้) โยน error ถ้า config ผิด
+const activeTotpKeyId = () => encryptionKeys()[0]?.kid || null;
+
+function activeKey() {
+  const [active] = encryptionKeys();
+  if (!active) {
+    throw new TwoFactorError("Server missing TOTP_ENCRYPTION_KEY", "TOTP_KEY_MISSING");
+  }
+  return active;
+}
+
+function decipher(key, iv, tag, data) {
+  const aes = crypto.createDecipheriv("aes-256-gcm", key, Buffer.from(iv, "base64url"));
+  aes.setAuthTag(Buffer.from(tag, "base64url"));
+  return Buffer.concat([aes.update(Buffer.from(data, "base64url")), aes.final()]).toString("utf8");
+}
+
+function encryptSecret(secret) {
+  const { kid, key } = activeKey();
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  const data = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  return ["v2", kid, iv.toString("base64url"), tag.toString("base64url"), data.toString("base64url")].join(":");
+}
+
+function decryptSecret(stored) {
+  const [version, kid, iv, tag, data] = String(stored).split(":");
+  if (version !== "v2") throw new Error("Unknown TOTP secret format");
+  const entry = encryptionKeys().find((key) => key.kid === kid);
+  if (!entry) throw new Error(`TOTP secret uses unknown key "${kid}" (missing from TOTP_ENCRYPTION_KEY)`);
+  return decipher(entry.key, iv, tag, data);
+}
+
+// เข้ารหัส secret ทุกตัวใหม่ด้วย key ตัวแรก (หลังเพิ่ม key ใหม่) คืนจำนวนที่เปลี่ยน
+async function reencryptTotpSecrets() {
+  const { kid } = activeKey();
+  const [rows] = await db.query("SELECT id, totp_secret FROM tbl_users WHERE totp_secret IS NOT NULL");
+  let count = 0;
+  for (const row of rows) {
+    if (String(row.totp_secret).startsWith(`v2:${kid}:`)) continue;
+    // totp_secret = ค่าเดิม กันทับ secret ที่เพิ่ง enroll ใหม่ระหว่างรัน
+    const [result] = await db.query("UPDATE tbl_users SET totp_secret = ? WHERE id = ? AND totp_secret = ?", [
+      encryptSecret(decryptSecret(row.totp_secret)),
+      row.id,
+      row.totp_secret,
+    ]);
+    count += result.affectedRows;
+  }
+  return count;
+}
+
+// ---- recovery codes: แสดงครั้งเดียว เก็บเป็น hash ใช้ได้ครั้งเดียว ----
+const normalizeRecoveryCode = (code) => String(code ?? "").toLowerCase().replace(/[\s-]/g, "");
+
+function generateRecoveryCode() {
+  const raw = base32Encode(crypto.randomBytes(7)).slice(0, 10).toLowerCase();
+  return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+}
+
+// ลบชุดเดิมแล้วเขียนชุดใหม่ -> เรียกใน transaction (conn) เสมอ ไม่งั้นพังกลางทางแล้วเหลือ 0 code
+async function replaceRecoveryCodes(userId, conn) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+  await conn.query("DELETE FROM tbl_recovery_codes WHERE user_id = ?", [userId]);
+  // เขียน (?, ?) เองทีละแถว: VALUES ? แบบ nested array มีแค่ใน mysql2
+  await conn.query(
+    `INSERT INTO tbl_recovery_codes (user_id, code_hash) VALUES ${codes.map(() => "(?, ?)").join(", ")}`,
+    codes.flatMap((code) => [userId, hashToken(normalizeRecoveryCode(code))])
+  );
+  return codes;
+}
+
+async function loadTotpState(userId) {
+  const [rows] = await db.query(
+    "SELECT id, username, totp_secret, totp_enabled_at, totp_last_step FROM tbl_users WHERE id = ? LIMIT 1",
+    [userId]
+  );
+  return rows[0] || null;
+}
+
+async function getTwoFactorStatus(userId) {
+  const user = await loadTotpState(userId);
+  if (!user) return null;
+
+  const [[counts]] = await db.query(
+    "SELECT COUNT(*) AS remaining FROM tbl_recovery_codes WHERE user_id = ? AND used_at IS NULL",
+    [userId]
+  );
+  return {
+    enabled: Boolean(user.totp_enabled_at),
+    enabledAt: user.totp_enabled_at || null,
+    recoveryCodesRemaining: user.totp_enabled_at ? Number(counts?.remaining || 0) : 0,
+  };
+}
+
+// เริ่มลงทะเบียน: สร้าง secret ใหม่ (ยังไม่เปิดใช้จนกว่าจะ confirm ด้วย code)
+async function beginEnrollment(userId) {
+  const user = await loadTotpState(userId);
+  if (!user) throw new TwoFactorError("User not found", "USER_NOT_FOUND");
+  if (user.totp_enabled_at) {
+    throw new TwoFactorError("Two-factor authentication is already enabled", "TWO_FACTOR_ALREADY_ENABLED");
+  }
+
+  const secret = generateSecret();
+  await db.query(
+    "UPDATE tbl_users SET totp_secret = ?, totp_last_step = NULL WHERE id = ?",
+    [encryptSecret(secret), userId]
+  );
+
+  const otpauthUrl = buildOtpauthUri({ secret, accountName: user.username, issuer: TOTP_ISSUER });
+  return { secret, otpauthUrl, qrCode: await QRCode.toDataURL(otpauthUrl) };
+}
+
+async function confirmEnrollment(userId, code) {
+  const user = await loadTotpState(userId);
+  if (!user) throw new TwoFactorError("User not found", "USER_NOT_FOUND");
+  if (user.totp_enabled_at) {
+    throw new TwoFactorError("Two-factor authentication is already enabled", "TWO_FACTOR_ALREADY_ENABLED");
+  }
+  if (!user.totp_secret) {
+    throw new TwoFactorError("Start enrollment first", "TWO_FACTOR_NOT_ENROLLING");
+  }
+
+  const step = verifyTotp(decryptSecret(user.totp_secret), code);
+  if (step === null) throw new TwoFactorError("Invalid authentication code", "INVALID_TWO_FACTOR_CODE");
+
+  // เปิด 2FA หลังเขียน recovery codes แล้วเท่านั้น (error ตรงไหน -> rollback ทั้งหมด ยังไม่เปิด)
+  return db.transaction(async (conn) => {
+    const codes = await replaceRecoveryCodes(userId, conn);
+    const [result] = await conn.query(
+      `UPDATE tbl_users SET totp_enabled_at = NOW(), totp_last_step = ?
+       WHERE id = ? AND totp_enabled_at IS NULL`,
+      [step, userId]
+    );
+    // confirm ซ้อนกันสอง request -> ตัวที่มาทีหลังไม่ทับ recovery codes ของตัวแรก
+    if (result.affectedRows === 0) {
+      throw new TwoFactorError("Two-factor authentication is already enabled", "TWO_FACTOR_ALREADY_ENABLED");
+    }
+    return codes;
+  });
+}
+
+/**
+ * ตรวจ code ขั้นที่สอง: TOTP 6 หลัก หรือ recovery code
+ * คืน "totp" | "recovery_code" หรือ null ถ้าไม่ผ่าน
+ */
+async function verifySecondFactor(userId, code) {
+  const user = await loadTotpState(userId);
+  if (!user || !user.totp_enabled_at || !user.totp_secret) return null;
+
+  const afterStep = user.totp_last_step === null ? -1 : Number(user.totp_last_step);
+  const step = verifyTotp(decryptSecret(user.totp_secret), code, { afterStep });
+  if (step !== null) {
+    // กัน code เดิมถูกใช้ซ้ำ (สอง request พร้อมกัน -> ผ่านได้แค่ครั้งเดียว)
+    const [result] = await db.query(
+      `UPDATE tbl_users SET totp_last_step = ?
+       WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)`,
+      [step, userId, step]
+    );
+    return result.affectedRows === 1 ? "totp" : null;
+  }
+
+  const normalized = normalizeRecoveryCode(code);
+  if (!normalized) return null;
+  const [result] = await db.query(
+    `UPDATE tbl_recovery_codes SET used_at = NOW()
+     WHERE user_id = ? AND code_hash = ? AND used_at IS NULL`,
+    [userId, hashToken(normalized)]
+  );
+  return result.affectedRows === 1 ? "recovery_code" : null;
+}
+
+async function regenerateRecoveryCodes(userId) {
+  const user = await loadTotpState(userId);
+  if (!user || !user.totp_enabled_at) {
+    throw new TwoFactorError("Two-factor authentication is not enabled", "TWO_FACTOR_NOT_ENABLED");
+  }
+  return db.transaction((conn) => replaceRecoveryCodes(userId, conn));
+}
+
+async function disableTwoFactor(userId) {
+  await db.transaction(async (conn) => {
+    await conn.query(
+      "UPDATE tbl_users SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL WHERE id = ?",
+      [userId]
+    );
+    await conn.query("DELETE FROM tbl_recovery_codes WHERE user_id = ?", [userId]);
+  });
+}
+
+module.exports = {
+  RECOVERY_CODE_COUNT,
+  TwoFactorError,
+  activeTotpKeyId,
+  reencryptTotpSecrets,
+  getTwoFactorStatus,
+  beginEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+};
@@ -0,0 +1,87 @@
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+const db = require("../config/db");
+
+// แจ้ง admin ที่เปิดหน้ารายชื่อผู้ใช้อยู่ว่ามีผู้ใช้ถูกสร้าง/แก้ไข/ลบ (ส่งต่อทาง SSE หรือ WebSocket)
+// bus อยู่ใน process เดียว: ถ้ารันหลาย instance ต้องเปลี่ยนไปใช้ pub/sub กลาง (เช่น Redis)
+const USER_EVENT_TYPES = Object.freeze({
+  CREATED: "user.created",
+  UPDATED: "user.updated",
+  DELETED: "user.deleted",
+  // ออกจากถังขยะ: data = ผู้ใช้ (id เดิม)
+  RESTORED: "user.restored",
+});
+
+// เก็บ event ล่าสุดไว้ให้ client ที่หลุดแล้วต่อใหม่ขอย้อนหลังได้ (Last-Event-ID)
+const USER_EVENTS_BACKLOG = Number(process.env.USER_EVENTS_BACKLOG || 500);
+
+// id = "<boot>-<ลำดับ>" -> server restart แล้ว id เก่าใช้ต่อไม่ได้ (client ต้องโหลดใหม่ทั้งหมด)
+const BOOT_ID = crypto.randomBytes(4).toString("hex");
+
+// คอลัมน์เดียวกับ GET /api/users
+const USER_EVENT_COLUMNS = `id, firstname, fullname, lastname, username, email, email_verified_at, address, sex, birthday,
+  status, status_reason, role, created_at`;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const backlog = [];
+let sequence = 0;
+
+function publishUserEvent(type, data) {
+  sequence += 1;
+  const event = { id: `${BOOT_ID}-${sequence}`, type, data, at: new Date().toISOString() };
+  backlog.push(event);
+  if (backlog.length > USER_EVENTS_BACKLOG) backlog.shift();
+  emitter.emit("event", event);
+  return event;
+}
+
+// เรียกหลังเขียน DB สำเร็จแล้ว: อ่านแถวล่าสุดมาส่ง (ลบ -> ส่งแค่ id)
+// ไม่ throw: แจ้ง event ไม่ได้ต้องไม่ทำให้ request หลักล้ม
+async function publishUserChange(type, userId) {
+  try {
+    if (type === USER_EVENT_TYPES.DELETED) return publishUserEvent(type, { id: Number(userId) });
+
+    const [rows] = await db.query(
+      `SELECT ${USER_EVENT_COLUMNS} FROM tbl_users WHERE id = ? AND deleted_at IS NULL LIMIT 1`,
+      [userId]
+    );
+    if (rows.length === 0) return null;
+    return publishUserEvent(type, rows[0]);
+  } catch (err) {
+    console.error("publishUserChange error:", err);
+    return null;
+  }
+}
+
+// คืน listener ออก
+function subscribeUserEvents(listener) {
+  emitter.on("event", listener);
+  return () => emitter.off("event", listener);
+}
+
+// event หลัง lastEventId; null = ย้อนให้ไม่ได้ (restart หรือเก่ากว่า backlog) ให้ client โหลดใหม่ทั้งหมด
+function eventsSince(lastEventId) {
+  const [boot, seq] = String(lastEventId || "").split("-");
+  const after = Number(seq);
+  if (boot !== BOOT_ID || !Number.isInteger(after) || after > sequence) return null;
+  if (after === sequence) return [];
+
+  const oldest = backlog.length ? Number(backlog[0].id.split("-")[1]) : sequence + 1;
+  if (after < oldest - 1) return null;
+  return backlog.filter((event) => Number(event.id.split("-")[1]) > after);
+}
+
+// id ของ event ล่าสุด (ให้ client ที่เพิ่งโหลดรายการเต็มใช้เป็นจุดเริ่ม)
+const latestEventId = () => `${BOOT_ID}-${sequence}`;
+
+module.exports = {
+  USER_EVENT_TYPES,
+  USER_EVENTS_BACKLOG,
+  publishUserEvent,
+  publishUserChange,
+  subscribeUserEvents,
+  eventsSince,
+  latestEventId,
+};
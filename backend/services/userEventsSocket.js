@@ -0,0 +1,119 @@
+const { WebSocketServer } = require("ws");
+const verifyToken = require("../middleware/auth");
+const { ROLES } = require("../config/roles");
+const { isAllowedOrigin } = require("../config/cors");
+const { subscribeUserEvents, eventsSince } = require("./userEvents");
+
+// ทางเลือกแทน SSE (GET /api/users/events) สำหรับ client ที่อยากใช้ WebSocket
+// ใช้ได้เฉพาะตอนรันเป็น server เอง (index.js startLocal) ไม่ใช่บน serverless
+const USER_EVENTS_WS_PATH = "/api/users/events/ws";
+const AUTH_TIMEOUT_MS = 10 * 1000;
+
+// browser ตั้ง header ให้ WebSocket ไม่ได้ -> ข้อความแรกต้องเป็น
+// { "type": "auth", "token": "<access token>", "lastEventId": "..." } (โหมด cookie ไม่ต้องส่ง token)
+const parseCookies = (header) =>
+  Object.fromEntries(
+    String(header || "")
+      .split(";")
+      .map((part) => part.trim().split("="))
+      .filter(([name, value]) => name && value !== undefined)
+      .map(([name, ...value]) => [name, decodeURIComponent(value.join("="))])
+  );
+
+// ตรวจด้วย middleware ตัวเดียวกับ HTTP (session, status, impersonation ฯลฯ)
+function authenticate(upgradeReq, token) {
+  const headers = token ? { authorization: `Bearer ${token}` } : {};
+  const req = {
+    method: "GET",
+    headers,
+    cookies: token ? {} : parseCookies(upgradeReq.headers.cookie),
+    get: (name) => headers[name.toLowerCase()],
+    originalUrl: USER_EVENTS_WS_PATH,
+    ip: upgradeReq.socket.remoteAddress,
+  };
+  return new Promise((resolve) => {
+    const res = {
+      statusCode: 200,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      type() {
+        return this;
+      },
+      json: (body) => resolve({ error: { status: res.statusCode, ...body } }),
+    };
+    verifyToken(req, res, () => resolve({ user: req.user }));
+  });
+}
+
+const send = (ws, message) => ws.readyState === ws.OPEN && ws.send(JSON.stringify(message));
+
+function handleConnection(ws, upgradeReq) {
+  let cleanup = () => {};
+  const authTimer = setTimeout(() => ws.close(4401, "Authentication timeout"), AUTH_TIMEOUT_MS);
+
+  ws.once("message", async (raw) => {
+    clearTimeout(authTimer);
+    let message;
+    try {
+      message = JSON.parse(String(raw));
+    } catch {
+      message = null;
+    }
+    if (message?.type !== "auth") return ws.close(4400, "First message must be auth");
+
+    const { user, error } = await authenticate(upgradeReq, message.token);
+    // client ปิดไปแล้วระหว่างรอ authenticate -> "close" ผ่านไปแล้ว ห้าม subscribe (listener จะค้าง)
+    if (ws.readyState !== ws.OPEN) return;
+    if (error) {
+      // type ของ problem+json ชนกับ type ของข้อความ ws -> ใช้ code แยกชนิด error แทน
+      send(ws, { ...error, type: "error" });
+      return ws.close(4401, "Unauthorized");
+    }
+    if (user.role !== ROLES.ADMIN) {
+      send(ws, { type: "error", status: 403, code: "FORBIDDEN", error: "Insufficient permissions" });
+      return ws.close(4403, "Forbidden");
+    }
+
+    // รูปแบบเดียวกับ SSE: { id, type, data }
+    if (message.lastEventId) {
+      const missed = eventsSince(message.lastEventId);
+      if (missed === null) send(ws, { type: "reset", data: {} });
+      else missed.forEach((event) => send(ws, event));
+    }
+    const unsubscribe = subscribeUserEvents((event) => send(ws, event));
+    const expiry = user.exp
+      ? setTimeout(() => ws.close(4401, "Token expired"), Math.max(0, user.exp * 1000 - Date.now()))
+      : null;
+    cleanup = () => {
+      unsubscribe();
+      if (expiry) clearTimeout(expiry);
+    };
+    send(ws, { type: "ready" });
+  });
+
+  ws.on("close", () => {
+    clearTimeout(authTimer);
+    cleanup();
+  });
+}
+
+function attachUserEventsSocket(server) {
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on("upgrade", (req, socket, head) => {
+    const { pathname } = new URL(req.url, "http://localhost");
+    // cookie ถูกแนบไปกับ WebSocket ด้วย -> ต้องกันเว็บอื่นเปิด connection แทนผู้ใช้
+    if (pathname !== USER_EVENTS_WS_PATH || (req.headers.origin && !isAllowedOrigin(req.headers.origin))) {
+      socket.write("HTTP/1.1 403 Forbidden\r\n\r\n");
+      socket.destroy();
+      return;
+    }
+    wss.handleUpgrade(req, socket, head, (ws) => handleConnection(ws, req));
+  });
+
+  return wss;
+}
+
+module.exports = { USER_EVENTS_WS_PATH, attachUserEventsSocket };
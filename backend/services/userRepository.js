@@ -0,0 +1,116 @@
+const db = require("../config/db");
+
+// SQL ของ tbl_users สำหรับ services/userService.js (ไม่มี business rule ที่นี่)
+// ทุกฟังก์ชันรับ conn เพื่อให้ทำงานใน transaction ได้ (ค่าเริ่มต้น = pool)
+
+const USER_COLUMNS = `id, firstname, fullname, lastname, username, email, email_verified_at, address, sex, birthday,
+  status, status_reason, role, created_at`;
+
+// column ที่เขียนตรงได้จาก insertUser/updateUser (password ส่งเป็น hash เท่านั้น)
+const WRITABLE_COLUMNS = [
+  "firstname",
+  "fullname",
+  "lastname",
+  "username",
+  "password",
+  "address",
+  "sex",
+  "birthday",
+  "email",
+  "status",
+  "role",
+];
+
+async function findUserById(id, conn = db) {
+  const [rows] = await conn.query(
+    `SELECT ${USER_COLUMNS} FROM tbl_users WHERE id = ? AND deleted_at IS NULL LIMIT 1`,
+    [id]
+  );
+  return rows[0] || null;
+}
+
+// ค่าปัจจุบันของ field ที่แก้ได้ (birthday เป็น YYYY-MM-DD) ใช้เทียบก่อน/หลังใน audit log
+async function findEditableFields(id, conn = db) {
+  const [rows] = await conn.query(
+    `SELECT username, email, firstname, fullname, lastname, address, sex,
+            DATE_FORMAT(birthday, '%Y-%m-%d') AS birthday, role
+     FROM tbl_users WHERE id = ? AND deleted_at IS NULL LIMIT 1`,
+    [id]
+  );
+  return rows[0] || null;
+}
+
+// สำหรับ login: มี hash รหัสผ่านด้วย ห้ามส่งออกไปทาง API
+async function findCredentialsByUsername(username, conn = db) {
+  const [rows] = await conn.query(
+    `SELECT id, firstname, fullname, lastname, username, email, email_verified_at, password, status, role,
+            totp_enabled_at
+     FROM tbl_users
+     WHERE username = ? AND deleted_at IS NULL LIMIT 1`,
+    [username]
+  );
+  return rows[0] || null;
+}
+
+// สำหรับเปลี่ยนรหัสผ่าน (ต้องตรวจรหัสเดิม)
+async function findCredentialsById(id, conn = db) {
+  const [rows] = await conn.query(
+    "SELECT id, username, password FROM tbl_users WHERE id = ? AND deleted_at IS NULL LIMIT 1",
+    [id]
+  );
+  return rows[0] || null;
+}
+
+const pickWritable = (fields) =>
+  WRITABLE_COLUMNS.filter((column) => fields[column] !== undefined).map((column) => [column, fields[column]]);
+
+// emailVerified = ยืนยันอีเมลแล้ว (เช่นมาจากคำเชิญ/IdP ที่เชื่อถือได้); คืน id ใหม่
+// username/email ซ้ำ -> ER_DUP_ENTRY จาก unique index (ดู duplicateField)
+async function insertUser({ emailVerified = false, ...fields }, conn = db) {
+  const entries = pickWritable(fields);
+  const columns = entries.map(([column]) => column);
+  const placeholders = entries.map(() => "?");
+  if (emailVerified) {
+    columns.push("email_verified_at");
+    placeholders.push("NOW()");
+  }
+  const [result] = await conn.query(
+    `INSERT INTO tbl_users (${columns.join(", ")}) VALUES (${placeholders.join(", ")})`,
+    entries.map(([, value]) => value)
+  );
+  return result.insertId;
+}
+
+// resetEmailVerification = อีเมลเปลี่ยน ต้องยืนยันใหม่; คืน true ถ้าเจอแถว
+async function updateUser(id, { resetEmailVerification = false, ...fields }, conn = db) {
+  const entries = pickWritable(fields);
+  const assignments = entries.map(([column]) => `${column} = ?`);
+  if (resetEmailVerification) assignments.push("email_verified_at = NULL");
+  if (assignments.length === 0) return true;
+
+  const [result] = await conn.query(
+    `UPDATE tbl_users SET ${assignments.join(", ")}, updated_at = NOW() WHERE id = ? AND deleted_at IS NULL`,
+    [...entries.map(([, value]) => value), id]
+  );
+  return result.affectedRows > 0;
+}
+
+// ER_DUP_ENTRY ของ tbl_users -> "username" | "email" (null = error อื่น)
+// MySQL: "Duplicate entry 'x' for key 'tbl_users.ux_users_email'", SQLite: "UNIQUE constraint failed: tbl_users.email"
+function duplicateField(err) {
+  if (err?.code !== "ER_DUP_ENTRY") return null;
+  const message = String(err.message || "");
+  const key = /for key '([^']+)'/.exec(message)?.[1] || /constraint failed: (.+)$/.exec(message)?.[1] || "";
+  return /email/i.test(key) ? "email" : "username";
+}
+
+module.exports = {
+  USER_COLUMNS,
+  findUserById,
+  findEditableFields,
+  findCredentialsByUsername,
+  findCredentialsById,
+  insertUser,
+  updateUser,
+  duplicateField,
+};
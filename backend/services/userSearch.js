@@ -0,0 +1,219 @@
+const db = require("../config/db");
+const { STATUS_VALUES, isValidStatus } = require("../config/statuses");
+const { ROLE_VALUES, isValidRole } = require("../config/roles");
+const { ValidationError } = require("./errors");
+
+// GET /api/users: แบ่งหน้า (page/pageSize หรือ cursor), sort, filter และค้นหา q
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// sort ได้เฉพาะคอลัมน์เหล่านี้ (ชื่อจาก query ไม่เคยถูกต่อเข้า SQL ตรง ๆ)
+// ค่า NULL แทนด้วยค่าต่ำสุดเพื่อให้ cursor เทียบ (ค่า, id) ได้เสมอ
+const SORT_COLUMNS = Object.freeze({
+  id: "id",
+  username: "username",
+  firstname: "COALESCE(firstname, '')",
+  fullname: "COALESCE(fullname, '')",
+  lastname: "COALESCE(lastname, '')",
+  email: "COALESCE(email, '')",
+  address: "COALESCE(address, '')",
+  sex: "COALESCE(sex, '')",
+  birthday: "COALESCE(birthday, '1000-01-01')",
+  status: "status",
+  role: "role",
+  created_at: "created_at",
+});
+const SORT_FIELDS = Object.keys(SORT_COLUMNS);
+
+const USER_COLUMNS = `id, firstname, fullname, lastname, username, email, email_verified_at, address, sex, birthday,
+  status, status_reason, role, created_at`;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+class UserQueryError extends ValidationError {
+  constructor(message, code = "INVALID_QUERY") {
+    super(message, code);
+  }
+}
+
+const encodeCursor = (cursor) => Buffer.from(JSON.stringify(cursor)).toString("base64url");
+
+function decodeCursor(value) {
+  try {
+    const cursor = JSON.parse(Buffer.from(String(value), "base64url").toString("utf8"));
+    if (cursor && typeof cursor.v === "string" && Number.isInteger(cursor.id)) return cursor;
+  } catch {
+    // ตกไปโยน error ด้านล่าง
+  }
+  throw new UserQueryError("Invalid cursor", "INVALID_CURSOR");
+}
+
+function positiveInt(query, name, fallback, max = Infinity) {
+  if (query[name] === undefined || query[name] === "") return fallback;
+  const value = Number(query[name]);
+  if (!Number.isInteger(value) || value < 1 || value > max) {
+    throw new UserQueryError(
+      max === Infinity ? `${name} must be a positive integer` : `${name} must be between 1 and ${max}`
+    );
+  }
+  return value;
+}
+
+// status=active,locked -> ["active", "locked"]
+function listParam(query, name, isValid, allowed) {
+  if (query[name] === undefined || query[name] === "") return [];
+  const values = String(query[name]).split(",").map((value) => value.trim()).filter(Boolean);
+  const invalid = values.find((value) => !isValid(value));
+  if (invalid) throw new UserQueryError(`${name} must be one of: ${allowed.join(", ")}`);
+  return values;
+}
+
+function dateParam(query, name, pattern) {
+  if (query[name] === undefined || query[name] === "") return null;
+  const value = String(query[name]).trim();
+  if (!pattern.test(value) || Number.isNaN(new Date(value).getTime())) {
+    throw new UserQueryError(`${name} must be a date (YYYY-MM-DD${pattern === DATE_PATTERN ? "" : " or ISO 8601"})`);
+  }
+  return value;
+}
+
+// แปลง req.query เป็น option ที่ตรวจแล้ว (โยน UserQueryError ถ้าค่าไม่ถูกต้อง)
+function parseUserListQuery(query = {}) {
+  const sort = String(query.sort || "id");
+  if (!SORT_FIELDS.includes(sort)) {
+    throw new UserQueryError(`sort must be one of: ${SORT_FIELDS.join(", ")}`);
+  }
+  const order = String(query.order || (query.sort ? "asc" : "desc")).toLowerCase();
+  if (order !== "asc" && order !== "desc") throw new UserQueryError("order must be asc or desc");
+
+  const cursor = query.cursor ? decodeCursor(query.cursor) : null;
+  if (cursor && (cursor.s !== sort || cursor.o !== order)) {
+    throw new UserQueryError("Cursor was created for a different sort", "INVALID_CURSOR");
+  }
+
+  // วันที่อย่างเดียว = ทั้งวันตามเวลาของ DB, มีเวลาด้วย = ตามเวลานั้น
+  const createdBound = (name, time) => {
+    const value = dateParam(query, name, DATETIME_PATTERN);
+    if (!value) return null;
+    return DATE_PATTERN.test(value) ? `${value} ${time}` : new Date(value);
+  };
+
+  return {
+    page: cursor ? null : positiveInt(query, "page", 1),
+    pageSize: positiveInt(query, "pageSize", DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE),
+    cursor,
+    sort,
+    order,
+    q: String(query.q ?? "").trim().slice(0, 100),
+    status: listParam(query, "status", isValidStatus, STATUS_VALUES),
+    role: listParam(query, "role", isValidRole, ROLE_VALUES),
+    sex: String(query.sex ?? "").trim(),
+    birthdayFrom: dateParam(query, "birthdayFrom", DATE_PATTERN),
+    birthdayTo: dateParam(query, "birthdayTo", DATE_PATTERN),
+    createdFrom: createdBound("createdFrom", "00:00:00"),
+    createdTo: createdBound("createdTo", "23:59:59"),
+  };
+}
+
+const escapeLike = (value) => value.replace(/[\\%_]/g, (char) => `\\${char}`);
+
+function buildFilters(options) {
+  // ผู้ใช้ในถังขยะดูได้ที่ GET /api/users/trash เท่านั้น
+  const where = ["deleted_at IS NULL"];
+  const params = [];
+
+  if (options.q) {
+    const pattern = `%${escapeLike(options.q)}%`;
+    where.push("(username LIKE ? OR firstname LIKE ? OR fullname LIKE ? OR lastname LIKE ?)");
+    params.push(pattern, pattern, pattern, pattern);
+  }
+  if (options.status.length) {
+    where.push(`status IN (${options.status.map(() => "?").join(", ")})`);
+    params.push(...options.status);
+  }
+  if (options.role.length) {
+    where.push(`role IN (${options.role.map(() => "?").join(", ")})`);
+    params.push(...options.role);
+  }
+  if (options.sex) {
+    where.push("sex = ?");
+    params.push(options.sex);
+  }
+  for (const [column, operator, value] of [
+    ["birthday", ">=", options.birthdayFrom],
+    ["birthday", "<=", options.birthdayTo],
+    ["created_at", ">=", options.createdFrom],
+    ["created_at", "<=", options.createdTo],
+  ]) {
+    if (value === null) continue;
+    where.push(`${column} ${operator} ?`);
+    params.push(value);
+  }
+
+  return { where, params };
+}
+
+// { items, total, page, pageSize, sort, order, nextCursor }
+async function listUsers(options) {
+  const { where, params } = buildFilters(options);
+  const column = SORT_COLUMNS[options.sort];
+  const direction = options.order === "asc" ? "ASC" : "DESC";
+
+  // id ไม่ซ้ำอยู่แล้ว ไม่ต้องมี id ต่อท้ายเป็นตัวตัดสิน
+  const byId = options.sort === "id";
+  const orderBy = byId ? `id ${direction}` : `${column} ${direction}, id ${direction}`;
+
+  const pageWhere = [...where];
+  const pageParams = [...params];
+  if (options.cursor) {
+    // keyset: แถวที่อยู่ถัดจาก (ค่า, id) ของแถวสุดท้ายในหน้าก่อน
+    const operator = direction === "ASC" ? ">" : "<";
+    if (byId) {
+      pageWhere.push(`id ${operator} ?`);
+      pageParams.push(options.cursor.id);
+    } else {
+      pageWhere.push(`(${column} ${operator} ? OR (${column} = ? AND id ${operator} ?))`);
+      pageParams.push(options.cursor.v, options.cursor.v, options.cursor.id);
+    }
+  }
+  const clause = (conditions) => (conditions.length ? `WHERE ${conditions.join(" AND ")}` : "");
+  const offset = options.cursor ? 0 : (options.page - 1) * options.pageSize;
+
+  const [[rows], [counts]] = await Promise.all([
+    db.query(
+      `SELECT ${USER_COLUMNS}, CAST(${column} AS CHAR) AS sort_value
+       FROM tbl_users
+       ${clause(pageWhere)}
+       ORDER BY ${orderBy}
+       LIMIT ? OFFSET ?`,
+      [...pageParams, options.pageSize + 1, offset]
+    ),
+    db.query(`SELECT COUNT(*) AS total FROM tbl_users ${clause(where)}`, params),
+  ]);
+
+  const hasMore = rows.length > options.pageSize;
+  const items = rows.slice(0, options.pageSize).map(({ sort_value: _sort, ...user }) => user);
+  const last = rows[options.pageSize - 1];
+
+  return {
+    items,
+    total: Number(counts[0]?.total || 0),
+    page: options.page,
+    pageSize: options.pageSize,
+    sort: options.sort,
+    order: options.order,
+    nextCursor: hasMore
+      ? encodeCursor({ s: options.sort, o: options.order, v: String(last.sort_value), id: last.id })
+      : null,
+  };
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  SORT_FIELDS,
+  UserQueryError,
+  parseUserListQuery,
+  listUsers,
+};
@@ -0,0 +1,295 @@
+const bcrypt = require("bcryptjs");
+const db = require("../config/db");
+const users = require("./userRepository");
+const { ROLE_VALUES, DEFAULT_ROLE, isValidRole } = require("../config/roles");
+const { USER_STATUSES, STATUS_VALUES, isValidStatus } = require("../config/statuses");
+const { normalizeEmail, isValidEmail } = require("../config/verification");
+const { changeUserStatus } = require("./accountStatus");
+const { softDeleteUser } = require("./userTrash");
+const { revokeUserSessions } = require("./sessions");
+const { USER_EVENT_TYPES, publishUserChange } = require("./userEvents");
+const { AUDIT_ACTIONS, diffChanges, recordAuditSafely } = require("./audit");
+const { sendVerificationEmail } = require("./emailVerification");
+const { assertPasswordAllowed, rememberCurrentPassword } = require("./passwordPolicy");
+const { ValidationError, AuthError, ForbiddenError, NotFoundError, ConflictError } = require("./errors");
+
+// สร้าง/อ่าน/แก้/ลบ/ตรวจรหัสผ่านของผู้ใช้ที่เดียว: routes/login.js (สมัครเอง) กับ routes/users.js (admin)
+// เป็นแค่ตัวแปลง HTTP <-> ฟังก์ชันเหล่านี้; SQL อยู่ใน userRepository
+// error ทางธุรกิจเป็น AppError (services/errors.js) ที่มี status ในตัว route ส่งต่อให้ errorHandler ได้เลย
+
+const BCRYPT_ROUNDS = 10;
+// hash หลอกไว้ compare เมื่อไม่พบ user ให้เวลาตอบใกล้เคียงกัน
+const DUMMY_PASSWORD_HASH = "$2b$10$wLEOmnQ/cuWKfnD15/NSJOdIzfSBcPRJ9OMjcWSoKRKa.5OLPDHay";
+// ข้อความเดียวกันทั้ง "ไม่พบ user" และ "รหัสผิด" (ไม่บอกว่า username มีอยู่จริง)
+const INVALID_CREDENTIALS = "Invalid username or password";
+
+const PROFILE_FIELDS = ["firstname", "fullname", "lastname", "address", "sex", "birthday"];
+
+const invalid = (message) => new ValidationError(message, "USER_INVALID");
+const notFound = () => new NotFoundError("User not found", "USER_NOT_FOUND");
+
+// userId/reason ไว้บันทึก audit ของ route เท่านั้น (ไม่อยู่ใน details -> ไม่ส่งให้ client)
+const invalidCredentials = (userId, reason) =>
+  Object.assign(new AuthError(INVALID_CREDENTIALS, "INVALID_CREDENTIALS"), { userId, reason });
+
+// ER_DUP_ENTRY จาก unique index -> error ที่บอกว่าซ้ำ field ไหน (กันสมัครชนกันโดยไม่ต้อง SELECT ก่อน)
+function toDuplicateError(err) {
+  const field = users.duplicateField(err);
+  if (field === "email") return new ConflictError("Email already exists", "EMAIL_TAKEN");
+  if (field === "username") return new ConflictError("Username already exists", "USERNAME_TAKEN");
+  return err;
+}
+
+const trimmed = (value) => (value === undefined || value === null ? undefined : String(value).trim());
+
+// body ของ request -> field ที่ส่งมา (ไม่ส่ง = undefined, ค่าว่าง = "")
+function parseUserInput(body = {}) {
+  const input = {};
+  for (const name of [...PROFILE_FIELDS, "username", "role", "status", "statusReason"]) {
+    input[name] = trimmed(body[name]);
+  }
+  input.password = body.password === undefined || body.password === null ? undefined : String(body.password);
+  input.email = body.email === undefined ? undefined : normalizeEmail(body.email);
+  return input;
+}
+
+// selfRegistration = สมัครเอง (ต้องมีอีเมล, pending จนกว่าจะยืนยัน); ไม่งั้น admin สร้าง (กำหนด role ได้)
+async function createUser(body, { selfRegistration = false, req = null } = {}) {
+  const input = parseUserInput(body);
+  const role = selfRegistration ? DEFAULT_ROLE : input.role || DEFAULT_ROLE;
+  const status = selfRegistration ? USER_STATUSES.PENDING : undefined;
+
+  if (!input.username) throw invalid("Username is required");
+  if (!input.password) throw invalid("Password is required");
+  if (selfRegistration && !input.email) throw invalid("Email is required");
+  if (!isValidRole(role)) throw invalid(`Role must be one of: ${ROLE_VALUES.join(", ")}`);
+  if (input.email && !isValidEmail(input.email)) throw invalid("Email is invalid");
+
+  await assertPasswordAllowed(input.password, { username: input.username });
+  const password = await bcrypt.hash(input.password, BCRYPT_ROUNDS);
+
+  const profile = Object.fromEntries(PROFILE_FIELDS.map((name) => [name, input[name] || null]));
+  let id;
+  try {
+    id = await users.insertUser({
+      ...profile,
+      username: input.username,
+      password,
+      email: input.email || null,
+      role: selfRegistration ? undefined : role,
+      status,
+    });
+  } catch (err) {
+    throw toDuplicateError(err);
+  }
+
+  publishUserChange(USER_EVENT_TYPES.CREATED, id);
+  await recordAuditSafely({
+    action: selfRegistration ? AUDIT_ACTIONS.USER_REGISTER : AUDIT_ACTIONS.USER_CREATE,
+    ...(selfRegistration ? { actorId: id } : {}),
+    userId: id,
+    changes: diffChanges({}, {
+      username: input.username,
+      email: input.email,
+      ...profile,
+      ...(selfRegistration ? { status } : { role }),
+      password: true,
+    }),
+    req,
+  });
+
+  if (input.email) {
+    try {
+      await sendVerificationEmail({ id, username: input.username, fullname: profile.fullname, email: input.email });
+    } catch (mailErr) {
+      // สร้างบัญชีสำเร็จแล้ว ส่งใหม่ได้จาก /api/auth/verify-email/resend
+      console.error("Send verification email failed:", mailErr);
+    }
+  }
+
+  return {
+    id,
+    firstname: profile.firstname || "",
+    fullname: profile.fullname || "",
+    lastname: profile.lastname || "",
+    username: input.username,
+    email: input.email || "",
+    address: profile.address || "",
+    sex: profile.sex || "",
+    birthday: profile.birthday || "",
+    ...(selfRegistration ? { status } : { role }),
+  };
+}
+
+async function getUser(id) {
+  const user = await users.findUserById(id);
+  if (!user) throw notFound();
+  return user;
+}
+
+// actor = req.user; role/status เปลี่ยนได้เฉพาะ admin และห้ามเปลี่ยนของตัวเอง
+// คืน { changed } = มี field ใดถูกเขียนหรือสถานะเปลี่ยน
+async function updateUser(id, body, { actor, isAdmin, req = null }) {
+  const input = parseUserInput(body);
+  const { role, status, password } = input;
+
+  if ((role !== undefined || status !== undefined) && !isAdmin) {
+    throw new ForbiddenError("Only admins can change role or status", "USER_FORBIDDEN");
+  }
+  if (role !== undefined) {
+    if (!isValidRole(role)) throw invalid(`Role must be one of: ${ROLE_VALUES.join(", ")}`);
+    if (id === Number(actor.id) && role !== actor.role) {
+      throw new ValidationError("You cannot change your own role", "USER_SELF_CHANGE");
+    }
+  }
+  if (status !== undefined) {
+    if (!isValidStatus(status)) throw invalid(`Status must be one of: ${STATUS_VALUES.join(", ")}`);
+    if (id === Number(actor.id)) {
+      throw new ValidationError("You cannot change your own status", "USER_SELF_CHANGE");
+    }
+  }
+  if (input.username !== undefined && !input.username) throw invalid("Username cannot be empty");
+  if (password !== undefined && !password) throw invalid("Password cannot be empty");
+  if (input.email && !isValidEmail(input.email)) throw invalid("Email is invalid");
+
+  // ผู้ใช้ในถังขยะแก้ไม่ได้ (กู้คืนก่อน); ค่าเดิมใช้ทำ audit log ก่อน/หลัง
+  const before = await users.findEditableFields(id);
+  if (!before) throw notFound();
+
+  const fields = {};
+  for (const name of PROFILE_FIELDS) {
+    if (input[name] !== undefined) fields[name] = input[name] || null;
+  }
+  if (input.username !== undefined) fields.username = input.username;
+  if (role !== undefined) fields.role = role;
+
+  // เปลี่ยนอีเมล -> ต้องยืนยันใหม่
+  const emailChanged = input.email !== undefined && (before.email || "") !== input.email;
+  if (emailChanged) fields.email = input.email || null;
+
+  if (password !== undefined) {
+    // กฎ username ใช้ชื่อใหม่ถ้ากำลังเปลี่ยนพร้อมกัน
+    await assertPasswordAllowed(password, { username: fields.username ?? before.username, userId: id });
+    fields.password = await bcrypt.hash(password, BCRYPT_ROUNDS);
+  }
+
+  const hasFields = Object.keys(fields).length > 0;
+  // ส่งอีเมลเดิมมาอย่างเดียว = ไม่มีอะไรเปลี่ยน ไม่ใช่ error
+  if (!hasFields && status === undefined && input.email === undefined) throw invalid("No fields to update");
+
+  if (hasFields) {
+    try {
+      // history ของรหัสเดิมกับรหัสใหม่ต้องเขียนคู่กัน
+      await db.transaction(async (conn) => {
+        if (password !== undefined) await rememberCurrentPassword(id, conn);
+        const found = await users.updateUser(id, { ...fields, resetEmailVerification: emailChanged }, conn);
+        if (!found) throw notFound();
+      });
+    } catch (err) {
+      throw toDuplicateError(err);
+    }
+
+    await recordAuditSafely({
+      action: AUDIT_ACTIONS.USER_UPDATE,
+      userId: id,
+      changes: diffChanges(before, { ...fields, password: password !== undefined ? true : undefined }),
+      req,
+    });
+  }
+
+  if (emailChanged && input.email) {
+    try {
+      await sendVerificationEmail({
+        id,
+        username: fields.username ?? before.username,
+        fullname: fields.fullname ?? before.fullname,
+        email: input.email,
+      });
+    } catch (mailErr) {
+      console.error("Send verification email failed:", mailErr);
+    }
+  }
+
+  // status เปลี่ยนผ่าน changeUserStatus เพื่อบันทึกประวัติ/revoke session (แจ้ง event เอง)
+  let statusChanged = false;
+  if (status !== undefined) {
+    const result = await changeUserStatus({
+      userId: id,
+      status,
+      reason: input.statusReason,
+      changedBy: actor.id,
+      req,
+    });
+    if (!result) throw notFound();
+    statusChanged = result.changed;
+  }
+  if (hasFields && !statusChanged) publishUserChange(USER_EVENT_TYPES.UPDATED, id);
+
+  return { changed: hasFields || statusChanged };
+}
+
+// เจ้าของบัญชีเปลี่ยนรหัสเอง: ต้องรู้รหัสเดิม, history กับรหัสใหม่เขียนใน transaction เดียว
+// แล้ว sign out ทุก session ยกเว้น keepSessionId (เครื่องที่กำลังเปลี่ยน)
+async function changePassword(id, { currentPassword, newPassword, keepSessionId = null, req = null }) {
+  if (!currentPassword || !newPassword) throw invalid("currentPassword/newPassword is required");
+
+  const user = await users.findCredentialsById(id);
+  if (!user) throw notFound();
+  const hash = String(user.password ?? "");
+  if (!hash.startsWith("$2") || !(await bcrypt.compare(currentPassword, hash))) {
+    throw new AuthError("Current password is incorrect", "INVALID_CREDENTIALS");
+  }
+
+  await assertPasswordAllowed(newPassword, { username: user.username, userId: id });
+  const password = await bcrypt.hash(newPassword, BCRYPT_ROUNDS);
+  await db.transaction(async (conn) => {
+    await rememberCurrentPassword(id, conn);
+    if (!(await users.updateUser(id, { password }, conn))) throw notFound();
+  });
+
+  await revokeUserSessions(id, "password_change", { exceptSessionId: keepSessionId });
+  await recordAuditSafely({
+    action: AUDIT_ACTIONS.USER_PASSWORD_CHANGE,
+    userId: id,
+    changes: diffChanges({}, { password: true }),
+    req,
+  });
+}
+
+// ลบ = ย้ายเข้าถังขยะ (services/userTrash.js) โยน UserTrashError
+async function deleteUser(id, { actor, req = null }) {
+  return softDeleteUser({ userId: id, actor, req });
+}
+
+// ตรวจ username/password; ไม่ผ่าน -> AuthError INVALID_CREDENTIALS พร้อม userId (ถ้ามีบัญชี) และ reason สำหรับ audit
+// สถานะบัญชี/2FA/throttle เป็นหน้าที่ของ route
+async function authenticate(username, password) {
+  const user = await users.findCredentialsByUsername(username);
+  if (!user) {
+    await bcrypt.compare(password, DUMMY_PASSWORD_HASH);
+    throw invalidCredentials(null, "unknown_user");
+  }
+
+  const stored = String(user.password ?? "");
+  let passOK;
+  if (stored.startsWith("$2")) {
+    passOK = await bcrypt.compare(password, stored);
+  } else {
+    // migration from plain-text
+    passOK = password === stored;
+    if (passOK) await users.updateUser(user.id, { password: await bcrypt.hash(password, BCRYPT_ROUNDS) });
+  }
+  if (!passOK) throw invalidCredentials(user.id, "wrong_password");
+
+  const { password: _password, ...rest } = user;
+  return rest;
+}
+
+module.exports = {
+  createUser,
+  getUser,
+  updateUser,
+  changePassword,
+  deleteUser,
+  authenticate,
+};
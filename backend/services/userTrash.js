@@ -0,0 +1,146 @@
+const db = require("../config/db");
+const { revokeUserSessions } = require("./sessions");
+const { AUDIT_ACTIONS, recordAudit } = require("./audit");
+const { USER_EVENT_TYPES, publishUserChange } = require("./userEvents");
+const { AppError } = require("./errors");
+
+// ลบผู้ใช้แบบ soft delete: ตั้ง deleted_at/deleted_by ไว้ก่อน (ถังขยะ) กู้คืนได้จนกว่าจะ purge
+// ผู้ใช้ที่อยู่ในถังขยะ login ไม่ได้และไม่โผล่ในรายการ/ค้นหาปกติ แต่ยังจอง username/email ไว้
+// ลบถาวรอัตโนมัติเมื่อเกินจำนวนวันนี้ (0 = ไม่ลบอัตโนมัติ)
+const USER_TRASH_RETENTION_DAYS = Number(process.env.USER_TRASH_RETENTION_DAYS ?? 30);
+
+// code -> HTTP status (ที่ไม่อยู่ในนี้ = 400)
+const TRASH_ERROR_STATUS = {
+  USER_NOT_FOUND: 404,
+  USER_NOT_IN_TRASH: 404,
+};
+
+class UserTrashError extends AppError {
+  constructor(message, code) {
+    super(message, code, { status: TRASH_ERROR_STATUS[code] || 400 });
+  }
+}
+
+const TRASH_COLUMNS = `u.id, u.firstname, u.fullname, u.lastname, u.username, u.email, u.status, u.role,
+  u.created_at, u.deleted_at, u.deleted_by, deleter.username AS deleted_by_username`;
+
+const toTrashEntry = ({ deleted_by: deletedBy, deleted_by_username: deletedByUsername, ...user }) => ({
+  ...user,
+  deleted_by: deletedBy ? { id: deletedBy, username: deletedByUsername || null } : null,
+  purge_at:
+    USER_TRASH_RETENTION_DAYS > 0
+      ? new Date(new Date(user.deleted_at).getTime() + USER_TRASH_RETENTION_DAYS * 86400 * 1000)
+      : null,
+});
+
+async function findTrashedUser(userId) {
+  const [rows] = await db.query(
+    `SELECT ${TRASH_COLUMNS}
+     FROM tbl_users u
+     LEFT JOIN tbl_users deleter ON deleter.id = u.deleted_by
+     WHERE u.id = ? AND u.deleted_at IS NOT NULL LIMIT 1`,
+    [userId]
+  );
+  return rows[0] ? toTrashEntry(rows[0]) : null;
+}
+
+// ย้ายเข้าถังขยะ + revoke ทุก session ทันที
+async function softDeleteUser({ userId, actor, req }) {
+  if (Number(userId) === Number(actor.id)) {
+    throw new UserTrashError("You cannot delete your own account", "USER_DELETE_SELF");
+  }
+
+  const [result] = await db.query(
+    `UPDATE tbl_users SET deleted_at = NOW(), deleted_by = ?, updated_at = NOW()
+     WHERE id = ? AND deleted_at IS NULL`,
+    [actor.id, userId]
+  );
+  if (result.affectedRows === 0) throw new UserTrashError("User not found", "USER_NOT_FOUND");
+
+  await revokeUserSessions(userId, "deleted");
+  await recordAudit({ action: AUDIT_ACTIONS.USER_DELETE, actorId: actor.id, userId, req });
+  publishUserChange(USER_EVENT_TYPES.DELETED, userId);
+  return findTrashedUser(userId);
+}
+
+async function restoreUser({ userId, actor, req }) {
+  const [result] = await db.query(
+    `UPDATE tbl_users SET deleted_at = NULL, deleted_by = NULL, updated_at = NOW()
+     WHERE id = ? AND deleted_at IS NOT NULL`,
+    [userId]
+  );
+  if (result.affectedRows === 0) {
+    throw new UserTrashError("User is not in the trash", "USER_NOT_IN_TRASH");
+  }
+
+  await recordAudit({ action: AUDIT_ACTIONS.USER_RESTORE, actorId: actor.id, userId, req });
+  publishUserChange(USER_EVENT_TYPES.RESTORED, userId);
+}
+
+// ลบถาวร (แถวที่อ้างถึงผู้ใช้ถูกลบตาม ON DELETE CASCADE)
+async function purgeUser({ userId, actor, req }) {
+  const user = await findTrashedUser(userId);
+  if (!user) throw new UserTrashError("User is not in the trash", "USER_NOT_IN_TRASH");
+
+  await db.query("DELETE FROM tbl_users WHERE id = ? AND deleted_at IS NOT NULL", [userId]);
+  // audit อ้าง user_id ที่ไม่มีแล้ว -> เก็บ username ไว้ใน details
+  await recordAudit({
+    action: AUDIT_ACTIONS.USER_PURGE,
+    actorId: actor.id,
+    userId,
+    details: { username: user.username },
+    req,
+  });
+}
+
+// { items, total } ลบล่าสุดก่อน
+async function listTrashedUsers({ limit = 20, offset = 0 } = {}) {
+  const [[rows], [counts]] = await Promise.all([
+    db.query(
+      `SELECT ${TRASH_COLUMNS}
+       FROM tbl_users u
+       LEFT JOIN tbl_users deleter ON deleter.id = u.deleted_by
+       WHERE u.deleted_at IS NOT NULL
+       ORDER BY u.deleted_at DESC, u.id DESC
+       LIMIT ? OFFSET ?`,
+      [limit, offset]
+    ),
+    db.query("SELECT COUNT(*) AS total FROM tbl_users WHERE deleted_at IS NOT NULL"),
+  ]);
+  return { items: rows.map(toTrashEntry), total: Number(counts[0]?.total || 0) };
+}
+
+// เรียกเป็นระยะ (index.js) หรือจาก cron: scripts/purge-deleted-users.js - คืนจำนวนที่ลบ
+async function purgeExpiredUsers(retentionDays = USER_TRASH_RETENTION_DAYS) {
+  if (!(retentionDays > 0)) return 0;
+
+  const [rows] = await db.query(
+    "SELECT id, username FROM tbl_users WHERE deleted_at < NOW() - INTERVAL ? DAY",
+    [retentionDays]
+  );
+  let purged = 0;
+  for (const row of rows) {
+    const [result] = await db.query(
+      "DELETE FROM tbl_users WHERE id = ? AND deleted_at < NOW() - INTERVAL ? DAY",
+      [row.id, retentionDays]
+    );
+    if (result.affectedRows === 0) continue; // ถูกกู้คืนไปพอดี
+    purged += 1;
+    await recordAudit({
+      action: AUDIT_ACTIONS.USER_PURGE,
+      userId: row.id,
+      details: { username: row.username, automatic: true, retentionDays },
+    });
+  }
+  return purged;
+}
+
+module.exports = {
+  USER_TRASH_RETENTION_DAYS,
+  UserTrashError,
+  softDeleteUser,
+  restoreUser,
+  purgeUser,
+  listTrashedUsers,
+  purgeExpiredUsers,
+};
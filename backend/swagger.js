@@ -10,6 +10,8 @@ const options = {
     components: {
       securitySchemes: {
         bearerAuth: { type: "http", scheme: "bearer", bearerFormat: "JWT" },
+        // script/service อื่น: สร้าง key ที่ /api/api-keys (scope users:read = อ่านอย่างเดียว)
+        apiKeyAuth: { type: "apiKey", in: "header", name: "X-API-Key" },
       },
     },
   },
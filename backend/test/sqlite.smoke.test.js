@@ -0,0 +1,566 @@
+// smoke test: migration + auth flow ทั้งหมดบน SQLite in-memory (ไม่ต้องมี MySQL)
+// รัน: npm test (หรือ bun run test)
+process.env.DOTENV_CONFIG_PATH = "test/.env.none";
+process.env.DOTENV_CONFIG_QUIET = "true";
+process.env.NODE_ENV = "test";
+process.env.DB_CLIENT = "sqlite";
+process.env.DB_FILE = ":memory:";
+process.env.SECRET_KEY = "smoke-test-secret-smoke-test-secret";
+process.env.TOTP_ENCRYPTION_KEY = "smoke:smoke-test-totp-key-smoke-test-totp-key";
+process.env.LOGIN_THROTTLE_STORE = "mysql";
+process.env.LOGIN_BACKOFF_BASE_MS = "0";
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const app = require("../index");
+const db = require("../config/db");
+const { createSqliteDatabase } = require("../config/sqlite");
+const initialSchema = require("../migrations/0001_initial_schema");
+const { migrateUp, migrationStatus } = require("../services/migrations");
+const { setMailTransport } = require("../services/mailer");
+const { generateTotp } = require("../services/totp");
+const { createUser } = require("../services/userService");
+const { createApiKey } = require("../services/apiKeys");
+const { resolveLoginUser, createLoginCode } = require("../services/identities");
+const { LOGIN_MAX_ATTEMPTS } = require("../services/loginThrottle");
+
+const mails = [];
+let server;
+let baseUrl;
+
+before(async () => {
+  setMailTransport({
+    name: "memory",
+    async send(message) {
+      mails.push(message);
+      return { id: null };
+    },
+  });
+  await migrateUp();
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  await db.end();
+});
+
+async function call(method, path, { body, token, apiKey } = {}) {
+  const response = await fetch(baseUrl + path, {
+    method,
+    headers: {
+      "Content-Type": "application/json",
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      ...(apiKey ? { "X-API-Key": apiKey } : {}),
+    },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  return { status: response.status, headers: response.headers, body: await response.json().catch(() => null) };
+}
+
+async function loginAs(username, password = PASSWORD) {
+  const res = await call("POST", "/api/auth/login", { body: { username, password } });
+  expectStatus(res, 200);
+  return res.body.token;
+}
+
+const expectStatus = (res, status) => assert.equal(res.status, status, JSON.stringify(res.body));
+
+const mailTokenFor = (to) => {
+  const mail = mails.findLast((item) => item.to === to);
+  return decodeURIComponent(/token=([^\s"&]+)/.exec(mail.text)[1]);
+};
+
+const PASSWORD = "Correct-Horse-Battery-9!";
+const state = {};
+
+test("migrations apply once and report everything applied", async () => {
+  assert.deepEqual(await migrateUp(), []);
+  const status = await migrationStatus();
+  assert.ok(status.length > 0);
+  assert.ok(status.every((migration) => migration.applied));
+});
+
+test("the baseline migration upgrades a legacy schema and refuses to roll back", async () => {
+  const legacy = createSqliteDatabase();
+  try {
+    await legacy.query(
+      `CREATE TABLE tbl_users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username VARCHAR(100) NOT NULL UNIQUE,
+        password VARCHAR(255) NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'active',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP
+      )`
+    );
+    await legacy.query("INSERT INTO tbl_users (username, password) VALUES ('old', 'x')");
+
+    await initialSchema.up(legacy);
+    await initialSchema.up(legacy);
+    const [columns] = await legacy.query("PRAGMA table_info(tbl_users)");
+    assert.ok(["email", "role", "deleted_at"].every((name) => columns.some((column) => column.name === name)));
+    const [[user]] = await legacy.query("SELECT username, role FROM tbl_users");
+    assert.deepEqual({ ...user }, { username: "old", role: "user" });
+
+    await assert.rejects(initialSchema.down(legacy), /cannot be rolled back/);
+    const [tables] = await legacy.query("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'tbl_users'");
+    assert.equal(tables.length, 1);
+  } finally {
+    await legacy.end();
+  }
+});
+
+test("requests are validated after authentication", async () => {
+  let res = await call("POST", "/api/api-keys", { body: {} });
+  expectStatus(res, 401);
+
+  res = await call("POST", "/api/auth/login", { body: { username: "smoke" } });
+  expectStatus(res, 400);
+  assert.equal(res.body.code, "VALIDATION_FAILED");
+});
+
+test("register, verify email and log in", async () => {
+  let res = await call("POST", "/api/auth/register", {
+    body: { username: "smoke", password: PASSWORD, email: "smoke@example.com", fullname: "Smoke Test" },
+  });
+  expectStatus(res, 201);
+  assert.equal(res.body.status, "pending");
+
+  res = await call("POST", "/api/auth/register", {
+    body: { username: "smoke", password: PASSWORD, email: "other@example.com" },
+  });
+  expectStatus(res, 409);
+  assert.equal(res.body.code, "USERNAME_TAKEN");
+
+  // ยังไม่ยืนยันอีเมลก็ login ได้ (สถานะ pending)
+  res = await call("POST", "/api/auth/login", { body: { username: "smoke", password: PASSWORD } });
+  expectStatus(res, 200);
+  assert.equal(res.body.user.status, "pending");
+
+  res = await call("POST", "/api/auth/verify-email", { body: { token: mailTokenFor("smoke@example.com") } });
+  expectStatus(res, 200);
+
+  res = await call("POST", "/api/auth/login", { body: { username: "smoke", password: "wrong" } });
+  expectStatus(res, 401);
+  assert.equal(res.body.code, "INVALID_CREDENTIALS");
+
+  res = await call("POST", "/api/auth/login", { body: { username: "smoke", password: PASSWORD } });
+  expectStatus(res, 200);
+  assert.ok(res.body.token);
+  state.token = res.body.token;
+  state.refreshToken = res.body.refreshToken;
+
+  res = await call("GET", "/api/auth/me", { token: state.token });
+  expectStatus(res, 200);
+  assert.equal(res.body.username, "smoke");
+  assert.equal(res.body.status, "active");
+  assert.ok(res.body.email_verified_at);
+});
+
+test("parallel wrong passwords cannot get past the lockout", async () => {
+  const results = await Promise.all(
+    Array.from({ length: 30 }, () => call("POST", "/api/auth/login", { body: { username: "smoke", password: "guess" } }))
+  );
+  const statuses = results.map((res) => res.status);
+  assert.equal(statuses.filter((status) => status === 401).length, LOGIN_MAX_ATTEMPTS);
+  assert.equal(statuses.filter((status) => status === 429).length, 30 - LOGIN_MAX_ATTEMPTS);
+
+  // ไม่ให้ค้างไปถึง test ถัดไป
+  await db.query("DELETE FROM tbl_login_attempts");
+});
+
+test("refresh rotates the session and rejects reuse", async () => {
+  let res = await call("POST", "/api/auth/refresh", { body: { refreshToken: state.refreshToken } });
+  expectStatus(res, 200);
+  const rotated = res.body;
+
+  res = await call("POST", "/api/auth/refresh", { body: { refreshToken: state.refreshToken } });
+  expectStatus(res, 401);
+
+  // ใช้ refresh token เก่าซ้ำ = session ถูก revoke ทั้งสาย (token ที่ได้หลัง rotate ก็ใช้ไม่ได้แล้ว)
+  res = await call("POST", "/api/auth/refresh", { body: { refreshToken: rotated.refreshToken } });
+  expectStatus(res, 401);
+
+  res = await call("POST", "/api/auth/login", { body: { username: "smoke", password: PASSWORD } });
+  expectStatus(res, 200);
+  state.token = res.body.token;
+});
+
+test("two-factor enrollment and login with a recovery code", async () => {
+  let res = await call("POST", "/api/auth/2fa/enroll", { token: state.token });
+  expectStatus(res, 200);
+
+  res = await call("POST", "/api/auth/2fa/enroll/confirm", {
+    token: state.token,
+    body: { code: generateTotp(res.body.secret) },
+  });
+  expectStatus(res, 200);
+  assert.equal(res.body.recoveryCodes.length, 10);
+  const [recoveryCode] = res.body.recoveryCodes;
+
+  res = await call("GET", "/api/auth/2fa", { token: state.token });
+  assert.deepEqual([res.body.enabled, res.body.recoveryCodesRemaining], [true, 10]);
+
+  res = await call("POST", "/api/auth/login", { body: { username: "smoke", password: PASSWORD } });
+  expectStatus(res, 200);
+  assert.equal(res.body.twoFactorRequired, true);
+
+  const challengeToken = res.body.challengeToken;
+  res = await call("POST", "/api/auth/login/2fa", { body: { challengeToken, code: recoveryCode } });
+  expectStatus(res, 200);
+  state.token = res.body.token;
+
+  res = await call("POST", "/api/auth/login/2fa", { body: { challengeToken, code: recoveryCode } });
+  expectStatus(res, 401);
+  assert.equal(res.body.code, "INVALID_TWO_FACTOR_CODE");
+});
+
+test("password logins do not reset the two-factor attempt budget", async () => {
+  const statuses = [];
+  for (let round = 0; round < LOGIN_MAX_ATTEMPTS; round += 1) {
+    let res = await call("POST", "/api/auth/login", { body: { username: "smoke", password: PASSWORD } });
+    statuses.push(res.status);
+    if (res.status !== 200) break;
+    res = await call("POST", "/api/auth/login/2fa", {
+      body: { challengeToken: res.body.challengeToken, code: "aaaaa-aaaaa" },
+    });
+    statuses.push(res.status);
+    if (res.status !== 401) break;
+  }
+  assert.equal(statuses.at(-1), 429, JSON.stringify(statuses));
+  assert.ok(statuses.filter((status) => status === 401).length < LOGIN_MAX_ATTEMPTS);
+
+  await db.query("DELETE FROM tbl_login_attempts");
+});
+
+test("disabling two-factor shares the login attempt budget", async () => {
+  let res;
+  for (let attempt = 0; attempt <= LOGIN_MAX_ATTEMPTS; attempt += 1) {
+    res = await call("POST", "/api/auth/2fa/disable", {
+      token: state.token,
+      body: { password: "guess", code: "123456" },
+    });
+  }
+  expectStatus(res, 429);
+  assert.equal(res.body.code, "TOO_MANY_ATTEMPTS");
+
+  await db.query("DELETE FROM tbl_login_attempts");
+});
+
+test("logout revokes the access token", async () => {
+  let res = await call("POST", "/api/auth/logout", { token: state.token });
+  expectStatus(res, 200);
+
+  res = await call("GET", "/api/auth/me", { token: state.token });
+  expectStatus(res, 401);
+});
+
+test("logout while impersonating ends the administrator's session", async () => {
+  await createUser({ username: "root", password: PASSWORD, role: "admin" });
+  let res = await call("POST", "/api/auth/login", { body: { username: "root", password: PASSWORD } });
+  expectStatus(res, 200);
+  const adminToken = res.body.token;
+
+  const [[smoke]] = await db.query("SELECT id FROM tbl_users WHERE username = ?", ["smoke"]);
+  res = await call("POST", "/api/auth/impersonation/start", { token: adminToken, body: { userId: smoke.id } });
+  expectStatus(res, 200);
+  const impersonationToken = res.body.token;
+
+  res = await call("POST", "/api/auth/logout", { token: impersonationToken });
+  expectStatus(res, 200);
+
+  res = await call("GET", "/api/auth/me", { token: impersonationToken });
+  expectStatus(res, 401);
+  res = await call("GET", "/api/auth/me", { token: adminToken });
+  expectStatus(res, 401);
+
+  const [[audit]] = await db.query(
+    "SELECT actor_id, user_id, details FROM tbl_audit_log WHERE action = 'auth.logout' ORDER BY id DESC LIMIT 1"
+  );
+  assert.equal(audit.user_id, audit.actor_id);
+  assert.equal(JSON.parse(audit.details).impersonatedUserId, smoke.id);
+});
+
+test("a users:read API key only reads /api/users", async () => {
+  const [[root]] = await db.query("SELECT id FROM tbl_users WHERE username = ?", ["root"]);
+  const { key } = await createApiKey(root.id, { name: "smoke", scopes: ["users:read"] });
+
+  let res = await call("GET", "/api/users", { apiKey: key });
+  expectStatus(res, 200);
+
+  for (const [method, path] of [
+    ["DELETE", `/api/users/${root.id}`],
+    ["GET", "/api/admin/lockouts"],
+    ["GET", "/api/auth/me"],
+  ]) {
+    res = await call(method, path, { apiKey: key });
+    expectStatus(res, 403);
+    assert.equal(res.body.code, "API_KEY_SCOPE");
+  }
+});
+
+test("profile email changes and password changes go through the user service", async () => {
+  const tokens = [];
+  for (const username of ["racer1", "racer2"]) {
+    await createUser({ username, password: PASSWORD, email: `${username}@example.com` });
+    await db.query("UPDATE tbl_users SET email_verified_at = NOW() WHERE username = ?", [username]);
+    const res = await call("POST", "/api/auth/login", { body: { username, password: PASSWORD } });
+    expectStatus(res, 200);
+    tokens.push(res.body.token);
+  }
+
+  // สองคนเปลี่ยนเป็นอีเมลเดียวกันพร้อมกัน -> unique index ตัดสิน ได้ 409 ไม่ใช่ 500
+  const results = await Promise.all(
+    tokens.map((token) => call("PATCH", "/api/auth/me", { token, body: { email: "race@example.com" } }))
+  );
+  assert.deepEqual(results.map((res) => res.status).sort(), [200, 409]);
+  assert.equal(results.find((res) => res.status === 409).body.code, "EMAIL_TAKEN");
+  assert.equal(results.find((res) => res.status === 200).body.email_verified_at, null);
+
+  const NEW_PASSWORD = "Another-Battery-Staple-7?";
+  let res = await call("POST", "/api/auth/me/password", {
+    token: tokens[0],
+    body: { currentPassword: "wrong", newPassword: NEW_PASSWORD },
+  });
+  expectStatus(res, 401);
+  assert.equal(res.body.code, "INVALID_CREDENTIALS");
+
+  res = await call("POST", "/api/auth/me/password", {
+    token: tokens[0],
+    body: { currentPassword: PASSWORD, newPassword: NEW_PASSWORD },
+  });
+  expectStatus(res, 200);
+
+  // รหัสเดิมอยู่ใน history แล้ว
+  res = await call("POST", "/api/auth/me/password", {
+    token: tokens[0],
+    body: { currentPassword: NEW_PASSWORD, newPassword: PASSWORD },
+  });
+  expectStatus(res, 400);
+  assert.equal(res.body.code, "PASSWORD_POLICY");
+});
+
+test("OIDC sign-up races and trashed accounts do not leave orphan users", async () => {
+  const provider = { id: "mock", name: "Mock", trustEmail: true, allowSignup: true };
+  const claims = { sub: "jit-1", email: "jit@example.com", email_verified: true, preferred_username: "jit" };
+
+  // callback สองครั้งพร้อมกันด้วย sub เดียวกัน -> ได้บัญชีเดียว
+  const results = await Promise.all([resolveLoginUser(provider, claims), resolveLoginUser(provider, claims)]);
+  assert.equal(results[0].userId, results[1].userId);
+  const [users] = await db.query("SELECT id FROM tbl_users WHERE email = ?", ["jit@example.com"]);
+  assert.equal(users.length, 1);
+
+  // บัญชีในถังขยะไม่ถูกผูกกับ login ภายนอก และไม่เกิดบัญชีใหม่
+  await createUser({ username: "trashed", password: PASSWORD, email: "trashed@example.com" });
+  await db.query(
+    "UPDATE tbl_users SET email_verified_at = NOW(), deleted_at = NOW() WHERE username = ?",
+    ["trashed"]
+  );
+  await assert.rejects(
+    resolveLoginUser(provider, { sub: "jit-2", email: "trashed@example.com", email_verified: true }),
+    { code: "OIDC_ACCOUNT_EXISTS" }
+  );
+  const [[count]] = await db.query("SELECT COUNT(*) AS total FROM tbl_users WHERE email = ?", ["trashed@example.com"]);
+  assert.equal(Number(count.total), 1);
+  const [identities] = await db.query("SELECT id FROM tbl_user_identities WHERE subject = ?", ["jit-2"]);
+  assert.equal(identities.length, 0);
+});
+
+test("errors are problem+json documents tied to the request id", async () => {
+  let res = await call("GET", "/api/does-not-exist");
+  expectStatus(res, 404);
+  assert.match(res.headers.get("content-type"), /^application\/problem\+json/);
+  assert.deepEqual(
+    { ...res.body, requestId: undefined },
+    {
+      type: "urn:problem:route-not-found",
+      title: "Not Found",
+      status: 404,
+      detail: "Cannot GET /api/does-not-exist",
+      instance: "/api/does-not-exist",
+      code: "ROUTE_NOT_FOUND",
+      requestId: undefined,
+      error: "Cannot GET /api/does-not-exist",
+      message: "Cannot GET /api/does-not-exist",
+    }
+  );
+  assert.equal(res.body.requestId, res.headers.get("x-request-id"));
+
+  const response = await fetch(`${baseUrl}/api/auth/login`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: "{not json",
+  });
+  assert.equal(response.status, 400);
+  assert.equal((await response.json()).code, "INVALID_JSON");
+});
+
+test("the password policy rejects weak passwords with every violation", async () => {
+  let res = await call("GET", "/api/auth/password-policy");
+  expectStatus(res, 200);
+  assert.ok(res.body.minLength > 0);
+
+  res = await call("POST", "/api/auth/register", {
+    body: { username: "weakling", password: "password", email: "weakling@example.com" },
+  });
+  expectStatus(res, 400);
+  assert.equal(res.body.code, "PASSWORD_POLICY");
+  const rules = res.body.violations.map((violation) => violation.rule);
+  assert.ok(rules.includes("digit") && rules.includes("common"), rules.join(", "));
+
+  res = await call("POST", "/api/auth/register", {
+    body: { username: "weakling", password: "Weakling-Battery-9!", email: "weakling@example.com" },
+  });
+  expectStatus(res, 400);
+  assert.deepEqual(res.body.violations.map((violation) => violation.rule), ["username"]);
+
+  const [users] = await db.query("SELECT id FROM tbl_users WHERE username = ?", ["weakling"]);
+  assert.equal(users.length, 0);
+});
+
+test("password reset links work once and respect the password policy", async () => {
+  await createUser({ username: "forgetful", password: PASSWORD, email: "forgetful@example.com" });
+  await db.query("UPDATE tbl_users SET email_verified_at = NOW() WHERE username = ?", ["forgetful"]);
+
+  let res = await call("POST", "/api/auth/reset-password", { body: { token: "not-a-token", password: PASSWORD } });
+  expectStatus(res, 400);
+  assert.equal(res.body.code, "RESET_TOKEN_INVALID");
+
+  res = await call("POST", "/api/auth/forgot-password", { body: { identifier: "forgetful" } });
+  expectStatus(res, 200);
+  const token = mailTokenFor("forgetful@example.com");
+
+  // ไม่ผ่านกฎ -> ลิงก์ยังใช้ต่อได้
+  res = await call("POST", "/api/auth/reset-password", { body: { token, password: PASSWORD } });
+  expectStatus(res, 400);
+  assert.equal(res.body.code, "PASSWORD_POLICY");
+
+  const NEW_PASSWORD = "Reset-Battery-Staple-4#";
+  res = await call("POST", "/api/auth/reset-password", { body: { token, password: NEW_PASSWORD } });
+  expectStatus(res, 200);
+  res = await call("POST", "/api/auth/reset-password", { body: { token, password: "Reset-Again-Staple-5$" } });
+  expectStatus(res, 400);
+  assert.equal(res.body.code, "RESET_TOKEN_INVALID");
+
+  await loginAs("forgetful", NEW_PASSWORD);
+});
+
+test("invitations are accepted once and reject unknown tokens", async () => {
+  const adminToken = await loginAs("root");
+  let res = await call("POST", "/api/admin/invitations", {
+    token: adminToken,
+    body: { username: "invitee", email: "invitee@example.com" },
+  });
+  expectStatus(res, 201);
+
+  res = await call("POST", "/api/admin/invitations", {
+    token: adminToken,
+    body: { username: "invitee", email: "someone-else@example.com" },
+  });
+  expectStatus(res, 409);
+  assert.equal(res.body.code, "INVITE_CONFLICT");
+
+  res = await call("POST", "/api/auth/invitations/lookup", { body: { token: "not-a-token" } });
+  expectStatus(res, 400);
+  assert.equal(res.body.code, "INVITE_TOKEN_INVALID");
+
+  const token = mailTokenFor("invitee@example.com");
+  res = await call("POST", "/api/auth/invitations/lookup", { body: { token } });
+  expectStatus(res, 200);
+  assert.equal(res.body.username, "invitee");
+
+  res = await call("POST", "/api/auth/invitations/accept", { body: { token, password: "short" } });
+  expectStatus(res, 400);
+  assert.equal(res.body.code, "PASSWORD_POLICY");
+
+  res = await call("POST", "/api/auth/invitations/accept", { body: { token, password: PASSWORD } });
+  expectStatus(res, 201);
+  res = await call("POST", "/api/auth/invitations/accept", { body: { token, password: PASSWORD } });
+  expectStatus(res, 400);
+  assert.equal(res.body.code, "INVITE_TOKEN_INVALID");
+
+  await loginAs("invitee");
+});
+
+test("OIDC sign-in codes are exchanged once and unknown providers are rejected", async () => {
+  const provider = { id: "mock", name: "Mock", trustEmail: true, allowSignup: true };
+  const { identityId } = await resolveLoginUser(provider, { sub: "jit-1", email: "jit@example.com" });
+  const code = await createLoginCode(identityId);
+
+  let res = await call("POST", "/api/auth/oidc/exchange", { body: { code } });
+  expectStatus(res, 200);
+  assert.equal(res.body.user.email, "jit@example.com");
+  const token = res.body.token;
+
+  res = await call("POST", "/api/auth/oidc/exchange", { body: { code } });
+  expectStatus(res, 401);
+  assert.equal(res.body.code, "OIDC_CODE_INVALID");
+
+  res = await call("POST", "/api/auth/oidc/exchange", { body: {} });
+  expectStatus(res, 400);
+
+  res = await call("POST", "/api/auth/oidc/nowhere/link", { token });
+  expectStatus(res, 404);
+  assert.equal(res.body.code, "OIDC_PROVIDER_NOT_FOUND");
+});
+
+test("trashed users can be restored or purged, but only from the trash", async () => {
+  const adminToken = await loginAs("root");
+  const [[root]] = await db.query("SELECT id FROM tbl_users WHERE username = ?", ["root"]);
+  await createUser({ username: "binned", password: PASSWORD });
+  const [[binned]] = await db.query("SELECT id FROM tbl_users WHERE username = ?", ["binned"]);
+
+  let res = await call("DELETE", `/api/users/${root.id}`, { token: adminToken });
+  expectStatus(res, 400);
+  assert.equal(res.body.code, "USER_DELETE_SELF");
+
+  res = await call("POST", `/api/users/trash/${binned.id}/restore`, { token: adminToken });
+  expectStatus(res, 404);
+  assert.equal(res.body.code, "USER_NOT_IN_TRASH");
+
+  res = await call("DELETE", `/api/users/${binned.id}`, { token: adminToken });
+  expectStatus(res, 200);
+  res = await call("GET", "/api/users/trash", { token: adminToken });
+  expectStatus(res, 200);
+  assert.ok(res.body.items.some((user) => user.id === binned.id));
+  res = await call("POST", "/api/auth/login", { body: { username: "binned", password: PASSWORD } });
+  expectStatus(res, 401);
+
+  res = await call("POST", `/api/users/trash/${binned.id}/restore`, { token: adminToken });
+  expectStatus(res, 200);
+  res = await call("DELETE", `/api/users/trash/${binned.id}`, { token: adminToken });
+  expectStatus(res, 404);
+  assert.equal(res.body.code, "USER_NOT_IN_TRASH");
+
+  res = await call("DELETE", `/api/users/${binned.id}`, { token: adminToken });
+  expectStatus(res, 200);
+  res = await call("DELETE", `/api/users/trash/${binned.id}`, { token: adminToken });
+  expectStatus(res, 200);
+  const [rows] = await db.query("SELECT id FROM tbl_users WHERE id = ?", [binned.id]);
+  assert.equal(rows.length, 0);
+  state.purgedUserId = binned.id;
+});
+
+test("the audit log filters by action and target and rejects bad filters", async () => {
+  const adminToken = await loginAs("root");
+
+  let res = await call("GET", `/api/admin/audit-log?targetId=${state.purgedUserId}`, { token: adminToken });
+  expectStatus(res, 200);
+  const actions = res.body.map((entry) => entry.action);
+  for (const action of ["user.delete", "user.restore", "user.purge"]) assert.ok(actions.includes(action), action);
+  assert.ok(res.body.every((entry) => entry.user?.id === state.purgedUserId));
+
+  res = await call("GET", "/api/admin/audit-log?action=user.*&limit=5", { token: adminToken });
+  expectStatus(res, 200);
+  assert.ok(res.body.length > 0 && res.body.length <= 5);
+  assert.ok(res.body.every((entry) => entry.action.startsWith("user.")));
+
+  for (const query of ["limit=0", "targetId=abc", "action=DROP%20TABLE", "from=yesterday"]) {
+    res = await call("GET", `/api/admin/audit-log?${query}`, { token: adminToken });
+    expectStatus(res, 400);
+  }
+});
@@ -0,0 +1,147 @@
+'use client';
+import { Suspense, useEffect, useState } from 'react';
+import { useRouter, useSearchParams } from 'next/navigation';
+import Link from 'next/link';
+import Swal from 'sweetalert2';
+import { Kanit } from 'next/font/google';
+import { apiRequest } from '@/lib/apiClient';
+import { describePasswordError } from '@/lib/passwordPolicy';
+import PasswordChecklist from '../components/passwordChecklist';
+
+const kanit = Kanit({
+  subsets: ['thai','latin'],
+  weight: ['400','600','700','800'],
+  variable: '--font-kanit',
+});
+
+function AcceptInviteForm(){
+  const router = useRouter();
+  const token = useSearchParams().get('token') || '';
+  const [invite, setInvite] = useState(null);
+  const [invalid, setInvalid] = useState('');
+  const [form, setForm] = useState({ firstname:'', lastname:'', password:'', confirm:'' });
+  const [showPw, setShowPw] = useState(false);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if(!token) return;
+    apiRequest('/api/auth/invitations/lookup', { method:'POST', body: { token }, auth: false })
+      .then(setInvite)
+      .catch((error) => setInvalid(error?.message || 'ไม่สามารถเชื่อมต่อเซิร์ฟเวอร์ได้'));
+  }, [token]);
+
+  const handleChange = (key) => (e) => setForm((state) => ({ ...state, [key]: e.target.value }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if(form.password !== form.confirm){
+      Swal.fire({ icon:'warning', title:'<h3>รหัสผ่านไม่ตรงกัน</h3>' });
+      return;
+    }
+    try{
+      setLoading(true);
+      const fullname = `${form.firstname} ${form.lastname}`.trim();
+      await apiRequest('/api/auth/invitations/accept', {
+        method:'POST',
+        body: { token, password: form.password, firstname: form.firstname, lastname: form.lastname, fullname },
+        auth: false,
+      });
+      await Swal.fire({ icon:'success', title:'<h3>สร้างบัญชีเรียบร้อย</h3>', text:'เข้าสู่ระบบด้วยรหัสผ่านที่ตั้งไว้ได้เลย', timer:1800, showConfirmButton:false });
+      router.push('/login');
+    }catch(error){
+      Swal.fire({ icon:'error', title:'<h3>สร้างบัญชีไม่สำเร็จ</h3>', text: describePasswordError(error) || 'ไม่สามารถเชื่อมต่อเซิร์ฟเวอร์ได้' });
+    }finally{ setLoading(false); }
+  };
+
+  if(!token || invalid){
+    return (
+      <div className="auth-card fade-in-up">
+        <p className="auth-note">{invalid || 'ลิงก์ไม่ถูกต้อง'} กรุณาติดต่อผู้ดูแลระบบเพื่อขอคำเชิญใหม่</p>
+        <div className="auth-actions">
+          <Link className="btn-ghost" href="/login">
+            <i className="bi bi-box-arrow-in-right me-2" />
+            Back to Sign In
+            <span className="trail" aria-hidden />
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  if(!invite) return <div className="auth-card fade-in-up"><p className="auth-note">กำลังตรวจสอบคำเชิญ…</p></div>;
+
+  return (
+    <form className="auth-card fade-in-up" onSubmit={handleSubmit}>
+      <p className="auth-note">
+        บัญชี <b>{invite.username}</b> ({invite.email}) · role <b>{invite.role}</b>
+      </p>
+      <div className="auth-grid">
+        <div className="form-field">
+          <label>Firstname</label>
+          <input name="firstname" type="text" autoComplete="given-name" placeholder="ชื่อ"
+            value={form.firstname} onChange={handleChange('firstname')} />
+        </div>
+        <div className="form-field">
+          <label>Lastname</label>
+          <input name="lastname" type="text" autoComplete="family-name" placeholder="นามสกุล"
+            value={form.lastname} onChange={handleChange('lastname')} />
+        </div>
+
+        <div className="form-field auth-span-2">
+          <label>Password</label>
+          <div className="pw-wrap">
+            <input
+              name="password" type={showPw ? 'text':'password'} autoComplete="new-password" placeholder="ตั้งรหัสผ่าน"
+              value={form.password} onChange={handleChange('password')} required
+            />
+            <button type="button" className="pw-toggle" onClick={()=>setShowPw(v=>!v)}>
+              {showPw ? 'Hide':'Show'}
+            </button>
+          </div>
+          {form.password && <PasswordChecklist password={form.password} username={invite.username} />}
+        </div>
+
+        <div className="form-field auth-span-2">
+          <label>Confirm Password</label>
+          <input
+            name="confirm" type={showPw ? 'text':'password'} autoComplete="new-password" placeholder="ยืนยันรหัสผ่าน"
+            value={form.confirm} onChange={handleChange('confirm')} required
+          />
+        </div>
+      </div>
+
+      <div className="auth-actions">
+        <button className="btn-yl" type="submit" disabled={loading}>
+          {loading ? 'กำลังบันทึก…' : 'Create Account'}
+        </button>
+        <Link className="btn-ghost" href="/login">
+          <i className="bi bi-box-arrow-in-right me-2" />
+          Back to Sign In
+          <span className="trail" aria-hidden />
+        </Link>
+      </div>
+    </form>
+  );
+}
+
+export default function AcceptInvitePage(){
+  return (
+    <div className={`auth-screen ak-yellow ${kanit.variable}`}>
+      <div className="auth-bg" aria-hidden />
+      <div className="scanline" aria-hidden />
+
+      <section className="container">
+        <header className="auth-head">
+          <div className="auth-brand">ARKNIGHTS: <span>ENDFIELD</span></div>
+          <h1 className="auth-title">Accept Invitation</h1>
+          <p className="auth-sub">ตั้งรหัสผ่านเพื่อเริ่มใช้งานบัญชีของคุณ</p>
+        </header>
+
+        {/* useSearchParams ต้องอยู่ใน Suspense ตอน build */}
+        <Suspense fallback={<div className="auth-card" />}>
+          <AcceptInviteForm />
+        </Suspense>
+      </section>
+    </div>
+  );
+}
@@ -0,0 +1,243 @@
+'use client';
+import { useCallback, useEffect, useState } from 'react';
+import { useRouter } from 'next/navigation';
+import Link from 'next/link';
+import Swal from 'sweetalert2';
+import { Kanit } from 'next/font/google';
+import { apiRequest, hasAuthSession, clearAuthToken } from '@/lib/apiClient';
+import SessionList from '../../components/sessionList';
+import LinkedAccounts from '../../components/linkedAccounts';
+import ApiKeyList from '../../components/apiKeyList';
+
+const kanit = Kanit({
+  subsets: ['thai','latin'],
+  weight: ['400','600','700','800'],
+  variable: '--font-kanit',
+});
+
+const TWO_FACTOR_API = '/api/auth/2fa';
+
+// แสดง recovery code ครั้งเดียวหลังเปิดใช้/ออกใหม่
+function RecoveryCodes({ codes, onDone }){
+  const download = () => {
+    const blob = new Blob([codes.join('\n') + '\n'], { type:'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'recovery-codes.txt';
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="auth-card fade-in-up">
+      <p className="auth-note">
+        เก็บ recovery code เหล่านี้ไว้ในที่ปลอดภัย ใช้เข้าสู่ระบบแทนรหัสจากแอปได้ครั้งละ 1 code
+        และจะไม่แสดงอีก
+      </p>
+      <ul className="auth-codes">
+        {codes.map((code) => <li key={code}><code>{code}</code></li>)}
+      </ul>
+      <div className="auth-actions">
+        <button type="button" className="btn-yl" onClick={onDone}>I saved these codes</button>
+        <button type="button" className="btn-ghost" onClick={download}>
+          <i className="bi bi-download me-2" />
+          Download
+          <span className="trail" aria-hidden />
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default function AccountSecurityPage(){
+  const router = useRouter();
+  const [status, setStatus] = useState(null);
+  const [enrollment, setEnrollment] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const loadStatus = useCallback(async () => {
+    try{
+      setStatus(await apiRequest(TWO_FACTOR_API));
+    }catch(error){
+      Swal.fire({ icon:'error', title:'ข้อผิดพลาดเครือข่าย', text: error?.message || 'ไม่สามารถเชื่อมต่อเซิร์ฟเวอร์ได้' });
+    }
+  }, []);
+
+  useEffect(() => {
+    if(!hasAuthSession()){
+      router.push('/login');
+      return;
+    }
+    loadStatus();
+  }, [router, loadStatus]);
+
+  const run = async (action) => {
+    try{
+      setBusy(true);
+      await action();
+    }catch(error){
+      Swal.fire({ icon:'warning', title:'<h3>ไม่สำเร็จ</h3>', text: error?.message || 'ไม่สามารถเชื่อมต่อเซิร์ฟเวอร์ได้' });
+    }finally{ setBusy(false); }
+  };
+
+  const startEnrollment = () => run(async () => {
+    setEnrollment(await apiRequest(`${TWO_FACTOR_API}/enroll`, { method:'POST' }));
+    setCode('');
+  });
+
+  const confirmEnrollment = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const data = await apiRequest(`${TWO_FACTOR_API}/enroll/confirm`, { method:'POST', body: { code } });
+      setEnrollment(null);
+      setCode('');
+      setRecoveryCodes(data.recoveryCodes);
+      await loadStatus();
+    });
+  };
+
+  const regenerateCodes = () => run(async () => {
+    const data = await apiRequest(`${TWO_FACTOR_API}/recovery-codes`, { method:'POST', body: { password, code } });
+    setPassword('');
+    setCode('');
+    setRecoveryCodes(data.recoveryCodes);
+    await loadStatus();
+  });
+
+  const disableTwoFactor = () => run(async () => {
+    const res = await Swal.fire({
+      title:'ปิด 2FA?',
+      text:'บัญชีจะเข้าสู่ระบบได้ด้วยรหัสผ่านอย่างเดียว',
+      icon:'warning',
+      showCancelButton:true,
+      confirmButtonText:'ปิด 2FA',
+      cancelButtonText:'ยกเลิก',
+      confirmButtonColor:'#d33',
+    });
+    if(!res.isConfirmed) return;
+    await apiRequest(`${TWO_FACTOR_API}/disable`, { method:'POST', body: { password, code } });
+    setPassword('');
+    setCode('');
+    await loadStatus();
+    Swal.fire({ icon:'success', title:'<h3>ปิด 2FA แล้ว</h3>', timer:1200, showConfirmButton:false });
+  });
+
+  let content;
+  if(!status){
+    content = <div className="auth-card fade-in-up"><p className="auth-note">กำลังโหลด…</p></div>;
+  }else if(recoveryCodes){
+    content = <RecoveryCodes codes={recoveryCodes} onDone={() => setRecoveryCodes(null)} />;
+  }else if(enrollment){
+    content = (
+      <form className="auth-card fade-in-up" onSubmit={confirmEnrollment}>
+        <p className="auth-note">สแกน QR code ด้วยแอป Authenticator (Google Authenticator, 1Password ฯลฯ) แล้วกรอกรหัส 6 หลักเพื่อยืนยัน</p>
+        <img className="auth-qr" src={enrollment.qrCode} alt="QR code for authenticator app" width={200} height={200} />
+        <p className="auth-note">สแกนไม่ได้? กรอก key นี้เอง: <code>{enrollment.secret}</code></p>
+        <div className="auth-grid">
+          <div className="form-field auth-span-2">
+            <label>Authentication Code</label>
+            <input
+              name="code" type="text" inputMode="numeric" autoComplete="one-time-code" placeholder="123456"
+              value={code} onChange={(e)=>setCode(e.target.value)} required
+            />
+          </div>
+        </div>
+        <div className="auth-actions">
+          <button className="btn-yl" type="submit" disabled={busy}>
+            {busy ? 'กำลังตรวจสอบ…' : 'Enable 2FA'}
+          </button>
+          <button type="button" className="btn-ghost" onClick={() => setEnrollment(null)}>
+            Cancel
+            <span className="trail" aria-hidden />
+          </button>
+        </div>
+      </form>
+    );
+  }else if(!status.enabled){
+    content = (
+      <div className="auth-card fade-in-up">
+        <p className="auth-note">
+          Two-factor authentication (2FA) ยังไม่เปิดใช้ — เมื่อเปิดแล้ว การเข้าสู่ระบบต้องใช้รหัสจากแอป Authenticator ด้วย
+        </p>
+        <div className="auth-actions">
+          <button type="button" className="btn-yl" onClick={startEnrollment} disabled={busy}>
+            {busy ? 'กำลังเตรียม…' : 'Set Up 2FA'}
+          </button>
+        </div>
+      </div>
+    );
+  }else{
+    content = (
+      <form className="auth-card fade-in-up" onSubmit={(e) => e.preventDefault()}>
+        <p className="auth-note">
+          2FA เปิดใช้อยู่ · เหลือ recovery code {status.recoveryCodesRemaining} อัน
+          <br />ยืนยันรหัสผ่านและรหัสจากแอป (หรือ recovery code) เพื่อออก code ชุดใหม่หรือปิด 2FA
+        </p>
+        <div className="auth-grid">
+          <div className="form-field auth-span-2">
+            <label>Password</label>
+            <input
+              name="password" type="password" autoComplete="current-password"
+              value={password} onChange={(e)=>setPassword(e.target.value)} required
+            />
+          </div>
+          <div className="form-field auth-span-2">
+            <label>Authentication Code</label>
+            <input
+              name="code" type="text" autoComplete="one-time-code" placeholder="123456"
+              value={code} onChange={(e)=>setCode(e.target.value)} required
+            />
+          </div>
+        </div>
+        <div className="auth-actions">
+          <button type="button" className="btn-yl" onClick={regenerateCodes} disabled={busy || !password || !code}>
+            New Recovery Codes
+          </button>
+          <button type="button" className="btn-ghost" onClick={disableTwoFactor} disabled={busy || !password || !code}>
+            <i className="bi bi-shield-x me-2" />
+            Disable 2FA
+            <span className="trail" aria-hidden />
+          </button>
+        </div>
+      </form>
+    );
+  }
+
+  return (
+    <div className={`auth-screen ak-yellow ${kanit.variable}`}>
+      <div className="auth-bg" aria-hidden />
+      <div className="scanline" aria-hidden />
+
+      <section className="container">
+        <header className="auth-head">
+          <div className="auth-brand">ARKNIGHTS: <span>ENDFIELD</span></div>
+          <h1 className="auth-title">Account Security</h1>
+          <p className="auth-sub">การยืนยันตัวตนสองขั้นตอน และอุปกรณ์ที่เข้าสู่ระบบอยู่</p>
+        </header>
+
+        {content}
+
+        <LinkedAccounts />
+
+        <div className="auth-card fade-in-up mt-4">
+          <p className="auth-note">อุปกรณ์ที่เข้าสู่ระบบอยู่ (Sessions)</p>
+          <SessionList
+            endpoint="/api/auth/me/sessions"
+            onSignedOut={() => { clearAuthToken(); window.location.href = '/login'; }}
+          />
+        </div>
+
+        <div className="auth-card fade-in-up mt-4">
+          <p className="auth-note">API keys สำหรับ script / service อื่น (ส่งใน header X-API-Key)</p>
+          <ApiKeyList />
+        </div>
+
+        <p className="auth-note text-center mt-3"><Link href="/">กลับหน้าแรก</Link></p>
+      </section>
+    </div>
+  );
+}
@@ -0,0 +1,191 @@
+'use client';
+import Link from 'next/link';
+import { useCallback, useEffect, useState } from 'react';
+import { useRouter } from 'next/navigation';
+import Swal from 'sweetalert2';
+import { apiRequest, hasAuthSession, getAuthRole } from '@/lib/apiClient';
+
+const INVITATIONS_API = '/api/admin/invitations';
+
+const formatTime = (value) => (value ? new Date(value).toLocaleString() : '-');
+
+const STATUS_BADGES = {
+  pending: 'text-bg-warning',
+  expired: 'text-bg-secondary',
+  accepted: 'text-bg-success',
+  revoked: 'text-bg-danger',
+};
+
+const emptyForm = { username: '', email: '', role: 'user' };
+
+export default function Invitations() {
+  const [items, setItems] = useState(null);
+  const [showAll, setShowAll] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+  const [busy, setBusy] = useState(false);
+  const router = useRouter();
+
+  const load = useCallback(async () => {
+    try {
+      setItems(await apiRequest(`${INVITATIONS_API}${showAll ? '?all=true' : ''}`));
+    } catch (error) {
+      setItems([]);
+      Swal.fire({ icon: 'error', title: 'ข้อผิดพลาดเครือข่าย', text: error?.message || 'ไม่สามารถเชื่อมต่อเซิร์ฟเวอร์ได้' });
+    }
+  }, [showAll]);
+
+  useEffect(() => {
+    if (!hasAuthSession()) {
+      router.push('/signin');
+      return;
+    }
+    // จัดการคำเชิญได้เฉพาะ admin
+    if (getAuthRole() !== 'admin') {
+      router.push('/');
+      return;
+    }
+    load();
+  }, [load]);
+
+  const handleChange = (key) => (event) => setForm((state) => ({ ...state, [key]: event.target.value }));
+
+  const invite = async (e) => {
+    e.preventDefault();
+    try {
+      setBusy(true);
+      await apiRequest(INVITATIONS_API, { method: 'POST', body: form });
+      setForm(emptyForm);
+      await load();
+      Swal.fire({ icon: 'success', title: '<h3>ส่งคำเชิญแล้ว</h3>', text: `ส่งลิงก์ไปที่ ${form.email}`, timer: 1600, showConfirmButton: false });
+    } catch (error) {
+      Swal.fire({ icon: 'error', title: '<h3>ไม่สำเร็จ</h3>', text: error?.message });
+    } finally { setBusy(false); }
+  };
+
+  const resend = async (item) => {
+    try {
+      setBusy(true);
+      await apiRequest(`${INVITATIONS_API}/${item.id}/resend`, { method: 'POST' });
+      await load();
+      Swal.fire({ icon: 'success', title: '<h3>ส่งลิงก์ใหม่แล้ว</h3>', text: 'ลิงก์เดิมใช้ไม่ได้แล้ว', timer: 1600, showConfirmButton: false });
+    } catch (error) {
+      Swal.fire({ icon: 'error', title: '<h3>ไม่สำเร็จ</h3>', text: error?.message });
+    } finally { setBusy(false); }
+  };
+
+  const revoke = async (item) => {
+    const res = await Swal.fire({
+      title: `ยกเลิกคำเชิญของ "${item.username}"?`,
+      text: 'ลิงก์ในอีเมลจะใช้ไม่ได้ทันที',
+      icon: 'warning',
+      showCancelButton: true,
+      confirmButtonText: 'Revoke',
+      cancelButtonText: 'ยกเลิก',
+      confirmButtonColor: '#d33',
+    });
+    if (!res.isConfirmed) return;
+    try {
+      setBusy(true);
+      await apiRequest(`${INVITATIONS_API}/${item.id}`, { method: 'DELETE' });
+      await load();
+    } catch (error) {
+      Swal.fire({ icon: 'error', title: '<h3>ไม่สำเร็จ</h3>', text: error?.message });
+    } finally { setBusy(false); }
+  };
+
+  if (!items) {
+    return <div className='text-center'><h1>Loading...</h1></div>;
+  }
+
+  return (
+    <>
+    <br /><br /><br /><br />
+    <div className="container">
+      <div className="card mb-4">
+        <div className="card-header">Invite User</div>
+        <div className="card-body">
+          <form className="row g-3" onSubmit={invite}>
+            <div className="col-md-4">
+              <label className="form-label">Username</label>
+              <input type="text" className="form-control" required maxLength={100} value={form.username} onChange={handleChange('username')} />
+            </div>
+            <div className="col-md-4">
+              <label className="form-label">Email</label>
+              <input type="email" className="form-control" required value={form.email} onChange={handleChange('email')} />
+            </div>
+            <div className="col-md-2">
+              <label className="form-label">Role</label>
+              <select className="form-select" value={form.role} onChange={handleChange('role')}>
+                <option value="user">user</option>
+                <option value="staff">staff</option>
+                <option value="admin">admin</option>
+              </select>
+            </div>
+            <div className="col-md-2 d-flex align-items-end">
+              <button type="submit" className="btn btn-primary w-100" disabled={busy}>Send Invite</button>
+            </div>
+          </form>
+        </div>
+      </div>
+
+      <div className="card">
+        <div className="card-header d-flex justify-content-between align-items-center">
+          Invitations
+          <div className="d-flex align-items-center gap-3">
+            <label className="form-check-label small">
+              <input type="checkbox" className="form-check-input me-1" checked={showAll} onChange={(e) => setShowAll(e.target.checked)} />
+              Show accepted/revoked
+            </label>
+            <Link href="/admin/users" className="btn btn-sm btn-outline-secondary">Users</Link>
+          </div>
+        </div>
+        <div className="card-body">
+          {items.length === 0 ? (
+            <p className="text-muted mb-0">ไม่มีคำเชิญ</p>
+          ) : (
+            <table className="table table-striped table-hover table-responsive">
+              <thead>
+                <tr>
+                  <th>Username</th>
+                  <th>Email</th>
+                  <th>Role</th>
+                  <th>Status</th>
+                  <th>Invited by</th>
+                  <th>Sent</th>
+                  <th>Expires</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {items.map((item) => {
+                  const open = item.status === 'pending' || item.status === 'expired';
+                  return (
+                    <tr key={item.id}>
+                      <td>{item.username}</td>
+                      <td>{item.email}</td>
+                      <td>{item.role}</td>
+                      <td><span className={`badge ${STATUS_BADGES[item.status] || 'text-bg-light'}`}>{item.status}</span></td>
+                      <td>{item.invitedBy?.username || '-'}</td>
+                      <td>{formatTime(item.lastSentAt)} <small className="text-muted">({item.sendCount}x)</small></td>
+                      <td>{formatTime(item.expiresAt)}</td>
+                      <td className="text-nowrap">
+                        {open && (
+                          <>
+                            <button type="button" className="btn btn-sm btn-outline-primary me-2" disabled={busy} onClick={() => resend(item)}>Resend</button>
+                            <button type="button" className="btn btn-sm btn-outline-danger" disabled={busy} onClick={() => revoke(item)}>Revoke</button>
+                          </>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </div>
+    <br /><br />
+    </>
+  );
+}
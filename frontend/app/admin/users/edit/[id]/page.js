@@ -2,11 +2,17 @@
 import { useEffect, useMemo, useState } from 'react'
 import Swal from 'sweetalert2'
 import { useParams, useRouter } from 'next/navigation'
-import { apiRequest } from '@/lib/apiClient'
+import { apiRequest, getAuthRole } from '@/lib/apiClient'
+import SessionList from '../../../../components/sessionList'
+import AuditTimeline from '../../../../components/auditTimeline'
+import PasswordChecklist, { usePasswordPolicy } from '../../../../components/passwordChecklist'
+import { checkPassword, describePasswordError } from '@/lib/passwordPolicy'
 
 // ✅ ใช้ endpoint ตามที่ขอแบบชัดเจน
 const USERS_API = '/api/users'
 
+const STATUS_OPTIONS = ['active', 'suspended', 'pending', 'locked', 'deleted']
+
 // แปลง "14/02/2545" -> "2002-02-14"
 function toInputDate(v) {
   if (!v) return ''
@@ -27,6 +33,7 @@ export default function Page() {
   const [fullname, setFullname]   = useState('')   // ชื่อ
   const [lastname, setLastname]   = useState('')   // นามสกุล
   const [username, setUsername]   = useState('')
+  const [email, setEmail]         = useState('')
   const [address, setAddress]     = useState('')
   const [sex, setSex]             = useState('')   // ชาย/หญิง/ไม่ระบุ
   const [birthday, setBirthday]   = useState('')   // YYYY-MM-DD
@@ -37,6 +44,12 @@ export default function Page() {
   const [showPw, setShowPw]       = useState(false)
   const [initialUser, setInitialUser] = useState(null)
 
+  // สถานะบัญชี (เฉพาะ admin)
+  const [isAdminViewer, setIsAdminViewer] = useState(false)
+  const [status, setStatus]       = useState('')
+  const [statusReason, setStatusReason] = useState('')
+  const [savingStatus, setSavingStatus] = useState(false)
+
   // avatar initials
   const initials = useMemo(() => {
     const a = (fullname?.[0] || '').toUpperCase()
@@ -44,15 +57,16 @@ export default function Page() {
     return (a + b) || 'U'
   }, [fullname, lastname])
 
-  // password strength (0-4)
+  // password strength (0-4) = สัดส่วนกฎของ server ที่ผ่านแล้ว
+  const passwordPolicy = usePasswordPolicy()
+  const pwdRules = useMemo(
+    () => checkPassword(passwordPolicy, password, username),
+    [passwordPolicy, password, username]
+  )
   const pwdStrength = useMemo(() => {
-    let s = 0
-    if (password.length >= 8) s++
-    if (/[A-Zก-ฮ]/.test(password)) s++
-    if (/[0-9]/.test(password)) s++
-    if (/[^A-Za-z0-9]/.test(password)) s++
-    return s
-  }, [password])
+    if (!password) return 0
+    return Math.round((pwdRules.filter((r) => r.ok).length / pwdRules.length) * 4)
+  }, [password, pwdRules])
 
   // dirty check
   const isDirty = useMemo(() => {
@@ -62,12 +76,13 @@ export default function Page() {
       initialUser.fullname !== fullname ||
       initialUser.lastname !== lastname ||
       initialUser.username !== username ||
+      (initialUser.email || '') !== email ||
       (initialUser.address || '') !== address ||
       (initialUser.sex || '') !== sex ||
       toInputDate(initialUser.birthday || '') !== birthday ||
       initialUser.password !== password
     )
-  }, [initialUser, firstname, fullname, lastname, username, address, sex, birthday, password])
+  }, [initialUser, firstname, fullname, lastname, username, email, address, sex, birthday, password])
 
   useEffect(() => {
     async function getUser() {
@@ -81,10 +96,12 @@ export default function Page() {
         setFullname(user.fullname || '')
         setLastname(user.lastname || '')
         setUsername(user.username || '')
+        setEmail(user.email || '')
         setAddress(user.address || '')
         setSex(user.sex || '')
         setBirthday(toInputDate(user.birthday || ''))
         setPassword(user.password || '')
+        setStatus(user.status || 'active')
       } catch (err) {
         console.error('Error fetching data:', err)
         Swal.fire({ icon: 'error', title: 'ข้อผิดพลาดเครือข่าย', text: err?.message || 'ไม่สามารถเชื่อมต่อเซิร์ฟเวอร์ได้' })
@@ -92,6 +109,7 @@ export default function Page() {
         setLoading(false)
       }
     }
+    setIsAdminViewer(getAuthRole() === 'admin')
     if (id) getUser()
   }, [id])
 
@@ -101,6 +119,7 @@ export default function Page() {
     setFullname(initialUser.fullname || '')
     setLastname(initialUser.lastname || '')
     setUsername(initialUser.username || '')
+    setEmail(initialUser.email || '')
     setAddress(initialUser.address || '')
     setSex(initialUser.sex || '')
     setBirthday(toInputDate(initialUser.birthday || ''))
@@ -115,7 +134,7 @@ export default function Page() {
       await apiRequest(USERS_API, {
         method: 'PUT',
         body: {
-          id, firstname, fullname, lastname, username,
+          id, firstname, fullname, lastname, username, email,
           address, sex, birthday, password
         }
       })
@@ -132,13 +151,31 @@ export default function Page() {
       Swal.fire({
         icon: 'error',
         title: 'ข้อผิดพลาดเครือข่าย',
-        text: error?.message || 'ไม่สามารถเชื่อมต่อเซิร์ฟเวอร์ได้',
+        text: describePasswordError(error) || 'ไม่สามารถเชื่อมต่อเซิร์ฟเวอร์ได้',
       })
     } finally {
       setSubmitting(false)
     }
   }
 
+  const handleStatusSubmit = async () => {
+    setSavingStatus(true)
+    try {
+      const data = await apiRequest(`${USERS_API}/${id}/status`, {
+        method: 'PATCH',
+        body: { status, reason: statusReason },
+      })
+      setInitialUser((u) => ({ ...u, status: data.status, status_reason: statusReason }))
+      setStatusReason('')
+      await Swal.fire({ icon: 'success', title: '<h3>เปลี่ยนสถานะบัญชีแล้ว</h3>', showConfirmButton: false, timer: 1400 })
+    } catch (error) {
+      console.error(error)
+      Swal.fire({ icon: 'error', title: 'เปลี่ยนสถานะไม่สำเร็จ', text: error?.message || 'ไม่สามารถเชื่อมต่อเซิร์ฟเวอร์ได้' })
+    } finally {
+      setSavingStatus(false)
+    }
+  }
+
   // --- UI ---
   if (loading) {
     return (
@@ -209,6 +246,23 @@ export default function Page() {
               </div>
             </div>
 
+            {/* Email — เปลี่ยนแล้วต้องยืนยันใหม่ */}
+            <div className="field">
+              <label>
+                Email{' '}
+                {initialUser?.email && (
+                  <small>{initialUser.email_verified_at ? '(ยืนยันแล้ว)' : '(ยังไม่ยืนยัน)'}</small>
+                )}
+              </label>
+              <input
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                placeholder="you@example.com"
+                className="control"
+              />
+            </div>
+
             {/* ชื่อ */}
             <div className="field">
               <label>ชื่อ (Fullname)</label>
@@ -269,7 +323,7 @@ export default function Page() {
                   type={showPw ? 'text' : 'password'}
                   value={password}
                   onChange={(e) => setPassword(e.target.value)}
-                  placeholder="อย่างน้อย 8 ตัวอักษร"
+                  placeholder={`อย่างน้อย ${passwordPolicy.minLength} ตัวอักษร`}
                   className="control"
                   required
                 />
@@ -280,6 +334,7 @@ export default function Page() {
               <div className="bar">
                 <span className="bar-fill" style={{ width: `${strengthPct}%` }} data-level={pwdStrength} />
               </div>
+              {password && <PasswordChecklist rules={pwdRules} />}
             </div>
 
             {/* Address */}
@@ -310,6 +365,61 @@ export default function Page() {
             </div>
           </div>
         </form>
+
+        {isAdminViewer && (
+          <div className="status-panel">
+            <hr />
+            <div className="grid">
+              <div className="field">
+                <label>สถานะบัญชี (Status)</label>
+                <select value={status} onChange={(e) => setStatus(e.target.value)} className="control">
+                  {STATUS_OPTIONS.map((v) => (
+                    <option key={v} value={v}>{v}</option>
+                  ))}
+                </select>
+                {initialUser?.status_reason && (
+                  <small className="note">เหตุผลล่าสุด: {initialUser.status_reason}</small>
+                )}
+              </div>
+              <div className="field">
+                <label>เหตุผล (Reason)</label>
+                <input
+                  value={statusReason}
+                  onChange={(e) => setStatusReason(e.target.value)}
+                  placeholder="เช่น ถูกรายงานว่าสแปม"
+                  className="control"
+                />
+              </div>
+            </div>
+            <div className="footer">
+              <small className="note">สถานะที่ไม่ใช่ active จะบังคับออกจากระบบทันที</small>
+              <button
+                type="button"
+                className="btn primary"
+                disabled={savingStatus || status === (initialUser?.status || 'active')}
+                onClick={handleStatusSubmit}
+              >
+                {savingStatus && <span className="spinner" />} เปลี่ยนสถานะ
+              </button>
+            </div>
+          </div>
+        )}
+
+        {isAdminViewer && (
+          <div className="status-panel">
+            <hr />
+            <label>อุปกรณ์ที่เข้าสู่ระบบอยู่ (Sessions)</label>
+            <SessionList endpoint={`${USERS_API}/${id}/sessions`} />
+          </div>
+        )}
+
+        {isAdminViewer && (
+          <div className="status-panel">
+            <hr />
+            <label>ประวัติการเปลี่ยนแปลง (History)</label>
+            <AuditTimeline userId={id} />
+          </div>
+        )}
       </div>
 
       <style jsx>{styles}</style>
@@ -360,6 +470,8 @@ h1{ font-size:20px; margin:0; color:var(--ink) }
 hr{ border:none; border-top:1px solid rgba(0,0,0,.06); margin:0 }
 
 form{ position:relative; z-index:1; padding:18px 20px 8px }
+.status-panel{ position:relative; z-index:1; padding:0 20px 8px }
+.status-panel hr{ margin:0 -20px 18px }
 .grid{
   display:grid; grid-template-columns: repeat(2, minmax(0,1fr)); gap:14px;
 }
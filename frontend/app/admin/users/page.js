@@ -1,26 +1,86 @@
 'use client';
 import Link from 'next/link'
-import { useEffect, useState } from 'react';
+import { useEffect, useRef, useState } from 'react';
 import { useRouter } from 'next/navigation'
-import { apiRequest, getAuthToken } from '@/lib/apiClient';
+import Swal from 'sweetalert2';
+import { apiRequest, hasAuthSession, getAuthRole, homePathForRole } from '@/lib/apiClient';
+import { startImpersonation } from '@/lib/impersonation';
+import { subscribeUserEvents } from '@/lib/userEvents';
+
+const PAGE_SIZE = 20;
+const STATUS_OPTIONS = ['active', 'pending', 'suspended', 'locked', 'deleted'];
+
+// หัวตารางที่กดเพื่อ sort ได้ (key = ชื่อ sort ของ GET /api/users)
+const COLUMNS = [
+  { key: 'firstname', label: 'Firstname' },
+  { key: 'fullname', label: 'Fullname' },
+  { key: 'lastname', label: 'Lastname' },
+  { key: 'username', label: 'Username' },
+  { key: 'address', label: 'Address' },
+  { key: 'sex', label: 'Sex' },
+  { key: 'birthday', label: 'Birthday' },
+];
+
+const SEARCH_FIELDS = ['username', 'firstname', 'fullname', 'lastname'];
+
+// ผู้ใช้ที่ส่งมาทาง event ยังอยู่ในเงื่อนไขค้นหา/กรองปัจจุบันหรือไม่
+const matchesQuery = (user, query) => {
+  if (query.status && user.status !== query.status) return false;
+  if (!query.q) return true;
+  const q = query.q.toLowerCase();
+  return SEARCH_FIELDS.some((field) => String(user[field] || '').toLowerCase().includes(q));
+};
+
+// มุมมองเริ่มต้น (ใหม่สุดก่อน หน้าแรก ไม่กรอง) แทรกผู้ใช้ใหม่ด้านบนได้เลย
+const isDefaultView = (query) =>
+  query.page === 1 && query.sort === 'id' && query.order === 'desc' && !query.q && !query.status;
 
 export default function User() {
   const [items, setItems] = useState([]);
   const [loading, setLoading] = useState(true); // <-- เพิ่ม state loading
+  const [total, setTotal] = useState(0);
+  const [search, setSearch] = useState('');
+  // ค้นหา/กรอง/sort/หน้า ทำที่ server ทั้งหมด
+  const [query, setQuery] = useState({ q: '', status: '', sort: 'id', order: 'desc', page: 1 });
+  const [reloadKey, setReloadKey] = useState(0);
+  // แทน polling: รับการเปลี่ยนแปลงจาก server ทาง SSE หลังโหลดรายการครั้งแรก
+  const [streamFrom, setStreamFrom] = useState(null);
+  const [liveStatus, setLiveStatus] = useState('connecting');
+  const [newUsers, setNewUsers] = useState(0);
+  const queryRef = useRef(query);
+  queryRef.current = query;
+  const itemsRef = useRef(items);
+  itemsRef.current = items;
   const router = useRouter();
 
   useEffect(() => {
 
-    const token = getAuthToken();
-     if (!token) {
+     if (!hasAuthSession()) {
        router.push('/signin');
        return;
      }
+     // รายชื่อผู้ใช้ทั้งหมดดูได้เฉพาะ admin
+     if (getAuthRole() !== 'admin') {
+       router.push('/');
+       return;
+     }
+
+    const params = new URLSearchParams({
+      sort: query.sort,
+      order: query.order,
+      page: String(query.page),
+      pageSize: String(PAGE_SIZE),
+    });
+    if (query.q) params.set('q', query.q);
+    if (query.status) params.set('status', query.status);
 
     async function getUsers() {
       try {
-        const data = await apiRequest('/api/users');
-        setItems(data);
+        const data = await apiRequest(`/api/users?${params}`);
+        setItems(data.items);
+        setTotal(data.total);
+        setNewUsers(0);
+        setStreamFrom((current) => current ?? data.lastEventId ?? '');
         setLoading(false); // <-- โหลดเสร็จแล้ว
       } catch (error) {
         console.error('Error fetching data:', error);
@@ -29,23 +89,128 @@ export default function User() {
     }
  
   getUsers()
-  const interval  = setInterval(getUsers, 1000);
-  return () => clearInterval(interval);
-}, []);
+}, [query, reloadKey]);
+
+// เปิด stream ครั้งเดียวต่อหน้า เริ่มจาก lastEventId ของรายการแรก (event ที่เกิดระหว่างโหลดไม่หาย)
+useEffect(() => {
+  if (streamFrom === null) return;
+
+  const applyEvent = ({ type, data }) => {
+    const current = queryRef.current;
+    // ผู้ใช้ใหม่หรือกู้คืนจากถังขยะ: มุมมองเริ่มต้นเรียงตาม id จึงแทรกถูกตำแหน่งได้ มุมมองอื่นให้กดโหลดใหม่
+    if (type === 'user.created' || type === 'user.restored') {
+      if (!matchesQuery(data, current) || itemsRef.current.some((item) => item.id === data.id)) return;
+      if (!isDefaultView(current)) {
+        setNewUsers((count) => count + 1);
+        return;
+      }
+      setItems((list) => [...list, data].sort((a, b) => b.id - a.id).slice(0, PAGE_SIZE));
+      setTotal((count) => count + 1);
+      return;
+    }
+
+    // แก้ไข/ลบ: สนใจเฉพาะแถวที่แสดงอยู่ในหน้านี้
+    if (!itemsRef.current.some((item) => item.id === data.id)) return;
+    if (type === 'user.deleted' || !matchesQuery(data, current)) {
+      setItems((list) => list.filter((item) => item.id !== data.id));
+      setTotal((count) => Math.max(0, count - 1));
+      return;
+    }
+    setItems((list) => list.map((item) => (item.id === data.id ? data : item)));
+  };
+
+  return subscribeUserEvents({
+    lastEventId: streamFrom,
+    onEvent: applyEvent,
+    onReset: () => setReloadKey((key) => key + 1),
+    onStatus: setLiveStatus,
+  });
+}, [streamFrom]);
+
+const totalPages = Math.max(1, Math.ceil(total / PAGE_SIZE));
+
+const updateQuery = (changes) => setQuery((state) => ({ ...state, page: 1, ...changes }));
+
+const handleSearch = (e) => {
+  e.preventDefault();
+  updateQuery({ q: search.trim() });
+};
 
-const handleDelete = async (id) => {
-  //console.log('user id :', id);
+// กดหัวตารางเดิมซ้ำ = สลับ asc/desc
+const handleSort = (key) => {
+  updateQuery({ sort: key, order: query.sort === key && query.order === 'asc' ? 'desc' : 'asc' });
+};
+
+const sortIcon = (key) => {
+  if (query.sort !== key) return 'bi-arrow-down-up text-muted';
+  return query.order === 'asc' ? 'bi-sort-up' : 'bi-sort-down';
+};
+
+const handleUndoDelete = async (item) => {
   try {
-    const result = await apiRequest(`/api/users/${id}`, {
-      method: 'DELETE',
-    });
-    console.log(result);
+    await apiRequest(`/api/users/trash/${item.id}/restore`, { method: 'POST' });
+  } catch (error) {
+    Swal.fire({ icon: 'error', title: '<h3>กู้คืนไม่สำเร็จ</h3>', text: error?.message || 'ไม่สามารถเชื่อมต่อเซิร์ฟเวอร์ได้' });
+  }
+};
 
+// ย้ายไปถังขยะ (กู้คืนได้ที่หน้า Trash หรือกด Undo ทันที)
+const handleDelete = async (item) => {
+  const { isConfirmed } = await Swal.fire({
+    icon: 'warning',
+    title: `<h3>ลบผู้ใช้ ${item.username}?</h3>`,
+    text: 'ผู้ใช้จะถูกย้ายไปถังขยะและเข้าสู่ระบบไม่ได้ กู้คืนได้จากหน้า Trash',
+    showCancelButton: true,
+    confirmButtonText: 'Delete',
+    confirmButtonColor: '#dc3545',
+    cancelButtonText: 'Cancel',
+  });
+  if (!isConfirmed) return;
+
+  try {
+    await apiRequest(`/api/users/${item.id}`, { method: 'DELETE' });
+    // event user.deleted จะมาทีหลัง: ลบออกก่อนเลย (ถ้าแถวหายไปแล้ว event จะไม่ลด total ซ้ำ)
+    if (itemsRef.current.some((row) => row.id === item.id)) {
+      setItems((list) => list.filter((row) => row.id !== item.id));
+      setTotal((count) => Math.max(0, count - 1));
+    }
   } catch (error) {
-    console.error('Error fetching data:', error);
+    Swal.fire({ icon: 'error', title: '<h3>ลบไม่สำเร็จ</h3>', text: error?.message || 'ไม่สามารถเชื่อมต่อเซิร์ฟเวอร์ได้' });
+    return;
   }
+
+  const { isConfirmed: undo } = await Swal.fire({
+    toast: true,
+    position: 'bottom-end',
+    icon: 'success',
+    title: `ย้าย ${item.username} ไปถังขยะแล้ว`,
+    showConfirmButton: true,
+    confirmButtonText: 'Undo',
+    timer: 8000,
+    timerProgressBar: true,
+  });
+  if (undo) handleUndoDelete(item);
 }; //end handleDelete
 
+// ดูระบบในมุมของผู้ใช้ (บันทึกลง audit log พร้อมเหตุผล)
+const handleImpersonate = async (item) => {
+  const { isConfirmed, value: reason } = await Swal.fire({
+    title: `<h3>ใช้งานในนามของ ${item.username}</h3>`,
+    text: 'ระหว่างนี้เปลี่ยนรหัสผ่าน/อีเมล/2FA หรือลบบัญชีไม่ได้ และจะหมดเวลาเองในไม่กี่นาที',
+    input: 'text',
+    inputPlaceholder: 'เหตุผล (เช่น เลข ticket)',
+    showCancelButton: true,
+    confirmButtonText: 'View as user',
+  });
+  if (!isConfirmed) return;
+  try {
+    const data = await startImpersonation(item.id, reason);
+    router.push(homePathForRole(data.user.role));
+  } catch (error) {
+    Swal.fire({ icon: 'error', title: '<h3>สวมรอยไม่สำเร็จ</h3>', text: error?.message || 'ไม่สามารถเชื่อมต่อเซิร์ฟเวอร์ได้' });
+  }
+};
+
  // ถ้า loading ให้ return null หรือข้อความ loading
  if (loading) {
   return <div className='text-center'><h1>Loading...</h1></div>; // หรือ return null เพื่อไม่ให้ render อะไร
@@ -56,23 +221,55 @@ const handleDelete = async (id) => {
     <br /><br /><br /><br />
     <div className="container">
       <div className="card">
-  <div className="card-header">
-    Users List
+  <div className="card-header d-flex justify-content-between align-items-center">
+    <span>
+      Users List
+      {liveStatus === 'live' && <span className="badge text-bg-success ms-2"><i className="bi bi-broadcast me-1"></i>Live</span>}
+      {liveStatus === 'reconnecting' && <span className="badge text-bg-warning ms-2">กำลังเชื่อมต่อใหม่…</span>}
+    </span>
+    <div className="d-flex gap-2">
+      <Link href="/admin/users/trash" className="btn btn-sm btn-outline-secondary"><i className="bi bi-trash me-1"></i>Trash</Link>
+      <Link href="/admin/invitations" className="btn btn-sm btn-outline-primary">Invitations</Link>
+    </div>
   </div>
   <div className="card-body">
+  <form className="row g-2 mb-3" onSubmit={handleSearch}>
+    <div className="col-md-6">
+      <input className="form-control" type="search" placeholder="ค้นหา username หรือชื่อ"
+        value={search} onChange={(e) => setSearch(e.target.value)} />
+    </div>
+    <div className="col-md-3">
+      <select className="form-select" value={query.status} onChange={(e) => updateQuery({ status: e.target.value })}>
+        <option value="">ทุกสถานะ</option>
+        {STATUS_OPTIONS.map((status) => <option key={status} value={status}>{status}</option>)}
+      </select>
+    </div>
+    <div className="col-md-3 d-grid">
+      <button className="btn btn-outline-primary" type="submit"><i className="bi bi-search me-1"></i>Search</button>
+    </div>
+  </form>
+  {newUsers > 0 && (
+    <div className="alert alert-info d-flex justify-content-between align-items-center py-2">
+      <span>มีผู้ใช้ใหม่/กู้คืน {newUsers} คนที่ตรงกับเงื่อนไข</span>
+      <button className="btn btn-sm btn-outline-primary" type="button" onClick={() => setReloadKey((key) => key + 1)}>
+        <i className="bi bi-arrow-clockwise me-1"></i>โหลดใหม่
+      </button>
+    </div>
+  )}
   <div className="row">
       <table className="table table-striped table-hover table-responsive">
         <thead>
           <tr>
-            <th className='col-md-2 text-center'>#</th>
-            <th className='col-md-4'>Firstname</th>
-            <th className='col-md-4'>Fullname</th>
-            <th className='col-md-4'>Lastname</th>
-            <th className='col-md-4'>Username</th>
+            <th className='col-md-2 text-center' role="button" onClick={() => handleSort('id')}>
+              # <i className={`bi ${sortIcon('id')}`}></i>
+            </th>
+            {COLUMNS.map((column) => (
+              <th key={column.key} className='col-md-4' role="button" onClick={() => handleSort(column.key)}>
+                {column.label} <i className={`bi ${sortIcon(column.key)}`}></i>
+              </th>
+            ))}
             {/* <th className='col-md-4'>Password</th> */}
-            <th className='col-md-4'>Address</th>
-            <th className='col-md-4'>Sex</th>
-            <th className='col-md-4'>Birthday</th>
+            <th className='col-md-1'>View as</th>
             <th className='col-md-1'>Eidt</th>
             <th className='col-md-1'>Delete</th>
           </tr>
@@ -89,13 +286,34 @@ const handleDelete = async (id) => {
               <td>{item.address}</td>
               <td>{item.sex}</td>
               <td>{item.birthday}</td>
+              <td>
+                {item.role !== 'admin' && (
+                  <button className="btn btn-outline-dark" type="button" onClick={() => handleImpersonate(item)}>
+                    <i className="bi bi-incognito"></i>
+                  </button>
+                )}
+              </td>
               <td><Link href={`/admin/users/edit/${item.id}`} className="btn btn-warning">Edit</Link></td>
-              <td><button className="btn btn-pill btn-danger" type="button" onClick={() => handleDelete(item.id)}><i className="fa fa-trash"></i>Del</button></td>
+              <td><button className="btn btn-pill btn-danger" type="button" onClick={() => handleDelete(item)}><i className="fa fa-trash"></i>Del</button></td>
             </tr>
           ))}
         </tbody>
       </table>
     </div>
+    <div className="d-flex justify-content-between align-items-center">
+      <small className="text-muted">ทั้งหมด {total} รายการ</small>
+      <div className="btn-group">
+        <button className="btn btn-sm btn-outline-secondary" type="button" disabled={query.page <= 1}
+          onClick={() => setQuery((state) => ({ ...state, page: state.page - 1 }))}>
+          <i className="bi bi-chevron-left"></i>
+        </button>
+        <span className="btn btn-sm btn-outline-secondary disabled">หน้า {query.page} / {totalPages}</span>
+        <button className="btn btn-sm btn-outline-secondary" type="button" disabled={query.page >= totalPages}
+          onClick={() => setQuery((state) => ({ ...state, page: state.page + 1 }))}>
+          <i className="bi bi-chevron-right"></i>
+        </button>
+      </div>
+    </div>
     </div>
 
     </div>
@@ -0,0 +1,160 @@
+'use client';
+import Link from 'next/link';
+import { useCallback, useEffect, useState } from 'react';
+import { useRouter } from 'next/navigation';
+import Swal from 'sweetalert2';
+import { apiRequest, hasAuthSession, getAuthRole } from '@/lib/apiClient';
+
+const TRASH_API = '/api/users/trash';
+const PAGE_SIZE = 20;
+
+const formatTime = (value) => (value ? new Date(value).toLocaleString() : '-');
+
+const displayName = (item) => [item.fullname, item.lastname].filter(Boolean).join(' ') || '-';
+
+// ผู้ใช้ที่ถูกลบ (soft delete) กู้คืนหรือลบถาวรได้ก่อนถึงกำหนด purge อัตโนมัติ
+export default function UsersTrash() {
+  const [data, setData] = useState(null);
+  const [page, setPage] = useState(1);
+  const [busy, setBusy] = useState(false);
+  const router = useRouter();
+
+  const load = useCallback(async () => {
+    try {
+      setData(await apiRequest(`${TRASH_API}?page=${page}&pageSize=${PAGE_SIZE}`));
+    } catch (error) {
+      setData({ items: [], total: 0, retentionDays: 0 });
+      Swal.fire({ icon: 'error', title: 'ข้อผิดพลาดเครือข่าย', text: error?.message || 'ไม่สามารถเชื่อมต่อเซิร์ฟเวอร์ได้' });
+    }
+  }, [page]);
+
+  useEffect(() => {
+    if (!hasAuthSession()) {
+      router.push('/signin');
+      return;
+    }
+    // ถังขยะดูได้เฉพาะ admin
+    if (getAuthRole() !== 'admin') {
+      router.push('/');
+      return;
+    }
+    load();
+  }, [load]);
+
+  const restore = async (item) => {
+    try {
+      setBusy(true);
+      await apiRequest(`${TRASH_API}/${item.id}/restore`, { method: 'POST' });
+      await load();
+      Swal.fire({ icon: 'success', title: '<h3>กู้คืนแล้ว</h3>', text: `${item.username} กลับมาใช้งานได้`, timer: 1600, showConfirmButton: false });
+    } catch (error) {
+      Swal.fire({ icon: 'error', title: '<h3>ไม่สำเร็จ</h3>', text: error?.message });
+    } finally { setBusy(false); }
+  };
+
+  const purge = async (item) => {
+    const res = await Swal.fire({
+      title: `ลบ "${item.username}" ถาวร?`,
+      text: 'ข้อมูลทั้งหมดของผู้ใช้นี้จะถูกลบและกู้คืนไม่ได้อีก',
+      icon: 'warning',
+      input: 'text',
+      inputPlaceholder: `พิมพ์ ${item.username} เพื่อยืนยัน`,
+      inputValidator: (value) => (value !== item.username ? 'ชื่อผู้ใช้ไม่ตรงกัน' : undefined),
+      showCancelButton: true,
+      confirmButtonText: 'Delete forever',
+      cancelButtonText: 'ยกเลิก',
+      confirmButtonColor: '#d33',
+    });
+    if (!res.isConfirmed) return;
+    try {
+      setBusy(true);
+      await apiRequest(`${TRASH_API}/${item.id}`, { method: 'DELETE' });
+      // ลบตัวสุดท้ายของหน้า -> ถอยกลับหน้าก่อน
+      if (data.items.length === 1 && page > 1) setPage(page - 1);
+      else await load();
+    } catch (error) {
+      Swal.fire({ icon: 'error', title: '<h3>ไม่สำเร็จ</h3>', text: error?.message });
+    } finally { setBusy(false); }
+  };
+
+  if (!data) {
+    return <div className='text-center'><h1>Loading...</h1></div>;
+  }
+
+  const totalPages = Math.max(1, Math.ceil(data.total / PAGE_SIZE));
+
+  return (
+    <>
+    <br /><br /><br /><br />
+    <div className="container">
+      <div className="card">
+        <div className="card-header d-flex justify-content-between align-items-center">
+          <span><i className="bi bi-trash me-1"></i>Trash</span>
+          <Link href="/admin/users" className="btn btn-sm btn-outline-secondary">Users</Link>
+        </div>
+        <div className="card-body">
+          <p className="text-muted small">
+            {data.retentionDays > 0
+              ? `ผู้ใช้ในถังขยะจะถูกลบถาวรอัตโนมัติหลังจากลบ ${data.retentionDays} วัน`
+              : 'ผู้ใช้ในถังขยะจะไม่ถูกลบอัตโนมัติ'}
+          </p>
+          {data.items.length === 0 ? (
+            <p className="text-muted mb-0">ถังขยะว่าง</p>
+          ) : (
+            <table className="table table-striped table-hover table-responsive">
+              <thead>
+                <tr>
+                  <th>#</th>
+                  <th>Username</th>
+                  <th>Name</th>
+                  <th>Email</th>
+                  <th>Role</th>
+                  <th>Deleted</th>
+                  <th>Deleted by</th>
+                  <th>Purge</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {data.items.map((item) => (
+                  <tr key={item.id}>
+                    <td>{item.id}</td>
+                    <td>{item.username}</td>
+                    <td>{displayName(item)}</td>
+                    <td>{item.email || '-'}</td>
+                    <td>{item.role}</td>
+                    <td>{formatTime(item.deleted_at)}</td>
+                    <td>{item.deleted_by?.username || '-'}</td>
+                    <td>{formatTime(item.purge_at)}</td>
+                    <td className="text-nowrap">
+                      <button type="button" className="btn btn-sm btn-outline-success me-2" disabled={busy} onClick={() => restore(item)}>
+                        <i className="bi bi-arrow-counterclockwise me-1"></i>Restore
+                      </button>
+                      <button type="button" className="btn btn-sm btn-outline-danger" disabled={busy} onClick={() => purge(item)}>
+                        <i className="bi bi-x-octagon me-1"></i>Delete forever
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          <div className="d-flex justify-content-between align-items-center">
+            <small className="text-muted">ทั้งหมด {data.total} รายการ</small>
+            <div className="btn-group">
+              <button className="btn btn-sm btn-outline-secondary" type="button" disabled={page <= 1} onClick={() => setPage(page - 1)}>
+                <i className="bi bi-chevron-left"></i>
+              </button>
+              <span className="btn btn-sm btn-outline-secondary disabled">หน้า {page} / {totalPages}</span>
+              <button className="btn btn-sm btn-outline-secondary" type="button" disabled={page >= totalPages} onClick={() => setPage(page + 1)}>
+                <i className="bi bi-chevron-right"></i>
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+    <br /><br />
+    </>
+  );
+}
@@ -0,0 +1,128 @@
+'use client';
+import { useCallback, useEffect, useState } from 'react';
+import Swal from 'sweetalert2';
+import { apiRequest, getAuthRole } from '@/lib/apiClient';
+
+const API_KEYS_API = '/api/api-keys';
+
+const formatTime = (value) => (value ? new Date(value).toLocaleString() : '-');
+
+const emptyForm = { name: '', scope: 'users:read', expiresInDays: '90' };
+
+/**
+ * API key ของตัวเอง (สำหรับ script/service) สร้าง/ยกเลิกได้
+ * key เต็มแสดงครั้งเดียวหลังสร้าง
+ */
+export default function ApiKeyList() {
+  const [keys, setKeys] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+  const [busy, setBusy] = useState(false);
+  const isAdmin = getAuthRole() === 'admin';
+
+  const load = useCallback(async () => {
+    try {
+      setKeys(await apiRequest(API_KEYS_API));
+    } catch (error) {
+      setKeys([]);
+      // บัญชีที่ยังไม่ยืนยันอีเมลใช้ API key ไม่ได้ -> ไม่ต้องเด้ง error
+      if (error?.code === 'EMAIL_NOT_VERIFIED') return;
+      Swal.fire({ icon: 'error', title: 'ข้อผิดพลาดเครือข่าย', text: error?.message || 'ไม่สามารถเชื่อมต่อเซิร์ฟเวอร์ได้' });
+    }
+  }, []);
+
+  useEffect(() => { load(); }, [load]);
+
+  const handleChange = (key) => (event) => setForm((state) => ({ ...state, [key]: event.target.value }));
+
+  const create = async (e) => {
+    e.preventDefault();
+    try {
+      setBusy(true);
+      const data = await apiRequest(API_KEYS_API, {
+        method: 'POST',
+        body: { name: form.name, scopes: [form.scope], expiresInDays: Number(form.expiresInDays) },
+      });
+      setForm(emptyForm);
+      await load();
+      await Swal.fire({
+        icon: 'success',
+        title: '<h3>สร้าง API key แล้ว</h3>',
+        html: `<p>คัดลอกเก็บไว้ตอนนี้ จะไม่แสดงอีก</p><code style="word-break:break-all">${data.key}</code>`,
+      });
+    } catch (error) {
+      Swal.fire({ icon: 'error', title: '<h3>ไม่สำเร็จ</h3>', text: error?.message });
+    } finally { setBusy(false); }
+  };
+
+  const revoke = async (apiKey) => {
+    const res = await Swal.fire({
+      title: `ยกเลิก key "${apiKey.name}"?`,
+      text: 'script ที่ใช้ key นี้จะเรียก API ไม่ได้ทันที',
+      icon: 'warning',
+      showCancelButton: true,
+      confirmButtonText: 'Revoke',
+      cancelButtonText: 'ยกเลิก',
+      confirmButtonColor: '#d33',
+    });
+    if (!res.isConfirmed) return;
+    try {
+      setBusy(true);
+      await apiRequest(`${API_KEYS_API}/${apiKey.id}`, { method: 'DELETE' });
+      await load();
+    } catch (error) {
+      Swal.fire({ icon: 'error', title: '<h3>ไม่สำเร็จ</h3>', text: error?.message });
+    } finally { setBusy(false); }
+  };
+
+  if (!keys) return <p className="text-muted mb-0">กำลังโหลด…</p>;
+
+  return (
+    <div>
+      {keys.length === 0 ? (
+        <p className="text-muted">ยังไม่มี API key</p>
+      ) : (
+        <ul className="list-group mb-3">
+          {keys.map((apiKey) => (
+            <li key={apiKey.id} className="list-group-item d-flex justify-content-between align-items-center gap-3">
+              <div>
+                <div className="fw-semibold">
+                  {apiKey.name}
+                  <code className="ms-2">ak_{apiKey.prefix}_…</code>
+                  {apiKey.scopes.map((scope) => <span key={scope} className="badge text-bg-light ms-2">{scope}</span>)}
+                </div>
+                <small className="text-muted">
+                  ใช้ล่าสุด {formatTime(apiKey.lastUsedAt)} · หมดอายุ {formatTime(apiKey.expiresAt)}
+                </small>
+              </div>
+              <button type="button" className="btn btn-sm btn-outline-danger" disabled={busy} onClick={() => revoke(apiKey)}>
+                Revoke
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form className="auth-grid" onSubmit={create}>
+        <div className="form-field">
+          <label>Key name</label>
+          <input type="text" required maxLength={100} placeholder="nightly-report" value={form.name} onChange={handleChange('name')} />
+        </div>
+        <div className="form-field">
+          <label>Scope</label>
+          <select value={form.scope} onChange={handleChange('scope')}>
+            <option value="users:read">users:read (อ่านอย่างเดียว)</option>
+            {isAdmin && <option value="admin">admin (สิทธิ์เต็ม)</option>}
+          </select>
+        </div>
+        <div className="form-field">
+          <label>Expires in (days)</label>
+          <input type="number" min={1} required value={form.expiresInDays} onChange={handleChange('expiresInDays')} />
+        </div>
+        <div className="form-field">
+          <label>&nbsp;</label>
+          <button type="submit" className="btn-yl" disabled={busy}>Create API key</button>
+        </div>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,116 @@
+'use client';
+import { useCallback, useEffect, useState } from 'react';
+import { apiRequest } from '@/lib/apiClient';
+
+const PAGE_SIZE = 30;
+
+const ACTION_LABELS = {
+  'user.create': ['สร้างบัญชี', 'bi-person-plus'],
+  'user.register': ['สมัครสมาชิก', 'bi-person-plus'],
+  'user.update': ['แก้ไขข้อมูล', 'bi-pencil-square'],
+  'user.password_change': ['เปลี่ยนรหัสผ่าน', 'bi-key'],
+  'user.status_change': ['เปลี่ยนสถานะ', 'bi-toggle-on'],
+  'user.email_verify': ['ยืนยันอีเมล', 'bi-envelope-check'],
+  'user.sessions_revoke': ['บังคับออกจากระบบ', 'bi-box-arrow-right'],
+  'user.two_factor_reset': ['รีเซ็ต 2FA', 'bi-shield-x'],
+  'user.delete': ['ย้ายไปถังขยะ', 'bi-trash'],
+  'user.restore': ['กู้คืน', 'bi-arrow-counterclockwise'],
+  'auth.login': ['เข้าสู่ระบบ', 'bi-box-arrow-in-right'],
+  'auth.login_failed': ['เข้าสู่ระบบไม่สำเร็จ', 'bi-exclamation-triangle'],
+  'auth.logout': ['ออกจากระบบ', 'bi-box-arrow-left'],
+  'auth.password_reset_request': ['ขอรีเซ็ตรหัสผ่าน', 'bi-envelope'],
+  'auth.password_reset': ['รีเซ็ตรหัสผ่าน', 'bi-key'],
+  'impersonation.start': ['เริ่มสวมรอย', 'bi-person-badge'],
+  'impersonation.stop': ['เลิกสวมรอย', 'bi-person-badge'],
+};
+
+const formatTime = (value) => (value ? new Date(value).toLocaleString() : '-');
+
+const formatValue = (value) => (value === null || value === undefined || value === '' ? '∅' : String(value));
+
+/**
+ * ประวัติการเปลี่ยนแปลงของบัญชี (ใครทำอะไร เมื่อไหร่ ค่าก่อน/หลัง) จาก GET /api/admin/audit-log
+ * รวมเหตุการณ์ที่ผู้ใช้นี้เป็นคนทำเองด้วย; ดูได้เฉพาะ admin
+ */
+export default function AuditTimeline({ userId }) {
+  const [entries, setEntries] = useState(null);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const load = useCallback(async (before) => {
+    try {
+      setLoading(true);
+      const page = await apiRequest(
+        `/api/admin/audit-log?userId=${userId}&limit=${PAGE_SIZE}${before ? `&before=${before}` : ''}`
+      );
+      setEntries((current) => (before ? [...(current || []), ...page] : page));
+      setHasMore(page.length === PAGE_SIZE);
+      setError('');
+    } catch (err) {
+      setEntries((current) => current || []);
+      setError(err?.message || 'ไม่สามารถโหลดประวัติได้');
+    } finally { setLoading(false); }
+  }, [userId]);
+
+  useEffect(() => { load(); }, [load]);
+
+  if (!entries) return <p className="text-muted mb-0">กำลังโหลด…</p>;
+
+  return (
+    <div>
+      {error && <div className="alert alert-danger py-2">{error}</div>}
+      {entries.length === 0 ? (
+        <p className="text-muted">ยังไม่มีประวัติ</p>
+      ) : (
+        <ul className="list-group mb-3">
+          {entries.map((entry) => {
+            const [label, icon] = ACTION_LABELS[entry.action] || [entry.action, 'bi-dot'];
+            const byOther = entry.actor && entry.actor.id !== entry.user?.id;
+            return (
+              <li key={entry.id} className="list-group-item">
+                <div className="d-flex justify-content-between align-items-start gap-3">
+                  <div className="fw-semibold">
+                    <i className={`bi ${icon} me-2`} />
+                    {label}
+                    {entry.user && entry.user.id !== Number(userId) && (
+                      <span className="text-muted fw-normal"> → {entry.user.username || `#${entry.user.id}`}</span>
+                    )}
+                  </div>
+                  <small className="text-muted text-nowrap">{formatTime(entry.createdAt)}</small>
+                </div>
+                {entry.changes && (
+                  <ul className="small mb-1 mt-1 ps-4">
+                    {Object.entries(entry.changes).map(([field, change]) => (
+                      <li key={field}>
+                        <code>{field}</code>: <del className="text-muted">{formatValue(change.from)}</del>
+                        {' → '}
+                        <span>{formatValue(change.to)}</span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                {entry.details?.reason && <div className="small">เหตุผล: {entry.details.reason}</div>}
+                <small className="text-muted">
+                  โดย {entry.actor ? (byOther ? entry.actor.username || `#${entry.actor.id}` : 'เจ้าของบัญชี') : 'ระบบ'}
+                  {' · '}{entry.ip || 'unknown IP'}
+                  {entry.requestId && <> · <span title="Request ID">{entry.requestId}</span></>}
+                </small>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+      {hasMore && (
+        <button
+          type="button"
+          className="btn btn-sm btn-outline-secondary"
+          disabled={loading}
+          onClick={() => load(entries[entries.length - 1].id)}
+        >
+          โหลดเพิ่ม
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,82 @@
+'use client';
+import { useEffect, useState } from 'react';
+import { useRouter } from 'next/navigation';
+import Swal from 'sweetalert2';
+import { IMPERSONATION_EVENT } from '@/lib/apiClient';
+import { getImpersonation, stopImpersonation } from '@/lib/impersonation';
+
+const formatRemaining = (ms) => {
+  const total = Math.max(0, Math.floor(ms / 1000));
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+};
+
+// แถบเตือนตลอดเวลาที่ admin สวมรอยผู้ใช้อยู่ (ทุกหน้า อยู่ใน layout)
+export default function ImpersonationBanner() {
+  const router = useRouter();
+  const [state, setState] = useState(null);
+  const [now, setNow] = useState(() => Date.now());
+  const [stopping, setStopping] = useState(false);
+
+  useEffect(() => {
+    const sync = () => setState(getImpersonation());
+    sync();
+    window.addEventListener(IMPERSONATION_EVENT, sync);
+    window.addEventListener('storage', sync);
+    return () => {
+      window.removeEventListener(IMPERSONATION_EVENT, sync);
+      window.removeEventListener('storage', sync);
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!state) return;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [state]);
+
+  const remaining = state ? new Date(state.expiresAt).getTime() - now : 0;
+  const expired = Boolean(state) && remaining <= 0;
+
+  const handleStop = async () => {
+    try {
+      setStopping(true);
+      await stopImpersonation();
+      router.push('/admin/users');
+    } catch (error) {
+      Swal.fire({ icon: 'error', title: '<h3>หยุดสวมรอยไม่สำเร็จ</h3>', text: error?.message || 'ไม่สามารถเชื่อมต่อเซิร์ฟเวอร์ได้' });
+    } finally {
+      setStopping(false);
+    }
+  };
+
+  // หมดเวลาแล้ว token ใช้ไม่ได้ -> กลับเป็น admin อัตโนมัติ
+  useEffect(() => {
+    if (expired) handleStop();
+  }, [expired]);
+
+  if (!state) return null;
+
+  const name = [state.user.fullname, state.user.lastname].filter(Boolean).join(' ') || state.user.username;
+
+  return (
+    <div className="imp-banner" role="alert">
+      <i className="bi bi-incognito me-2" aria-hidden />
+      <span>
+        กำลังใช้งานในนามของ <b>{name}</b> (@{state.user.username}) · โดย <b>{state.impersonator?.username}</b>
+        {' '}· เหลือ {formatRemaining(remaining)}
+      </span>
+      <button type="button" className="btn btn-sm btn-dark ms-3" onClick={handleStop} disabled={stopping}>
+        {stopping ? 'กำลังหยุด…' : 'Stop impersonating'}
+      </button>
+
+      <style jsx>{`
+        .imp-banner{
+          position:fixed; left:0; right:0; bottom:0; z-index:1080;
+          display:flex; align-items:center; justify-content:center; flex-wrap:wrap; gap:4px;
+          padding:10px 16px; background:#f59e0b; color:#111827; font-size:14px;
+          box-shadow:0 -4px 16px rgba(0,0,0,.2);
+        }
+      `}</style>
+    </div>
+  );
+}
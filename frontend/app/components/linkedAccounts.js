@@ -0,0 +1,97 @@
+'use client';
+import { useCallback, useEffect, useState } from 'react';
+import Swal from 'sweetalert2';
+import { apiRequest } from '@/lib/apiClient';
+
+const formatTime = (value) => (value ? new Date(value).toLocaleString() : '-');
+
+/**
+ * บัญชีภายนอก (OIDC) ที่ผูกกับบัญชีนี้ + ปุ่ม Link/Unlink ต่อ provider
+ * ไม่มี provider ตั้งค่าไว้ -> ไม่แสดงอะไรเลย
+ */
+export default function LinkedAccounts() {
+  const [providers, setProviders] = useState([]);
+  const [identities, setIdentities] = useState([]);
+  const [busy, setBusy] = useState(false);
+
+  const load = useCallback(async () => {
+    try {
+      const [available, linked] = await Promise.all([
+        apiRequest('/api/auth/oidc/providers', { auth: false }),
+        apiRequest('/api/auth/me/identities'),
+      ]);
+      setProviders(available);
+      setIdentities(linked);
+    } catch (error) {
+      Swal.fire({ icon: 'error', title: 'ข้อผิดพลาดเครือข่าย', text: error?.message || 'ไม่สามารถเชื่อมต่อเซิร์ฟเวอร์ได้' });
+    }
+  }, []);
+
+  useEffect(() => { load(); }, [load]);
+
+  // ขอ URL จาก backend แล้วพา browser ไปหน้า provider (กลับมาที่ /oidc/callback)
+  const link = async (provider) => {
+    try {
+      setBusy(true);
+      const data = await apiRequest(`/api/auth/oidc/${encodeURIComponent(provider.id)}/link`, { method: 'POST' });
+      window.location.href = data.authorizationUrl;
+    } catch (error) {
+      setBusy(false);
+      Swal.fire({ icon: 'error', title: '<h3>ไม่สำเร็จ</h3>', text: error?.message });
+    }
+  };
+
+  const unlink = async (provider) => {
+    const res = await Swal.fire({
+      title: `ยกเลิกการเชื่อม ${provider.name}?`,
+      text: 'หากสมัครผ่าน provider นี้ ให้ตั้งรหัสผ่านผ่าน "ลืมรหัสผ่าน" ก่อน',
+      icon: 'warning',
+      showCancelButton: true,
+      confirmButtonText: 'Unlink',
+      cancelButtonText: 'ยกเลิก',
+      confirmButtonColor: '#d33',
+    });
+    if (!res.isConfirmed) return;
+    try {
+      setBusy(true);
+      await apiRequest(`/api/auth/me/identities/${encodeURIComponent(provider.id)}`, { method: 'DELETE' });
+      await load();
+    } catch (error) {
+      Swal.fire({ icon: 'error', title: '<h3>ไม่สำเร็จ</h3>', text: error?.message });
+    } finally { setBusy(false); }
+  };
+
+  if (providers.length === 0) return null;
+
+  return (
+    <div className="auth-card fade-in-up mt-4">
+      <p className="auth-note">บัญชีภายนอกที่ใช้เข้าสู่ระบบ (Linked accounts)</p>
+      <ul className="list-group">
+        {providers.map((provider) => {
+          const identity = identities.find((item) => item.provider === provider.id);
+          return (
+            <li key={provider.id} className="list-group-item d-flex justify-content-between align-items-center gap-3">
+              <div>
+                <div className="fw-semibold">{provider.name}</div>
+                <small className="text-muted">
+                  {identity
+                    ? `${identity.email || 'linked'} · ใช้ล่าสุด ${formatTime(identity.lastLoginAt)}`
+                    : 'ยังไม่ได้เชื่อม'}
+                </small>
+              </div>
+              {identity ? (
+                <button type="button" className="btn btn-sm btn-outline-danger" disabled={busy} onClick={() => unlink(provider)}>
+                  Unlink
+                </button>
+              ) : (
+                <button type="button" className="btn btn-sm btn-outline-dark" disabled={busy} onClick={() => link(provider)}>
+                  Link
+                </button>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
@@ -4,17 +4,19 @@ import Link from 'next/link';
 import { useEffect, useState } from 'react';
 import { useRouter, usePathname } from 'next/navigation';
 import Swal from 'sweetalert2';
+import { apiRequest, clearAuthToken, getRefreshToken, hasAuthSession } from '@/lib/apiClient';
 
 export default function Navigation() {
   const router = useRouter();
   const pathname = usePathname();
 
   const [authed, setAuthed] = useState(false);
+  const [me, setMe] = useState(null);
   const [menuOpen, setMenuOpen] = useState(false);
 
   // sync auth
   useEffect(() => {
-    const sync = () => setAuthed(!!localStorage.getItem('token'));
+    const sync = () => setAuthed(hasAuthSession());
     sync();
     const onStorage = () => sync();
     const onFocus = () => sync();
@@ -26,6 +28,28 @@ export default function Navigation() {
     };
   }, []);
 
+  // ชื่อ + ตัวอักษรย่อของคนที่ login อยู่
+  useEffect(() => {
+    if (!authed) { setMe(null); return; }
+    let cancelled = false;
+    const load = () => {
+      apiRequest('/api/auth/me')
+        .then((data) => { if (!cancelled) setMe(data); })
+        .catch(() => { if (!cancelled) setMe(null); });
+    };
+    load();
+    window.addEventListener('profile-updated', load);
+    return () => {
+      cancelled = true;
+      window.removeEventListener('profile-updated', load);
+    };
+  }, [authed]);
+
+  const displayName = me ? ([me.fullname, me.lastname].filter(Boolean).join(' ') || me.username) : '';
+  const initials = me
+    ? (((me.fullname?.[0] || '') + (me.lastname?.[0] || '')).toUpperCase() || me.username?.[0]?.toUpperCase() || 'U')
+    : '';
+
   // ปิดเมนูเมื่อเปลี่ยนหน้า
   useEffect(() => { setMenuOpen(false); }, [pathname]);
 
@@ -105,9 +129,15 @@ export default function Navigation() {
       confirmButtonColor: '#d33',
     });
     if (!res.isConfirmed) return;
-    localStorage.removeItem('token');
-    localStorage.removeItem('role');
+    try {
+      // revoke session ที่ backend ด้วย (refresh token ใช้ต่อไม่ได้)
+      await apiRequest('/api/auth/logout', { method: 'POST', body: { refreshToken: getRefreshToken() } });
+    } catch (error) {
+      console.error('Logout error:', error);
+    }
+    clearAuthToken();
     setAuthed(false);
+    setMe(null);
     await Swal.fire({ title: 'ออกจากระบบแล้ว', icon: 'success', timer: 900, showConfirmButton: false });
     router.push(pathname?.startsWith('/admin') ? '/admin/login' : '/login');
   };
@@ -169,6 +199,12 @@ export default function Navigation() {
             })}
           </ul>
 
+          {authed && me && (
+            <Link href="/profile" className="ef-me ms-lg-3" title={displayName} aria-label="My profile">
+              <span className="ef-avatar" aria-hidden>{initials}</span>
+              <span className="ms-2 d-none d-xl-inline">{displayName}</span>
+            </Link>
+          )}
           {authed && (
             <button type="button" onClick={handleSignOut} className="btn btn-outline-ink ef-signout ms-lg-3">
               <i className="bi bi-box-arrow-right" />
@@ -218,6 +254,11 @@ export default function Navigation() {
         .ef-menu .ef-link:hover{ background: rgba(0,0,0,.04) }
         .ef-menu .ef-link.active{ background: rgba(255,193,7,.20) }
         .ef-signout{ border-color:#222; color:#222 }
+        .ef-me{ display:inline-flex; align-items:center; color:#111; text-decoration:none; font-weight:600 }
+        .ef-avatar{
+          display:inline-grid; place-items:center; width:34px; height:34px; border-radius:50%;
+          background:#ffc107; color:#111; font-size:.8rem; font-weight:800; letter-spacing:.04em;
+        }
         .ef-signout:hover{ background:#222; color:#fff }
 
         /* Shrink & hide */
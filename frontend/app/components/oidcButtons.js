@@ -0,0 +1,38 @@
+'use client';
+import { useEffect, useState } from 'react';
+import { API_BASE_URL } from '@/lib/api';
+import { apiRequest } from '@/lib/apiClient';
+
+// URL ที่ต้องเปิดด้วย browser ตรง ๆ (ไม่ใช่ fetch) เพราะต้อง redirect ไปหน้า provider
+const startUrl = (providerId) => `${API_BASE_URL}/api/auth/oidc/${encodeURIComponent(providerId)}/start`;
+
+/**
+ * ปุ่ม "Sign in with ..." ของ provider ที่ backend ตั้งค่าไว้ (OIDC_PROVIDERS)
+ * ไม่มี provider -> ไม่แสดงอะไรเลย
+ */
+export default function OidcButtons() {
+  const [providers, setProviders] = useState([]);
+
+  useEffect(() => {
+    apiRequest('/api/auth/oidc/providers', { auth: false })
+      .then((data) => setProviders(Array.isArray(data) ? data : []))
+      .catch(() => setProviders([]));
+  }, []);
+
+  if (providers.length === 0) return null;
+
+  return (
+    <>
+      <div className="auth-divider">OR</div>
+      <div className="auth-providers">
+        {providers.map((provider) => (
+          <a key={provider.id} className="btn-ghost" href={startUrl(provider.id)}>
+            <i className="bi bi-box-arrow-in-right me-2" />
+            Sign in with {provider.name}
+            <span className="trail" aria-hidden />
+          </a>
+        ))}
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,42 @@
+'use client';
+import { useEffect, useState } from 'react';
+import { DEFAULT_POLICY, fetchPasswordPolicy, checkPassword } from '@/lib/passwordPolicy';
+
+// โหลดกฎรหัสผ่านจาก backend ครั้งเดียวต่อหน้า
+export function usePasswordPolicy() {
+  const [policy, setPolicy] = useState(DEFAULT_POLICY);
+  useEffect(() => {
+    let alive = true;
+    fetchPasswordPolicy().then((data) => { if (alive && data) setPolicy(data); });
+    return () => { alive = false; };
+  }, []);
+  return policy;
+}
+
+/**
+ * รายการกฎรหัสผ่าน ติ๊กถูกเมื่อผ่าน (กฎชุดเดียวกับ server)
+ * ส่ง rules มาเองได้ถ้าคำนวณไว้แล้ว (เช่นใช้ทำ strength meter ด้วย)
+ */
+export default function PasswordChecklist({ password, username, rules }) {
+  const policy = usePasswordPolicy();
+  const items = rules || checkPassword(policy, password, username);
+
+  return (
+    <ul className="pw-rules">
+      {items.map((item) => (
+        <li key={item.rule} className={item.ok ? 'ok' : ''}>
+          <i className={`bi ${item.ok ? 'bi-check-circle-fill' : 'bi-circle'} me-1`} aria-hidden />
+          {item.label}
+        </li>
+      ))}
+      {policy.checkCommon && <li className="hint">ไม่ใช่รหัสผ่านยอดนิยมหรือที่เคยรั่วไหล</li>}
+      {policy.historySize > 0 && <li className="hint">ไม่ซ้ำกับ {policy.historySize} รหัสผ่านล่าสุด</li>}
+
+      <style jsx>{`
+        .pw-rules{ list-style:none; padding:0; margin:6px 0 0; font-size:12px; color:#6b7280; display:grid; gap:2px }
+        .pw-rules li.ok{ color:#059669 }
+        .pw-rules li.hint{ font-style:italic }
+      `}</style>
+    </ul>
+  );
+}
@@ -0,0 +1,112 @@
+'use client';
+import { useCallback, useEffect, useState } from 'react';
+import Swal from 'sweetalert2';
+import { apiRequest } from '@/lib/apiClient';
+
+// ย่อ user agent ให้อ่านง่าย เช่น "Chrome · Windows"
+const describeDevice = (userAgent) => {
+  const ua = String(userAgent || '');
+  if (!ua) return 'Unknown device';
+  const browser =
+    /Edg\//.test(ua) ? 'Edge' :
+    /OPR\//.test(ua) ? 'Opera' :
+    /Firefox\//.test(ua) ? 'Firefox' :
+    /Chrome\//.test(ua) ? 'Chrome' :
+    /Safari\//.test(ua) ? 'Safari' : ua.split(/[\s/]/)[0];
+  const os =
+    /iPhone|iPad/.test(ua) ? 'iOS' :
+    /Android/.test(ua) ? 'Android' :
+    /Windows/.test(ua) ? 'Windows' :
+    /Mac OS X/.test(ua) ? 'macOS' :
+    /Linux/.test(ua) ? 'Linux' : '';
+  return os ? `${browser} · ${os}` : browser;
+};
+
+const formatTime = (value) => (value ? new Date(value).toLocaleString() : '-');
+
+/**
+ * รายการอุปกรณ์ที่ login อยู่ + ปุ่ม revoke
+ * endpoint: '/api/auth/me/sessions' (ของตัวเอง) หรือ '/api/users/:id/sessions' (admin)
+ * onSignedOut: เรียกเมื่อ session ปัจจุบันของเราเองถูก revoke
+ */
+export default function SessionList({ endpoint, onSignedOut }) {
+  const [sessions, setSessions] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const load = useCallback(async () => {
+    try {
+      setSessions(await apiRequest(endpoint));
+    } catch (error) {
+      setSessions([]);
+      Swal.fire({ icon: 'error', title: 'ข้อผิดพลาดเครือข่าย', text: error?.message || 'ไม่สามารถเชื่อมต่อเซิร์ฟเวอร์ได้' });
+    }
+  }, [endpoint]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const revoke = async (session) => {
+    try {
+      setBusy(true);
+      await apiRequest(`${endpoint}/${encodeURIComponent(session.id)}`, { method: 'DELETE' });
+      if (session.current && onSignedOut) return onSignedOut();
+      await load();
+    } catch (error) {
+      Swal.fire({ icon: 'error', title: '<h3>ไม่สำเร็จ</h3>', text: error?.message });
+    } finally { setBusy(false); }
+  };
+
+  const revokeAll = async () => {
+    const res = await Swal.fire({
+      title: 'ออกจากระบบทุกอุปกรณ์?',
+      icon: 'warning',
+      showCancelButton: true,
+      confirmButtonText: 'ออกจากระบบทั้งหมด',
+      cancelButtonText: 'ยกเลิก',
+      confirmButtonColor: '#d33',
+    });
+    if (!res.isConfirmed) return;
+    try {
+      setBusy(true);
+      await apiRequest(endpoint, { method: 'DELETE' });
+      if (sessions?.some((s) => s.current) && onSignedOut) return onSignedOut();
+      await load();
+    } catch (error) {
+      Swal.fire({ icon: 'error', title: '<h3>ไม่สำเร็จ</h3>', text: error?.message });
+    } finally { setBusy(false); }
+  };
+
+  if (!sessions) return <p className="text-muted mb-0">กำลังโหลด…</p>;
+
+  return (
+    <div>
+      {sessions.length === 0 ? (
+        <p className="text-muted">ไม่มี session ที่ใช้งานอยู่</p>
+      ) : (
+        <ul className="list-group mb-3">
+          {sessions.map((session) => (
+            <li key={session.id} className="list-group-item d-flex justify-content-between align-items-center gap-3">
+              <div>
+                <div className="fw-semibold">
+                  {describeDevice(session.userAgent)}
+                  {session.current && <span className="badge text-bg-warning ms-2">This device</span>}
+                </div>
+                <small className="text-muted">
+                  {session.ip || 'unknown IP'} · ใช้ล่าสุด {formatTime(session.lastSeenAt)} · login {formatTime(session.createdAt)}
+                </small>
+              </div>
+              <button type="button" className="btn btn-sm btn-outline-danger" disabled={busy} onClick={() => revoke(session)}>
+                Sign out
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      {sessions.length > 0 && (
+        <button type="button" className="btn btn-outline-danger" disabled={busy} onClick={revokeAll}>
+          <i className="bi bi-box-arrow-right me-2" />
+          Log out everywhere
+        </button>
+      )}
+    </div>
+  );
+}
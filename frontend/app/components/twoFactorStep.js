@@ -0,0 +1,68 @@
+'use client';
+import { useState } from 'react';
+import Swal from 'sweetalert2';
+import { apiRequest } from '@/lib/apiClient';
+
+// ขั้นที่สองของการ login (บัญชีที่เปิด 2FA) ใช้ร่วมกันทั้งหน้า /login และ /signin
+export default function TwoFactorStep({ challengeToken, onSuccess, onCancel }) {
+  const [code, setCode] = useState('');
+  const [useRecovery, setUseRecovery] = useState(false);
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setLoading(true);
+      const data = await apiRequest('/api/auth/login/2fa', {
+        method: 'POST',
+        body: { challengeToken, code },
+        auth: false,
+      });
+      await onSuccess(data);
+    } catch (error) {
+      // challenge หมดอายุ -> กลับไปกรอกรหัสผ่านใหม่
+      if (error?.code === 'TWO_FACTOR_CHALLENGE_INVALID') {
+        await Swal.fire({ icon: 'warning', title: '<h3>หมดเวลา</h3>', text: error.message });
+        onCancel();
+        return;
+      }
+      setCode('');
+      Swal.fire({ icon: 'warning', title: '<h3>Verification Failed!</h3>', text: error?.message || 'รหัสยืนยันไม่ถูกต้อง' });
+    } finally { setLoading(false); }
+  };
+
+  return (
+    <form className="auth-card fade-in-up" onSubmit={handleSubmit}>
+      <p className="auth-note">
+        {useRecovery
+          ? 'กรอก recovery code ที่บันทึกไว้ตอนเปิดใช้ 2FA (ใช้ได้ครั้งเดียว)'
+          : 'กรอกรหัส 6 หลักจากแอป Authenticator ของคุณ'}
+      </p>
+      <div className="auth-grid">
+        <div className="form-field auth-span-2">
+          <label>{useRecovery ? 'Recovery Code' : 'Authentication Code'}</label>
+          <input
+            name="code" type="text" autoComplete="one-time-code" autoFocus
+            inputMode={useRecovery ? 'text' : 'numeric'}
+            placeholder={useRecovery ? 'xxxxx-xxxxx' : '123456'}
+            value={code} onChange={(e) => setCode(e.target.value)} required
+          />
+          <button type="button" className="auth-link" onClick={() => { setUseRecovery((v) => !v); setCode(''); }}>
+            {useRecovery ? 'ใช้รหัสจากแอป Authenticator' : 'ใช้ recovery code แทน'}
+          </button>
+        </div>
+      </div>
+
+      <div className="auth-actions">
+        <button className="btn-yl" type="submit" disabled={loading}>
+          {loading ? 'กำลังตรวจสอบ…' : 'Verify'}
+        </button>
+        <button type="button" className="btn-ghost" onClick={onCancel}>
+          <i className="bi bi-arrow-left me-2" />
+          Back
+          <span className="trail" aria-hidden />
+        </button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,77 @@
+'use client';
+import { useState } from 'react';
+import Link from 'next/link';
+import Swal from 'sweetalert2';
+import { Kanit } from 'next/font/google';
+import { apiRequest } from '@/lib/apiClient';
+
+const kanit = Kanit({
+  subsets: ['thai','latin'],
+  weight: ['400','600','700','800'],
+  variable: '--font-kanit',
+});
+
+export default function ForgotPasswordPage(){
+  const [identifier, setIdentifier] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [sent, setSent] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try{
+      setLoading(true);
+      const data = await apiRequest('/api/auth/forgot-password', {
+        method:'POST',
+        body: { identifier },
+        auth: false,
+      });
+      setSent(true);
+      await Swal.fire({ icon:'success', title:'<h3>ตรวจสอบอีเมลของคุณ</h3>', text: data?.message, background:'#fff', color:'#111' });
+    }catch(error){
+      Swal.fire({ icon:'error', title:'<h3>ส่งลิงก์ไม่สำเร็จ</h3>', text: error?.message || 'ไม่สามารถเชื่อมต่อเซิร์ฟเวอร์ได้' });
+    }finally{ setLoading(false); }
+  };
+
+  return (
+    <div className={`auth-screen ak-yellow ${kanit.variable}`}>
+      <div className="auth-bg" aria-hidden />
+      <div className="scanline" aria-hidden />
+
+      <section className="container">
+        <header className="auth-head">
+          <div className="auth-brand">ARKNIGHTS: <span>ENDFIELD</span></div>
+          <h1 className="auth-title">Forgot Password</h1>
+          <p className="auth-sub">กรอกชื่อผู้ใช้หรืออีเมล ระบบจะส่งลิงก์ตั้งรหัสผ่านใหม่ให้ทางอีเมล</p>
+        </header>
+
+        <form className="auth-card fade-in-up" onSubmit={handleSubmit}>
+          <div className="auth-grid">
+            <div className="form-field auth-span-2">
+              <label>Username / Email</label>
+              <input
+                name="identifier" type="text" autoComplete="username" placeholder="ชื่อผู้ใช้หรืออีเมล"
+                value={identifier} onChange={(e)=>setIdentifier(e.target.value)} required
+              />
+            </div>
+            {sent && (
+              <p className="auth-note auth-span-2">
+                ถ้าบัญชีนี้มีอีเมลในระบบ ลิงก์จะถูกส่งไปภายในไม่กี่นาที (ลิงก์ใช้ได้ครั้งเดียวและมีอายุจำกัด)
+              </p>
+            )}
+          </div>
+
+          <div className="auth-actions">
+            <button className="btn-yl" type="submit" disabled={loading}>
+              {loading ? 'กำลังส่ง…' : 'Send Reset Link'}
+            </button>
+            <Link className="btn-ghost" href="/login">
+              <i className="bi bi-box-arrow-in-right me-2" />
+              Back to Sign In
+              <span className="trail" aria-hidden />
+            </Link>
+          </div>
+        </form>
+      </section>
+    </div>
+  );
+}
@@ -4,6 +4,7 @@ import Carousel from "./components/carousel";
 import Card from "./components/card";
 import Navigation from "./components/nav";
 import Footer from "./components/footer";
+import ImpersonationBanner from "./components/impersonationBanner";
 import './globals.css'
 // ฟอนต์จาก Google Fonts
 import { Orbitron } from "next/font/google";
@@ -61,6 +62,7 @@ export default function RootLayout({ children }) {
         <Navigation />
         <main className="flex-grow-1">{children}</main>
         <Footer />
+        <ImpersonationBanner />
       </body>
     </html>
   );
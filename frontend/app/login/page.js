@@ -3,7 +3,9 @@ import { useState } from 'react';
 import Link from 'next/link';
 import Swal from 'sweetalert2';
 import { Kanit } from 'next/font/google';
-import { apiRequest, setAuthToken } from '@/lib/apiClient';
+import TwoFactorStep from '../components/twoFactorStep';
+import OidcButtons from '../components/oidcButtons';
+import { apiRequest, setAuthSession, homePathForRole } from '@/lib/apiClient';
 
 const kanit = Kanit({
   subsets: ['thai','latin'],
@@ -16,6 +18,14 @@ export default function LoginPage(){
   const [password, setPassword] = useState('');
   const [showPw, setShowPw] = useState(false);
   const [loading, setLoading] = useState(false);
+  // บัญชีที่เปิด 2FA -> ได้ challengeToken มาก่อน แล้วค่อยกรอก code
+  const [challengeToken, setChallengeToken] = useState('');
+
+  const completeLogin = async (data) => {
+    setAuthSession(data);
+    await Swal.fire({ icon:'success', title:'<h3>Login Successfully!</h3>', timer:1200, showConfirmButton:false, background:'#fff', color:'#111' });
+    window.location.href = homePathForRole(data.user?.role);
+  };
 
   const handleLogin = async (e) => {
     e.preventDefault();
@@ -26,10 +36,10 @@ export default function LoginPage(){
         body: { username, password },
         auth: false,
       });
-      if(data?.token){
-        setAuthToken(data.token);
-        await Swal.fire({ icon:'success', title:'<h3>Login Successfully!</h3>', timer:1200, showConfirmButton:false, background:'#fff', color:'#111' });
-        window.location.href = '/admin/users';
+      if(data?.twoFactorRequired){
+        setChallengeToken(data.challengeToken);
+      }else if(data?.user){
+        await completeLogin(data);
       }else{
         Swal.fire({ icon:'warning', title:'<h3>Login Failed!</h3>', text: data?.message || 'ชื่อผู้ใช้หรือรหัสผ่านไม่ถูกต้อง' });
       }
@@ -50,42 +60,53 @@ export default function LoginPage(){
           <p className="auth-sub">ยืนยันตัวตนเพื่อเข้าควบคุมการปฏิบัติการบน Talos-II</p>
         </header>
 
-        <form className="auth-card fade-in-up" onSubmit={handleLogin}>
-          <div className="auth-grid">
-            <div className="form-field auth-span-2">
-              <label>Username</label>
-              <input
-                name="username" type="text" autoComplete="username" placeholder="ชื่อผู้ใช้"
-                value={username} onChange={(e)=>setUsername(e.target.value)} required
-              />
-            </div>
-
-            <div className="form-field auth-span-2">
-              <label>Password</label>
-              <div className="pw-wrap">
+        {challengeToken ? (
+          <TwoFactorStep
+            challengeToken={challengeToken}
+            onSuccess={completeLogin}
+            onCancel={() => { setChallengeToken(''); setPassword(''); }}
+          />
+        ) : (
+          <form className="auth-card fade-in-up" onSubmit={handleLogin}>
+            <div className="auth-grid">
+              <div className="form-field auth-span-2">
+                <label>Username</label>
                 <input
-                  name="password" type={showPw ? 'text':'password'} autoComplete="current-password" placeholder="รหัสผ่าน"
-                  value={password} onChange={(e)=>setPassword(e.target.value)} required
+                  name="username" type="text" autoComplete="username" placeholder="ชื่อผู้ใช้"
+                  value={username} onChange={(e)=>setUsername(e.target.value)} required
                 />
-                <button type="button" className="pw-toggle" onClick={()=>setShowPw(v=>!v)}>
-                  {showPw ? 'Hide':'Show'}
-                </button>
               </div>
+
+              <div className="form-field auth-span-2">
+                <label>Password</label>
+                <div className="pw-wrap">
+                  <input
+                    name="password" type={showPw ? 'text':'password'} autoComplete="current-password" placeholder="รหัสผ่าน"
+                    value={password} onChange={(e)=>setPassword(e.target.value)} required
+                  />
+                  <button type="button" className="pw-toggle" onClick={()=>setShowPw(v=>!v)}>
+                    {showPw ? 'Hide':'Show'}
+                  </button>
+                </div>
+                <Link className="auth-link" href="/forgot-password">ลืมรหัสผ่าน? (Forgot password)</Link>
+              </div>
+            </div>
+
+            <div className="auth-actions">
+              <button className="btn-yl" type="submit" disabled={loading}>
+                {loading ? 'กำลังเข้าสู่ระบบ…' : 'Sign In'}
+              </button>
+              {/* ปุ่ม Create Account พร้อมเอฟเฟกต์ */}
+              <Link className="btn-ghost" href="/register">
+                <i className="bi bi-person-plus me-2" />
+                Create Account
+                <span className="trail" aria-hidden />
+              </Link>
             </div>
-          </div>
 
-          <div className="auth-actions">
-            <button className="btn-yl" type="submit" disabled={loading}>
-              {loading ? 'กำลังเข้าสู่ระบบ…' : 'Sign In'}
-            </button>
-            {/* ปุ่ม Create Account พร้อมเอฟเฟกต์ */}
-            <Link className="btn-ghost" href="/register">
-              <i className="bi bi-person-plus me-2" />
-              Create Account
-              <span className="trail" aria-hidden />
-            </Link>
-          </div>
-        </form>
+            <OidcButtons />
+          </form>
+        )}
       </section>
     </div>
   );
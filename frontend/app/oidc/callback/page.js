@@ -0,0 +1,100 @@
+'use client';
+import { useEffect, useRef, useState } from 'react';
+import Link from 'next/link';
+import Swal from 'sweetalert2';
+import { Kanit } from 'next/font/google';
+import TwoFactorStep from '../../components/twoFactorStep';
+import { apiRequest, setAuthSession, homePathForRole } from '@/lib/apiClient';
+
+const kanit = Kanit({
+  subsets: ['thai','latin'],
+  weight: ['400','600','700','800'],
+  variable: '--font-kanit',
+});
+
+// backend redirect กลับมาหน้านี้หลัง login กับ provider ภายนอก
+// ผลอยู่ใน fragment: #code=... (แลกเป็น token) | #linked=<provider> | #error=...&message=...
+export default function OidcCallbackPage(){
+  const [state, setState] = useState('working');
+  const [message, setMessage] = useState('');
+  const [challengeToken, setChallengeToken] = useState('');
+  const sent = useRef(false);
+
+  const completeLogin = async (data) => {
+    setAuthSession(data);
+    await Swal.fire({ icon:'success', title:'<h3>Login Successfully!</h3>', timer:1200, showConfirmButton:false, background:'#fff', color:'#111' });
+    window.location.href = homePathForRole(data.user?.role);
+  };
+
+  useEffect(() => {
+    // StrictMode เรียก effect สองรอบ -> กันแลก code ซ้ำ (code ใช้ได้ครั้งเดียว)
+    if(sent.current) return;
+    sent.current = true;
+
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    // ไม่ให้ code ค้างใน history
+    window.history.replaceState(null, '', window.location.pathname);
+
+    if(params.get('linked')){
+      Swal.fire({ icon:'success', title:'<h3>เชื่อมบัญชีแล้ว</h3>', timer:1400, showConfirmButton:false })
+        .then(() => { window.location.href = '/account/security'; });
+      return;
+    }
+
+    const code = params.get('code');
+    if(!code){
+      setState('failed');
+      setMessage(params.get('message') || 'เข้าสู่ระบบไม่สำเร็จ');
+      return;
+    }
+
+    apiRequest('/api/auth/oidc/exchange', { method:'POST', body: { code }, auth: false })
+      .then((data) => {
+        if(data?.twoFactorRequired){
+          setChallengeToken(data.challengeToken);
+          setState('2fa');
+        }else{
+          return completeLogin(data);
+        }
+      })
+      .catch((error) => {
+        setState('failed');
+        setMessage(error?.message || 'ไม่สามารถเชื่อมต่อเซิร์ฟเวอร์ได้');
+      });
+  }, []);
+
+  return (
+    <div className={`auth-screen ak-yellow ${kanit.variable}`}>
+      <div className="auth-bg" aria-hidden />
+      <div className="scanline" aria-hidden />
+
+      <section className="container">
+        <header className="auth-head">
+          <div className="auth-brand">ARKNIGHTS: <span>ENDFIELD</span></div>
+          <h1 className="auth-title">Sign In</h1>
+        </header>
+
+        {state === '2fa' ? (
+          <TwoFactorStep
+            challengeToken={challengeToken}
+            onSuccess={completeLogin}
+            onCancel={() => { window.location.href = '/login'; }}
+          />
+        ) : state === 'failed' ? (
+          <div className="auth-card fade-in-up">
+            <p className="auth-note">{message}</p>
+            <div className="auth-actions">
+              <Link className="btn-ghost" href="/login">
+                <i className="bi bi-box-arrow-in-right me-2" />
+                Back to Sign In
+                <span className="trail" aria-hidden />
+              </Link>
+            </div>
+          </div>
+        ) : (
+          <div className="auth-card fade-in-up"><p className="auth-note">กำลังเข้าสู่ระบบ…</p></div>
+        )}
+      </section>
+    </div>
+  );
+}
@@ -0,0 +1,214 @@
+'use client';
+import { useEffect, useState } from 'react';
+import { useRouter } from 'next/navigation';
+import Link from 'next/link';
+import Swal from 'sweetalert2';
+import { Kanit } from 'next/font/google';
+import { apiRequest, hasAuthSession } from '@/lib/apiClient';
+
+const kanit = Kanit({
+  subsets: ['thai','latin'],
+  weight: ['400','600','700','800'],
+  variable: '--font-kanit',
+});
+
+const ME_API = '/api/auth/me';
+
+const toInputDate = (value) => (value ? String(value).slice(0, 10) : '');
+
+const emptyProfile = {
+  firstname:'', fullname:'', lastname:'', email:'',
+  address:'', sex:'', birthday:''
+};
+
+const emptyPasswords = { currentPassword:'', newPassword:'', confirm:'' };
+
+export default function ProfilePage(){
+  const router = useRouter();
+  const [me, setMe] = useState(null);
+  const [form, setForm] = useState(emptyProfile);
+  const [passwords, setPasswords] = useState(emptyPasswords);
+  const [saving, setSaving] = useState(false);
+  const [changingPw, setChangingPw] = useState(false);
+
+  const applyProfile = (data) => {
+    setMe(data);
+    setForm({
+      firstname: data.firstname || '',
+      fullname: data.fullname || '',
+      lastname: data.lastname || '',
+      email: data.email || '',
+      address: data.address || '',
+      sex: data.sex || '',
+      birthday: toInputDate(data.birthday),
+    });
+  };
+
+  useEffect(() => {
+    if(!hasAuthSession()){
+      router.push('/login');
+      return;
+    }
+    apiRequest(ME_API)
+      .then(applyProfile)
+      .catch((error) => {
+        Swal.fire({ icon:'error', title:'ข้อผิดพลาดเครือข่าย', text: error?.message || 'ไม่สามารถเชื่อมต่อเซิร์ฟเวอร์ได้' });
+      });
+  }, [router]);
+
+  const handleFieldChange = (key) => (event) => setForm((state) => ({ ...state, [key]: event.target.value }));
+  const handlePasswordChange = (key) => (event) => setPasswords((state) => ({ ...state, [key]: event.target.value }));
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    try{
+      setSaving(true);
+      const emailChanged = form.email !== (me.email || '');
+      const data = await apiRequest(ME_API, { method:'PATCH', body: form });
+      applyProfile(data);
+      // แจ้ง nav ให้ดึงชื่อใหม่
+      window.dispatchEvent(new Event('profile-updated'));
+      await Swal.fire({
+        icon:'success',
+        title:'<h3>บันทึกข้อมูลเรียบร้อยแล้ว</h3>',
+        text: emailChanged ? `กรุณายืนยันอีเมลใหม่จากลิงก์ที่ส่งไปที่ ${data.email}` : undefined,
+        timer: emailChanged ? undefined : 1400,
+        showConfirmButton: emailChanged,
+      });
+    }catch(error){
+      Swal.fire({ icon:'error', title:'<h3>บันทึกไม่สำเร็จ</h3>', text: error?.message || 'ไม่สามารถเชื่อมต่อเซิร์ฟเวอร์ได้' });
+    }finally{ setSaving(false); }
+  };
+
+  const handleChangePassword = async (e) => {
+    e.preventDefault();
+    if(passwords.newPassword !== passwords.confirm){
+      Swal.fire({ icon:'warning', title:'<h3>รหัสผ่านไม่ตรงกัน</h3>' });
+      return;
+    }
+    try{
+      setChangingPw(true);
+      await apiRequest(`${ME_API}/password`, {
+        method:'POST',
+        body: { currentPassword: passwords.currentPassword, newPassword: passwords.newPassword },
+      });
+      setPasswords(emptyPasswords);
+      Swal.fire({ icon:'success', title:'<h3>เปลี่ยนรหัสผ่านแล้ว</h3>', text:'อุปกรณ์อื่นที่ login ไว้จะถูกออกจากระบบ' });
+    }catch(error){
+      Swal.fire({ icon:'error', title:'<h3>เปลี่ยนรหัสผ่านไม่สำเร็จ</h3>', text: error?.message || 'ไม่สามารถเชื่อมต่อเซิร์ฟเวอร์ได้' });
+    }finally{ setChangingPw(false); }
+  };
+
+  return (
+    <div className={`auth-screen ak-yellow ${kanit.variable}`}>
+      <div className="auth-bg" aria-hidden />
+      <div className="scanline" aria-hidden />
+
+      <section className="container">
+        <header className="auth-head">
+          <div className="auth-brand">ARKNIGHTS: <span>ENDFIELD</span></div>
+          <h1 className="auth-title">My Profile</h1>
+          <p className="auth-sub">
+            {me ? `@${me.username} · ${me.role}` : 'กำลังโหลด…'}
+          </p>
+        </header>
+
+        {me && (
+          <>
+            <form className="auth-card fade-in-up" onSubmit={handleSave}>
+              <div className="auth-grid">
+                <div className="form-field">
+                  <label>คำนำหน้า (Firstname)</label>
+                  <select value={form.firstname} onChange={handleFieldChange('firstname')}>
+                    <option value="">เลือกคำนำหน้า</option>
+                    <option value="นาย">นาย</option>
+                    <option value="นางสาว">นางสาว</option>
+                    <option value="นาง">นาง</option>
+                  </select>
+                </div>
+
+                <div className="form-field">
+                  <label>ชื่อ (Fullname)</label>
+                  <input type="text" required value={form.fullname} onChange={handleFieldChange('fullname')} />
+                </div>
+
+                <div className="form-field">
+                  <label>นามสกุล (Lastname)</label>
+                  <input type="text" value={form.lastname} onChange={handleFieldChange('lastname')} />
+                </div>
+
+                <div className="form-field">
+                  <label>Birthday</label>
+                  <input type="date" value={form.birthday} onChange={handleFieldChange('birthday')} />
+                </div>
+
+                <div className="form-field auth-span-2">
+                  <label>Email {me.email && <small>{me.email_verified_at ? '(ยืนยันแล้ว)' : '(ยังไม่ยืนยัน)'}</small>}</label>
+                  <input type="email" required autoComplete="email" value={form.email} onChange={handleFieldChange('email')} />
+                </div>
+
+                <div className="form-field auth-span-2">
+                  <label>Address</label>
+                  <textarea rows={2} value={form.address} onChange={handleFieldChange('address')} />
+                </div>
+
+                <div className="form-field">
+                  <label>Sex</label>
+                  <select value={form.sex} onChange={handleFieldChange('sex')}>
+                    <option value="">เลือกเพศ</option>
+                    <option value="ชาย">ชาย</option>
+                    <option value="หญิง">หญิง</option>
+                    <option value="ไม่ระบุ">ไม่ระบุ</option>
+                  </select>
+                </div>
+              </div>
+
+              <div className="auth-actions">
+                <button type="submit" className="btn-yl" disabled={saving}>
+                  {saving ? 'กำลังบันทึก…' : 'Save Profile'}
+                </button>
+                <Link className="btn-ghost" href="/account/security">
+                  <i className="bi bi-shield-lock me-2" />
+                  Security {me.twoFactorEnabled ? '(2FA on)' : ''}
+                  <span className="trail" aria-hidden />
+                </Link>
+              </div>
+            </form>
+
+            <form className="auth-card fade-in-up mt-4" onSubmit={handleChangePassword}>
+              <div className="auth-grid">
+                <div className="form-field auth-span-2">
+                  <label>Current Password</label>
+                  <input
+                    type="password" autoComplete="current-password" required
+                    value={passwords.currentPassword} onChange={handlePasswordChange('currentPassword')}
+                  />
+                </div>
+                <div className="form-field">
+                  <label>New Password</label>
+                  <input
+                    type="password" autoComplete="new-password" required
+                    value={passwords.newPassword} onChange={handlePasswordChange('newPassword')}
+                  />
+                </div>
+                <div className="form-field">
+                  <label>Confirm Password</label>
+                  <input
+                    type="password" autoComplete="new-password" required
+                    value={passwords.confirm} onChange={handlePasswordChange('confirm')}
+                  />
+                </div>
+              </div>
+
+              <div className="auth-actions">
+                <button type="submit" className="btn-yl" disabled={changingPw}>
+                  {changingPw ? 'กำลังเปลี่ยน…' : 'Change Password'}
+                </button>
+              </div>
+            </form>
+          </>
+        )}
+      </section>
+    </div>
+  );
+}
@@ -4,6 +4,8 @@ import { useRouter } from 'next/navigation';
 import Swal from 'sweetalert2';
 import { Kanit } from 'next/font/google';
 import { apiRequest } from '@/lib/apiClient';
+import { describePasswordError } from '@/lib/passwordPolicy';
+import PasswordChecklist from '../components/passwordChecklist';
 
 const kanit = Kanit({
   subsets: ['thai','latin'],
@@ -12,7 +14,7 @@ const kanit = Kanit({
 });
 
 const initialForm = {
-  firstname:'', fullname:'', lastname:'', username:'',
+  firstname:'', fullname:'', lastname:'', username:'', email:'',
   address:'', sex:'', birthday:'', password:''
 };
 
@@ -32,10 +34,14 @@ export default function RegisterPage(){
         body: form,
         auth: false,
       });
-      await Swal.fire({ icon:'success', title:'<h3>บันทึกข้อมูลเรียบร้อยแล้ว</h3>', timer:1600, showConfirmButton:false });
+      await Swal.fire({
+        icon:'success',
+        title:'<h3>บันทึกข้อมูลเรียบร้อยแล้ว</h3>',
+        text:`เราได้ส่งลิงก์ยืนยันไปที่ ${form.email} กรุณายืนยันอีเมลก่อนใช้งาน`,
+      });
       router.push('/login');
     }catch(error){
-      Swal.fire({ icon:'error', title:'ข้อผิดพลาดเครือข่าย', text: error?.message || 'ไม่สามารถเชื่อมต่อเซิร์ฟเวอร์ได้' });
+      Swal.fire({ icon:'error', title:'ข้อผิดพลาดเครือข่าย', text: describePasswordError(error) || 'ไม่สามารถเชื่อมต่อเซิร์ฟเวอร์ได้' });
     }finally{ setLoading(false); }
   };
 
@@ -78,6 +84,11 @@ export default function RegisterPage(){
               <input type="text" required value={form.username} onChange={handleFieldChange('username')} />
             </div>
 
+            <div className="form-field auth-span-2">
+              <label>Email</label>
+              <input type="email" required autoComplete="email" value={form.email} onChange={handleFieldChange('email')} />
+            </div>
+
             <div className="form-field auth-span-2">
               <label>Address</label>
               <textarea rows={2} required value={form.address} onChange={handleFieldChange('address')} />
@@ -100,7 +111,8 @@ export default function RegisterPage(){
 
             <div className="form-field auth-span-2">
               <label>Password</label>
-              <input type="password" required value={form.password} onChange={handleFieldChange('password')} />
+              <input type="password" required autoComplete="new-password" value={form.password} onChange={handleFieldChange('password')} />
+              {form.password && <PasswordChecklist password={form.password} username={form.username} />}
             </div>
           </div>
 
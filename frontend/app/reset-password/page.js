@@ -0,0 +1,116 @@
+'use client';
+import { Suspense, useState } from 'react';
+import { useRouter, useSearchParams } from 'next/navigation';
+import Link from 'next/link';
+import Swal from 'sweetalert2';
+import { Kanit } from 'next/font/google';
+import { apiRequest } from '@/lib/apiClient';
+import { describePasswordError } from '@/lib/passwordPolicy';
+import PasswordChecklist from '../components/passwordChecklist';
+
+const kanit = Kanit({
+  subsets: ['thai','latin'],
+  weight: ['400','600','700','800'],
+  variable: '--font-kanit',
+});
+
+function ResetPasswordForm(){
+  const router = useRouter();
+  const token = useSearchParams().get('token') || '';
+  const [password, setPassword] = useState('');
+  const [confirm, setConfirm] = useState('');
+  const [showPw, setShowPw] = useState(false);
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if(password !== confirm){
+      Swal.fire({ icon:'warning', title:'<h3>รหัสผ่านไม่ตรงกัน</h3>' });
+      return;
+    }
+    try{
+      setLoading(true);
+      await apiRequest('/api/auth/reset-password', {
+        method:'POST',
+        body: { token, password },
+        auth: false,
+      });
+      await Swal.fire({ icon:'success', title:'<h3>ตั้งรหัสผ่านใหม่เรียบร้อย</h3>', timer:1600, showConfirmButton:false });
+      router.push('/login');
+    }catch(error){
+      Swal.fire({ icon:'error', title:'<h3>ตั้งรหัสผ่านไม่สำเร็จ</h3>', text: describePasswordError(error) || 'ไม่สามารถเชื่อมต่อเซิร์ฟเวอร์ได้' });
+    }finally{ setLoading(false); }
+  };
+
+  if(!token){
+    return (
+      <div className="auth-card fade-in-up">
+        <p className="auth-note">ลิงก์ไม่ถูกต้อง กรุณาขอลิงก์ตั้งรหัสผ่านใหม่อีกครั้ง</p>
+        <div className="auth-actions">
+          <Link className="btn-yl" href="/forgot-password">Request New Link</Link>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <form className="auth-card fade-in-up" onSubmit={handleSubmit}>
+      <div className="auth-grid">
+        <div className="form-field auth-span-2">
+          <label>New Password</label>
+          <div className="pw-wrap">
+            <input
+              name="password" type={showPw ? 'text':'password'} autoComplete="new-password" placeholder="รหัสผ่านใหม่"
+              value={password} onChange={(e)=>setPassword(e.target.value)} required
+            />
+            <button type="button" className="pw-toggle" onClick={()=>setShowPw(v=>!v)}>
+              {showPw ? 'Hide':'Show'}
+            </button>
+          </div>
+          {password && <PasswordChecklist password={password} />}
+        </div>
+
+        <div className="form-field auth-span-2">
+          <label>Confirm Password</label>
+          <input
+            name="confirm" type={showPw ? 'text':'password'} autoComplete="new-password" placeholder="ยืนยันรหัสผ่านใหม่"
+            value={confirm} onChange={(e)=>setConfirm(e.target.value)} required
+          />
+        </div>
+      </div>
+
+      <div className="auth-actions">
+        <button className="btn-yl" type="submit" disabled={loading}>
+          {loading ? 'กำลังบันทึก…' : 'Reset Password'}
+        </button>
+        <Link className="btn-ghost" href="/login">
+          <i className="bi bi-box-arrow-in-right me-2" />
+          Back to Sign In
+          <span className="trail" aria-hidden />
+        </Link>
+      </div>
+    </form>
+  );
+}
+
+export default function ResetPasswordPage(){
+  return (
+    <div className={`auth-screen ak-yellow ${kanit.variable}`}>
+      <div className="auth-bg" aria-hidden />
+      <div className="scanline" aria-hidden />
+
+      <section className="container">
+        <header className="auth-head">
+          <div className="auth-brand">ARKNIGHTS: <span>ENDFIELD</span></div>
+          <h1 className="auth-title">Reset Password</h1>
+          <p className="auth-sub">ตั้งรหัสผ่านใหม่สำหรับบัญชีของคุณ</p>
+        </header>
+
+        {/* useSearchParams ต้องอยู่ใน Suspense ตอน build */}
+        <Suspense fallback={<div className="auth-card" />}>
+          <ResetPasswordForm />
+        </Suspense>
+      </section>
+    </div>
+  );
+}
@@ -4,7 +4,8 @@ import { useRouter } from 'next/navigation';
 import Link from 'next/link';
 import Swal from 'sweetalert2';
 import { Kanit } from 'next/font/google';
-import { apiRequest, setAuthToken } from '@/lib/apiClient';
+import TwoFactorStep from '../components/twoFactorStep';
+import { apiRequest, setAuthSession, homePathForRole } from '@/lib/apiClient';
 
 const kanit = Kanit({
   subsets: ['thai','latin'],
@@ -18,6 +19,14 @@ export default function SignInPage(){
   const [password, setPassword] = useState('');
   const [showPw, setShowPw] = useState(false);
   const [loading, setLoading] = useState(false);
+  // บัญชีที่เปิด 2FA -> ได้ challengeToken มาก่อน แล้วค่อยกรอก code
+  const [challengeToken, setChallengeToken] = useState('');
+
+  const completeLogin = async (data) => {
+    setAuthSession(data);
+    await Swal.fire({ icon:'success', title:'<h3>Login Successfully!</h3>', timer:1200, showConfirmButton:false });
+    window.location.href = homePathForRole(data.user?.role);
+  };
 
   const handleLogin = async (e) => {
     e.preventDefault();
@@ -28,10 +37,10 @@ export default function SignInPage(){
         body: { username, password },
         auth: false,
       });
-      if(data?.token){
-        setAuthToken(data.token);
-        await Swal.fire({ icon:'success', title:'<h3>Login Successfully!</h3>', timer:1200, showConfirmButton:false });
-        window.location.href = '/admin/users';
+      if(data?.twoFactorRequired){
+        setChallengeToken(data.challengeToken);
+      }else if(data?.user){
+        await completeLogin(data);
       }else{
         await Swal.fire({ icon:'warning', title:'<h3>Login Failed!</h3>' });
         router.push('/signin');
@@ -54,30 +63,39 @@ export default function SignInPage(){
           <p className="auth-sub">เข้าสู่ระบบบัญชีของคุณ</p>
         </header>
 
-        <form className="auth-card fade-in-up" onSubmit={handleLogin}>
-          <div className="auth-grid">
-            <div className="form-field auth-span-2">
-              <label>Username</label>
-              <input type="text" value={username} onChange={e=>setUsername(e.target.value)} required />
-            </div>
-            <div className="form-field auth-span-2">
-              <label>Password</label>
-              <div className="pw-wrap">
-                <input type={showPw?'text':'password'} value={password} onChange={e=>setPassword(e.target.value)} required />
-                <button type="button" className="pw-toggle" onClick={()=>setShowPw(v=>!v)}>{showPw?'Hide':'Show'}</button>
+        {challengeToken ? (
+          <TwoFactorStep
+            challengeToken={challengeToken}
+            onSuccess={completeLogin}
+            onCancel={() => { setChallengeToken(''); setPassword(''); }}
+          />
+        ) : (
+          <form className="auth-card fade-in-up" onSubmit={handleLogin}>
+            <div className="auth-grid">
+              <div className="form-field auth-span-2">
+                <label>Username</label>
+                <input type="text" value={username} onChange={e=>setUsername(e.target.value)} required />
+              </div>
+              <div className="form-field auth-span-2">
+                <label>Password</label>
+                <div className="pw-wrap">
+                  <input type={showPw?'text':'password'} value={password} onChange={e=>setPassword(e.target.value)} required />
+                  <button type="button" className="pw-toggle" onClick={()=>setShowPw(v=>!v)}>{showPw?'Hide':'Show'}</button>
+                </div>
+                <Link className="auth-link" href="/forgot-password">ลืมรหัสผ่าน? (Forgot password)</Link>
               </div>
             </div>
-          </div>
 
-          <div className="auth-actions">
-            <button className="btn-yl" disabled={loading}>{loading?'...':'Sign In'}</button>
-            <Link href="/register" className="btn-ghost">
-              <i className="bi bi-person-plus me-2" />
-              Create Account
-              <span className="trail" aria-hidden />
-            </Link>
-          </div>
-        </form>
+            <div className="auth-actions">
+              <button className="btn-yl" disabled={loading}>{loading?'...':'Sign In'}</button>
+              <Link href="/register" className="btn-ghost">
+                <i className="bi bi-person-plus me-2" />
+                Create Account
+                <span className="trail" aria-hidden />
+              </Link>
+            </div>
+          </form>
+        )}
       </section>
     </div>
   );
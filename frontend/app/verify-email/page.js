@@ -0,0 +1,122 @@
+'use client';
+import { Suspense, useEffect, useRef, useState } from 'react';
+import { useSearchParams } from 'next/navigation';
+import Link from 'next/link';
+import Swal from 'sweetalert2';
+import { Kanit } from 'next/font/google';
+import { apiRequest } from '@/lib/apiClient';
+
+const kanit = Kanit({
+  subsets: ['thai','latin'],
+  weight: ['400','600','700','800'],
+  variable: '--font-kanit',
+});
+
+function ResendForm(){
+  const [email, setEmail] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try{
+      setLoading(true);
+      const data = await apiRequest('/api/auth/verify-email/resend', {
+        method:'POST',
+        body: { email },
+        auth: false,
+      });
+      Swal.fire({ icon:'success', title:'<h3>ส่งลิงก์แล้ว</h3>', text: data?.message });
+    }catch(error){
+      Swal.fire({ icon:'error', title:'<h3>ส่งลิงก์ไม่สำเร็จ</h3>', text: error?.message || 'ไม่สามารถเชื่อมต่อเซิร์ฟเวอร์ได้' });
+    }finally{ setLoading(false); }
+  };
+
+  return (
+    <form className="auth-card fade-in-up" onSubmit={handleSubmit}>
+      <p className="auth-note">ไม่ได้รับอีเมล หรือลิงก์หมดอายุ? ขอลิงก์ยืนยันใหม่ได้ที่นี่</p>
+      <div className="auth-grid">
+        <div className="form-field auth-span-2">
+          <label>Email</label>
+          <input
+            name="email" type="email" autoComplete="email" placeholder="you@example.com"
+            value={email} onChange={(e)=>setEmail(e.target.value)} required
+          />
+        </div>
+      </div>
+
+      <div className="auth-actions">
+        <button className="btn-yl" type="submit" disabled={loading}>
+          {loading ? 'กำลังส่ง…' : 'Resend Link'}
+        </button>
+        <Link className="btn-ghost" href="/login">
+          <i className="bi bi-box-arrow-in-right me-2" />
+          Back to Sign In
+          <span className="trail" aria-hidden />
+        </Link>
+      </div>
+    </form>
+  );
+}
+
+function VerifyEmailStatus(){
+  const token = useSearchParams().get('token') || '';
+  const [state, setState] = useState(token ? 'verifying' : 'idle');
+  const [message, setMessage] = useState('');
+  const sent = useRef(false);
+
+  useEffect(() => {
+    // StrictMode เรียก effect สองรอบ -> กันยิงซ้ำ
+    if(!token || sent.current) return;
+    sent.current = true;
+    apiRequest('/api/auth/verify-email', { method:'POST', body: { token }, auth: false })
+      .then((data) => { setState('done'); setMessage(data?.message || 'Email verified'); })
+      .catch((error) => { setState('failed'); setMessage(error?.message || 'ไม่สามารถเชื่อมต่อเซิร์ฟเวอร์ได้'); });
+  }, [token]);
+
+  if(state === 'verifying'){
+    return <div className="auth-card fade-in-up"><p className="auth-note">กำลังยืนยันอีเมล…</p></div>;
+  }
+
+  if(state === 'done'){
+    return (
+      <div className="auth-card fade-in-up">
+        <p className="auth-note">{message} — เข้าสู่ระบบได้เลย</p>
+        <div className="auth-actions">
+          <Link className="btn-yl" href="/login">Sign In</Link>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <>
+      {state === 'failed' && (
+        <div className="auth-card fade-in-up">
+          <p className="auth-note">ยืนยันอีเมลไม่สำเร็จ: {message}</p>
+        </div>
+      )}
+      <ResendForm />
+    </>
+  );
+}
+
+export default function VerifyEmailPage(){
+  return (
+    <div className={`auth-screen ak-yellow ${kanit.variable}`}>
+      <div className="auth-bg" aria-hidden />
+      <div className="scanline" aria-hidden />
+
+      <section className="container">
+        <header className="auth-head">
+          <div className="auth-brand">ARKNIGHTS: <span>ENDFIELD</span></div>
+          <h1 className="auth-title">Verify Email</h1>
+          <p className="auth-sub">ยืนยันอีเมลของบัญชีคุณ</p>
+        </header>
+
+        <Suspense fallback={<div className="auth-card" />}>
+          <VerifyEmailStatus />
+        </Suspense>
+      </section>
+    </div>
+  );
+}
@@ -1,5 +1,21 @@
 import { API_BASE_URL } from './api';
 
+// 'cookie' = backend เก็บ token ใน HttpOnly cookie (JS อ่านไม่ได้) ฝั่งนี้เก็บแค่ CSRF token
+// 'bearer' (ค่าเริ่มต้น) = เก็บ token ใน localStorage แล้วส่ง Authorization header
+const AUTH_TRANSPORT = process.env.NEXT_PUBLIC_AUTH_TRANSPORT === 'cookie' ? 'cookie' : 'bearer';
+const USE_COOKIES = AUTH_TRANSPORT === 'cookie';
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// admin ที่กำลังสวมรอยผู้ใช้ { user, impersonator, expiresAt } ดู lib/impersonation.js
+const IMPERSONATION_KEY = 'impersonation';
+const IMPERSONATION_EVENT = 'impersonation-changed';
+
+const clearImpersonation = () => {
+  if (localStorage.getItem(IMPERSONATION_KEY) === null) return;
+  localStorage.removeItem(IMPERSONATION_KEY);
+  window.dispatchEvent(new Event(IMPERSONATION_EVENT));
+};
+
 const buildUrl = (path) => {
   const base = API_BASE_URL.replace(/\/+$/, '');
   if (!path) return base;
@@ -11,6 +27,30 @@ const buildUrl = (path) => {
   return `${base}${normalizedPath}`;
 };
 
+// error จาก backend (application/problem+json ดู backend/middleware/errorHandler.js)
+// code = ค่าคงที่ไว้ตัดสินใจ (อย่าเทียบข้อความ), fieldErrors = { field: message } จาก errors[] ของ VALIDATION_FAILED
+// requestId ไว้แจ้งผู้ดูแลค้น log; data = body เดิมทั้งก้อน
+class ApiError extends Error {
+  constructor(response, data) {
+    super(data?.detail || data?.message || data?.error || response.statusText || 'Request failed');
+    this.name = 'ApiError';
+    this.status = response.status;
+    this.code = data?.code || null;
+    this.type = data?.type || null;
+    this.title = data?.title || response.statusText || null;
+    this.detail = data?.detail || null;
+    this.requestId = data?.requestId || response.headers.get('X-Request-Id') || null;
+    this.errors = Array.isArray(data?.errors) ? data.errors : [];
+    this.fieldErrors = Object.fromEntries(
+      this.errors.filter((item) => item.field).map((item) => [item.field, item.message])
+    );
+    this.violations = Array.isArray(data?.violations) ? data.violations : [];
+    const retryAfter = Number(response.headers.get('Retry-After'));
+    this.retryAfter = Number.isFinite(retryAfter) && retryAfter > 0 ? retryAfter : null;
+    this.data = data;
+  }
+}
+
 const readJson = async (response) => {
   try {
     return await response.json();
@@ -28,20 +68,121 @@ const getAuthToken = () => {
   }
 };
 
-const setAuthToken = (token) => {
+const getRefreshToken = () => {
+  if (typeof window === 'undefined') return null;
+  try {
+    return localStorage.getItem('refreshToken');
+  } catch {
+    return null;
+  }
+};
+
+const getCsrfToken = () => {
+  if (typeof window === 'undefined') return null;
+  try {
+    return localStorage.getItem('csrfToken');
+  } catch {
+    return null;
+  }
+};
+
+// login อยู่หรือไม่ (โหมด cookie ไม่มี token ให้เห็น ดูจาก CSRF token แทน)
+const hasAuthSession = () => Boolean(USE_COOKIES ? getCsrfToken() : getAuthToken());
+
+const setAuthToken = (token, refreshToken) => {
   if (typeof window === 'undefined') return;
   localStorage.setItem('token', token);
+  if (refreshToken) localStorage.setItem('refreshToken', refreshToken);
+};
+
+// เก็บผลจาก login/refresh ตามโหมดที่ backend ตอบมา
+// (token สวมรอย refresh ไม่ได้ -> refresh สำเร็จ = กลับเป็น admin แล้ว)
+const setAuthSession = (data) => {
+  if (typeof window === 'undefined' || !data) return;
+  clearImpersonation();
+  if (data.transport === 'cookie') {
+    localStorage.setItem('csrfToken', data.csrfToken);
+  } else {
+    setAuthToken(data.token, data.refreshToken);
+  }
+  if (data.user?.role) localStorage.setItem('role', data.user.role);
 };
 
 const clearAuthToken = () => {
   if (typeof window === 'undefined') return;
   localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('csrfToken');
+  localStorage.removeItem('role');
+  clearImpersonation();
+};
+
+const transportHeaders = (method) => {
+  if (!USE_COOKIES) return {};
+  const headers = { 'X-Auth-Transport': 'cookie' };
+  const csrfToken = getCsrfToken();
+  if (csrfToken && !SAFE_METHODS.includes(method)) headers['X-CSRF-Token'] = csrfToken;
+  return headers;
 };
 
+const canRefresh = () => Boolean(USE_COOKIES ? getCsrfToken() : getRefreshToken());
+
+// ขอ access token ใหม่ด้วย refresh token (request ที่ 401 พร้อมกันจะรอ refresh ครั้งเดียวกัน)
+let refreshPromise = null;
+
+const refreshAccessToken = () => {
+  if (refreshPromise) return refreshPromise;
+
+  refreshPromise = (async () => {
+    if (!canRefresh()) return false;
+
+    // โหมด cookie: refresh token อยู่ใน cookie อยู่แล้ว ไม่ต้องส่ง body
+    const response = await fetch(buildUrl('/api/auth/refresh'), {
+      method: 'POST',
+      headers: { Accept: 'application/json', 'Content-Type': 'application/json', ...transportHeaders('POST') },
+      body: JSON.stringify(USE_COOKIES ? {} : { refreshToken: getRefreshToken() }),
+      credentials: USE_COOKIES ? 'include' : 'same-origin',
+    });
+    const data = await readJson(response);
+    if (!response.ok || !(data?.token || data?.csrfToken)) {
+      clearAuthToken();
+      return false;
+    }
+
+    setAuthSession(data);
+    return true;
+  })()
+    .catch(() => false)
+    .finally(() => {
+      refreshPromise = null;
+    });
+
+  return refreshPromise;
+};
+
+// role จาก response ของ login (admin / staff / user) ใช้แค่ตัดสินใจเรื่อง UI
+// การบังคับสิทธิ์จริงอยู่ที่ backend
+const getAuthRole = () => {
+  if (typeof window === 'undefined') return null;
+  try {
+    return localStorage.getItem('role');
+  } catch {
+    return null;
+  }
+};
+
+const setAuthRole = (role) => {
+  if (typeof window === 'undefined') return;
+  if (role) localStorage.setItem('role', role);
+  else localStorage.removeItem('role');
+};
+
+const homePathForRole = (role) => (role === 'admin' ? '/admin/users' : '/');
+
 const apiRequest = async (path, options = {}) => {
-  const { method = 'GET', body, headers = {}, auth = true } = options;
+  const { method = 'GET', body, headers = {}, auth = true, retried = false } = options;
   const url = buildUrl(path);
-  const finalHeaders = { Accept: 'application/json', ...headers };
+  const finalHeaders = { Accept: 'application/json, application/problem+json', ...transportHeaders(method), ...headers };
 
   const isFormData = typeof FormData !== 'undefined' && body instanceof FormData;
   let finalBody = body;
@@ -60,18 +201,66 @@ const apiRequest = async (path, options = {}) => {
     method,
     headers: finalHeaders,
     body: finalBody,
+    credentials: USE_COOKIES ? 'include' : 'same-origin',
   });
 
+  // access token หมดอายุ -> refresh แล้วลองใหม่ 1 ครั้ง
+  if (response.status === 401 && auth && !retried && canRefresh()) {
+    const refreshed = await refreshAccessToken();
+    if (refreshed) return apiRequest(path, { ...options, retried: true });
+  }
+
   const data = await readJson(response);
   if (!response.ok) {
-    const message = data?.message || data?.error || response.statusText || 'Request failed';
-    const error = new Error(message);
-    error.status = response.status;
-    error.data = data;
+    const error = new ApiError(response, data);
+    // บัญชีถูกระงับ/ล็อก ระหว่างใช้งาน -> token เดิมใช้ต่อไม่ได้แล้ว
+    if (auth && String(error.code || '').startsWith('ACCOUNT_')) clearAuthToken();
     throw error;
   }
 
   return data;
 };
 
-export { apiRequest, getAuthToken, setAuthToken, clearAuthToken };
+// เปิด stream (เช่น Server-Sent Events) ด้วย auth แบบเดียวกับ apiRequest แล้วคืน Response ให้อ่าน body เอง
+// EventSource ตั้ง Authorization header ไม่ได้ จึงใช้ fetch แทน
+const apiStream = async (path, options = {}) => {
+  const { headers = {}, signal, retried = false } = options;
+  const finalHeaders = { Accept: 'text/event-stream', ...transportHeaders('GET'), ...headers };
+  const token = getAuthToken();
+  if (token) finalHeaders.Authorization = `Bearer ${token}`;
+
+  const response = await fetch(buildUrl(path), {
+    headers: finalHeaders,
+    signal,
+    cache: 'no-store',
+    credentials: USE_COOKIES ? 'include' : 'same-origin',
+  });
+
+  if (response.status === 401 && !retried && canRefresh()) {
+    const refreshed = await refreshAccessToken();
+    if (refreshed) return apiStream(path, { ...options, retried: true });
+  }
+  if (!response.ok) {
+    throw new ApiError(response, await readJson(response));
+  }
+  return response;
+};
+
+export {
+  ApiError,
+  AUTH_TRANSPORT,
+  IMPERSONATION_KEY,
+  IMPERSONATION_EVENT,
+  clearImpersonation,
+  apiRequest,
+  apiStream,
+  getAuthToken,
+  getRefreshToken,
+  hasAuthSession,
+  setAuthToken,
+  setAuthSession,
+  clearAuthToken,
+  getAuthRole,
+  setAuthRole,
+  homePathForRole,
+};
@@ -0,0 +1,54 @@
+import {
+  IMPERSONATION_KEY,
+  IMPERSONATION_EVENT,
+  apiRequest,
+  clearImpersonation,
+  setAuthRole,
+} from './apiClient';
+
+// admin สวมรอยผู้ใช้: backend ออก access token อายุสั้นของผู้ใช้ (refresh token ยังเป็นของ admin)
+// โหมด bearer เขียนทับ token ใน localStorage, โหมด cookie backend เปลี่ยน cookie ให้เอง
+
+const getImpersonation = () => {
+  if (typeof window === 'undefined') return null;
+  try {
+    return JSON.parse(localStorage.getItem(IMPERSONATION_KEY) || 'null');
+  } catch {
+    return null;
+  }
+};
+
+const notify = () => {
+  window.dispatchEvent(new Event(IMPERSONATION_EVENT));
+  window.dispatchEvent(new Event('profile-updated'));
+};
+
+const startImpersonation = async (userId, reason) => {
+  const data = await apiRequest('/api/auth/impersonation/start', {
+    method: 'POST',
+    body: { userId, reason },
+  });
+  if (data.token) localStorage.setItem('token', data.token);
+  setAuthRole(data.user.role);
+  localStorage.setItem(
+    IMPERSONATION_KEY,
+    JSON.stringify({ user: data.user, impersonator: data.impersonator, expiresAt: data.expiresAt })
+  );
+  notify();
+  return data;
+};
+
+// หมดอายุไปแล้วก็เรียกได้: request จะ refresh กลับเป็น admin ก่อน แล้ว backend ตอบว่าไม่ได้สวมรอยอยู่
+const stopImpersonation = async () => {
+  try {
+    const data = await apiRequest('/api/auth/impersonation/stop', { method: 'POST' });
+    if (data?.token) localStorage.setItem('token', data.token);
+  } catch (error) {
+    if (error?.code !== 'IMPERSONATION_NOT_ACTIVE') throw error;
+  }
+  if (getImpersonation()) setAuthRole('admin');
+  clearImpersonation();
+  notify();
+};
+
+export { getImpersonation, startImpersonation, stopImpersonation };
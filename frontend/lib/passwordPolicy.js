@@ -0,0 +1,58 @@
+import { apiRequest } from './apiClient';
+
+// กฎรหัสผ่านจาก backend (GET /api/auth/password-policy) ใช้ตรวจล่วงหน้าให้ตรงกับ server
+// รายการรหัสยอดนิยมและ history ตรวจได้ที่ server เท่านั้น
+const CLASS_RULES = {
+  lowercase: { pattern: /\p{Ll}/u, label: 'มีตัวพิมพ์เล็ก (a-z)' },
+  uppercase: { pattern: /\p{Lu}/u, label: 'มีตัวพิมพ์ใหญ่ (A-Z)' },
+  digit: { pattern: /\p{Nd}/u, label: 'มีตัวเลข' },
+  symbol: { pattern: /[^\p{L}\p{Nd}]/u, label: 'มีสัญลักษณ์' },
+};
+
+// ใช้ระหว่างโหลดหรือโหลดไม่ได้ (ค่าเริ่มต้นเดียวกับ backend)
+const DEFAULT_POLICY = {
+  minLength: 8,
+  maxBytes: 72,
+  requiredClasses: ['lowercase', 'uppercase', 'digit'],
+  disallowUsername: true,
+  historySize: 5,
+  checkCommon: true,
+};
+
+let policyPromise = null;
+
+const fetchPasswordPolicy = () => {
+  if (!policyPromise) {
+    policyPromise = apiRequest('/api/auth/password-policy', { auth: false }).catch(() => {
+      policyPromise = null;
+      return DEFAULT_POLICY;
+    });
+  }
+  return policyPromise;
+};
+
+// [{ rule, label, ok }] ตามลำดับเดียวกับ server
+const checkPassword = (policy, password, username) => {
+  const value = String(password || '');
+  const rules = [
+    { rule: 'minLength', label: `อย่างน้อย ${policy.minLength} ตัวอักษร`, ok: [...value].length >= policy.minLength },
+    { rule: 'maxBytes', label: `ไม่เกิน ${policy.maxBytes} byte`, ok: new TextEncoder().encode(value).length <= policy.maxBytes },
+    ...policy.requiredClasses
+      .filter((name) => CLASS_RULES[name])
+      .map((name) => ({ rule: name, label: CLASS_RULES[name].label, ok: CLASS_RULES[name].pattern.test(value) })),
+  ];
+  const name = String(username || '').trim().toLowerCase();
+  if (policy.disallowUsername && name.length >= 3) {
+    rules.push({ rule: 'username', label: 'ไม่มี username อยู่ในรหัสผ่าน', ok: !value.toLowerCase().includes(name) });
+  }
+  return rules;
+};
+
+// ข้อความ error จาก server ที่มีรายการกฎที่ไม่ผ่าน (code = PASSWORD_POLICY)
+const describePasswordError = (error) => {
+  const violations = error?.violations ?? error?.data?.violations;
+  if (!Array.isArray(violations) || violations.length === 0) return error?.message;
+  return violations.map((item) => item.message).join('\n');
+};
+
+export { DEFAULT_POLICY, fetchPasswordPolicy, checkPassword, describePasswordError };
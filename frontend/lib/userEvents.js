@@ -0,0 +1,97 @@
+import { apiStream } from './apiClient';
+
+// รับการเปลี่ยนแปลงผู้ใช้แบบ live จาก GET /api/users/events (Server-Sent Events) สำหรับหน้า admin
+// หลุดแล้วต่อใหม่เองพร้อม Last-Event-ID เพื่อรับ event ที่พลาดไป
+
+const MAX_RETRY_MS = 30000;
+
+// แปลงหนึ่งก้อน (คั่นด้วยบรรทัดว่าง) เป็น { id, event, data, retry }
+const parseBlock = (block) => {
+  const message = { event: 'message', data: '' };
+  block.split(/\r?\n/).forEach((line) => {
+    if (!line || line.startsWith(':')) return; // comment = heartbeat
+    const index = line.indexOf(':');
+    const field = index === -1 ? line : line.slice(0, index);
+    const value = index === -1 ? '' : line.slice(index + 1).replace(/^ /, '');
+    if (field === 'data') message.data = message.data ? `${message.data}\n${value}` : value;
+    else if (field === 'id' || field === 'event' || field === 'retry') message[field] = value;
+  });
+  return message;
+};
+
+const wait = (ms, signal) =>
+  new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    signal.addEventListener('abort', () => {
+      clearTimeout(timer);
+      resolve();
+    }, { once: true });
+  });
+
+// onEvent({ id, type, data }), onReset() = event ที่พลาดย้อนให้ไม่ได้แล้ว (โหลดรายการใหม่),
+// onStatus('live' | 'reconnecting' | 'closed'); คืนฟังก์ชันยกเลิก
+const subscribeUserEvents = ({ lastEventId, onEvent, onReset, onStatus = () => {} }) => {
+  const controller = new AbortController();
+  const { signal } = controller;
+  let lastId = lastEventId || '';
+  let retryMs = 3000;
+  let failures = 0;
+
+  const handle = (message) => {
+    if (message.retry && Number.isFinite(Number(message.retry))) retryMs = Number(message.retry);
+    if (message.event === 'reset') {
+      lastId = '';
+      onReset?.();
+      return;
+    }
+    if (!message.data) return;
+    if (message.id) lastId = message.id;
+    try {
+      onEvent?.({ id: message.id, type: message.event, data: JSON.parse(message.data) });
+    } catch (error) {
+      console.error('Invalid user event:', error);
+    }
+  };
+
+  const run = async () => {
+    while (!signal.aborted) {
+      try {
+        const response = await apiStream('/api/users/events', {
+          signal,
+          headers: lastId ? { 'Last-Event-ID': lastId } : {},
+        });
+        failures = 0;
+        onStatus('live');
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        for (;;) {
+          const { value, done } = await reader.read();
+          if (done) break;
+          buffer += decoder.decode(value, { stream: true });
+          const blocks = buffer.split(/\r?\n\r?\n/);
+          buffer = blocks.pop();
+          blocks.forEach((block) => handle(parseBlock(block)));
+        }
+      } catch (error) {
+        if (signal.aborted) break;
+        // ไม่มีสิทธิ์แล้ว (เช่น ออกจากระบบ/ถูกลดสิทธิ์) -> ไม่ต้องต่อใหม่
+        if (error?.status === 401 || error?.status === 403) {
+          onStatus('closed');
+          return;
+        }
+        failures += 1;
+      }
+      if (signal.aborted) break;
+      // stream จบเอง (token หมดอายุ) ต่อใหม่หลัง retry ที่ server กำหนด; ล้มเหลวติดกันให้รอนานขึ้น
+      onStatus('reconnecting');
+      await wait(Math.min(retryMs * 2 ** failures, MAX_RETRY_MS), signal);
+    }
+  };
+
+  run();
+  return () => controller.abort();
+};
+
+export { subscribeUserEvents };